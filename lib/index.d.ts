@@ -1,3 +0,0 @@
-export * from './parser';
-export * from './mapper';
-export * from './generator';
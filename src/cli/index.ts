@@ -1,16 +1,18 @@
 #!/usr/bin/env node
 import * as yargs from 'yargs';
+import * as fs from 'fs';
 import * as path from 'path';
 import { CloudFormationParser } from '../parser';
-import { ResourceMapper } from '../mapper';
-import { CdktfGenerator } from '../generator';
+import { Diagnostic, MappingOptions, ResourceMapper, TemplateInput, failingDiagnostics } from '../mapper';
+import { CdktfGenerator, ImportStyle, ReportFormat, ReportGenerator } from '../generator';
 
 async function main() {
   const argv = await yargs
     .option('input', {
       alias: 'i',
-      description: 'Input CloudFormation template file',
+      description: 'Input CloudFormation template file (several files or a directory make one app, with a stack per template)',
       type: 'string',
+      array: true,
       demandOption: true,
     })
     .option('output', {
@@ -22,34 +24,205 @@ async function main() {
     .option('language', {
       alias: 'l',
       description: 'Target language for CDKTF code',
-      choices: ['typescript', 'python', 'java'],
+      choices: ['typescript', 'python', 'java', 'csharp', 'go'],
       default: 'typescript',
     })
+    .option('format', {
+      alias: 'f',
+      description: 'Output format: CDKTF code, or plain Terraform configuration in HCL or JSON syntax',
+      choices: ['cdktf', 'hcl', 'tf-json'],
+      default: 'cdktf',
+    })
+    .option('default-tags', {
+      description: 'Move tags shared by every resource to the AWS provider default tags',
+      type: 'boolean',
+      default: false,
+    })
+    .option('check-parameters', {
+      description: 'Look up parameters holding existing resource IDs (VPC, subnet, ...) so that wrong IDs fail the plan',
+      type: 'boolean',
+      default: false,
+    })
+    .option('template-url-map', {
+      description: 'Local directory of nested stack templates whose TemplateURL starts with a prefix (prefix=directory)',
+      type: 'string',
+      array: true,
+      default: [] as string[],
+    })
+    .option('import-resources', {
+      description: 'Saved output of aws cloudformation describe-stack-resources; its resources are imported into Terraform',
+      type: 'string',
+    })
+    .option('import-style', {
+      description: 'Import the stack resources with import blocks, an import.sh running terraform import, or both',
+      choices: ['blocks', 'script', 'both'],
+      default: 'blocks',
+    })
+    .option('awscc', {
+      description: 'Convert with the AWS Cloud Control provider: types without an aws mapping, or every type',
+      choices: ['fallback', 'all'],
+    })
+    .option('report', {
+      description: 'Write the conversion diagnostics (dropped properties, unsupported types, ...) to a report file',
+      type: 'string',
+    })
+    .option('report-format', {
+      description: 'Format of the report file',
+      choices: ['json', 'markdown', 'sarif'],
+      default: 'json',
+    })
+    .option('fail-on', {
+      description: 'Exit with an error when a diagnostic of this severity or a more severe one was reported',
+      choices: ['warning', 'error'],
+    })
     .help()
     .alias('help', 'h')
     .parseSync();
 
   try {
-    console.log(`Parsing CloudFormation template: ${argv.input}`);
-    const template = CloudFormationParser.parseFile(argv.input);
+    // s3://bucket/templates=./templates looks up s3://bucket/templates/child.yaml as ./templates/child.yaml
+    const templateUrlMap: Record<string, string> = {};
+    argv['template-url-map'].forEach(entry => {
+      const separator = entry.lastIndexOf('=');
+      if (separator <= 0) {
+        throw new Error(`Invalid --template-url-map entry: ${entry} (expected prefix=directory)`);
+      }
+      templateUrlMap[entry.slice(0, separator)] = entry.slice(separator + 1);
+    });
     
+    const options: MappingOptions = {
+      defaultTags: argv['default-tags'],
+      checkParameters: argv['check-parameters'],
+      templateUrlMap,
+      awscc: argv.awscc as MappingOptions['awscc'],
+    };
+
+    if (argv.input.length > 1 || fs.statSync(argv.input[0]).isDirectory()) {
+      if (argv['import-resources']) {
+        throw new Error('--import-resources takes the resources of one stack, so it requires a single template');
+      }
+      const diagnostics = convertApp(templateFiles(argv.input), argv.output, argv.language, argv.format, options);
+      reportDiagnostics(diagnostics, argv.report, argv['report-format'] as ReportFormat, argv['fail-on']);
+      return;
+    }
+
+    const input = argv.input[0];
+    console.log(`Parsing CloudFormation template: ${input}`);
+    const template = CloudFormationParser.parseFile(input);
+
+    const stackResources = argv['import-resources']
+      ? CloudFormationParser.parseStackResources(argv['import-resources'])
+      : undefined;
+    const importStyle = argv['import-style'] as ImportStyle;
+
     console.log('Mapping CloudFormation resources to Terraform resources');
-    const terraformConfig = ResourceMapper.mapTemplate(template);
-    
-    console.log(`Generating CDKTF code in ${argv.language}`);
-    CdktfGenerator.generateCode(
-      terraformConfig, 
-      argv.output, 
-      argv.language as 'typescript' | 'python' | 'java'
-    );
+    const terraformConfig = ResourceMapper.mapTemplate(template, { ...options, templatePath: input, stackResources });
+    if (stackResources) {
+      const imported = terraformConfig.resources.filter(resource => resource.importId !== undefined).length;
+      console.log(`Resources to import: ${imported}`);
+    }
     
-    console.log(`CDKTF code generated successfully in ${path.resolve(argv.output)}`);
+    if (argv.format === 'cdktf') {
+      console.log(`Generating CDKTF code in ${argv.language}`);
+      CdktfGenerator.generateCode(
+        terraformConfig, 
+        argv.output, 
+        argv.language as 'typescript' | 'python' | 'java' | 'csharp' | 'go',
+        importStyle
+      );
+
+      console.log(`CDKTF code generated successfully in ${path.resolve(argv.output)}`);
+    } else {
+      console.log(`Generating Terraform configuration (${argv.format})`);
+      CdktfGenerator.generateTerraform(terraformConfig, argv.output, argv.format as 'hcl' | 'tf-json', importStyle);
+
+      console.log(`Terraform configuration generated successfully in ${path.resolve(argv.output)}`);
+    }
+    reportDiagnostics(terraformConfig.diagnostics, argv.report, argv['report-format'] as ReportFormat, argv['fail-on']);
   } catch (error) {
     console.error('Error:', (error as Error).message);
     process.exit(1);
   }
 }
 
+/**
+ * Template files of the inputs; directories contribute their JSON and YAML files
+ * @param inputs Files and directories
+ */
+function templateFiles(inputs: string[]): string[] {
+  return inputs.flatMap(input => fs.statSync(input).isDirectory()
+    ? fs.readdirSync(input)
+      .filter(file => /\.(json|ya?ml)$/.test(file))
+      .sort()
+      .map(file => path.join(input, file))
+    : [input]);
+}
+
+/**
+ * Print the diagnostics and their summary, write the report and apply the failure threshold
+ * The output is written either way, so that a failed conversion can still be inspected.
+ * @param diagnostics Diagnostics of all converted stacks
+ * @param report Report file
+ * @param reportFormat Report format
+ * @param failOn Least severe severity that fails the conversion
+ */
+function reportDiagnostics(diagnostics: Diagnostic[], report: string | undefined, reportFormat: ReportFormat, failOn?: string): void {
+  diagnostics.forEach(item => console.warn(`${item.severity} [${item.code}] ${item.message}`));
+  console.log(`Diagnostics: ${ReportGenerator.summary(diagnostics)}`);
+
+  if (report) {
+    ReportGenerator.generate(diagnostics, report, reportFormat);
+    console.log(`Report written to ${path.resolve(report)}`);
+  }
+
+  if (failOn) {
+    const failures = failingDiagnostics(diagnostics, failOn as Diagnostic['severity']).length;
+    if (failures > 0) {
+      throw new Error(`${failures} diagnostic${failures === 1 ? '' : 's'} at or above ${failOn} (--fail-on ${failOn})`);
+    }
+  }
+}
+
+/**
+ * Convert several templates to one app, with a stack per template
+ * @param files Template files
+ * @param output Output directory
+ * @param language Target language for CDKTF code
+ * @param format Output format
+ * @param options Mapping options
+ * @returns Diagnostics of all stacks
+ */
+function convertApp(files: string[], output: string, language: string, format: string, options: MappingOptions): Diagnostic[] {
+  const templates: TemplateInput[] = [];
+  files.forEach(file => {
+    console.log(`Parsing CloudFormation template: ${file}`);
+    const template = CloudFormationParser.parseFile(file);
+    // Directories may hold other JSON and YAML files (parameter files, cdktf.json, ...)
+    if (!template || typeof template.Resources !== 'object') {
+      console.warn(`Template skipped: ${file} (no Resources section)`);
+      return;
+    }
+    templates.push({ name: path.basename(file).replace(/\.[^.]*$/, ''), template, path: file });
+  });
+
+  console.log('Mapping CloudFormation resources to Terraform resources');
+  const stacks = ResourceMapper.mapTemplates(templates, options);
+  console.log(`Stacks in dependency order: ${stacks.map(stack => stack.name).join(', ')}`);
+
+  if (format === 'cdktf') {
+    console.log(`Generating CDKTF code in ${language}`);
+    CdktfGenerator.generateAppCode(stacks, output, language as 'typescript' | 'python' | 'java' | 'csharp' | 'go');
+
+    console.log(`CDKTF code generated successfully in ${path.resolve(output)}`);
+  } else {
+    console.log(`Generating Terraform configuration (${format})`);
+    CdktfGenerator.generateAppTerraform(stacks, output, format as 'hcl' | 'tf-json');
+
+    console.log(`Terraform configuration generated successfully in ${path.resolve(output)}, one directory per stack`);
+  }
+  return stacks.flatMap(stack => stack.config.diagnostics);
+}
+
 main().catch(error => {
   console.error('Unhandled error:', error);
   process.exit(1);
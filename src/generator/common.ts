@@ -0,0 +1,300 @@
+import {
+  BlockValue, TerraformConfig, TerraformDataSource, TerraformResource, TerraformStackConfig, TerraformValue, block, list,
+  literal, map, visitValue,
+} from '../mapper';
+
+/**
+ * Provider classes whose names differ from the PascalCase type name
+ * (the provider renames them where they would clash with a nested block of aws_s3_bucket)
+ */
+const providerClassNames: Record<string, string> = {
+  aws_s3_bucket_versioning: 'S3BucketVersioningA',
+  aws_s3_bucket_logging: 'S3BucketLoggingA',
+  aws_s3_bucket_server_side_encryption_configuration: 'S3BucketServerSideEncryptionConfigurationA',
+  aws_s3_bucket_object_lock_configuration: 'S3BucketObjectLockConfigurationA',
+  aws_s3_bucket_replication_configuration: 'S3BucketReplicationConfigurationA',
+};
+
+/**
+ * Terraform functions whose cdktf counterpart takes its arguments as one list
+ */
+export const variadicFunctions = ['merge', 'concat', 'coalesce', 'coalescelist'];
+
+/**
+ * Provider, submodule (snake_case) and class name of the provider construct for a resource or data source type
+ * aws_s3_bucket becomes aws / s3_bucket / S3Bucket, awscc_sns_topic awscc / sns_topic / SnsTopic, the
+ * aws_region data source aws / data_aws_region / DataAwsRegion.
+ * @param type Terraform resource or data source type
+ * @param dataSource Whether the type is a data source
+ */
+export function providerClass(type: string, dataSource: boolean): { provider: Provider; module: string; className: string } {
+  const provider: Provider = !dataSource && type.startsWith('awscc_') ? 'awscc' : 'aws';
+  const module = dataSource ? `data_${type}` : type.slice(provider.length + 1);
+  const className = (!dataSource && providerClassNames[type]) || pascalCase(module);
+  return { provider, module, className };
+}
+
+/**
+ * Terraform provider of the generated resources
+ */
+export type Provider = 'aws' | 'awscc';
+
+/**
+ * Whether a configuration or one of its modules has resources of the awscc provider
+ * @param config Terraform configuration
+ */
+export function usesAwscc(config: TerraformConfig): boolean {
+  return config.resources.some(resource => resource.module === undefined && resource.type.startsWith('awscc_'))
+    || Object.values(config.modules).some(module => usesAwscc(module));
+}
+
+/**
+ * Submodules that both providers have classes in (aws_iam_role_policy and awscc_iam_role_policy), used by
+ * the configurations; languages that import classes by name qualify the awscc ones
+ * @param configs Terraform configurations
+ */
+export function sharedProviderModules(configs: TerraformConfig[]): Set<string> {
+  const modules: Record<Provider, Set<string>> = { aws: new Set(), awscc: new Set() };
+  configs.forEach(config => config.resources
+    .filter(resource => resource.module === undefined)
+    .forEach(resource => {
+      const { provider, module } = providerClass(resource.type, false);
+      modules[provider].add(module);
+    }));
+  return new Set([...modules.awscc].filter(module => modules.aws.has(module)));
+}
+
+/**
+ * Configuration block of a resource, with its meta-arguments first and lifecycle last
+ * @param resource Terraform resource
+ */
+export function resourceBlock(resource: TerraformResource): BlockValue {
+  const attributes: Record<string, TerraformValue> = {};
+  // Conditional resources are created zero or one times
+  if (resource.count) {
+    attributes.count = resource.count;
+  }
+  if (resource.dependsOn) {
+    attributes.depends_on = list(resource.dependsOn);
+  }
+  const lifecycle: Record<string, TerraformValue> = resource.preventDestroy
+    ? { lifecycle: block({ prevent_destroy: literal(true) }) }
+    : {};
+  return block({ ...attributes, ...resource.properties, ...lifecycle });
+}
+
+/**
+ * Comment lines written above a resource, one per note
+ * @param resource Terraform resource
+ * @param prefix Indentation and comment marker
+ */
+export function resourceComments(resource: TerraformResource, prefix: string): string {
+  return (resource.comments || []).map(comment => `${prefix}${comment}\n`).join('');
+}
+
+/**
+ * Address of a resource in the Terraform state; conditional resources exist as instance 0
+ * @param resource Terraform resource
+ */
+export function resourceAddress(resource: TerraformResource): string {
+  return `${resource.type}.${resource.name}${resource.count ? '[0]' : ''}`;
+}
+
+/**
+ * ID a resource is imported from by importFrom in CDKTF code
+ * importFrom cannot address an instance of a counted resource, so conditional resources are left to import.sh.
+ * @param resource Terraform resource
+ */
+export function importFromId(resource: TerraformResource): string | undefined {
+  return resource.count ? undefined : resource.importId;
+}
+
+/**
+ * Configuration of the TerraformHclModule instantiating a nested stack's module
+ * Input variables keep their names, so they are passed as a map.
+ * @param resource Terraform resource with a module
+ */
+export function moduleBlock(resource: TerraformResource): BlockValue {
+  const attributes: Record<string, TerraformValue> = {
+    source: literal(`./modules/${resource.module}`),
+    ...resourceBlock({ ...resource, properties: {} }).attributes,
+  };
+  if (Object.keys(resource.properties).length > 0) {
+    attributes.variables = map(resource.properties);
+  }
+  return block(attributes);
+}
+
+/**
+ * Every expression of a configuration, used to find the helpers the generated code needs
+ * @param config Terraform configuration
+ */
+export function configValues(config: TerraformConfig): TerraformValue[] {
+  return [
+    ...Object.values(config.variables)
+      .flatMap(variable => (variable.validations || []).map(validation => validation.condition)),
+    ...Object.values(config.mappings).map(mapping => mapping.value),
+    ...Object.values(config.conditions).map(condition => condition.expression),
+    ...config.dataSources.map(dataSource => block(dataSource.properties)),
+    ...config.resources.map(resource => resourceBlock(resource)),
+    ...Object.values(config.outputs).map(output => output.value),
+    ...(config.defaultTags ? [config.defaultTags] : []),
+  ];
+}
+
+/**
+ * Stack class of a generated app
+ */
+export interface StackClass {
+  /**
+   * Construct ID
+   */
+  name: string;
+  className: string;
+  config: TerraformConfig;
+  /**
+   * Stacks whose exports the constructor takes
+   */
+  imports: string[];
+  /**
+   * Outputs other stacks read, exposed as the stack's exports
+   */
+  exports: string[];
+}
+
+/**
+ * Stack classes of an app, with the exports passed between them
+ * A single stack keeps the class name the generator has always used.
+ * @param stacks Stacks in dependency order
+ * @param singleClassName Class name of a single stack
+ */
+export function stackClasses(stacks: TerraformStackConfig[], singleClassName: string): StackClass[] {
+  const classes: StackClass[] = stacks.map(stack => ({
+    name: stack.name,
+    className: stacks.length === 1 ? singleClassName : stackClassName(stack.name),
+    config: stack.config,
+    imports: [],
+    exports: [],
+  }));
+
+  classes.forEach(stackClass => configValues(stackClass.config).forEach(value => visitValue(value, node => {
+    if (node.kind === 'reference' && node.target === 'stack') {
+      const exporting = classes.find(item => item.name === node.name)!;
+      if (!stackClass.imports.includes(node.name)) {
+        stackClass.imports.push(node.name);
+      }
+      if (!exporting.exports.includes(node.attribute!)) {
+        exporting.exports.push(node.attribute!);
+      }
+    }
+  })));
+
+  return classes;
+}
+
+/**
+ * Class name of the stack converted from a template (network-stack becomes NetworkStack, app AppStack)
+ * @param name Stack name
+ */
+export function stackClassName(name: string): string {
+  const className = pascalCase(name.replace(/-/g, '_'));
+  // cdktf's own class would be shadowed
+  if (className === 'TerraformStack') {
+    return 'ConvertedTerraformStack';
+  }
+  return className.endsWith('Stack') ? className : `${className}Stack`;
+}
+
+/**
+ * camelCase identifier derived from a stack (networkExports for the exports of the network stack)
+ * @param name Stack name
+ * @param suffix Identifier suffix
+ */
+export function stackIdentifier(name: string, suffix: string): string {
+  const base = stackClassName(name).replace(/Stack$/, '');
+  return `${base.charAt(0).toLowerCase()}${base.slice(1)}${suffix}`;
+}
+
+/**
+ * Data source reading the outputs of another stack from its local state, for plain Terraform output
+ * Each stack is written to its own directory next to the others.
+ * @param name Stack name
+ */
+export function remoteStateDataSource(name: string): TerraformDataSource {
+  return {
+    type: 'terraform_remote_state',
+    name,
+    properties: {
+      backend: literal('local'),
+      config: map({ path: literal(`../${name}/terraform.tfstate`) }),
+    },
+  };
+}
+
+/**
+ * Identifier of the generated variable holding a Terraform variable
+ * @param name Variable name
+ */
+export function variableIdentifier(name: string): string {
+  return `${name.replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase()}_variable`;
+}
+
+/**
+ * Append an underscore to identifiers the target language reserves
+ * @param name Identifier
+ * @param reservedWords Reserved words of the target language
+ */
+export function safeIdentifier(name: string, reservedWords: string[]): string {
+  return reservedWords.includes(name) ? `${name}_` : name;
+}
+
+/**
+ * Escape literal text so that Terraform does not interpolate it
+ * @param text Literal text
+ */
+export function escapeTerraform(text: string): string {
+  return text.replace(/\$\{/g, '$$${').replace(/%\{/g, '%%{');
+}
+
+/**
+ * Generate cdktf.json configuration
+ * @param language cdktf language name
+ * @param app Command that runs the application
+ * @param awscc Whether the code uses the awscc provider as well
+ */
+export function cdktfConfig(language: string, app: string, awscc = false): any {
+  return {
+    "language": language,
+    "app": app,
+    "projectId": "converted-project",
+    "sendCrashReports": false,
+    "terraformProviders": [
+      "aws@~> 5.0",
+      ...(awscc ? ["awscc@~> 1.0"] : [])
+    ],
+    "terraformModules": [],
+    "context": {
+      "excludeStackIdFromLogicalIds": "true",
+      "allowSepCharsInLogicalIds": "true"
+    }
+  };
+}
+
+/**
+ * Convert snake_case to camelCase
+ * @param str Input string
+ */
+export function camelCase(str: string): string {
+  return str.replace(/_([a-z0-9])/g, (_match, char: string) => char.toUpperCase());
+}
+
+/**
+ * Convert string to PascalCase
+ * @param str Input string
+ */
+export function pascalCase(str: string): string {
+  return str
+    .split('_')
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
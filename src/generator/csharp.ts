@@ -0,0 +1,559 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  TerraformDataSource, TerraformResource, TerraformStackConfig, TerraformValue, TerraformVariable, block, list, literal,
+  map,
+} from '../mapper';
+import {
+  Provider, StackClass, camelCase, cdktfConfig, escapeTerraform, importFromId, moduleBlock, pascalCase, providerClass,
+  resourceBlock, resourceComments, safeIdentifier, sharedProviderModules, stackClasses, stackIdentifier, usesAwscc,
+  variableIdentifier, variadicFunctions,
+} from './common';
+import { Conversion, Expected, conversion, functionParameters, variableAccessor } from './typing';
+
+/**
+ * Namespace and class name of the struct a block is built with
+ */
+interface StructName {
+  namespace: string;
+  name: string;
+  /**
+   * Written with its namespace instead of a using directive, as an aws class of the same name is in scope
+   */
+  qualified?: boolean;
+}
+
+/**
+ * State collected while rendering one file
+ */
+interface RenderContext {
+  variables: Record<string, TerraformVariable>;
+  usings: Set<string>;
+  // Submodules both providers have classes in, whose awscc classes are qualified
+  sharedModules: Set<string>;
+}
+
+const providerNamespaces: Record<Provider, string> = {
+  aws: 'HashiCorp.Cdktf.Providers.Aws',
+  awscc: 'HashiCorp.Cdktf.Providers.Awscc',
+};
+
+// The lifecycle meta-argument is a cdktf struct shared by every resource
+const lifecycleStruct: StructName = { namespace: 'HashiCorp.Cdktf', name: 'TerraformResourceLifecycle' };
+
+/**
+ * Generates CDKTF C# code as a .NET project
+ * Constructs take their configuration as object initializers with PascalCase properties; expressions that
+ * cdktf types as object are converted with Token where a property expects a string, number or array.
+ */
+export class CSharpGenerator {
+  // Terraform functions that cdktf exposes under another name
+  private static readonly functions: Record<string, string> = {
+    length: 'LengthOf',
+  };
+
+  private static readonly conversions: Record<Conversion, string> = {
+    string: 'AsString',
+    number: 'AsNumber',
+    boolean: 'AsAny',
+    list: 'AsList',
+    map: 'AsStringMap',
+  };
+
+  private static readonly operators: Record<string, string> = {
+    '==': 'Eq',
+    '>=': 'Gte',
+    '<=': 'Lte',
+    '&&': 'And',
+    '||': 'Or',
+    '!': 'Not',
+  };
+
+  // Keywords, and names the generated constructor already uses
+  private static readonly reservedWords = [
+    'abstract', 'as', 'base', 'bool', 'break', 'byte', 'case', 'catch', 'char', 'checked', 'class', 'const',
+    'continue', 'decimal', 'default', 'delegate', 'do', 'double', 'else', 'enum', 'event', 'explicit', 'extern',
+    'false', 'finally', 'fixed', 'float', 'for', 'foreach', 'goto', 'if', 'implicit', 'in', 'int', 'interface',
+    'internal', 'is', 'lock', 'long', 'namespace', 'new', 'null', 'object', 'operator', 'out', 'override', 'params',
+    'private', 'protected', 'public', 'readonly', 'ref', 'return', 'sbyte', 'sealed', 'short', 'sizeof',
+    'stackalloc', 'static', 'string', 'struct', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'uint', 'ulong',
+    'unchecked', 'unsafe', 'ushort', 'using', 'virtual', 'void', 'volatile', 'while', 'scope', 'id',
+  ];
+
+  /**
+   * Generate C# CDKTF code
+   * @param stacks Stacks of the app, in dependency order
+   * @param outputDir Output directory
+   */
+  public static generate(stacks: TerraformStackConfig[], outputDir: string): void {
+    // Generate Program.cs
+    fs.writeFileSync(path.join(outputDir, 'Program.cs'), this.generateMainFile(stacks));
+
+    // Generate cdktf.json
+    const awscc = stacks.some(stack => usesAwscc(stack.config));
+    const cdktfJson = cdktfConfig('csharp', 'dotnet run', awscc);
+    fs.writeFileSync(path.join(outputDir, 'cdktf.json'), JSON.stringify(cdktfJson, null, 2));
+
+    // Generate the project file
+    fs.writeFileSync(path.join(outputDir, 'ConvertedStack.csproj'), this.generateProjectFile(awscc));
+  }
+
+  /**
+   * Generate C# main file
+   * @param stacks Stacks of the app
+   */
+  private static generateMainFile(stacks: TerraformStackConfig[]): string {
+    const classes = stackClasses(stacks, 'MainStack');
+    const usings = new Set(['Constructs', 'HashiCorp.Cdktf']);
+    const sharedModules = sharedProviderModules(stacks.map(stack => stack.config));
+    const stackCode = classes.map(stackClass => this.generateStack(stackClass, usings, sharedModules));
+
+    // Stacks other stacks import from are kept, to pass on their exports
+    const instances = classes.map(stackClass => {
+      const args = ['app', `"${stackClass.name}"`, ...stackClass.imports
+        .map(name => `${stackIdentifier(name, 'Stack')}.Exports`)];
+      const assignment = stackClass.exports.length > 0
+        ? `${stackClass.className} ${stackIdentifier(stackClass.name, 'Stack')} = `
+        : '';
+      return `            ${assignment}new ${stackClass.className}(${args.join(', ')});`;
+    });
+
+    // System namespaces first
+    const sortedUsings = [...usings].sort((a, b) =>
+      Number(!a.startsWith('System')) - Number(!b.startsWith('System')) || a.localeCompare(b));
+
+    return `${sortedUsings.map(name => `using ${name};`).join('\n')}
+
+namespace MyCompany.MyApp
+{
+${stackCode.join('\n\n')}
+
+    class Program
+    {
+        public static void Main(string[] args)
+        {
+            App app = new App();
+${instances.join('\n')}
+            app.Synth();
+        }
+    }
+}
+`;
+  }
+
+  /**
+   * Generate the class of a stack
+   * @param stackClass Stack class
+   * @param usings Namespaces the file uses, added to as the stack is rendered
+   * @param sharedModules Submodules both providers have classes in
+   */
+  private static generateStack(stackClass: StackClass, usings: Set<string>, sharedModules: Set<string>): string {
+    const config = stackClass.config;
+    const ctx: RenderContext = { variables: config.variables, usings, sharedModules };
+    const indent = '            ';
+
+    const provider = this.construct('', 'AwsProvider', 'aws', {
+      region: literal('us-west-2'),
+      ...(config.defaultTags ? { default_tags: list([block({ tags: config.defaultTags })]) } : {}),
+    }, 'provider', ctx);
+    const awsccProvider = usesAwscc(config)
+      ? `\n\n${indent}// Define AWS Cloud Control provider\n${
+        this.construct('', 'AwsccProvider', 'awscc', { region: literal('us-west-2') }, 'provider', ctx, 'awscc')}`
+      : '';
+
+    const variables = Object.entries(config.variables)
+      .map(([name, variable]) => this.generateVariable(name, variable, ctx));
+
+    const dataSources = config.dataSources.map(dataSource => this.generateDataSource(dataSource, ctx));
+
+    const mappings = Object.entries(config.mappings).map(([name, mapping]) =>
+      `${indent}TerraformLocal ${this.identifier(mapping.name)} = new TerraformLocal(this, "${name}", ${
+        this.render(mapping.value, indent, 'any', undefined, ctx)});`
+    );
+
+    // Conditions are Op and Fn tokens, which C# only knows as object
+    const conditions = Object.values(config.conditions).map(condition =>
+      `${indent}object ${this.identifier(condition.name)} = ${this.render(condition.expression, indent, 'any', undefined, ctx)};`
+    );
+
+    const resources = config.resources
+      .map(resource => resourceComments(resource, '            // ') + this.generateResource(resource, ctx));
+
+    // Descriptions are not expressions, so they are written as plain strings
+    const outputs = Object.entries(config.outputs).map(([name, output]) => this.initializer(
+      `new TerraformOutput(this, "${name}", new TerraformOutputConfig`, [
+        `Value = ${this.render(output.value, `${indent}    `, 'any', undefined, ctx)}`,
+        ...(output.description !== undefined ? [`Description = ${JSON.stringify(output.description)}`] : []),
+      ], indent) + ');');
+
+    if (stackClass.imports.length > 0 || stackClass.exports.length > 0) {
+      ctx.usings.add('System.Collections.Generic');
+    }
+    const parameters = ['Construct scope', 'string id', ...stackClass.imports
+      .map(name => `Dictionary<string, object> ${stackIdentifier(name, 'Exports')}`)];
+
+    // Outputs other stacks import are handed over as plain values; cdktf wires the cross-stack references
+    const exports = stackClass.exports.length > 0 ? `
+
+${indent}// Define exports read by other stacks
+${indent}Exports = ${this.render(map(Object.fromEntries(stackClass.exports
+      .map(name => [name, config.outputs[name].value]))), indent, 'any', undefined, ctx)};` : '';
+
+    return `    class ${stackClass.className} : TerraformStack
+    {${stackClass.exports.length > 0 ? `
+        public Dictionary<string, object> Exports { get; }
+` : ''}
+        public ${stackClass.className}(${parameters.join(', ')}) : base(scope, id)
+        {
+${variables.length > 0 ? `${indent}// Define variables
+${variables.join('\n\n')}
+
+` : ''}${dataSources.length > 0 ? `${indent}// Define data sources
+${dataSources.join('\n\n')}
+
+` : ''}${mappings.length > 0 ? `${indent}// Define mappings
+${mappings.join('\n\n')}
+
+` : ''}${conditions.length > 0 ? `${indent}// Define conditions
+${conditions.join('\n')}
+
+` : ''}${indent}// Define AWS provider
+${provider}${awsccProvider}
+
+${indent}// Define resources
+${resources.join('\n\n')}
+
+${indent}// Define outputs
+${outputs.join('\n\n')}${exports}
+        }
+    }`;
+  }
+
+  /**
+   * Generate C# variable
+   * Validations are added after the variable is declared, since their conditions reference it.
+   * @param name Variable name
+   * @param variable Terraform variable
+   * @param ctx Render context
+   */
+  private static generateVariable(name: string, variable: TerraformVariable, ctx: RenderContext): string {
+    const indent = '            ';
+    const identifier = this.identifier(variableIdentifier(name));
+
+    // Defaults and descriptions are not expressions, so they are written as plain values
+    const declaration = this.initializer(
+      `TerraformVariable ${identifier} = new TerraformVariable(this, "${name}", new TerraformVariableConfig`, [
+        `Type = ${JSON.stringify(variable.type)}`,
+        ...(variable.default !== undefined ? [`Default = ${this.csharpLiteral(variable.default, `${indent}    `, ctx)}`] : []),
+        ...(variable.description !== undefined ? [`Description = ${JSON.stringify(variable.description)}`] : []),
+        ...(variable.sensitive ? ['Sensitive = true'] : []),
+      ], indent) + ');';
+    const validations = (variable.validations || []).map(validation =>
+      this.initializer(`${identifier}.AddValidation(new TerraformVariableValidationConfig`, [
+        `Condition = ${this.render(validation.condition, `${indent}    `, 'any', undefined, ctx)}`,
+        `ErrorMessage = ${this.render(literal(validation.errorMessage), `${indent}    `, 'string', undefined, ctx)}`,
+      ], indent) + ');');
+
+    return [declaration, ...validations].join('\n');
+  }
+
+  /**
+   * Generate C# resource, or the module instance of a nested stack
+   * @param resource Terraform resource
+   * @param ctx Render context
+   */
+  private static generateResource(resource: TerraformResource, ctx: RenderContext): string {
+    if (resource.module !== undefined) {
+      const indent = '            ';
+      // Input variables are passed as a Dictionary<string, object>
+      const properties = Object.entries(moduleBlock(resource).attributes).map(([key, value]) =>
+        `${pascalCase(key)} = ${this.render(value, `${indent}    `, key === 'variables' ? 'any' : 'attribute', undefined, ctx)}`);
+      return this.initializer(`TerraformHclModule ${this.identifier(resource.name)} = new TerraformHclModule(this, "${
+        resource.name}", new TerraformHclModuleConfig`, properties, indent) + ');';
+    }
+    const { provider, module, className } = providerClass(resource.type, false);
+    const importId = importFromId(resource);
+    return this.construct(this.identifier(resource.name), className, resource.name, resourceBlock(resource).attributes, module, ctx, provider)
+      + (importId !== undefined
+        ? `\n            ${this.identifier(resource.name)}.ImportFrom(${
+          this.render(literal(importId), '            ', 'string', undefined, ctx)});`
+        : '');
+  }
+
+  /**
+   * Generate C# data source
+   * @param dataSource Terraform data source
+   * @param ctx Render context
+   */
+  private static generateDataSource(dataSource: TerraformDataSource, ctx: RenderContext): string {
+    const { module, className } = providerClass(dataSource.type, true);
+    return this.construct(this.identifier(dataSource.name), className, dataSource.name, dataSource.properties, module, ctx);
+  }
+
+  /**
+   * Render a construct created with its configuration object
+   * @param identifier Variable the construct is assigned to (empty for none)
+   * @param className Construct class
+   * @param id Construct ID
+   * @param attributes Construct attributes, keyed by Terraform attribute name
+   * @param module Provider submodule of the class
+   * @param ctx Render context
+   * @param provider Provider of the class
+   */
+  private static construct(
+    identifier: string,
+    className: string,
+    id: string,
+    attributes: Record<string, TerraformValue>,
+    module: string,
+    ctx: RenderContext,
+    provider: Provider = 'aws'
+  ): string {
+    const indent = '            ';
+    const namespace = `${providerNamespaces[provider]}.${pascalCase(module)}`;
+    const qualified = provider === 'awscc' && ctx.sharedModules.has(module);
+    if (!qualified) {
+      ctx.usings.add(namespace);
+    }
+    const typeName = qualified ? `${namespace}.${className}` : className;
+    // Nested structs are named after the resource, without the suffix that renamed classes carry
+    const structPrefix = module === 'provider' ? className : pascalCase(module);
+    const assignment = identifier ? `${typeName} ${identifier} = ` : '';
+    const properties = Object.entries(attributes).map(([key, value]) =>
+      `${pascalCase(key)} = ${this.render(value, `${indent}    `, 'attribute', key === 'lifecycle' ? lifecycleStruct : {
+        namespace,
+        name: `${structPrefix}${pascalCase(key)}`,
+        qualified,
+      }, ctx)}`);
+
+    return this.initializer(`${assignment}new ${typeName}(this, "${id}", new ${typeName}Config`, properties, indent) + ');';
+  }
+
+  /**
+   * Render an object or collection initializer, one entry per line
+   * @param head Expression the initializer belongs to
+   * @param entries Rendered entries
+   * @param indent Indentation of the line the expression starts on
+   * @param startsLine Whether the expression starts its own line, or continues one already indented
+   */
+  private static initializer(head: string, entries: string[], indent: string, startsLine = true): string {
+    const start = startsLine ? indent : '';
+    if (entries.length === 0) {
+      return `${start}${head}()`;
+    }
+    return `${start}${head}\n${indent}{\n${entries.map(entry => `${indent}    ${entry}`).join(',\n')}\n${indent}}`;
+  }
+
+  /**
+   * Identifier of a local variable (bucket_policy becomes bucketPolicy)
+   * @param name Terraform resource, data source, local or condition name
+   */
+  private static identifier(name: string): string {
+    return safeIdentifier(camelCase(name), this.reservedWords);
+  }
+
+  /**
+   * Convert an untyped expression to the type its position expects
+   * @param code Rendered expression
+   * @param value Terraform value the expression was rendered from
+   * @param expected Type the position expects
+   * @param ctx Render context
+   */
+  private static coerce(code: string, value: TerraformValue, expected: Expected, ctx: RenderContext): string {
+    const target = conversion(value, expected, ctx.variables);
+    return target === undefined ? code : `Token.${this.conversions[target]}(${code})`;
+  }
+
+  /**
+   * Render a value as a C# expression of the type its position expects
+   * Literal strings are escaped for Terraform, so they are never evaluated as templates.
+   * @param value Terraform value
+   * @param indent Indentation of the line the value starts on
+   * @param expected Type the position expects
+   * @param struct Struct a block value is built with
+   * @param ctx Render context
+   */
+  private static render(
+    value: TerraformValue,
+    indent: string,
+    expected: Expected,
+    struct: StructName | undefined,
+    ctx: RenderContext
+  ): string {
+    return this.coerce(this.renderValue(value, indent, expected, struct, ctx), value, expected, ctx);
+  }
+
+  /**
+   * Render a value as a C# expression
+   * @param value Terraform value
+   * @param indent Indentation of the line the value starts on
+   * @param expected Type the position expects
+   * @param struct Struct a block value is built with
+   * @param ctx Render context
+   */
+  private static renderValue(
+    value: TerraformValue,
+    indent: string,
+    expected: Expected,
+    struct: StructName | undefined,
+    ctx: RenderContext
+  ): string {
+    const inner = `${indent}    `;
+
+    switch (value.kind) {
+      case 'literal':
+        return typeof value.value === 'string'
+          ? JSON.stringify(escapeTerraform(value.value))
+          : this.csharpLiteral(value.value, indent, ctx);
+      case 'list': {
+        // Typed properties take string[] or double[]; struct arrays are typed by their items
+        const elementType = expected === 'any' ? 'object'
+          : value.items.length > 0 && value.items.every(item => item.kind === 'literal' && typeof item.value === 'number') ? 'double'
+            : value.items.length > 0 && value.items.every(item => item.kind === 'reference' && item.attribute === undefined)
+              ? 'ITerraformDependable'
+              : value.items.some(item => item.kind === 'block' && struct) ? ''
+                : 'string';
+        const itemExpected: Expected = expected === 'any' ? 'any' : elementType === 'string' ? 'string' : 'attribute';
+        const items = value.items.map(item => this.render(item, inner, itemExpected, struct, ctx));
+        const simple = value.items.every(item => item.kind === 'literal' || item.kind === 'reference');
+        if (value.items.length === 0 || simple) {
+          return `new ${elementType}[] { ${items.join(', ')}${items.length > 0 ? ' ' : ''}}`;
+        }
+        return `new ${elementType}[]\n${indent}{\n${items.map(item => `${inner}${item}`).join(',\n')}\n${indent}}`;
+      }
+      case 'map':
+        return this.dictionary(Object.entries(value.entries), indent, expected, ctx);
+      case 'block': {
+        if (!struct) {
+          return this.dictionary(Object.entries(value.attributes), indent, expected, ctx);
+        }
+        if (!struct.qualified) {
+          ctx.usings.add(struct.namespace);
+        }
+        const properties = Object.entries(value.attributes).map(([key, item]) =>
+          `${pascalCase(key)} = ${this.render(item, inner, 'attribute', {
+            ...struct,
+            name: `${struct.name}${pascalCase(key)}`,
+          }, ctx)}`);
+        return this.initializer(`new ${struct.qualified ? `${struct.namespace}.` : ''}${struct.name}`, properties, indent, false);
+      }
+      case 'reference':
+        switch (value.target) {
+          case 'variable':
+            return `${this.identifier(variableIdentifier(value.name))}.${
+              pascalCase(variableAccessor(ctx.variables[value.name]).accessor)}`;
+          case 'local':
+            return `${this.identifier(value.name)}.Expression`;
+          case 'condition':
+            return this.identifier(value.name);
+          case 'stack':
+            return `${stackIdentifier(value.name, 'Exports')}[${JSON.stringify(value.attribute)}]`;
+          default: {
+            const identifier = this.identifier(value.name);
+            if (value.attribute === undefined) {
+              return identifier;
+            } else if (value.target === 'module') {
+              // Module outputs are not typed properties; outputs of counted modules are read over all instances
+              return value.splat
+                ? `${identifier}.InterpolationForOutput("*.${value.attribute}")`
+                : `${identifier}.Get("${value.attribute}")`;
+            }
+            // Attributes of counted resources are read over all instances
+            return value.splat
+              ? `${identifier}.InterpolationForAttribute("*.${value.attribute}")`
+              : `${identifier}.${value.attribute.split('.').map(pascalCase).join('.')}`;
+          }
+        }
+      case 'call': {
+        const name = this.functions[value.name] || pascalCase(value.name);
+        // cdktf takes the arguments of variadic functions as a single array
+        if (variadicFunctions.includes(value.name)) {
+          return `Fn.${name}(${this.render(list(value.args), indent, 'any', undefined, ctx)})`;
+        }
+        const parameters = functionParameters[value.name] || [];
+        const args = value.args.map((arg, i) => this.render(arg, indent, parameters[i] || 'any', undefined, ctx));
+        return `Fn.${name}(${args.join(', ')})`;
+      }
+      case 'operator': {
+        const operands = value.operands.map(operand => this.render(operand, indent, 'any', undefined, ctx));
+        return `Op.${this.operators[value.operator]}(${operands.join(', ')})`;
+      }
+      case 'conditional':
+        return `Fn.Conditional(${[value.condition, value.whenTrue, value.whenFalse]
+          .map(item => this.render(item, indent, 'any', undefined, ctx)).join(', ')})`;
+      case 'template':
+        // Every part is a string, so + concatenates
+        return value.parts.map(part => typeof part === 'string'
+          ? JSON.stringify(escapeTerraform(part))
+          : this.render(part, indent, 'string', undefined, ctx)).join(' + ');
+    }
+  }
+
+  /**
+   * Render a map as a Dictionary; typed properties take string values, untyped positions anything
+   * @param entries Map entries
+   * @param indent Indentation of the line the map starts on
+   * @param expected Type the position expects
+   * @param ctx Render context
+   */
+  private static dictionary(
+    entries: Array<[string, TerraformValue]>,
+    indent: string,
+    expected: Expected,
+    ctx: RenderContext
+  ): string {
+    ctx.usings.add('System.Collections.Generic');
+    const nested = entries.some(([, item]) => ['list', 'map', 'block'].includes(item.kind));
+    const untyped = expected === 'any' || nested;
+    const rendered = entries.map(([key, item]) => {
+      // Scalars are written as strings in string dictionaries
+      const scalar = !untyped && item.kind === 'literal' && item.value !== null && typeof item.value !== 'string'
+        ? literal(String(item.value))
+        : item;
+      return `{ ${JSON.stringify(key)}, ${this.render(scalar, `${indent}    `, untyped ? 'any' : 'string', undefined, ctx)} }`;
+    });
+    return this.initializer(`new Dictionary<string, ${untyped ? 'object' : 'string'}>`, rendered, indent, false);
+  }
+
+  /**
+   * Render a JSON value as a C# literal
+   * @param value JSON value
+   * @param indent Indentation of the line the value starts on
+   * @param ctx Render context
+   */
+  private static csharpLiteral(value: any, indent: string, ctx: RenderContext): string {
+    if (value === null || value === undefined) {
+      return 'null';
+    } else if (Array.isArray(value)) {
+      return `new object[] { ${value.map(item => this.csharpLiteral(item, indent, ctx)).join(', ')}${value.length > 0 ? ' ' : ''}}`;
+    } else if (typeof value === 'object') {
+      ctx.usings.add('System.Collections.Generic');
+      return this.initializer('new Dictionary<string, object>', Object.entries(value)
+        .map(([key, item]) => `{ ${JSON.stringify(key)}, ${this.csharpLiteral(item, `${indent}    `, ctx)} }`), indent, false);
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Generate the .csproj project file
+   * @param awscc Whether the code uses the awscc provider as well
+   */
+  private static generateProjectFile(awscc: boolean): string {
+    return `<Project Sdk="Microsoft.NET.Sdk">
+
+  <PropertyGroup>
+    <OutputType>Exe</OutputType>
+    <TargetFramework>net6.0</TargetFramework>
+    <RootNamespace>MyCompany.MyApp</RootNamespace>
+  </PropertyGroup>
+
+  <ItemGroup>
+    <PackageReference Include="HashiCorp.Cdktf" Version="0.20.*" />
+    <PackageReference Include="HashiCorp.Cdktf.Providers.Aws" Version="19.*" />
+${awscc ? `    <PackageReference Include="HashiCorp.Cdktf.Providers.Awscc" Version="10.*" />
+` : ''}  </ItemGroup>
+
+</Project>
+`;
+  }
+}
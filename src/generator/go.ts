@@ -0,0 +1,723 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  TerraformConfig, TerraformDataSource, TerraformResource, TerraformStackConfig, TerraformValue, TerraformVariable, block,
+  list, literal, visitValue,
+} from '../mapper';
+import {
+  Provider, StackClass, camelCase, cdktfConfig, configValues, escapeTerraform, importFromId, moduleBlock, pascalCase,
+  providerClass, resourceBlock, resourceComments, safeIdentifier, sharedProviderModules, stackClasses, stackIdentifier,
+  usesAwscc, variableIdentifier, variadicFunctions,
+} from './common';
+import { Conversion, Expected, conversion, functionParameters, variableAccessor } from './typing';
+
+/**
+ * Provider package and name of the struct a block is built with
+ */
+interface StructName {
+  pkg: string;
+  name: string;
+}
+
+/**
+ * State collected while rendering one file
+ */
+interface RenderContext {
+  variables: Record<string, TerraformVariable>;
+  imports: Set<string>;
+  helpers: Set<string>;
+  reservedWords: string[];
+  // Submodules both providers have packages of, whose awscc packages are imported under an alias
+  sharedModules: Set<string>;
+}
+
+const providerModules: Record<Provider, string> = {
+  aws: 'github.com/cdktf/cdktf-provider-aws-go/aws/v19',
+  awscc: 'github.com/cdktf/cdktf-provider-awscc-go/awscc/v10',
+};
+
+/**
+ * Generates CDKTF Go code as a Go module
+ * Values are passed as pointers (jsii.String, jsii.Number, ...); expressions that cdktf types as interface{}
+ * are converted with cdktf.Token_* where a field expects a *string, *float64 or slice.
+ */
+export class GoGenerator {
+  // Terraform functions that cdktf exposes under another name
+  private static readonly functions: Record<string, string> = {
+    length: 'LengthOf',
+  };
+
+  // Go has no optional parameters, so the trailing ones are passed as nil
+  private static readonly arity: Record<string, number> = {
+    lookup: 3,
+  };
+
+  // Fn parameters typed as *[]interface{}, which a *[]*string cannot be passed to
+  private static readonly untypedListFunctions = ['setsubtract'];
+
+  private static readonly conversions: Record<Conversion, string> = {
+    string: 'Token_AsString(%s, nil)',
+    number: 'Token_AsNumber(%s)',
+    boolean: 'Token_AsAny(%s)',
+    list: 'Token_AsList(%s, nil)',
+    map: 'Token_AsStringMap(%s, nil)',
+  };
+
+  private static readonly operators: Record<string, string> = {
+    '==': 'Eq',
+    '>=': 'Gte',
+    '<=': 'Lte',
+    '&&': 'And',
+    '||': 'Or',
+    '!': 'Not',
+  };
+
+  // Keywords, predeclared identifiers, and names the generated function already uses
+  private static readonly reservedWords = [
+    'break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'for', 'func', 'go',
+    'goto', 'if', 'import', 'interface', 'map', 'package', 'range', 'return', 'select', 'struct', 'switch', 'type',
+    'var', 'bool', 'byte', 'error', 'string', 'int', 'float64', 'any', 'true', 'false', 'nil', 'len', 'make', 'new',
+    'append', 'stack', 'scope', 'id', 'cdktf', 'jsii', 'constructs', 'fmt', 'exports',
+  ];
+
+  /**
+   * Generate Go CDKTF code
+   * @param stacks Stacks of the app, in dependency order
+   * @param outputDir Output directory
+   */
+  public static generate(stacks: TerraformStackConfig[], outputDir: string): void {
+    // Generate main.go
+    fs.writeFileSync(path.join(outputDir, 'main.go'), this.generateMainFile(stacks));
+
+    // Generate cdktf.json
+    const awscc = stacks.some(stack => usesAwscc(stack.config));
+    const cdktfJson = cdktfConfig('go', 'go run main.go', awscc);
+    fs.writeFileSync(path.join(outputDir, 'cdktf.json'), JSON.stringify(cdktfJson, null, 2));
+
+    // Generate go.mod
+    fs.writeFileSync(path.join(outputDir, 'go.mod'), this.generateGoMod(awscc));
+  }
+
+  /**
+   * Generate Go main file
+   * @param stacks Stacks of the app
+   */
+  private static generateMainFile(stacks: TerraformStackConfig[]): string {
+    const classes = stackClasses(stacks, 'MyStack');
+    const imports = new Set([
+      'github.com/aws/constructs-go/constructs/v10',
+      'github.com/aws/jsii-runtime-go',
+      'github.com/hashicorp/terraform-cdk-go/cdktf',
+    ]);
+    const helperNames = new Set<string>();
+    // Both providers have a package named provider
+    const sharedModules = new Set([...sharedProviderModules(stacks.map(stack => stack.config)), 'provider']);
+    const functions = classes.map(stackClass => this.generateStack(stackClass, imports, helperNames, sharedModules));
+
+    // Stacks other stacks import from return their exports as well
+    const instances = classes.map(stackClass => {
+      const args = ['app', `"${stackClass.name}"`, ...stackClass.imports.map(name => stackIdentifier(name, 'Exports'))];
+      const assignment = stackClass.exports.length > 0 ? `_, ${stackIdentifier(stackClass.name, 'Exports')} := ` : '';
+      return `\t${assignment}New${stackClass.className}(${args.join(', ')})`;
+    });
+
+    const helpers = [...helperNames].map(helper => this.helperFunctions[helper]);
+    // Aliased imports are kept as "alias path" and sorted by path, as gofmt does
+    const importPath = (name: string) => name.split(' ').pop() as string;
+    const standardImports = [...imports].filter(name => !name.includes('.')).sort();
+    const moduleImports = [...imports].filter(name => name.includes('.'))
+      .sort((a, b) => importPath(a) < importPath(b) ? -1 : 1);
+
+    return `package main
+
+import (
+${[standardImports, moduleImports].filter(group => group.length > 0)
+    .map(group => group.map(name => name.includes(' ')
+      ? `\t${name.split(' ')[0]} "${importPath(name)}"`
+      : `\t"${name}"`).join('\n')).join('\n\n')}
+)
+
+${functions.join('\n\n')}
+${helpers.map(helper => `\n${helper}`).join('')}
+func main() {
+\tapp := cdktf.NewApp(nil)
+
+${instances.join('\n')}
+
+\tapp.Synth()
+}
+`;
+  }
+
+  /**
+   * Generate the function creating a stack
+   * @param stackClass Stack class
+   * @param imports Packages the file imports, added to as the stack is rendered
+   * @param helpers Helper functions the file needs, added to as the stack is rendered
+   * @param sharedModules Submodules both providers have packages of
+   */
+  private static generateStack(
+    stackClass: StackClass,
+    imports: Set<string>,
+    helpers: Set<string>,
+    sharedModules: Set<string>
+  ): string {
+    const config = stackClass.config;
+    const awscc = usesAwscc(config);
+    // Local variables shadow the provider packages, so package names are reserved as well
+    const packages = [
+      ...config.dataSources.map(dataSource => this.packageName(providerClass(dataSource.type, true).module)),
+      ...config.resources
+        .filter(resource => resource.module === undefined)
+        .map(resource => providerClass(resource.type, false))
+        .map(({ provider, module }) => this.packageName(module, provider, sharedModules)),
+      ...(awscc ? [this.packageName('provider', 'awscc', sharedModules)] : []),
+    ];
+    const ctx: RenderContext = {
+      variables: config.variables,
+      imports,
+      helpers,
+      reservedWords: [...this.reservedWords, 'provider', ...packages],
+      sharedModules,
+    };
+
+    // Go rejects unused variables, so only referenced constructs are assigned
+    const referenced = this.referencedNames(config);
+
+    const provider = this.construct('', 'AwsProvider', 'aws', {
+      region: literal('us-west-2'),
+      ...(config.defaultTags ? { default_tags: list([block({ tags: config.defaultTags })]) } : {}),
+    }, 'provider', ctx);
+    const awsccProvider = awscc
+      ? `\n\n\t// Define AWS Cloud Control provider\n${
+        this.construct('', 'AwsccProvider', 'awscc', { region: literal('us-west-2') }, 'provider', ctx, 'awscc')}`
+      : '';
+
+    const variables = Object.entries(config.variables)
+      .map(([name, variable]) => this.generateVariable(name, variable, referenced, ctx));
+
+    const dataSources = config.dataSources.map(dataSource => this.generateDataSource(dataSource, referenced, ctx));
+
+    const mappings = Object.entries(config.mappings).map(([name, mapping]) =>
+      `\t${this.assignment(mapping.name, referenced, ctx)}cdktf.NewTerraformLocal(stack, jsii.String("${name}"), ${
+        this.render(mapping.value, '\t', 'any', undefined, ctx)})`
+    );
+
+    // Conditions nothing refers to would not compile
+    const conditions = Object.values(config.conditions)
+      .filter(condition => referenced.has(condition.name))
+      .map(condition =>
+        `\t${this.identifier(condition.name, ctx)} := ${this.render(condition.expression, '\t', 'any', undefined, ctx)}`
+      );
+
+    const resources = config.resources
+      .map(resource => resourceComments(resource, '\t// ') + this.generateResource(resource, referenced, ctx));
+
+    // Descriptions are not expressions, so they are written as plain strings
+    const outputs = Object.entries(config.outputs).map(([name, output]) =>
+      `\tcdktf.NewTerraformOutput(stack, jsii.String("${name}"), ${this.composite('&cdktf.TerraformOutputConfig', [
+        ['Value', this.render(output.value, '\t\t', 'any', undefined, ctx)],
+        ...(output.description !== undefined
+          ? [['Description', `jsii.String(${JSON.stringify(output.description)})`] as [string, string]]
+          : []),
+      ], '\t')})`);
+
+    const parameters = ['scope constructs.Construct', 'id string', ...stackClass.imports
+      .map(name => `${stackIdentifier(name, 'Exports')} map[string]interface{}`)];
+
+    // Outputs other stacks import are handed over as plain values; cdktf wires the cross-stack references
+    const exports = stackClass.exports.length > 0 ? `\t// Define exports read by other stacks
+\texports := ${this.composite('map[string]interface{}', stackClass.exports.map((name): [string, string] => [
+      JSON.stringify(name),
+      this.render(config.outputs[name].value, '\t\t', 'any', undefined, ctx),
+    ]), '\t')}
+
+` : '';
+
+    return `func New${stackClass.className}(${parameters.join(', ')}) ${
+      stackClass.exports.length > 0 ? '(cdktf.TerraformStack, map[string]interface{})' : 'cdktf.TerraformStack'} {
+\tstack := cdktf.NewTerraformStack(scope, &id)
+
+${variables.length > 0 ? `\t// Define variables
+${variables.join('\n\n')}
+
+` : ''}${dataSources.length > 0 ? `\t// Define data sources
+${dataSources.join('\n\n')}
+
+` : ''}${mappings.length > 0 ? `\t// Define mappings
+${mappings.join('\n\n')}
+
+` : ''}${conditions.length > 0 ? `\t// Define conditions
+${conditions.join('\n')}
+
+` : ''}\t// Define AWS provider
+${provider}${awsccProvider}
+
+${resources.length > 0 ? `\t// Define resources
+${resources.join('\n\n')}
+
+` : ''}${outputs.length > 0 ? `\t// Define outputs
+${outputs.join('\n\n')}
+
+` : ''}${exports}\treturn stack${stackClass.exports.length > 0 ? ', exports' : ''}
+}`;
+  }
+
+  // Helper functions the generated code may need
+  private static readonly helperFunctions: Record<string, string> = {
+    anyList: `// anyList converts a list of strings for the Fn parameters that take a list of any type
+func anyList(list *[]*string) *[]interface{} {
+\titems := make([]interface{}, len(*list))
+\tfor i, item := range *list {
+\t\titems[i] = item
+\t}
+\treturn &items
+}
+`,
+  };
+
+  /**
+   * Names of the variables, data sources, locals, conditions and resources that expressions refer to
+   * @param config Terraform configuration
+   */
+  private static referencedNames(config: TerraformConfig): Set<string> {
+    const names = new Set<string>();
+    const collect = (value: TerraformValue) => visitValue(value, node => {
+      if (node.kind === 'reference') {
+        names.add(node.target === 'variable' ? variableIdentifier(node.name) : node.name);
+      }
+    });
+    configValues({ ...config, conditions: {} }).forEach(collect);
+    // Conditions nothing refers to are left out, and so are their references; a condition only refers to
+    // conditions declared before it, so going backwards sees every condition after those referring to it
+    Object.values(config.conditions).reverse().forEach(condition => {
+      if (names.has(condition.name)) {
+        collect(condition.expression);
+      }
+    });
+    // Validations are added to the variable after it is declared, imports to the resource
+    Object.entries(config.variables)
+      .filter(([, variable]) => (variable.validations || []).length > 0)
+      .forEach(([name]) => names.add(variableIdentifier(name)));
+    config.resources
+      .filter(resource => importFromId(resource) !== undefined)
+      .forEach(resource => names.add(resource.name));
+    return names;
+  }
+
+  /**
+   * Assignment of a construct to a variable, if anything refers to it
+   * @param name Terraform name of the construct
+   * @param referenced Names expressions refer to
+   * @param ctx Render context
+   */
+  private static assignment(name: string, referenced: Set<string>, ctx: RenderContext): string {
+    return referenced.has(name) ? `${this.identifier(name, ctx)} := ` : '';
+  }
+
+  /**
+   * Generate Go variable
+   * Validations are added after the variable is declared, since their conditions reference it.
+   * @param name Variable name
+   * @param variable Terraform variable
+   * @param referenced Names expressions refer to
+   * @param ctx Render context
+   */
+  private static generateVariable(
+    name: string,
+    variable: TerraformVariable,
+    referenced: Set<string>,
+    ctx: RenderContext
+  ): string {
+    const identifier = variableIdentifier(name);
+
+    // Defaults and descriptions are not expressions, so they are written as plain values
+    const fields: Array<[string, string]> = [
+      ['Type', `jsii.String(${JSON.stringify(variable.type)})`],
+      ...(variable.default !== undefined ? [['Default', this.goLiteral(variable.default, '\t\t')] as [string, string]] : []),
+      ...(variable.description !== undefined
+        ? [['Description', `jsii.String(${JSON.stringify(variable.description)})`] as [string, string]]
+        : []),
+      ...(variable.sensitive ? [['Sensitive', 'jsii.Bool(true)'] as [string, string]] : []),
+    ];
+    const validations = (variable.validations || []).map(validation =>
+      `\t${this.identifier(identifier, ctx)}.AddValidation(${this.composite('&cdktf.TerraformVariableValidationConfig', [
+        ['Condition', this.render(validation.condition, '\t\t', 'any', undefined, ctx)],
+        ['ErrorMessage', this.render(literal(validation.errorMessage), '\t\t', 'string', undefined, ctx)],
+      ], '\t')})`);
+
+    return [
+      `\t${this.assignment(identifier, referenced, ctx)}cdktf.NewTerraformVariable(stack, jsii.String("${name}"), ${
+        this.composite('&cdktf.TerraformVariableConfig', fields, '\t')})`,
+      ...validations,
+    ].join('\n');
+  }
+
+  /**
+   * Generate Go resource, or the module instance of a nested stack
+   * @param resource Terraform resource
+   * @param referenced Names expressions refer to
+   * @param ctx Render context
+   */
+  private static generateResource(resource: TerraformResource, referenced: Set<string>, ctx: RenderContext): string {
+    if (resource.module !== undefined) {
+      // Input variables are passed as a map[string]interface{}
+      const fields = Object.entries(moduleBlock(resource).attributes).map(([key, value]): [string, string] => [
+        pascalCase(key),
+        this.render(value, '\t\t', key === 'variables' ? 'any' : 'attribute', undefined, ctx),
+      ]);
+      return `\t${this.assignment(resource.name, referenced, ctx)}cdktf.NewTerraformHclModule(stack, jsii.String("${
+        resource.name}"), ${this.composite('&cdktf.TerraformHclModuleConfig', fields, '\t')})`;
+    }
+    const { provider, module, className } = providerClass(resource.type, false);
+    const importId = importFromId(resource);
+    return this.construct(this.assignment(resource.name, referenced, ctx), className, resource.name,
+      resourceBlock(resource).attributes, module, ctx, provider)
+      + (importId !== undefined
+        ? `\n\t${this.identifier(resource.name, ctx)}.ImportFrom(${this.render(literal(importId), '\t', 'string', undefined, ctx)}, nil)`
+        : '');
+  }
+
+  /**
+   * Generate Go data source
+   * @param dataSource Terraform data source
+   * @param referenced Names expressions refer to
+   * @param ctx Render context
+   */
+  private static generateDataSource(dataSource: TerraformDataSource, referenced: Set<string>, ctx: RenderContext): string {
+    const { module, className } = providerClass(dataSource.type, true);
+    return this.construct(
+      this.assignment(dataSource.name, referenced, ctx), className, dataSource.name, dataSource.properties, module, ctx);
+  }
+
+  /**
+   * Render a construct created with its configuration struct
+   * @param assignment Assignment to a variable (empty for none)
+   * @param className Construct class
+   * @param id Construct ID
+   * @param attributes Construct attributes, keyed by Terraform attribute name
+   * @param module Provider submodule of the class
+   * @param ctx Render context
+   * @param provider Provider of the class
+   */
+  private static construct(
+    assignment: string,
+    className: string,
+    id: string,
+    attributes: Record<string, TerraformValue>,
+    module: string,
+    ctx: RenderContext,
+    provider: Provider = 'aws'
+  ): string {
+    const pkg = this.packageName(module, provider, ctx.sharedModules);
+    const importPath = `${providerModules[provider]}/${this.packageName(module)}`;
+    ctx.imports.add(pkg === this.packageName(module) ? importPath : `${pkg} ${importPath}`);
+    // Nested structs are named after the resource, without the suffix that renamed classes carry
+    const structPrefix = module === 'provider' ? className : pascalCase(module);
+    const fields = Object.entries(attributes).map(([key, value]): [string, string] => [
+      pascalCase(key),
+      this.render(value, '\t\t', 'attribute', key === 'lifecycle'
+        ? { pkg: 'cdktf', name: 'TerraformResourceLifecycle' }
+        : { pkg, name: `${structPrefix}${pascalCase(key)}` }, ctx),
+    ]);
+
+    return `\t${assignment}${pkg}.New${className}(stack, jsii.String("${id}"), ${
+      this.composite(`&${pkg}.${className}Config`, fields, '\t')})`;
+  }
+
+  /**
+   * Go package of a provider submodule (s3_bucket becomes s3bucket)
+   * awscc packages of submodules the aws provider has as well are imported as awscc<package>.
+   * @param module Provider submodule
+   * @param provider Provider of the submodule
+   * @param sharedModules Submodules both providers have packages of
+   */
+  private static packageName(module: string, provider: Provider = 'aws', sharedModules = new Set<string>()): string {
+    const pkg = module.replace(/_/g, '');
+    return provider === 'awscc' && sharedModules.has(module) ? `awscc${pkg}` : pkg;
+  }
+
+  /**
+   * Identifier of a local variable (bucket_policy becomes bucketPolicy)
+   * @param name Terraform resource, data source, local or condition name
+   * @param ctx Render context
+   */
+  private static identifier(name: string, ctx: RenderContext): string {
+    return safeIdentifier(camelCase(name), ctx.reservedWords);
+  }
+
+  /**
+   * Render a composite literal with one element per line, aligned the way gofmt aligns key-value pairs:
+   * runs of single-line pairs share a column unless their key lengths differ too much.
+   * @param type Literal type, e.g. &s3bucket.S3BucketConfig
+   * @param elements Keys and rendered values; elements without a key are written as they are
+   * @param indent Indentation of the line the literal starts on
+   */
+  private static composite(type: string, elements: Array<[string, string]>, indent: string): string {
+    if (elements.length === 0) {
+      return `${type}{}`;
+    }
+    const inner = `${indent}\t`;
+
+    // Split the pairs into alignment sections (go/printer exprList); multi-line pairs are not aligned
+    const sections: number[] = [];
+    let section = 0;
+    let size = 0;
+    let lnsum = 0;
+    let count = 0;
+    let formfeed = true;
+    elements.forEach(([key, value], i) => {
+      const prevSize = size;
+      size = value.includes('\n') ? 0 : key.length;
+      if (prevSize > 0 && size > 0) {
+        if (count === 0 || (prevSize <= 40 && size <= 40)) {
+          formfeed = false;
+        } else {
+          const ratio = size / Math.exp(lnsum / count);
+          formfeed = 2.5 * ratio <= 1 || 2.5 <= ratio;
+        }
+      }
+      if (i > 0 && (formfeed || prevSize === 0 || size === 0)) {
+        section++;
+        lnsum = 0;
+        count = 0;
+      }
+      if (size > 0) {
+        lnsum += Math.log(size);
+        count++;
+      }
+      sections.push(section);
+    });
+
+    const widths = new Map<number, number>();
+    elements.forEach(([key], i) => {
+      widths.set(sections[i], Math.max(widths.get(sections[i]) || 0, key.length));
+    });
+
+    const lines = elements.map(([key, value], i) => key
+      ? `${inner}${key}:${' '.repeat((widths.get(sections[i]) || 0) - key.length + 1)}${value},`
+      : `${inner}${value},`);
+    return `${type}{\n${lines.join('\n')}\n${indent}}`;
+  }
+
+  /**
+   * Convert an untyped expression to the type its position expects
+   * @param code Rendered expression
+   * @param value Terraform value the expression was rendered from
+   * @param expected Type the position expects
+   * @param ctx Render context
+   */
+  private static coerce(code: string, value: TerraformValue, expected: Expected, ctx: RenderContext): string {
+    const target = conversion(value, expected, ctx.variables);
+    return target === undefined ? code : `cdktf.${this.conversions[target].replace('%s', code)}`;
+  }
+
+  /**
+   * Render a value as a Go expression of the type its position expects
+   * Literal strings are escaped for Terraform, so they are never evaluated as templates.
+   * @param value Terraform value
+   * @param indent Indentation of the line the value starts on
+   * @param expected Type the position expects
+   * @param struct Struct a block value is built with
+   * @param ctx Render context
+   */
+  private static render(
+    value: TerraformValue,
+    indent: string,
+    expected: Expected,
+    struct: StructName | undefined,
+    ctx: RenderContext
+  ): string {
+    return this.coerce(this.renderValue(value, indent, expected, struct, ctx), value, expected, ctx);
+  }
+
+  /**
+   * Render a value as a Go expression
+   * @param value Terraform value
+   * @param indent Indentation of the line the value starts on
+   * @param expected Type the position expects
+   * @param struct Struct a block value is built with
+   * @param ctx Render context
+   */
+  private static renderValue(
+    value: TerraformValue,
+    indent: string,
+    expected: Expected,
+    struct: StructName | undefined,
+    ctx: RenderContext
+  ): string {
+    const inner = `${indent}\t`;
+
+    switch (value.kind) {
+      case 'literal':
+        return typeof value.value === 'string'
+          ? `jsii.String(${JSON.stringify(escapeTerraform(value.value))})`
+          : this.goLiteral(value.value, indent);
+      case 'list': {
+        // Typed fields take slices of *string or *float64; struct slices are typed by their items
+        let elementType = '*string';
+        if (expected === 'any') {
+          elementType = 'interface{}';
+        } else if (value.items.length > 0 && value.items.every(item => item.kind === 'literal' && typeof item.value === 'number')) {
+          elementType = '*float64';
+        } else if (value.items.length > 0 && value.items.every(item => item.kind === 'reference' && item.attribute === undefined)) {
+          elementType = 'cdktf.ITerraformDependable';
+        } else if (struct && value.items.some(item => item.kind === 'block')) {
+          elementType = `*${struct.pkg}.${struct.name}`;
+        } else if (value.items.some(item => item.kind === 'list' || item.kind === 'map')) {
+          elementType = 'interface{}';
+        }
+        const itemExpected: Expected = elementType === 'interface{}' ? 'any' : elementType === '*string' ? 'string' : 'attribute';
+        const items = value.items.map(item => this.render(item, inner, itemExpected, struct, ctx));
+        const simple = value.items.every(item => item.kind === 'literal' || item.kind === 'reference');
+        if (value.items.length === 0 || simple) {
+          return `&[]${elementType}{${items.join(', ')}}`;
+        }
+        return this.composite(`&[]${elementType}`, items.map(item => ['', item]), indent);
+      }
+      case 'map':
+        return this.goMap(Object.entries(value.entries), indent, expected, ctx);
+      case 'block': {
+        if (!struct) {
+          return this.goMap(Object.entries(value.attributes), indent, expected, ctx);
+        }
+        const fields = Object.entries(value.attributes).map(([key, item]): [string, string] => [
+          pascalCase(key),
+          this.render(item, inner, 'attribute', { pkg: struct.pkg, name: `${struct.name}${pascalCase(key)}` }, ctx),
+        ]);
+        return this.composite(`&${struct.pkg}.${struct.name}`, fields, indent);
+      }
+      case 'reference':
+        switch (value.target) {
+          case 'variable':
+            return `${this.identifier(variableIdentifier(value.name), ctx)}.${
+              pascalCase(variableAccessor(ctx.variables[value.name]).accessor)}()`;
+          case 'local':
+            return `${this.identifier(value.name, ctx)}.Expression()`;
+          case 'condition':
+            return this.identifier(value.name, ctx);
+          case 'stack':
+            return `${stackIdentifier(value.name, 'Exports')}[${JSON.stringify(value.attribute)}]`;
+          default: {
+            const identifier = this.identifier(value.name, ctx);
+            if (value.attribute === undefined) {
+              return identifier;
+            } else if (value.target === 'module') {
+              // Module outputs are not typed properties; outputs of counted modules are read over all instances
+              return value.splat
+                ? `${identifier}.InterpolationForOutput(jsii.String("*.${value.attribute}"))`
+                : `${identifier}.Get(jsii.String("${value.attribute}"))`;
+            }
+            // Attributes of counted resources are read over all instances
+            return value.splat
+              ? `${identifier}.InterpolationForAttribute(jsii.String("*.${value.attribute}"))`
+              : `${identifier}.${value.attribute.split('.').map(part => `${pascalCase(part)}()`).join('.')}`;
+          }
+        }
+      case 'call': {
+        const name = this.functions[value.name] || pascalCase(value.name);
+        // cdktf takes the arguments of variadic functions as a single slice
+        if (variadicFunctions.includes(value.name)) {
+          return `cdktf.Fn_${name}(${this.render(list(value.args), indent, 'any', undefined, ctx)})`;
+        }
+        const parameters = functionParameters[value.name] || [];
+        const args = value.args.map((arg, i) => {
+          if (this.untypedListFunctions.includes(value.name) && parameters[i] === 'list') {
+            if (arg.kind === 'list') {
+              return this.render(arg, indent, 'any', undefined, ctx);
+            }
+            ctx.helpers.add('anyList');
+            return `anyList(${this.render(arg, indent, 'list', undefined, ctx)})`;
+          }
+          return this.render(arg, indent, parameters[i] || 'any', undefined, ctx);
+        });
+        while (args.length < (this.arity[value.name] || 0)) {
+          args.push('nil');
+        }
+        return `cdktf.Fn_${name}(${args.join(', ')})`;
+      }
+      case 'operator': {
+        const operands = value.operands.map(operand => this.render(operand, indent, 'any', undefined, ctx));
+        return `cdktf.Op_${this.operators[value.operator]}(${operands.join(', ')})`;
+      }
+      case 'conditional':
+        return `cdktf.Fn_Conditional(${[value.condition, value.whenTrue, value.whenFalse]
+          .map(item => this.render(item, indent, 'any', undefined, ctx)).join(', ')})`;
+      case 'template': {
+        // Tokens are strings, so the parts are formatted into one string
+        ctx.imports.add('fmt');
+        const format = value.parts
+          .map(part => typeof part === 'string' ? escapeTerraform(part).replace(/%/g, '%%') : '%s').join('');
+        const args = value.parts
+          .filter((part): part is TerraformValue => typeof part !== 'string')
+          .map(part => `*${this.render(part, indent, 'string', undefined, ctx)}`);
+        return `jsii.String(fmt.Sprintf(${JSON.stringify(format)}, ${args.join(', ')}))`;
+      }
+    }
+  }
+
+  /**
+   * Render a map; typed fields take *string values, untyped positions anything
+   * @param entries Map entries
+   * @param indent Indentation of the line the map starts on
+   * @param expected Type the position expects
+   * @param ctx Render context
+   */
+  private static goMap(
+    entries: Array<[string, TerraformValue]>,
+    indent: string,
+    expected: Expected,
+    ctx: RenderContext
+  ): string {
+    const nested = entries.some(([, item]) => ['list', 'map', 'block'].includes(item.kind));
+    const untyped = expected === 'any' || nested;
+    const elements = entries.map(([key, item]): [string, string] => {
+      // Scalars are written as strings in string maps
+      const scalar = !untyped && item.kind === 'literal' && item.value !== null && typeof item.value !== 'string'
+        ? literal(String(item.value))
+        : item;
+      return [JSON.stringify(key), this.render(scalar, `${indent}\t`, untyped ? 'any' : 'string', undefined, ctx)];
+    });
+    return this.composite(`&map[string]${untyped ? 'interface{}' : '*string'}`, elements, indent);
+  }
+
+  /**
+   * Render a JSON value as a Go value
+   * @param value JSON value
+   * @param indent Indentation of the line the value starts on
+   */
+  private static goLiteral(value: any, indent: string): string {
+    if (value === null || value === undefined) {
+      return 'nil';
+    } else if (typeof value === 'string') {
+      return `jsii.String(${JSON.stringify(value)})`;
+    } else if (typeof value === 'number') {
+      return `jsii.Number(${value})`;
+    } else if (typeof value === 'boolean') {
+      return `jsii.Bool(${value})`;
+    } else if (Array.isArray(value)) {
+      return `&[]interface{}{${value.map(item => this.goLiteral(item, indent)).join(', ')}}`;
+    }
+    return this.composite('&map[string]interface{}', Object.entries(value)
+      .map(([key, item]): [string, string] => [JSON.stringify(key), this.goLiteral(item, `${indent}\t`)]), indent);
+  }
+
+  /**
+   * Generate go.mod
+   * go.sum is left to `go mod tidy`.
+   * @param awscc Whether the code uses the awscc provider as well
+   */
+  private static generateGoMod(awscc: boolean): string {
+    return `module converted-cdktf-project
+
+go 1.20
+
+require (
+\tgithub.com/aws/constructs-go/constructs/v10 v10.3.0
+\tgithub.com/aws/jsii-runtime-go v1.94.0
+\tgithub.com/cdktf/cdktf-provider-aws-go/aws/v19 v19.0.0
+${awscc ? '\tgithub.com/cdktf/cdktf-provider-awscc-go/awscc/v10 v10.0.0\n' : ''}\tgithub.com/hashicorp/terraform-cdk-go/cdktf v0.20.0
+)
+`;
+  }
+}
@@ -0,0 +1,372 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  BlockValue, ReferenceValue, TerraformConfig, TerraformDataSource, TerraformOutput, TerraformResource, TerraformValue,
+  TerraformVariable, block, conditional, fromJson, list, literal,
+} from '../mapper';
+import { escapeTerraform, resourceAddress, resourceBlock, resourceComments, usesAwscc } from './common';
+
+/**
+ * Generates plain Terraform configuration (main.tf, variables.tf, outputs.tf)
+ */
+export class HclGenerator {
+  // Keys that would be read as keywords or a for expression if written bare
+  private static readonly keywords = ['true', 'false', 'null', 'for', 'if', 'in'];
+
+  /**
+   * Generate Terraform HCL configuration
+   * @param config Terraform configuration
+   * @param outputDir Output directory
+   * @param module Whether the configuration is a module, which takes its provider from the caller
+   */
+  public static generate(config: TerraformConfig, outputDir: string, module = false): void {
+    fs.writeFileSync(path.join(outputDir, 'main.tf'), this.generateMainFile(config, module));
+
+    const variables = Object.entries(config.variables).map(([name, variable]) => this.generateVariable(name, variable));
+    if (variables.length > 0) {
+      fs.writeFileSync(path.join(outputDir, 'variables.tf'), `${variables.join('\n\n')}\n`);
+    }
+
+    const outputs = Object.entries(config.outputs).map(([name, output]) => this.generateOutput(name, output));
+    if (outputs.length > 0) {
+      fs.writeFileSync(path.join(outputDir, 'outputs.tf'), `${outputs.join('\n\n')}\n`);
+    }
+
+    // Import blocks are only allowed in the root module; the address is written bare
+    const imports = config.resources
+      .filter(resource => resource.importId !== undefined)
+      .map(resource => `import {\n${this.body([['to', resourceAddress(resource)], ['id', literal(resource.importId!)]], '  ')}\n}`);
+    if (imports.length > 0 && !module) {
+      fs.writeFileSync(path.join(outputDir, 'imports.tf'), `${imports.join('\n\n')}\n`);
+    }
+
+    this.generateModules(config, outputDir);
+  }
+
+  /**
+   * Generate the modules of nested stacks under modules/, each with its own nested modules inside
+   * @param config Terraform configuration
+   * @param outputDir Output directory
+   */
+  public static generateModules(config: TerraformConfig, outputDir: string): void {
+    Object.entries(config.modules).forEach(([name, module]) => {
+      const moduleDir = path.join(outputDir, 'modules', name);
+      fs.mkdirSync(moduleDir, { recursive: true });
+      this.generate(module, moduleDir, true);
+    });
+  }
+
+  /**
+   * Generate main.tf (provider, locals, data sources, resources and modules)
+   * @param config Terraform configuration
+   * @param module Whether the configuration is a module
+   */
+  private static generateMainFile(config: TerraformConfig, module: boolean): string {
+    // Mappings and conditions are both locals; their names never clash thanks to the suffixes
+    const locals: Array<[string, TerraformValue]> = [
+      ...Object.values(config.mappings).map(mapping => [mapping.name, mapping.value] as [string, TerraformValue]),
+      ...Object.values(config.conditions)
+        .map(condition => [condition.name, condition.expression] as [string, TerraformValue]),
+    ];
+
+    const provider: Array<[string, TerraformValue | string]> = [['region', '"us-west-2" # Change as needed']];
+    if (config.defaultTags) {
+      provider.push(['default_tags', block({ tags: config.defaultTags })]);
+    }
+
+    const awscc = usesAwscc(config);
+    const sections = [
+      `terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }${awscc ? `
+    awscc = {
+      source  = "hashicorp/awscc"
+      version = "~> 1.0"
+    }` : ''}
+  }
+}`,
+      ...(module ? [] : [`provider "aws" {\n${this.body(provider, '  ')}\n}`]),
+      ...(module || !awscc ? [] : ['provider "awscc" {\n  region = "us-west-2" # Change as needed\n}']),
+      ...(locals.length > 0 ? [`locals {\n${this.body(locals, '  ')}\n}`] : []),
+      ...config.dataSources.map(dataSource => this.generateDataSource(dataSource)),
+      ...config.resources.map(resource => resourceComments(resource, '# ') + this.generateResource(resource)),
+    ];
+
+    return `${sections.join('\n\n')}\n`;
+  }
+
+  /**
+   * Generate a variable block
+   * @param name Variable name
+   * @param variable Terraform variable
+   */
+  private static generateVariable(name: string, variable: TerraformVariable): string {
+    // The type is a type constraint, not an expression, so it is written as given
+    const attributes: Array<[string, TerraformValue | string]> = [['type', variable.type]];
+    if (variable.default !== undefined) {
+      attributes.push(['default', fromJson(variable.default)]);
+    }
+    if (variable.description !== undefined) {
+      attributes.push(['description', literal(variable.description)]);
+    }
+    if (variable.sensitive) {
+      attributes.push(['sensitive', literal(true)]);
+    }
+    (variable.validations || []).forEach(validation => attributes.push(['validation', block({
+      condition: validation.condition,
+      error_message: literal(validation.errorMessage),
+    })]));
+
+    return `variable "${name}" {\n${this.body(attributes, '  ')}\n}`;
+  }
+
+  /**
+   * Generate a data block
+   * @param dataSource Terraform data source
+   */
+  private static generateDataSource(dataSource: TerraformDataSource): string {
+    return this.generateBlock(`data "${dataSource.type}" "${dataSource.name}"`, block(dataSource.properties));
+  }
+
+  /**
+   * Generate a resource block, or a module block for a nested stack
+   * @param resource Terraform resource
+   */
+  private static generateResource(resource: TerraformResource): string {
+    if (resource.module !== undefined) {
+      return this.generateBlock(`module "${resource.name}"`, block({
+        source: literal(`./modules/${resource.module}`),
+        ...resourceBlock(resource).attributes,
+      }));
+    }
+    if (resource.type.startsWith('awscc_')) {
+      // awscc takes nested objects as attributes; only the lifecycle meta-argument stays a block
+      const { lifecycle, ...attributes } = resourceBlock(resource).attributes;
+      const body = [
+        this.body(Object.entries(attributes), '  ', false),
+        ...(lifecycle ? [this.body([['lifecycle', lifecycle]], '  ')] : []),
+      ].filter(text => text.length > 0);
+      return `resource "${resource.type}" "${resource.name}" ${body.length === 0 ? '{}' : `{\n${body.join('\n')}\n}`}`;
+    }
+    return this.generateBlock(`resource "${resource.type}" "${resource.name}"`, resourceBlock(resource));
+  }
+
+  /**
+   * Generate an output block
+   * @param name Output name
+   * @param output Terraform output
+   */
+  private static generateOutput(name: string, output: TerraformOutput): string {
+    return this.generateBlock(`output "${name}"`, block({
+      value: output.value,
+      ...(output.description !== undefined ? { description: literal(output.description) } : {}),
+    }));
+  }
+
+  /**
+   * Generate a top-level block
+   * @param header Block type and labels
+   * @param value Block body
+   */
+  private static generateBlock(header: string, value: BlockValue): string {
+    const entries = Object.entries(value.attributes);
+    return entries.length === 0 ? `${header} {}` : `${header} {\n${this.body(entries, '  ')}\n}`;
+  }
+
+  /**
+   * Render the body of a block
+   * Nested blocks (lists of them, and conditional ones) are written as blocks, everything else as attributes;
+   * strings are expressions rendered already.
+   * The equals signs of consecutive one-line attributes are aligned as terraform fmt does.
+   * @param entries Attributes of the block
+   * @param indent Indentation of the body
+   * @param blocks Whether nested blocks are written as blocks (objects have attributes only)
+   */
+  private static body(entries: Array<[string, TerraformValue | string]>, indent: string, blocks = true): string {
+    const items: Array<{ key: string; value?: string; text?: string }> = [];
+    entries.forEach(([key, value]) => {
+      const nested = blocks && typeof value !== 'string' ? this.blockItems(value) : undefined;
+      const dynamic = blocks && typeof value !== 'string' ? this.dynamicBlocks(value) : undefined;
+      if (nested) {
+        nested.forEach(item => items.push({ key, text: this.nestedBlock(key, item, indent) }));
+      } else if (dynamic) {
+        dynamic.forEach(({ forEach, content }) => items.push({
+          key,
+          text: this.nestedBlock('dynamic', block({ for_each: forEach, content }), indent, key),
+        }));
+      } else {
+        items.push({ key, value: typeof value === 'string' ? value : this.expression(value, indent) });
+      }
+    });
+
+    const lines: string[] = [];
+    let run: Array<{ key: string; value: string }> = [];
+    const flush = () => {
+      const width = Math.max(...run.map(item => item.key.length));
+      run.forEach(item => lines.push(`${indent}${item.key.padEnd(width)} = ${item.value}`));
+      run = [];
+    };
+    items.forEach(item => {
+      if (item.value !== undefined && !item.value.includes('\n')) {
+        run.push({ key: item.key, value: item.value });
+        return;
+      }
+      flush();
+      lines.push(item.text !== undefined ? item.text : `${indent}${item.key} = ${item.value}`);
+    });
+    flush();
+    return lines.join('\n');
+  }
+
+  /**
+   * Blocks a value in an attribute position stands for, if it is a block or a list of blocks
+   * @param value Terraform value
+   */
+  private static blockItems(value: TerraformValue): BlockValue[] | undefined {
+    if (value.kind === 'block') {
+      return [value];
+    } else if (value.kind === 'list' && value.items.length > 0 && value.items.every(item => item.kind === 'block')) {
+      return value.items as BlockValue[];
+    }
+    return undefined;
+  }
+
+  /**
+   * Dynamic blocks standing for a block set only under a condition (Fn::If with AWS::NoValue)
+   * A conditional between two blocks becomes two dynamic blocks with opposite conditions.
+   * @param value Terraform value
+   */
+  public static dynamicBlocks(value: TerraformValue): Array<{ forEach: TerraformValue; content: BlockValue }> | undefined {
+    if (value.kind !== 'conditional') {
+      return undefined;
+    }
+    const branches = [value.whenTrue, value.whenFalse];
+    const isNull = (item: TerraformValue) => item.kind === 'literal' && item.value === null;
+    if (!branches.some(item => item.kind === 'block') || !branches.every(item => item.kind === 'block' || isNull(item))) {
+      return undefined;
+    }
+    const once = list([literal(1)]);
+    return branches.flatMap((branch, index) => branch.kind === 'block'
+      ? [{ forEach: conditional(value.condition, index === 0 ? once : list([]), index === 0 ? list([]) : once), content: branch }]
+      : []);
+  }
+
+  /**
+   * Render a nested block
+   * @param key Block type
+   * @param value Block
+   * @param indent Indentation of the enclosing body
+   * @param label Block label (the block type of a dynamic block)
+   */
+  private static nestedBlock(key: string, value: BlockValue, indent: string, label?: string): string {
+    const header = `${indent}${key}${label !== undefined ? ` "${label}"` : ''}`;
+    const entries = Object.entries(value.attributes);
+    return entries.length === 0
+      ? `${header} {}`
+      : `${header} {\n${this.body(entries, `${indent}  `)}\n${indent}}`;
+  }
+
+  /**
+   * Render a value as an HCL expression
+   * Literal strings are escaped, so they are never evaluated as templates.
+   * @param value Terraform value
+   * @param indent Indentation of the line the value starts on; without it the expression is kept on one line
+   */
+  public static expression(value: TerraformValue, indent?: string): string {
+    const inner = indent === undefined ? undefined : `${indent}  `;
+    const nested = (item: TerraformValue) => {
+      const text = this.expression(item, indent);
+      return item.kind === 'conditional' || (item.kind === 'operator' && item.operator !== '!') ? `(${text})` : text;
+    };
+
+    switch (value.kind) {
+      case 'literal':
+        return typeof value.value === 'string' ? this.quote(escapeTerraform(value.value)) : String(value.value);
+      case 'list': {
+        const simple = value.items.every(item => item.kind === 'literal' || item.kind === 'reference');
+        if (value.items.length === 0 || simple || inner === undefined) {
+          return `[${value.items.map(item => this.expression(item, indent)).join(', ')}]`;
+        }
+        return `[\n${value.items.map(item => `${inner}${this.expression(item, inner)},`).join('\n')}\n${indent}]`;
+      }
+      case 'map':
+      case 'block': {
+        const entries = Object.entries(value.kind === 'map' ? value.entries : value.attributes)
+          .map(([key, item]) => [this.key(key), item] as [string, TerraformValue]);
+        if (entries.length === 0) {
+          return '{}';
+        } else if (inner === undefined) {
+          return `{ ${entries.map(([key, item]) => `${key} = ${this.expression(item)}`).join(', ')} }`;
+        }
+        return `{\n${this.body(entries, inner, false)}\n${indent}}`;
+      }
+      case 'reference':
+        return this.reference(value);
+      case 'call':
+        return `${value.name}(${value.args.map(arg => this.expression(arg, indent)).join(', ')})`;
+      case 'operator':
+        return value.operator === '!'
+          ? `!${nested(value.operands[0])}`
+          : value.operands.map(operand => nested(operand)).join(` ${value.operator} `);
+      case 'conditional':
+        return `${nested(value.condition)} ? ${nested(value.whenTrue)} : ${nested(value.whenFalse)}`;
+      case 'template':
+        return `"${value.parts.map(part => typeof part === 'string'
+          ? this.quote(escapeTerraform(part)).slice(1, -1)
+          : `\${${this.expression(part)}}`).join('')}"`;
+    }
+  }
+
+  /**
+   * Address of a reference (var.Env, aws_s3_bucket.bucket[*].arn, module.network.VpcId, ...)
+   * A resource or module reference without an attribute is the object itself, as used in depends_on.
+   * @param value Reference
+   */
+  public static reference(value: ReferenceValue): string {
+    switch (value.target) {
+      case 'variable':
+        return `var.${value.name}`;
+      case 'local':
+      case 'condition':
+        return `local.${value.name}`;
+      case 'stack':
+        // Read through the terraform_remote_state data source of the exporting stack
+        return `data.terraform_remote_state.${value.name}.outputs.${value.attribute}`;
+      default: {
+        const prefix = value.target === 'module' ? 'module' : `${value.target === 'data' ? 'data.' : ''}${value.type}`;
+        const address = `${prefix}.${value.name}`;
+        if (value.attribute === undefined) {
+          return address;
+        }
+        return `${address}${value.splat ? '[*]' : ''}.${value.attribute}`;
+      }
+    }
+  }
+
+  /**
+   * Object key, quoted unless it is a plain identifier
+   * @param key Key
+   */
+  private static key(key: string): string {
+    return /^[A-Za-z_][\w-]*$/.test(key) && !this.keywords.includes(key) ? key : this.quote(key);
+  }
+
+  /**
+   * Quote a string with the escapes HCL understands
+   * @param text Text
+   */
+  private static quote(text: string): string {
+    // HCL has no \b or \f escapes
+    return JSON.stringify(text).replace(/\\(.)/g, (match, char: string) => {
+      if (char === 'b') {
+        return '\\u0008';
+      } else if (char === 'f') {
+        return '\\u000c';
+      }
+      return match;
+    });
+  }
+}
@@ -0,0 +1,65 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { TerraformConfig } from '../mapper';
+import { resourceAddress } from './common';
+
+/**
+ * Generates import.sh, which imports the resources of the deployed stack with terraform import
+ */
+export class ImportScriptGenerator {
+  /**
+   * Generate import.sh
+   * @param config Terraform configuration with import IDs
+   * @param outputDir Output directory
+   * @param workingDir Directory terraform runs in, relative to the output directory
+   */
+  public static generate(config: TerraformConfig, outputDir: string, workingDir = '.'): void {
+    const plan = config.importPlan || { skipped: [], retain: [] };
+    const commands = config.resources
+      .filter(resource => resource.importId !== undefined)
+      .map(resource => `terraform import ${this.quote(resourceAddress(resource))} ${this.quote(resource.importId!)}`);
+
+    const notes = [
+      `# Imports the resources of the CloudFormation stack${plan.stackName ? ` ${plan.stackName}` : ''} into the Terraform state`,
+      workingDir === '.'
+        ? '# Run terraform init first.'
+        : `# Run cdktf synth first, then terraform init in ${workingDir}.`,
+      ...(plan.retain.length > 0 ? [
+        '#',
+        '# Before deleting the CloudFormation stack, set DeletionPolicy: Retain on these resources and',
+        '# update the stack; deleting the stack deletes them otherwise:',
+        ...plan.retain.map(name => `#   ${name}`),
+      ] : []),
+      ...(plan.skipped.length > 0 ? [
+        '#',
+        '# Not imported:',
+        ...plan.skipped.map(item => `#   ${item.logicalId} (${item.type}): ${item.reason}`),
+      ] : []),
+    ];
+
+    const script = `#!/bin/sh
+${notes.join('\n')}
+set -e
+cd "$(dirname "$0")${workingDir === '.' ? '' : `/${workingDir}`}"
+
+${commands.join('\n')}
+`;
+    fs.writeFileSync(path.join(outputDir, 'import.sh'), script, { mode: 0o755 });
+  }
+
+  /**
+   * Configuration without import IDs, for output that leaves the imports to import.sh
+   * @param config Terraform configuration
+   */
+  public static withoutImportIds(config: TerraformConfig): TerraformConfig {
+    return { ...config, resources: config.resources.map(({ importId: _importId, ...resource }) => resource) };
+  }
+
+  /**
+   * Quote a word for the shell
+   * @param text Text
+   */
+  private static quote(text: string): string {
+    return `'${text.replace(/'/g, `'\\''`)}'`;
+  }
+}
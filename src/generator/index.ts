@@ -1,6 +1,23 @@
 import * as fs from 'fs';
 import * as path from 'path';
-import { TerraformConfig, TerraformResource } from '../mapper';
+import { TerraformConfig, TerraformStackConfig, diagnostic } from '../mapper';
+import { importFromId, remoteStateDataSource, resourceAddress, stackClasses } from './common';
+import { CSharpGenerator } from './csharp';
+import { GoGenerator } from './go';
+import { HclGenerator } from './hcl';
+import { ImportScriptGenerator } from './imports';
+import { JavaGenerator } from './java';
+import { PythonGenerator } from './python';
+import { TerraformJsonGenerator } from './tfjson';
+import { TypeScriptGenerator } from './typescript';
+
+export * from './report';
+
+/**
+ * How the resources of a deployed stack are imported: import blocks in the generated code or
+ * configuration, an import.sh running terraform import, or both
+ */
+export type ImportStyle = 'blocks' | 'script' | 'both';
 
 /**
  * Generates CDKTF code from Terraform configuration
@@ -11,11 +28,41 @@ export class CdktfGenerator {
    * @param config Terraform configuration
    * @param outputDir Output directory
    * @param language Target language (typescript, python, etc.)
+   * @param importStyle How resources with an import ID are imported; imports that import blocks cannot
+   * express are added to the diagnostics of the configuration
    */
   public static generateCode(
     config: TerraformConfig, 
     outputDir: string, 
-    language: 'typescript' | 'python' | 'java' = 'typescript'
+    language: 'typescript' | 'python' | 'java' | 'csharp' | 'go' = 'typescript',
+    importStyle: ImportStyle = 'blocks'
+  ): void {
+    this.generateAppCode([{
+      name: 'converted-stack',
+      config: importStyle === 'script' ? ImportScriptGenerator.withoutImportIds(config) : config,
+    }], outputDir, language);
+
+    if (importStyle === 'blocks') {
+      config.resources
+        .filter(resource => resource.importId !== undefined && importFromId(resource) === undefined)
+        .forEach(resource => config.diagnostics.push(diagnostic('import-block-skipped',
+          `Import block skipped: ${resourceAddress(resource)} (importFrom cannot address an instance of a conditional resource; use --import-style script)`)));
+    } else if (config.importPlan) {
+      // cdktf synth writes the stack to cdktf.out; logical IDs leave out the stack ID
+      ImportScriptGenerator.generate(config, outputDir, 'cdktf.out/stacks/converted-stack');
+    }
+  }
+
+  /**
+   * Generate CDKTF code for an app of several stacks, one class per stack
+   * @param stacks Stacks of the app, in dependency order
+   * @param outputDir Output directory
+   * @param language Target language (typescript, python, etc.)
+   */
+  public static generateAppCode(
+    stacks: TerraformStackConfig[],
+    outputDir: string,
+    language: 'typescript' | 'python' | 'java' | 'csharp' | 'go' = 'typescript'
   ): void {
     // Create output directory if it doesn't exist
     if (!fs.existsSync(outputDir)) {
@@ -24,294 +71,76 @@ export class CdktfGenerator {
 
     switch (language) {
       case 'typescript':
-        this.generateTypeScriptCode(config, outputDir);
+        TypeScriptGenerator.generate(stacks, outputDir);
         break;
       case 'python':
-        this.generatePythonCode(config, outputDir);
+        PythonGenerator.generate(stacks, outputDir);
         break;
       case 'java':
-        this.generateJavaCode(config, outputDir);
+        JavaGenerator.generate(stacks, outputDir);
+        break;
+      case 'csharp':
+        CSharpGenerator.generate(stacks, outputDir);
+        break;
+      case 'go':
+        GoGenerator.generate(stacks, outputDir);
         break;
       default:
         throw new Error(`Unsupported language: ${language}`);
     }
-  }
-
-  /**
-   * Generate TypeScript CDKTF code
-   * @param config Terraform configuration
-   * @param outputDir Output directory
-   */
-  private static generateTypeScriptCode(config: TerraformConfig, outputDir: string): void {
-    // Generate main.ts
-    const mainCode = this.generateTypeScriptMainFile(config);
-    fs.writeFileSync(path.join(outputDir, 'main.ts'), mainCode);
-
-    // Generate cdktf.json
-    const cdktfConfig = this.generateCdktfConfig();
-    fs.writeFileSync(path.join(outputDir, 'cdktf.json'), JSON.stringify(cdktfConfig, null, 2));
-
-    // Generate package.json
-    const packageJson = this.generatePackageJson();
-    fs.writeFileSync(path.join(outputDir, 'package.json'), JSON.stringify(packageJson, null, 2));
-  }
-
-  /**
-   * Generate TypeScript main file
-   * @param config Terraform configuration
-   */
-  private static generateTypeScriptMainFile(config: TerraformConfig): string {
-    const imports = [
-      'import { Construct } from "constructs";',
-      'import { App, TerraformStack, TerraformOutput } from "cdktf";',
-      'import * as aws from "@cdktf/provider-aws";',
-    ];
-
-    const variables = Object.entries(config.variables).map(([name, variable]) => {
-      const varType = (variable as any).type || 'string';
-      return `  public readonly ${name}: ${this.terraformTypeToTypeScript(varType)};`;
-    });
-
-    const variableInitializers = Object.entries(config.variables).map(([name, variable]) => {
-      const defaultValue = (variable as any).default;
-      if (defaultValue !== undefined) {
-        return `    this.${name} = props?.${name} ?? ${JSON.stringify(defaultValue)};`;
-      } else {
-        return `    this.${name} = props.${name};`;
-      }
-    });
-
-    const resources = config.resources.map(resource => this.generateTypeScriptResource(resource));
-
-    const outputs = Object.entries(config.outputs).map(([name, output]) => {
-      const value = (output as any).value;
-      let outputValue = value;
-      
-      if (typeof value === 'string' && (value.includes('props.') || value.includes('.'))) {
-        outputValue = value;
-      } else {
-        outputValue = JSON.stringify(value);
-      }
-      
-      return `    new TerraformOutput(this, "${name}", {
-      value: ${outputValue},
-      description: ${JSON.stringify((output as any).description)},
-    });`;
-    });
-
-    return `${imports.join('\n')}
-
-interface MyStackProps {
-${Object.entries(config.variables).map(([name, variable]) => {
-  const varType = (variable as any).type || 'string';
-  const required = (variable as any).default === undefined;
-  return `  ${name}${required ? '' : '?'}: ${this.terraformTypeToTypeScript(varType)};`;
-}).join('\n')}
-}
-
-class MyStack extends TerraformStack {
-${variables.join('\n')}
-
-  constructor(scope: Construct, id: string, props: MyStackProps) {
-    super(scope, id);
-
-${variableInitializers.join('\n')}
-
-    // Define AWS provider
-    new aws.AwsProvider(this, "aws", {
-      region: "us-west-2", // Change as needed
-    });
-
-    // Define resources
-${resources.join('\n\n')}
 
-    // Define outputs
-${outputs.join('\n\n')}
-  }
-}
-
-const app = new App();
-new MyStack(app, "converted-stack", {
-  // Provide values for required variables
-});
-app.synth();
-`;
-  }
-
-  /**
-   * Generate TypeScript resource
-   * @param resource Terraform resource
-   */
-  private static generateTypeScriptResource(resource: TerraformResource): string {
-    const properties = Object.entries(resource.properties)
-      .map(([key, value]) => {
-        if (typeof value === 'string' && (value.includes('props.') || value.includes('.'))) {
-          return `      ${key}: ${value},`;
-        } else {
-          return `      ${key}: ${JSON.stringify(value)},`;
-        }
-      })
-      .join('\n');
-
-    return `    const ${resource.name} = new aws.${this.pascalCase(resource.type)}(this, "${resource.name}", {
-${properties}
-    });`;
-  }
-
-  /**
-   * Generate cdktf.json configuration
-   */
-  private static generateCdktfConfig(): any {
-    return {
-      "language": "typescript",
-      "app": "npm run --silent compile && node main.js",
-      "projectId": "converted-project",
-      "sendCrashReports": false,
-      "terraformProviders": [
-        "aws@~> 4.0"
-      ],
-      "terraformModules": [],
-      "context": {
-        "excludeStackIdFromLogicalIds": "true",
-        "allowSepCharsInLogicalIds": "true"
-      }
-    };
-  }
-
-  /**
-   * Generate package.json
-   */
-  private static generatePackageJson(): any {
-    return {
-      "name": "converted-cdktf-project",
-      "version": "1.0.0",
-      "main": "main.js",
-      "types": "main.ts",
-      "license": "MPL-2.0",
-      "private": true,
-      "scripts": {
-        "get": "cdktf get",
-        "build": "tsc",
-        "synth": "cdktf synth",
-        "compile": "tsc --pretty",
-        "watch": "tsc -w",
-        "test": "jest",
-        "upgrade": "npm i cdktf@latest cdktf-cli@latest",
-        "upgrade:next": "npm i cdktf@next cdktf-cli@next"
-      },
-      "engines": {
-        "node": ">=14.0"
-      },
-      "dependencies": {
-        "@cdktf/provider-aws": "^12.0.0",
-        "cdktf": "^0.15.0",
-        "constructs": "^10.1.0"
-      },
-      "devDependencies": {
-        "@types/jest": "^29.4.0",
-        "@types/node": "^18.14.6",
-        "jest": "^29.5.0",
-        "ts-jest": "^29.0.5",
-        "ts-node": "^10.9.1",
-        "typescript": "^4.9.5"
-      }
-    };
-  }
-
-  /**
-   * Generate Python CDKTF code
-   * @param config Terraform configuration
-   * @param outputDir Output directory
-   */
-  private static generatePythonCode(_config: TerraformConfig, outputDir: string): void {
-    // Simplified implementation - would need to be expanded for a real tool
-    const mainCode = `#!/usr/bin/env python
-from constructs import Construct
-from cdktf import App, TerraformStack, TerraformOutput
-from cdktf_cdktf_provider_aws import AwsProvider
-
-class MyStack(TerraformStack):
-    def __init__(self, scope: Construct, id: str):
-        super().__init__(scope, id)
-
-        # Define AWS provider
-        AwsProvider(self, "aws", region="us-west-2")
-
-        # TODO: Add resources and outputs
-
-app = App()
-MyStack(app, "converted-stack")
-app.synth()
-`;
-    fs.writeFileSync(path.join(outputDir, 'main.py'), mainCode);
+    // Nested stacks are instantiated as TerraformHclModule, so their modules are written as HCL
+    stacks.forEach(stack => HclGenerator.generateModules(stack.config, outputDir));
   }
 
   /**
-   * Generate Java CDKTF code
+   * Generate plain Terraform configuration from Terraform configuration
    * @param config Terraform configuration
    * @param outputDir Output directory
+   * @param format Configuration syntax (hcl writes .tf files, tf-json main.tf.json)
+   * @param importStyle How resources with an import ID are imported
    */
-  private static generateJavaCode(_config: TerraformConfig, outputDir: string): void {
-    // Simplified implementation - would need to be expanded for a real tool
-    const mainCode = `package com.mycompany.app;
-
-import com.hashicorp.cdktf.App;
-import com.hashicorp.cdktf.TerraformStack;
-import software.constructs.Construct;
-import com.hashicorp.cdktf.providers.aws.AwsProvider;
-
-public class Main extends TerraformStack {
-    public Main(final Construct scope, final String id) {
-        super(scope, id);
-
-        // Define AWS provider
-        AwsProvider.Builder.create(this, "aws")
-            .region("us-west-2")
-            .build();
-
-        // TODO: Add resources and outputs
+  public static generateTerraform(
+    config: TerraformConfig,
+    outputDir: string,
+    format: 'hcl' | 'tf-json',
+    importStyle: ImportStyle = 'blocks'
+  ): void {
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
     }
 
-    public static void main(String[] args) {
-        final App app = new App();
-        new Main(app, "converted-stack");
-        app.synth();
+    const generated = importStyle === 'script' ? ImportScriptGenerator.withoutImportIds(config) : config;
+    switch (format) {
+      case 'hcl':
+        HclGenerator.generate(generated, outputDir);
+        break;
+      case 'tf-json':
+        TerraformJsonGenerator.generate(generated, outputDir);
+        break;
+      default:
+        throw new Error(`Unsupported format: ${format}`);
     }
-}
-`;
-    fs.writeFileSync(path.join(outputDir, 'Main.java'), mainCode);
-  }
 
-  /**
-   * Convert Terraform type to TypeScript type
-   * @param terraformType Terraform type
-   */
-  private static terraformTypeToTypeScript(terraformType: string): string {
-    if (terraformType.startsWith('string')) {
-      return 'string';
-    } else if (terraformType.startsWith('number')) {
-      return 'number';
-    } else if (terraformType.startsWith('bool')) {
-      return 'boolean';
-    } else if (terraformType.startsWith('list')) {
-      const innerType = terraformType.match(/list\((.*)\)/)?.[1] || 'any';
-      return `${this.terraformTypeToTypeScript(innerType)}[]`;
-    } else if (terraformType.startsWith('map')) {
-      const innerType = terraformType.match(/map\((.*)\)/)?.[1] || 'any';
-      return `Record<string, ${this.terraformTypeToTypeScript(innerType)}>`;
-    } else {
-      return 'any';
+    if (importStyle !== 'blocks' && config.importPlan) {
+      ImportScriptGenerator.generate(config, outputDir);
     }
   }
 
   /**
-   * Convert string to PascalCase
-   * @param str Input string
+   * Generate plain Terraform configuration for several stacks, each in its own directory
+   * Imports read the outputs of the exporting stack from its local state, so stacks are applied in order.
+   * @param stacks Stacks of the app, in dependency order
+   * @param outputDir Output directory
+   * @param format Configuration syntax (hcl writes .tf files, tf-json main.tf.json)
    */
-  private static pascalCase(str: string): string {
-    return str
-      .split('_')
-      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
-      .join('');
+  public static generateAppTerraform(stacks: TerraformStackConfig[], outputDir: string, format: 'hcl' | 'tf-json'): void {
+    stackClasses(stacks, '').forEach(stack => {
+      const config: TerraformConfig = {
+        ...stack.config,
+        dataSources: [...stack.config.dataSources, ...stack.imports.map(name => remoteStateDataSource(name))],
+      };
+      this.generateTerraform(config, path.join(outputDir, stack.name), format);
+    });
   }
 }
@@ -0,0 +1,630 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  TerraformDataSource, TerraformResource, TerraformStackConfig, TerraformValue, TerraformVariable, block, list, literal,
+  map,
+} from '../mapper';
+import {
+  Provider, StackClass, camelCase, cdktfConfig, escapeTerraform, importFromId, moduleBlock, pascalCase, providerClass,
+  resourceBlock, resourceComments, safeIdentifier, sharedProviderModules, stackClasses, stackIdentifier, usesAwscc,
+  variableIdentifier, variadicFunctions,
+} from './common';
+import { Conversion, Expected, conversion, functionParameters, variableAccessor } from './typing';
+
+/**
+ * Package and class name of the struct a block is built with
+ */
+interface StructName {
+  pkg: string;
+  name: string;
+  /**
+   * Written with its package instead of imported, as an aws class of the same name is imported
+   */
+  qualified?: boolean;
+}
+
+/**
+ * State collected while rendering one file
+ */
+interface RenderContext {
+  variables: Record<string, TerraformVariable>;
+  imports: Set<string>;
+  // Submodules both providers have classes in, whose awscc classes are qualified
+  sharedModules: Set<string>;
+}
+
+const providerPackages: Record<Provider, string> = {
+  aws: 'com.hashicorp.cdktf.providers.aws',
+  awscc: 'com.hashicorp.cdktf.providers.awscc',
+};
+
+// The lifecycle meta-argument is a cdktf struct shared by every resource
+const lifecycleStruct: StructName = { pkg: 'com.hashicorp.cdktf', name: 'TerraformResourceLifecycle' };
+
+/**
+ * Generates CDKTF Java code as a Maven project
+ * Constructs and nested blocks are created with their builders; expressions that cdktf types as Object
+ * are converted with Token where a provider setter expects a String, Number or List.
+ */
+export class JavaGenerator {
+  // Terraform functions that cdktf exposes under another name
+  private static readonly functions: Record<string, string> = {
+    length: 'lengthOf',
+  };
+
+  private static readonly conversions: Record<Conversion, string> = {
+    string: 'asString',
+    number: 'asNumber',
+    boolean: 'asAny',
+    list: 'asList',
+    map: 'asStringMap',
+  };
+
+  private static readonly operators: Record<string, string> = {
+    '==': 'eq',
+    '>=': 'gte',
+    '<=': 'lte',
+    '&&': 'and',
+    '||': 'or',
+    '!': 'not',
+  };
+
+  // Keywords, and names the generated constructor already uses
+  private static readonly reservedWords = [
+    'abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue',
+    'default', 'do', 'double', 'else', 'enum', 'extends', 'final', 'finally', 'float', 'for', 'goto', 'if',
+    'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'package', 'private',
+    'protected', 'public', 'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this',
+    'throw', 'throws', 'transient', 'try', 'void', 'volatile', 'while', 'true', 'false', 'null', 'var', 'record',
+    'yield', 'scope', 'id',
+  ];
+
+  /**
+   * Generate Java CDKTF code
+   * @param stacks Stacks of the app, in dependency order
+   * @param outputDir Output directory
+   */
+  public static generate(stacks: TerraformStackConfig[], outputDir: string): void {
+    // Generate src/main/java/com/mycompany/app/Main.java; a single stack is the Main class itself
+    const sourceDir = path.join(outputDir, 'src', 'main', 'java', 'com', 'mycompany', 'app');
+    fs.mkdirSync(sourceDir, { recursive: true });
+    const classes = stackClasses(stacks, 'Main');
+    if (classes.length === 1) {
+      fs.writeFileSync(path.join(sourceDir, 'Main.java'), this.generateStackFile(classes[0], this.mainMethod(classes)));
+    } else {
+      classes.forEach(stackClass =>
+        fs.writeFileSync(path.join(sourceDir, `${stackClass.className}.java`), this.generateStackFile(stackClass)));
+      fs.writeFileSync(path.join(sourceDir, 'Main.java'), this.generateMainFile(classes));
+    }
+
+    // Generate cdktf.json
+    const awscc = stacks.some(stack => usesAwscc(stack.config));
+    const cdktfJson = cdktfConfig('java', 'mvn -e -q compile exec:java', awscc);
+    fs.writeFileSync(path.join(outputDir, 'cdktf.json'), JSON.stringify(cdktfJson, null, 2));
+
+    // Generate pom.xml
+    fs.writeFileSync(path.join(outputDir, 'pom.xml'), this.generatePom(awscc));
+  }
+
+  /**
+   * Generate the Main class of an app of several stacks
+   * @param classes Stack classes
+   */
+  private static generateMainFile(classes: StackClass[]): string {
+    return `package com.mycompany.app;
+
+import com.hashicorp.cdktf.App;
+
+public class Main {
+${this.mainMethod(classes)}
+}
+`;
+  }
+
+  /**
+   * Generate the main method, which creates every stack of the app
+   * Stacks other stacks import from are kept, to pass on their exports.
+   * @param classes Stack classes
+   */
+  private static mainMethod(classes: StackClass[]): string {
+    const instances = classes.map(stackClass => {
+      const args = ['app', `"${stackClass.name}"`, ...stackClass.imports
+        .map(name => `${stackIdentifier(name, 'Stack')}.exports`)];
+      const assignment = stackClass.exports.length > 0
+        ? `final ${stackClass.className} ${stackIdentifier(stackClass.name, 'Stack')} = `
+        : '';
+      return `        ${assignment}new ${stackClass.className}(${args.join(', ')});`;
+    });
+
+    return `    public static void main(String[] args) {
+        final App app = new App();
+${instances.join('\n')}
+        app.synth();
+    }`;
+  }
+
+  /**
+   * Generate the file of a stack class
+   * @param stackClass Stack class
+   * @param mainMethod main method, for a stack that is the Main class
+   */
+  private static generateStackFile(stackClass: StackClass, mainMethod?: string): string {
+    const config = stackClass.config;
+    const ctx: RenderContext = {
+      variables: config.variables,
+      imports: new Set([
+        'software.constructs.Construct',
+        'com.hashicorp.cdktf.TerraformStack',
+        'com.hashicorp.cdktf.TerraformOutput',
+        ...(mainMethod ? ['com.hashicorp.cdktf.App'] : []),
+        ...(stackClass.imports.length > 0 || stackClass.exports.length > 0 ? ['java.util.Map'] : []),
+      ]),
+      sharedModules: sharedProviderModules([config]),
+    };
+
+    const provider = this.construct('', 'AwsProvider', 'aws', {
+      region: literal('us-west-2'),
+      ...(config.defaultTags ? { default_tags: list([block({ tags: config.defaultTags })]) } : {}),
+    }, 'provider', ctx);
+    const awsccProvider = usesAwscc(config)
+      ? `\n\n        // Define AWS Cloud Control provider\n${
+        this.construct('', 'AwsccProvider', 'awscc', { region: literal('us-west-2') }, 'provider', ctx, 'awscc')}`
+      : '';
+
+    const variables = Object.entries(config.variables)
+      .map(([name, variable]) => this.generateVariable(name, variable, ctx));
+
+    const dataSources = config.dataSources.map(dataSource => this.generateDataSource(dataSource, ctx));
+
+    const mappings = Object.entries(config.mappings).map(([name, mapping]) => {
+      ctx.imports.add('com.hashicorp.cdktf.TerraformLocal');
+      return `        TerraformLocal ${this.identifier(mapping.name)} = new TerraformLocal(this, "${name}", ${
+        this.render(mapping.value, '        ', 'any', undefined, ctx)});`;
+    });
+
+    // Conditions are Op and Fn tokens, which Java only knows as Object
+    const conditions = Object.values(config.conditions).map(condition =>
+      `        Object ${this.identifier(condition.name)} = ${this.render(condition.expression, '        ', 'any', undefined, ctx)};`
+    );
+
+    const resources = config.resources.map(resource => resourceComments(resource, '        // ') + this.generateResource(resource, ctx));
+
+    // Descriptions are not expressions, so they are written as plain strings
+    const outputs = Object.entries(config.outputs).map(([name, output]) => `        TerraformOutput.Builder.create(this, "${name}")
+                .value(${this.render(output.value, '                ', 'any', undefined, ctx)})${output.description !== undefined ? `
+                .description(${JSON.stringify(output.description)})` : ''}
+                .build();`);
+
+    const parameters = ['final Construct scope', 'final String id', ...stackClass.imports
+      .map(name => `final Map<String, Object> ${stackIdentifier(name, 'Exports')}`)];
+
+    // Outputs other stacks import are handed over as plain values; cdktf wires the cross-stack references
+    const exports = stackClass.exports.length > 0 ? `
+
+        // Define exports read by other stacks
+        this.exports = ${this.render(map(Object.fromEntries(stackClass.exports
+      .map(name => [name, config.outputs[name].value]))), '        ', 'any', undefined, ctx)};` : '';
+
+    return `package com.mycompany.app;
+
+${[...ctx.imports].sort().map(name => `import ${name};`).join('\n')}
+
+public class ${stackClass.className} extends TerraformStack {${stackClass.exports.length > 0 ? `
+    public final Map<String, Object> exports;
+` : ''}
+    public ${stackClass.className}(${parameters.join(', ')}) {
+        super(scope, id);
+
+${variables.length > 0 ? `        // Define variables
+${variables.join('\n\n')}
+
+` : ''}${dataSources.length > 0 ? `        // Define data sources
+${dataSources.join('\n\n')}
+
+` : ''}${mappings.length > 0 ? `        // Define mappings
+${mappings.join('\n\n')}
+
+` : ''}${conditions.length > 0 ? `        // Define conditions
+${conditions.join('\n')}
+
+` : ''}        // Define AWS provider
+${provider}${awsccProvider}
+
+        // Define resources
+${resources.join('\n\n')}
+
+        // Define outputs
+${outputs.join('\n\n')}${exports}
+    }${mainMethod ? `
+
+${mainMethod}` : ''}
+}
+`;
+  }
+
+  /**
+   * Generate Java variable
+   * Validations are added after the variable is declared, since their conditions reference it.
+   * @param name Variable name
+   * @param variable Terraform variable
+   * @param ctx Render context
+   */
+  private static generateVariable(name: string, variable: TerraformVariable, ctx: RenderContext): string {
+    const identifier = this.identifier(variableIdentifier(name));
+    ctx.imports.add('com.hashicorp.cdktf.TerraformVariable');
+
+    // Defaults and descriptions are not expressions, so they are written as plain values
+    const setters = [
+      `.type(${JSON.stringify(variable.type)})`,
+      ...(variable.default !== undefined ? [`.defaultValue(${this.javaLiteral(variable.default, '                ', ctx)})`] : []),
+      ...(variable.description !== undefined ? [`.description(${JSON.stringify(variable.description)})`] : []),
+      ...(variable.sensitive ? ['.sensitive(true)'] : []),
+    ];
+    const validations = (variable.validations || []).map(validation => {
+      ctx.imports.add('com.hashicorp.cdktf.TerraformVariableValidationConfig');
+      return `        ${identifier}.addValidation(TerraformVariableValidationConfig.builder()
+                .condition(${this.render(validation.condition, '                ', 'any', undefined, ctx)})
+                .errorMessage(${this.render(literal(validation.errorMessage), '                ', 'string', undefined, ctx)})
+                .build());`;
+    });
+
+    return [
+      `        TerraformVariable ${identifier} = TerraformVariable.Builder.create(this, "${name}")
+${setters.map(setter => `                ${setter}`).join('\n')}
+                .build();`,
+      ...validations,
+    ].join('\n');
+  }
+
+  /**
+   * Generate Java resource, or the module instance of a nested stack
+   * @param resource Terraform resource
+   * @param ctx Render context
+   */
+  private static generateResource(resource: TerraformResource, ctx: RenderContext): string {
+    if (resource.module !== undefined) {
+      ctx.imports.add('com.hashicorp.cdktf.TerraformHclModule');
+      // Input variables are passed as a Map<String, Object>
+      const setters = Object.entries(moduleBlock(resource).attributes).map(([key, value]) => `
+                .${this.propertyName(key)}(${
+        this.render(value, '                ', key === 'variables' ? 'any' : 'attribute', undefined, ctx)})`);
+      return `        TerraformHclModule ${this.identifier(resource.name)} = TerraformHclModule.Builder.create(this, "${
+        resource.name}")${setters.join('')}
+                .build();`;
+    }
+    const { provider, module, className } = providerClass(resource.type, false);
+    const importId = importFromId(resource);
+    return this.construct(this.identifier(resource.name), className, resource.name, resourceBlock(resource).attributes, module, ctx, provider)
+      + (importId !== undefined
+        ? `\n        ${this.identifier(resource.name)}.importFrom(${this.render(literal(importId), '        ', 'string', undefined, ctx)});`
+        : '');
+  }
+
+  /**
+   * Generate Java data source
+   * @param dataSource Terraform data source
+   * @param ctx Render context
+   */
+  private static generateDataSource(dataSource: TerraformDataSource, ctx: RenderContext): string {
+    const { module, className } = providerClass(dataSource.type, true);
+    return this.construct(this.identifier(dataSource.name), className, dataSource.name, dataSource.properties, module, ctx);
+  }
+
+  /**
+   * Render a construct created with its builder, one setter per line
+   * @param identifier Variable the construct is assigned to (empty for none)
+   * @param className Construct class
+   * @param id Construct ID
+   * @param attributes Construct attributes, keyed by Terraform attribute name
+   * @param module Provider submodule of the class
+   * @param ctx Render context
+   * @param provider Provider of the class
+   */
+  private static construct(
+    identifier: string,
+    className: string,
+    id: string,
+    attributes: Record<string, TerraformValue>,
+    module: string,
+    ctx: RenderContext,
+    provider: Provider = 'aws'
+  ): string {
+    const pkg = `${providerPackages[provider]}.${module}`;
+    const qualified = provider === 'awscc' && ctx.sharedModules.has(module);
+    if (!qualified) {
+      ctx.imports.add(`${pkg}.${className}`);
+    }
+    const typeName = qualified ? `${pkg}.${className}` : className;
+    // Nested structs are named after the resource, without the suffix that renamed classes carry
+    const structPrefix = module === 'provider' ? className : pascalCase(module);
+    const assignment = identifier ? `${typeName} ${identifier} = ` : '';
+    const struct = (key: string): StructName => key === 'lifecycle'
+      ? lifecycleStruct
+      : { pkg, name: `${structPrefix}${pascalCase(key)}`, qualified };
+    const setters = Object.entries(attributes).map(([key, value]) => `
+                .${this.propertyName(key)}(${this.render(value, '                ', 'attribute', struct(key), ctx)})`);
+
+    return `        ${assignment}${typeName}.Builder.create(this, "${id}")${setters.join('')}
+                .build();`;
+  }
+
+  /**
+   * Identifier of a local variable (bucket_policy becomes bucketPolicy)
+   * @param name Terraform resource, data source, local or condition name
+   */
+  private static identifier(name: string): string {
+    return safeIdentifier(camelCase(name), this.reservedWords);
+  }
+
+  /**
+   * Builder method of an attribute; jsii appends "Value" to names Java reserves
+   * @param name Terraform attribute name
+   */
+  private static propertyName(name: string): string {
+    const property = camelCase(name);
+    return this.reservedWords.includes(property) ? `${property}Value` : property;
+  }
+
+  /**
+   * Convert an untyped expression to the type its position expects
+   * @param code Rendered expression
+   * @param value Terraform value the expression was rendered from
+   * @param expected Type the position expects
+   * @param ctx Render context
+   */
+  private static coerce(code: string, value: TerraformValue, expected: Expected, ctx: RenderContext): string {
+    const target = conversion(value, expected, ctx.variables);
+    if (target === undefined) {
+      return code;
+    }
+    ctx.imports.add('com.hashicorp.cdktf.Token');
+    return `Token.${this.conversions[target]}(${code})`;
+  }
+
+  /**
+   * Render a value as a Java expression of the type its position expects
+   * Literal strings are escaped for Terraform, so they are never evaluated as templates.
+   * @param value Terraform value
+   * @param indent Indentation of the line the value starts on
+   * @param expected Type the position expects
+   * @param struct Struct a block value is built with
+   * @param ctx Render context
+   */
+  private static render(
+    value: TerraformValue,
+    indent: string,
+    expected: Expected,
+    struct: StructName | undefined,
+    ctx: RenderContext
+  ): string {
+    return this.coerce(this.renderValue(value, indent, expected, struct, ctx), value, expected, ctx);
+  }
+
+  /**
+   * Render a value as a Java expression
+   * @param value Terraform value
+   * @param indent Indentation of the line the value starts on
+   * @param expected Type the position expects
+   * @param struct Struct a block value is built with
+   * @param ctx Render context
+   */
+  private static renderValue(
+    value: TerraformValue,
+    indent: string,
+    expected: Expected,
+    struct: StructName | undefined,
+    ctx: RenderContext
+  ): string {
+    const inner = `${indent}        `;
+    // Items of typed collections have to be typed as well; inside Object parameters anything goes
+    const itemExpected: Expected = expected === 'any' ? 'any' : 'attribute';
+
+    switch (value.kind) {
+      case 'literal':
+        return typeof value.value === 'string'
+          ? JSON.stringify(escapeTerraform(value.value))
+          : this.javaLiteral(value.value, indent, ctx);
+      case 'list': {
+        const factory = this.listFactory(value.items.some(item => this.isNull(item)), ctx);
+        const items = value.items.map(item => this.render(item, inner, itemExpected, struct, ctx));
+        const simple = value.items.every(item => item.kind === 'literal' || item.kind === 'reference');
+        if (value.items.length === 0 || simple) {
+          return `${factory}(${items.join(', ')})`;
+        }
+        return `${factory}(\n${items.map(item => `${inner}${item}`).join(',\n')})`;
+      }
+      case 'map':
+        return this.javaMap(Object.entries(value.entries)
+          .filter(([, item]) => !this.isNull(item))
+          .map(([key, item]) => [JSON.stringify(key), this.render(item, inner, itemExpected, undefined, ctx)]), indent, ctx);
+      case 'block': {
+        if (!struct) {
+          return this.javaMap(Object.entries(value.attributes)
+            .filter(([, item]) => !this.isNull(item))
+            .map(([key, item]) => [JSON.stringify(key), this.render(item, inner, itemExpected, undefined, ctx)]), indent, ctx);
+        }
+        if (!struct.qualified) {
+          ctx.imports.add(`${struct.pkg}.${struct.name}`);
+        }
+        const setters = Object.entries(value.attributes).map(([key, item]) =>
+          `\n${inner}.${this.propertyName(key)}(${this.render(item, inner, 'attribute', {
+            ...struct,
+            name: `${struct.name}${pascalCase(key)}`,
+          }, ctx)})`);
+        return `${struct.qualified ? `${struct.pkg}.` : ''}${struct.name}.builder()${setters.join('')}\n${inner}.build()`;
+      }
+      case 'reference':
+        switch (value.target) {
+          case 'variable':
+            return `${this.identifier(variableIdentifier(value.name))}.get${
+              pascalCase(variableAccessor(ctx.variables[value.name]).accessor)}()`;
+          case 'local':
+            return `${this.identifier(value.name)}.getExpression()`;
+          case 'condition':
+            return this.identifier(value.name);
+          case 'stack':
+            return `${stackIdentifier(value.name, 'Exports')}.get(${JSON.stringify(value.attribute)})`;
+          default: {
+            const identifier = this.identifier(value.name);
+            if (value.attribute === undefined) {
+              return identifier;
+            } else if (value.target === 'module') {
+              // Module outputs are not typed properties; outputs of counted modules are read over all instances
+              return value.splat
+                ? `${identifier}.interpolationForOutput("*.${value.attribute}")`
+                : `${identifier}.get("${value.attribute}")`;
+            }
+            // Attributes of counted resources are read over all instances
+            return value.splat
+              ? `${identifier}.interpolationForAttribute("*.${value.attribute}")`
+              : `${identifier}.${value.attribute.split('.').map(part => `get${pascalCase(part)}()`).join('.')}`;
+          }
+        }
+      case 'call': {
+        ctx.imports.add('com.hashicorp.cdktf.Fn');
+        const name = this.functions[value.name] || value.name;
+        // cdktf takes the arguments of variadic functions as a single list
+        if (variadicFunctions.includes(value.name)) {
+          return `Fn.${name}(${this.render(list(value.args), indent, 'any', undefined, ctx)})`;
+        }
+        const parameters = functionParameters[value.name] || [];
+        const args = value.args.map((arg, i) => this.render(arg, indent, parameters[i] || 'any', undefined, ctx));
+        return `Fn.${name}(${args.join(', ')})`;
+      }
+      case 'operator': {
+        ctx.imports.add('com.hashicorp.cdktf.Op');
+        const operands = value.operands.map(operand => this.render(operand, indent, 'any', undefined, ctx));
+        return `Op.${this.operators[value.operator]}(${operands.join(', ')})`;
+      }
+      case 'conditional':
+        ctx.imports.add('com.hashicorp.cdktf.Fn');
+        return `Fn.conditional(${[value.condition, value.whenTrue, value.whenFalse]
+          .map(item => this.render(item, indent, 'any', undefined, ctx)).join(', ')})`;
+      case 'template':
+        // Every part is a String, so + concatenates
+        return value.parts.map(part => typeof part === 'string'
+          ? JSON.stringify(escapeTerraform(part))
+          : this.render(part, indent, 'string', undefined, ctx)).join(' + ');
+    }
+  }
+
+  /**
+   * Whether a value is the null literal
+   * List.of and Map.of throw on null, so null map entries are left out (like an unset attribute) and
+   * lists holding null are built with Arrays.asList.
+   * @param value Terraform value
+   */
+  private static isNull(value: TerraformValue): boolean {
+    return value.kind === 'literal' && value.value === null;
+  }
+
+  /**
+   * Factory method of a list, importing its class
+   * @param nullable Whether an item is null
+   * @param ctx Render context
+   */
+  private static listFactory(nullable: boolean, ctx: RenderContext): string {
+    ctx.imports.add(nullable ? 'java.util.Arrays' : 'java.util.List');
+    return nullable ? 'Arrays.asList' : 'List.of';
+  }
+
+  /**
+   * Render map entries; Map.of takes at most ten pairs, larger maps are built from entries
+   * @param entries Rendered keys and values
+   * @param indent Indentation of the line the map starts on
+   * @param ctx Render context
+   */
+  private static javaMap(entries: string[][], indent: string, ctx: RenderContext): string {
+    ctx.imports.add('java.util.Map');
+    const inner = `${indent}        `;
+    if (entries.length === 0) {
+      return 'Map.of()';
+    } else if (entries.length > 10) {
+      return `Map.ofEntries(\n${entries.map(([key, item]) => `${inner}Map.entry(${key}, ${item})`).join(',\n')})`;
+    }
+    return `Map.of(\n${entries.map(([key, item]) => `${inner}${key}, ${item}`).join(',\n')})`;
+  }
+
+  /**
+   * Render a JSON value as a Java literal
+   * @param value JSON value
+   * @param indent Indentation of the line the value starts on
+   * @param ctx Render context
+   */
+  private static javaLiteral(value: any, indent: string, ctx: RenderContext): string {
+    if (value === null || value === undefined) {
+      return 'null';
+    } else if (typeof value === 'number') {
+      // Integers beyond the int range need a long literal
+      return Number.isInteger(value) && Math.abs(value) > 2147483647 ? `${value}L` : String(value);
+    } else if (Array.isArray(value)) {
+      const factory = this.listFactory(value.some(item => item === null), ctx);
+      return `${factory}(${value.map(item => this.javaLiteral(item, indent, ctx)).join(', ')})`;
+    } else if (typeof value === 'object') {
+      return this.javaMap(Object.entries(value)
+        .filter(([, item]) => item !== null)
+        .map(([key, item]) => [JSON.stringify(key), this.javaLiteral(item, `${indent}        `, ctx)]), indent, ctx);
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Generate pom.xml
+   * @param awscc Whether the code uses the awscc provider as well
+   */
+  private static generatePom(awscc: boolean): string {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 http://maven.apache.org/xsd/maven-4.0.0.xsd">
+    <modelVersion>4.0.0</modelVersion>
+
+    <groupId>com.mycompany.app</groupId>
+    <artifactId>converted-cdktf-project</artifactId>
+    <version>0.1</version>
+
+    <properties>
+        <project.build.sourceEncoding>UTF-8</project.build.sourceEncoding>
+        <maven.compiler.source>11</maven.compiler.source>
+        <maven.compiler.target>11</maven.compiler.target>
+    </properties>
+
+    <dependencies>
+        <dependency>
+            <groupId>com.hashicorp</groupId>
+            <artifactId>cdktf</artifactId>
+            <version>[0.20.0,0.21.0)</version>
+        </dependency>
+        <dependency>
+            <groupId>com.hashicorp</groupId>
+            <artifactId>cdktf-provider-aws</artifactId>
+            <version>[19.0.0,20.0.0)</version>
+        </dependency>
+${awscc ? `        <dependency>
+            <groupId>com.hashicorp</groupId>
+            <artifactId>cdktf-provider-awscc</artifactId>
+            <version>[10.0.0,11.0.0)</version>
+        </dependency>
+` : ''}        <dependency>
+            <groupId>software.constructs</groupId>
+            <artifactId>constructs</artifactId>
+            <version>[10.1.0,11.0.0)</version>
+        </dependency>
+    </dependencies>
+
+    <build>
+        <plugins>
+            <plugin>
+                <groupId>org.codehaus.mojo</groupId>
+                <artifactId>exec-maven-plugin</artifactId>
+                <version>3.1.0</version>
+                <configuration>
+                    <mainClass>com.mycompany.app.Main</mainClass>
+                </configuration>
+            </plugin>
+        </plugins>
+    </build>
+</project>
+`;
+  }
+}
@@ -0,0 +1,460 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  TerraformConfig, TerraformDataSource, TerraformResource, TerraformStackConfig, TerraformValue, TerraformVariable, block,
+  literal, map, visitValue,
+} from '../mapper';
+import {
+  StackClass, cdktfConfig, configValues, escapeTerraform, importFromId, moduleBlock, providerClass, resourceBlock,
+  resourceComments, safeIdentifier, sharedProviderModules, stackClasses, stackIdentifier, usesAwscc, variableIdentifier,
+  variadicFunctions,
+} from './common';
+
+/**
+ * Generates CDKTF Python code
+ * Configuration structs are passed as keyword arguments, nested blocks as dicts with snake_case keys.
+ */
+export class PythonGenerator {
+  // Terraform functions that cdktf exposes under another name
+  private static readonly functions: Record<string, string> = {
+    length: 'length_of',
+  };
+
+  // jsii appends an underscore to methods named after Python keywords
+  private static readonly operators: Record<string, string> = {
+    '==': 'eq',
+    '>=': 'gte',
+    '<=': 'lte',
+    '&&': 'and_',
+    '||': 'or_',
+    '!': 'not_',
+  };
+
+  // Keywords, and names the generated __init__ already uses
+  private static readonly reservedWords = [
+    'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except',
+    'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass',
+    'raise', 'return', 'try', 'while', 'with', 'yield', 'self', 'scope', 'id',
+  ];
+
+  /**
+   * Generate Python CDKTF code
+   * @param stacks Stacks of the app, in dependency order
+   * @param outputDir Output directory
+   */
+  public static generate(stacks: TerraformStackConfig[], outputDir: string): void {
+    const awscc = stacks.some(stack => usesAwscc(stack.config));
+
+    // Generate main.py
+    const mainCode = this.generateMainFile(stacks);
+    fs.writeFileSync(path.join(outputDir, 'main.py'), mainCode);
+
+    // Generate cdktf.json
+    const cdktfJson = cdktfConfig('python', 'pipenv run python main.py', awscc);
+    fs.writeFileSync(path.join(outputDir, 'cdktf.json'), JSON.stringify(cdktfJson, null, 2));
+
+    // Generate Pipfile and requirements.txt, for pipenv and pip users
+    fs.writeFileSync(path.join(outputDir, 'Pipfile'), this.generatePipfile(awscc));
+    fs.writeFileSync(path.join(outputDir, 'requirements.txt'), this.generateRequirements(awscc));
+  }
+
+  /**
+   * Generate Python main file
+   * @param stacks Stacks of the app
+   */
+  private static generateMainFile(stacks: TerraformStackConfig[]): string {
+    const classes = stackClasses(stacks, 'MyStack');
+    const shared = sharedProviderModules(stacks.map(stack => stack.config));
+
+    // Stacks other stacks import from are kept, to pass on their exports
+    const instances = classes.map(stackClass => {
+      const args = ['app', `"${stackClass.name}"`, ...stackClass.imports
+        .map(name => `${this.stackVariable(name, 'Stack')}.exports`)];
+      const assignment = stackClass.exports.length > 0 ? `${this.stackVariable(stackClass.name, 'Stack')} = ` : '';
+      return `${assignment}${stackClass.className}(${args.join(', ')})`;
+    });
+
+    return `#!/usr/bin/env python
+${this.imports(stacks.map(stack => stack.config)).join('\n')}
+
+
+${classes.map(stackClass => this.generateStack(stackClass, shared)).join('\n\n\n')}
+
+
+app = App()
+${instances.join('\n')}
+app.synth()
+`;
+  }
+
+  /**
+   * Generate the class of a stack
+   * @param stackClass Stack class
+   * @param shared Submodules both providers are imported from
+   */
+  private static generateStack(stackClass: StackClass, shared: Set<string>): string {
+    const config = stackClass.config;
+    const variables = Object.entries(config.variables)
+      .map(([name, variable]) => this.generateVariable(name, variable));
+
+    const dataSources = config.dataSources.map(dataSource => this.generateDataSource(dataSource));
+
+    const mappings = Object.entries(config.mappings).map(([name, mapping]) =>
+      `        ${mapping.name} = TerraformLocal(self, "${name}", ${this.render(mapping.value, '        ')})`
+    );
+
+    const conditions = Object.values(config.conditions).map(condition =>
+      `        ${condition.name} = ${this.render(condition.expression, '        ')}`
+    );
+
+    const resources = config.resources
+      .map(resource => resourceComments(resource, '        # ') + this.generateResource(resource, shared));
+
+    // Descriptions are not expressions, so they are written as plain strings
+    const outputs = Object.entries(config.outputs).map(([name, output]) => this.construct(
+      '', 'TerraformOutput', name, [
+        `value=${this.render(output.value, '            ')}`,
+        ...(output.description !== undefined ? [`description=${this.pythonLiteral(output.description)}`] : []),
+      ]));
+
+    const provider = this.construct('', 'AwsProvider', 'aws', [
+      'region="us-west-2"',
+      ...(config.defaultTags ? [`default_tags=[{\n                "tags": ${
+        this.render(config.defaultTags, '                ')},\n            }]`] : []),
+    ]);
+    const awsccProvider = usesAwscc(config)
+      ? `\n\n        # Define AWS Cloud Control provider\n${this.construct('', 'AwsccProvider', 'awscc', ['region="us-west-2"'])}`
+      : '';
+
+    const parameters = ['self', 'scope: Construct', 'id: str', ...stackClass.imports
+      .map(name => `${this.stackVariable(name, 'Exports')}: dict`)];
+
+    // Outputs other stacks import are handed over as plain values; cdktf wires the cross-stack references
+    const exports = stackClass.exports.length > 0 ? `
+
+        # Define exports read by other stacks
+        self.exports = ${this.render(map(Object.fromEntries(stackClass.exports
+      .map(name => [name, config.outputs[name].value]))), '        ')}` : '';
+
+    return `class ${stackClass.className}(TerraformStack):
+    def __init__(${parameters.join(', ')}):
+        super().__init__(scope, id)
+
+${variables.length > 0 ? `        # Define variables
+${variables.join('\n\n')}
+
+` : ''}${dataSources.length > 0 ? `        # Define data sources
+${dataSources.join('\n\n')}
+
+` : ''}${mappings.length > 0 ? `        # Define mappings
+${mappings.join('\n\n')}
+
+` : ''}${conditions.length > 0 ? `        # Define conditions
+${conditions.join('\n')}
+
+` : ''}        # Define AWS provider
+${provider}${awsccProvider}
+
+        # Define resources
+${resources.join('\n\n')}
+
+        # Define outputs
+${outputs.join('\n\n')}${exports}`;
+  }
+
+  /**
+   * snake_case identifier derived from a stack (network_exports for the exports of the network stack)
+   * @param name Stack name
+   * @param suffix Identifier suffix
+   */
+  private static stackVariable(name: string, suffix: string): string {
+    return stackIdentifier(name, suffix).replace(/[A-Z]/g, char => `_${char.toLowerCase()}`);
+  }
+
+  /**
+   * Import statements for the cdktf classes, helpers and provider submodules the code uses
+   * @param configs Terraform configurations of the stacks
+   */
+  private static imports(configs: TerraformConfig[]): string[] {
+    const helpers = new Set<string>();
+    configs.flatMap(config => configValues(config)).forEach(value => visitValue(value, node => {
+      if (node.kind === 'call' || node.kind === 'conditional') {
+        helpers.add('Fn');
+      } else if (node.kind === 'operator') {
+        helpers.add('Op');
+      } else if (node.kind === 'template' && node.parts.some(part => typeof part !== 'string' && !this.isStringReference(part))) {
+        helpers.add('Token');
+      }
+    }));
+
+    const cdktfImports = ['App', 'TerraformStack', 'TerraformOutput']
+      .concat(configs.some(config => Object.keys(config.variables).length > 0) ? ['TerraformVariable'] : [])
+      .concat(configs.some(config => Object.keys(config.mappings).length > 0) ? ['TerraformLocal'] : [])
+      .concat(configs.some(config => config.resources.some(resource => resource.module !== undefined))
+        ? ['TerraformHclModule']
+        : [])
+      .concat(['Fn', 'Op', 'Token'].filter(helper => helpers.has(helper)));
+
+    // One import per provider submodule, in order of first use
+    const shared = sharedProviderModules(configs);
+    const providerImports = new Map<string, Set<string>>([['aws.provider', new Set(['AwsProvider'])]]);
+    if (configs.some(config => usesAwscc(config))) {
+      providerImports.set('awscc.provider', new Set(['AwsccProvider']));
+    }
+    configs.flatMap(config => [
+      ...config.dataSources.map(dataSource => ({ ...providerClass(dataSource.type, true), name: undefined })),
+      ...config.resources
+        .filter(resource => resource.module === undefined)
+        .map(resource => ({ ...providerClass(resource.type, false), name: this.className(resource.type, shared) })),
+    ]).forEach(({ provider, module, className, name }) => {
+      const key = `${provider}.${module}`;
+      const imported = name !== undefined && name !== className ? `${className} as ${name}` : className;
+      providerImports.set(key, (providerImports.get(key) || new Set<string>()).add(imported));
+    });
+
+    return [
+      'from constructs import Construct',
+      `from cdktf import ${cdktfImports.join(', ')}`,
+      ...[...providerImports.entries()].map(([key, classNames]) =>
+        `from cdktf_cdktf_provider_${key} import ${[...classNames].join(', ')}`),
+    ];
+  }
+
+  /**
+   * Generate Python variable
+   * Validations are added after the variable is declared, since their conditions reference it.
+   * @param name Variable name
+   * @param variable Terraform variable
+   */
+  private static generateVariable(name: string, variable: TerraformVariable): string {
+    const identifier = variableIdentifier(name);
+    // Defaults and descriptions are not expressions, so they are written as plain values
+    const declaration = this.construct(identifier, 'TerraformVariable', name, [
+      `type=${this.pythonLiteral(variable.type)}`,
+      ...(variable.default !== undefined ? [`default=${this.pythonLiteral(variable.default, '            ')}`] : []),
+      ...(variable.description !== undefined ? [`description=${this.pythonLiteral(variable.description)}`] : []),
+      ...(variable.sensitive ? ['sensitive=True'] : []),
+    ]);
+    const validations = (variable.validations || []).map(validation => `        ${identifier}.add_validation(
+            condition=${this.render(validation.condition, '            ')},
+            error_message=${this.render({ kind: 'literal', value: validation.errorMessage }, '            ')},
+        )`);
+
+    return [declaration, ...validations].join('\n');
+  }
+
+  /**
+   * Generate Python resource, or the module instance of a nested stack
+   * @param resource Terraform resource
+   * @param shared Submodules both providers are imported from
+   */
+  private static generateResource(resource: TerraformResource, shared: Set<string>): string {
+    if (resource.module !== undefined) {
+      return this.construct(this.identifier(resource.name), 'TerraformHclModule', resource.name,
+        this.keywordArguments(moduleBlock(resource).attributes));
+    }
+    const importId = importFromId(resource);
+    return this.construct(this.identifier(resource.name), this.className(resource.type, shared), resource.name, this.keywordArguments(resourceBlock(resource).attributes))
+      + (importId !== undefined
+        ? `\n        ${this.identifier(resource.name)}.import_from(${this.render(literal(importId), '        ')})`
+        : '');
+  }
+
+  /**
+   * Name a resource class is imported as; awscc classes named like an aws class in use get an Awscc prefix
+   * @param type Terraform resource type
+   * @param shared Submodules both providers are imported from
+   */
+  private static className(type: string, shared: Set<string>): string {
+    const { provider, module, className } = providerClass(type, false);
+    return provider === 'awscc' && shared.has(module) ? `Awscc${className}` : className;
+  }
+
+  /**
+   * Generate Python data source
+   * @param dataSource Terraform data source
+   */
+  private static generateDataSource(dataSource: TerraformDataSource): string {
+    const { className } = providerClass(dataSource.type, true);
+    return this.construct(dataSource.name, className, dataSource.name, this.keywordArguments(block(dataSource.properties).attributes));
+  }
+
+  /**
+   * Render a construct instantiation with one keyword argument per line
+   * @param identifier Variable the construct is assigned to (empty for none)
+   * @param className Construct class
+   * @param id Construct ID
+   * @param args Rendered keyword arguments
+   */
+  private static construct(identifier: string, className: string, id: string, args: string[]): string {
+    const assignment = identifier ? `${identifier} = ` : '';
+    if (args.length === 0) {
+      return `        ${assignment}${className}(self, "${id}")`;
+    }
+    return `        ${assignment}${className}(self, "${id}",
+${args.map(arg => `            ${arg},`).join('\n')}
+        )`;
+  }
+
+  /**
+   * Render block attributes as keyword arguments
+   * @param attributes Block attributes
+   */
+  private static keywordArguments(attributes: Record<string, TerraformValue>): string[] {
+    return Object.entries(attributes).map(([key, value]) => `${key}=${this.render(value, '            ')}`);
+  }
+
+  /**
+   * Identifier of the variable holding a resource
+   * @param name Terraform resource name
+   */
+  private static identifier(name: string): string {
+    return safeIdentifier(name, this.reservedWords);
+  }
+
+  /**
+   * Whether a value is a reference that cdktf already exposes as a string token
+   * @param value Terraform value
+   */
+  private static isStringReference(value: TerraformValue): boolean {
+    return value.kind === 'reference' && value.attribute !== undefined && !value.splat
+      && (value.target === 'resource' || value.target === 'data');
+  }
+
+  /**
+   * Render a value as a Python expression
+   * Literal strings are escaped for Terraform, so they are never evaluated as templates.
+   * @param value Terraform value
+   * @param indent Indentation of the line the value starts on
+   */
+  private static render(value: TerraformValue, indent: string): string {
+    const inner = `${indent}    `;
+    const dict = (entries: Array<[string, TerraformValue]>) => entries.length === 0
+      ? '{}'
+      : `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${this.render(item, inner)},`).join('\n')}\n${indent}}`;
+
+    switch (value.kind) {
+      case 'literal':
+        return typeof value.value === 'string'
+          ? this.pythonLiteral(escapeTerraform(value.value))
+          : this.pythonLiteral(value.value);
+      case 'list': {
+        const simple = value.items.every(item => item.kind === 'literal' || item.kind === 'reference');
+        if (value.items.length === 0 || simple) {
+          return `[${value.items.map(item => this.render(item, indent)).join(', ')}]`;
+        }
+        return `[\n${value.items.map(item => `${inner}${this.render(item, inner)},`).join('\n')}\n${indent}]`;
+      }
+      case 'map':
+        return dict(Object.entries(value.entries));
+      case 'block':
+        // Struct keys are the snake_case property names, the same as the Terraform attribute names
+        return dict(Object.entries(value.attributes));
+      case 'reference':
+        switch (value.target) {
+          case 'variable':
+            return `${variableIdentifier(value.name)}.value`;
+          case 'local':
+            return `${value.name}.expression`;
+          case 'condition':
+            return value.name;
+          case 'stack':
+            return `${this.stackVariable(value.name, 'Exports')}[${JSON.stringify(value.attribute)}]`;
+          default: {
+            const identifier = value.target === 'data' ? value.name : this.identifier(value.name);
+            if (value.attribute === undefined) {
+              return identifier;
+            } else if (value.target === 'module') {
+              // Module outputs are not typed properties; outputs of counted modules are read over all instances
+              return value.splat
+                ? `${identifier}.interpolation_for_output("*.${value.attribute}")`
+                : `${identifier}.get("${value.attribute}")`;
+            }
+            // Attributes of counted resources are read over all instances
+            return value.splat
+              ? `${identifier}.interpolation_for_attribute("*.${value.attribute}")`
+              : `${identifier}.${value.attribute}`;
+          }
+        }
+      case 'call': {
+        const args = value.args.map(arg => this.render(arg, indent));
+        const name = this.functions[value.name] || value.name;
+        // cdktf takes the arguments of variadic functions as a single list
+        return variadicFunctions.includes(value.name)
+          ? `Fn.${name}([${args.join(', ')}])`
+          : `Fn.${name}(${args.join(', ')})`;
+      }
+      case 'operator': {
+        const operands = value.operands.map(operand => this.render(operand, indent));
+        return `Op.${this.operators[value.operator]}(${operands.join(', ')})`;
+      }
+      case 'conditional':
+        return `Fn.conditional(${[value.condition, value.whenTrue, value.whenFalse]
+          .map(item => this.render(item, indent)).join(', ')})`;
+      case 'template':
+        // Concatenated rather than an f-string, so nested string literals need no extra quoting
+        return value.parts.map(part => {
+          if (typeof part === 'string') {
+            return this.pythonLiteral(escapeTerraform(part));
+          } else if (part.kind === 'reference' && part.target === 'variable') {
+            return `${variableIdentifier(part.name)}.string_value`;
+          }
+          return this.isStringReference(part)
+            ? this.render(part, indent)
+            : `Token.as_string(${this.render(part, indent)})`;
+        }).join(' + ');
+    }
+  }
+
+  /**
+   * Render a JSON value as a Python literal
+   * @param value JSON value
+   * @param indent Indentation of the line the value starts on
+   */
+  private static pythonLiteral(value: any, indent = ''): string {
+    if (value === null || value === undefined) {
+      return 'None';
+    } else if (typeof value === 'boolean') {
+      return value ? 'True' : 'False';
+    } else if (Array.isArray(value)) {
+      return `[${value.map(item => this.pythonLiteral(item, indent)).join(', ')}]`;
+    } else if (typeof value === 'object') {
+      const inner = `${indent}    `;
+      const entries = Object.entries(value)
+        .map(([key, item]) => `${inner}${JSON.stringify(key)}: ${this.pythonLiteral(item, inner)},`);
+      return entries.length === 0 ? '{}' : `{\n${entries.join('\n')}\n${indent}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Generate Pipfile
+   * @param awscc Whether the code uses the awscc provider as well
+   */
+  private static generatePipfile(awscc: boolean): string {
+    return `[[source]]
+url = "https://pypi.org/simple"
+verify_ssl = true
+name = "pypi"
+
+[packages]
+cdktf = "~=0.20.0"
+cdktf-cdktf-provider-aws = "~=19.0"
+${awscc ? 'cdktf-cdktf-provider-awscc = "~=10.0"\n' : ''}constructs = "~=10.1"
+
+[requires]
+python_version = "3"
+`;
+  }
+
+  /**
+   * Generate requirements.txt
+   * @param awscc Whether the code uses the awscc provider as well
+   */
+  private static generateRequirements(awscc: boolean): string {
+    return `cdktf~=0.20.0
+cdktf-cdktf-provider-aws~=19.0
+${awscc ? 'cdktf-cdktf-provider-awscc~=10.0\n' : ''}constructs~=10.1
+`;
+  }
+}
@@ -0,0 +1,128 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { pathToFileURL } from 'url';
+import { Diagnostic, countDiagnostics, diagnosticRules, diagnosticSeverities } from '../mapper';
+
+/**
+ * Format of the conversion report
+ */
+export type ReportFormat = 'json' | 'markdown' | 'sarif';
+
+/**
+ * Writes the diagnostics of a conversion as a report
+ */
+export class ReportGenerator {
+  /**
+   * Write a report file
+   * @param diagnostics Diagnostics of all converted stacks
+   * @param file Report file
+   * @param format Report format
+   */
+  public static generate(diagnostics: Diagnostic[], file: string, format: ReportFormat): void {
+    const directory = path.dirname(file);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    switch (format) {
+      case 'json':
+        fs.writeFileSync(file, `${JSON.stringify({ summary: countDiagnostics(diagnostics), diagnostics }, null, 2)}\n`);
+        break;
+      case 'markdown':
+        fs.writeFileSync(file, this.markdown(diagnostics));
+        break;
+      case 'sarif':
+        fs.writeFileSync(file, `${JSON.stringify(this.sarif(diagnostics), null, 2)}\n`);
+        break;
+      default:
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+  }
+
+  /**
+   * One-line count of diagnostics by severity (2 errors, 1 warning, 0 infos)
+   * @param diagnostics Diagnostics
+   */
+  public static summary(diagnostics: Diagnostic[]): string {
+    const counts = countDiagnostics(diagnostics);
+    return diagnosticSeverities
+      .map(severity => `${counts[severity]} ${severity}${counts[severity] === 1 ? '' : 's'}`)
+      .join(', ');
+  }
+
+  /**
+   * Markdown report: the summary and a table of diagnostics, most severe first
+   * @param diagnostics Diagnostics
+   */
+  private static markdown(diagnostics: Diagnostic[]): string {
+    const cell = (text: string | undefined) => (text || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const rows = this.sorted(diagnostics).map(item => `| ${[
+      item.severity, `\`${item.code}\``, cell(item.template), cell(item.logicalId), cell(item.path), cell(item.message),
+    ].join(' | ')} |`);
+
+    return [
+      '# Conversion Report',
+      '',
+      this.summary(diagnostics),
+      '',
+      ...(rows.length > 0 ? [
+        '| Severity | Code | Template | Logical ID | Path | Message |',
+        '| --- | --- | --- | --- | --- | --- |',
+        ...rows,
+        '',
+      ] : []),
+    ].join('\n');
+  }
+
+  /**
+   * SARIF 2.1.0 log, for code scanning tools
+   * Templates are parsed without positions, so results are located by file and logical location.
+   * @param diagnostics Diagnostics
+   */
+  private static sarif(diagnostics: Diagnostic[]): object {
+    const levels = { error: 'error', warning: 'warning', info: 'note' };
+    const rules = Object.entries(diagnosticRules).map(([id, rule]) => ({
+      id,
+      shortDescription: { text: rule.description },
+      defaultConfiguration: { level: levels[rule.severity] },
+    }));
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: { driver: { name: 'cf-to-cdktf', rules } },
+        results: diagnostics.map(item => ({
+          ruleId: item.code,
+          ruleIndex: rules.findIndex(rule => rule.id === item.code),
+          level: levels[item.severity],
+          message: { text: item.message },
+          locations: [{
+            ...(item.template !== undefined
+              ? { physicalLocation: { artifactLocation: { uri: this.uri(item.template) } } }
+              : {}),
+            ...(item.logicalId !== undefined
+              ? { logicalLocations: [{ fullyQualifiedName: [item.logicalId, item.path].filter(Boolean).join('.') }] }
+              : {}),
+          }],
+        })),
+      }],
+    };
+  }
+
+  /**
+   * URI of a template file; relative paths stay relative to the directory the tool ran in
+   * @param file Template file
+   */
+  private static uri(file: string): string {
+    return path.isAbsolute(file) ? pathToFileURL(file).href : file.split(path.sep).join('/');
+  }
+
+  /**
+   * Diagnostics ordered by severity, keeping their order otherwise
+   * @param diagnostics Diagnostics
+   */
+  private static sorted(diagnostics: Diagnostic[]): Diagnostic[] {
+    return diagnosticSeverities.flatMap(severity => diagnostics.filter(item => item.severity === severity));
+  }
+}
@@ -0,0 +1,192 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { TerraformConfig, TerraformValue } from '../mapper';
+import { escapeTerraform, resourceAddress, resourceBlock, usesAwscc } from './common';
+import { HclGenerator } from './hcl';
+
+/**
+ * Generates Terraform JSON configuration (main.tf.json)
+ */
+export class TerraformJsonGenerator {
+  /**
+   * Generate Terraform JSON configuration
+   * @param config Terraform configuration
+   * @param outputDir Output directory
+   * @param module Whether the configuration is a module, which takes its provider from the caller
+   */
+  public static generate(config: TerraformConfig, outputDir: string, module = false): void {
+    const mainJson = this.generateMainFile(config, module);
+    fs.writeFileSync(path.join(outputDir, 'main.tf.json'), `${JSON.stringify(mainJson, null, 2)}\n`);
+
+    // Modules of nested stacks go under modules/, each with its own nested modules inside
+    Object.entries(config.modules).forEach(([name, child]) => {
+      const moduleDir = path.join(outputDir, 'modules', name);
+      fs.mkdirSync(moduleDir, { recursive: true });
+      this.generate(child, moduleDir, true);
+    });
+  }
+
+  /**
+   * Generate the configuration object
+   * @param config Terraform configuration
+   * @param module Whether the configuration is a module
+   */
+  private static generateMainFile(config: TerraformConfig, module: boolean): any {
+    const awscc = usesAwscc(config);
+    const main: any = {
+      terraform: {
+        required_providers: {
+          aws: {
+            source: 'hashicorp/aws',
+            version: '~> 5.0',
+          },
+          ...(awscc ? { awscc: { source: 'hashicorp/awscc', version: '~> 1.0' } } : {}),
+        },
+      },
+    };
+    if (!module) {
+      main.provider = {
+        aws: [{
+          region: 'us-west-2',
+          ...(config.defaultTags ? { default_tags: [{ tags: this.value(config.defaultTags) }] } : {}),
+        }],
+        ...(awscc ? { awscc: [{ region: 'us-west-2' }] } : {}),
+      };
+    }
+
+    if (Object.keys(config.variables).length > 0) {
+      main.variable = {};
+      Object.entries(config.variables).forEach(([name, variable]) => {
+        // Defaults are taken literally in JSON syntax, so they are not escaped
+        main.variable[name] = {
+          type: variable.type,
+          ...(variable.default !== undefined ? { default: variable.default } : {}),
+          ...(variable.description !== undefined ? { description: escapeTerraform(variable.description) } : {}),
+          ...(variable.sensitive ? { sensitive: true } : {}),
+          ...(variable.validations ? {
+            validation: variable.validations.map(validation => ({
+              condition: this.value(validation.condition),
+              error_message: escapeTerraform(validation.errorMessage),
+            })),
+          } : {}),
+        };
+      });
+    }
+
+    const locals = [
+      ...Object.values(config.mappings).map(mapping => [mapping.name, mapping.value] as [string, TerraformValue]),
+      ...Object.values(config.conditions)
+        .map(condition => [condition.name, condition.expression] as [string, TerraformValue]),
+    ];
+    if (locals.length > 0) {
+      main.locals = {};
+      locals.forEach(([name, value]) => {
+        main.locals[name] = this.value(value);
+      });
+    }
+
+    if (config.dataSources.length > 0) {
+      main.data = {};
+      config.dataSources.forEach(dataSource => {
+        main.data[dataSource.type] = main.data[dataSource.type] || {};
+        main.data[dataSource.type][dataSource.name] = this.attributes(dataSource.properties);
+      });
+    }
+
+    if (config.resources.length > 0) {
+      main.resource = {};
+      config.resources.forEach(resource => {
+        // JSON syntax ignores "//" properties, which makes them its comments
+        const body = {
+          ...(resource.comments ? { '//': resource.comments.join('\n') } : {}),
+          // awscc takes nested objects as attributes, so conditional ones stay expressions
+          ...this.attributes(resourceBlock(resource).attributes, !resource.type.startsWith('awscc_')),
+        };
+        // depends_on takes bare addresses, not interpolations
+        if (resource.dependsOn) {
+          body.depends_on = resource.dependsOn.map(dependency => HclGenerator.reference(dependency));
+        }
+        if (resource.module !== undefined) {
+          main.module = main.module || {};
+          main.module[resource.name] = { source: `./modules/${resource.module}`, ...body };
+        } else {
+          main.resource[resource.type] = main.resource[resource.type] || {};
+          main.resource[resource.type][resource.name] = body;
+        }
+      });
+      if (Object.keys(main.resource).length === 0) {
+        delete main.resource;
+      }
+    }
+
+    const imports = config.resources.filter(resource => resource.importId !== undefined);
+    if (imports.length > 0 && !module) {
+      main.import = imports.map(resource => ({ to: resourceAddress(resource), id: escapeTerraform(resource.importId!) }));
+    }
+
+    if (Object.keys(config.outputs).length > 0) {
+      main.output = {};
+      Object.entries(config.outputs).forEach(([name, output]) => {
+        main.output[name] = {
+          value: this.value(output.value),
+          ...(output.description !== undefined ? { description: escapeTerraform(output.description) } : {}),
+        };
+      });
+    }
+
+    return main;
+  }
+
+  /**
+   * Convert the attributes of a block
+   * @param attributes Attributes, keyed by Terraform attribute name
+   * @param blocks Whether nested values are blocks, which are written as dynamic blocks when conditional
+   */
+  private static attributes(attributes: Record<string, TerraformValue>, blocks = true): any {
+    const result: any = {};
+    Object.entries(attributes).forEach(([key, item]) => {
+      const dynamic = blocks ? HclGenerator.dynamicBlocks(item) : undefined;
+      if (dynamic) {
+        result.dynamic = result.dynamic || {};
+        result.dynamic[key] = dynamic.map(({ forEach, content }) => ({
+          for_each: this.value(forEach),
+          content: this.value(content),
+        }));
+      } else {
+        result[key] = this.value(item, blocks);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Convert a value to JSON
+   * Strings are templates in JSON syntax, so literal text is escaped and expressions are interpolated.
+   * Blocks become objects (lists of blocks arrays of objects), which is how JSON syntax writes them.
+   * @param value Terraform value
+   * @param blocks Whether blocks are written with dynamic blocks for conditional ones
+   */
+  private static value(value: TerraformValue, blocks = true): any {
+    switch (value.kind) {
+      case 'literal':
+        return typeof value.value === 'string' ? escapeTerraform(value.value) : value.value;
+      case 'list':
+        return value.items.map(item => this.value(item, blocks));
+      case 'map': {
+        const result: any = {};
+        Object.entries(value.entries).forEach(([key, item]) => {
+          result[escapeTerraform(key)] = this.value(item);
+        });
+        return result;
+      }
+      case 'block':
+        return this.attributes(value.attributes, blocks);
+      case 'template':
+        return value.parts
+          .map(part => typeof part === 'string' ? escapeTerraform(part) : `\${${HclGenerator.expression(part)}}`)
+          .join('');
+      default:
+        return `\${${HclGenerator.expression(value)}}`;
+    }
+  }
+}
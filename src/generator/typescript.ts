@@ -0,0 +1,385 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  TerraformConfig, TerraformDataSource, TerraformResource, TerraformStackConfig, TerraformValue, TerraformVariable, block,
+  literal, map, visitValue,
+} from '../mapper';
+import {
+  StackClass, camelCase, cdktfConfig, configValues, escapeTerraform, importFromId, moduleBlock, providerClass,
+  resourceBlock, resourceComments, safeIdentifier, stackClasses, stackIdentifier, usesAwscc, variableIdentifier,
+  variadicFunctions,
+} from './common';
+
+/**
+ * Generates CDKTF TypeScript code
+ */
+export class TypeScriptGenerator {
+  // Terraform functions that cdktf exposes under another name
+  private static readonly functions: Record<string, string> = {
+    length: 'lengthOf',
+  };
+
+  private static readonly operators: Record<string, string> = {
+    '==': 'eq',
+    '>=': 'gte',
+    '<=': 'lte',
+    '&&': 'and',
+    '||': 'or',
+    '!': 'not',
+  };
+
+  // Keywords, and names the generated constructor already uses
+  private static readonly reservedWords = [
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'enum',
+    'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new', 'null',
+    'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'as',
+    'implements', 'interface', 'let', 'package', 'private', 'protected', 'public', 'static', 'yield', 'await',
+    'aws', 'awscc', 'scope', 'id',
+  ];
+
+  /**
+   * Generate TypeScript CDKTF code
+   * @param stacks Stacks of the app, in dependency order
+   * @param outputDir Output directory
+   */
+  public static generate(stacks: TerraformStackConfig[], outputDir: string): void {
+    const awscc = stacks.some(stack => usesAwscc(stack.config));
+
+    // Generate main.ts
+    const mainCode = this.generateMainFile(stacks);
+    fs.writeFileSync(path.join(outputDir, 'main.ts'), mainCode);
+
+    // Generate cdktf.json
+    const cdktfJson = cdktfConfig('typescript', 'npm run --silent compile && node main.js', awscc);
+    fs.writeFileSync(path.join(outputDir, 'cdktf.json'), JSON.stringify(cdktfJson, null, 2));
+
+    // Generate package.json
+    const packageJson = this.generatePackageJson(awscc);
+    fs.writeFileSync(path.join(outputDir, 'package.json'), JSON.stringify(packageJson, null, 2));
+  }
+
+  /**
+   * Generate TypeScript main file
+   * @param stacks Stacks of the app
+   */
+  private static generateMainFile(stacks: TerraformStackConfig[]): string {
+    const classes = stackClasses(stacks, 'MyStack');
+    const configs = stacks.map(stack => stack.config);
+
+    const cdktfImports = ['App', 'TerraformStack', 'TerraformOutput']
+      .concat(configs.some(config => Object.keys(config.variables).length > 0) ? ['TerraformVariable'] : [])
+      .concat(configs.some(config => Object.keys(config.mappings).length > 0) ? ['TerraformLocal'] : [])
+      .concat(configs.some(config => config.resources.some(resource => resource.module !== undefined))
+        ? ['TerraformHclModule']
+        : [])
+      .concat(this.helpers(configs));
+    const imports = [
+      'import { Construct } from "constructs";',
+      `import { ${cdktfImports.join(', ')} } from "cdktf";`,
+      'import * as aws from "@cdktf/provider-aws";',
+      ...(configs.some(config => usesAwscc(config)) ? ['import * as awscc from "@cdktf/provider-awscc";'] : []),
+    ];
+
+    // Stacks other stacks import from are kept, to pass on their exports
+    const instances = classes.map(stackClass => {
+      const args = ['app', `"${stackClass.name}"`, ...stackClass.imports
+        .map(name => `${stackIdentifier(name, 'Stack')}.exports`)];
+      const assignment = stackClass.exports.length > 0 ? `const ${stackIdentifier(stackClass.name, 'Stack')} = ` : '';
+      return `${assignment}new ${stackClass.className}(${args.join(', ')});`;
+    });
+
+    return `${imports.join('\n')}
+
+${classes.map(stackClass => this.generateStack(stackClass)).join('\n\n')}
+
+const app = new App();
+${instances.join('\n')}
+app.synth();
+`;
+  }
+
+  /**
+   * Generate the class of a stack
+   * @param stackClass Stack class
+   */
+  private static generateStack(stackClass: StackClass): string {
+    const config = stackClass.config;
+    const variables = Object.entries(config.variables)
+      .map(([name, variable]) => this.generateVariable(name, variable));
+
+    const dataSources = config.dataSources.map(dataSource => this.generateDataSource(dataSource));
+
+    const mappings = Object.entries(config.mappings).map(([name, mapping]) =>
+      `    const ${mapping.name} = new TerraformLocal(this, "${name}", ${this.render(mapping.value, '    ')});`
+    );
+
+    const conditions = Object.values(config.conditions).map(condition =>
+      `    const ${condition.name} = ${this.render(condition.expression, '    ')};`
+    );
+
+    const resources = config.resources.map(resource => resourceComments(resource, '    // ') + this.generateResource(resource));
+
+    // Descriptions are not expressions, so they are written as plain JSON
+    const outputs = Object.entries(config.outputs).map(([name, output]) => `    new TerraformOutput(this, "${name}", {
+      value: ${this.render(output.value, '      ')},${output.description !== undefined ? `
+      description: ${JSON.stringify(output.description)},` : ''}
+    });`);
+
+    const parameters = ['scope: Construct', 'id: string', ...stackClass.imports
+      .map(name => `${stackIdentifier(name, 'Exports')}: Record<string, any>`)];
+
+    // Outputs other stacks import are handed over as plain values; cdktf wires the cross-stack references
+    const exports = stackClass.exports.length > 0 ? `
+
+    // Define exports read by other stacks
+    this.exports = ${this.render(map(Object.fromEntries(stackClass.exports
+      .map(name => [name, config.outputs[name].value]))), '    ')};` : '';
+
+    return `class ${stackClass.className} extends TerraformStack {${stackClass.exports.length > 0 ? `
+  public readonly exports: Record<string, any>;
+` : ''}
+  constructor(${parameters.join(', ')}) {
+    super(scope, id);
+
+${variables.length > 0 ? `    // Define variables
+${variables.join('\n\n')}
+
+` : ''}${dataSources.length > 0 ? `    // Define data sources
+${dataSources.join('\n\n')}
+
+` : ''}${mappings.length > 0 ? `    // Define mappings
+${mappings.join('\n\n')}
+
+` : ''}${conditions.length > 0 ? `    // Define conditions
+${conditions.join('\n')}
+
+` : ''}    // Define AWS provider
+    new aws.provider.AwsProvider(this, "aws", {
+      region: "us-west-2", // Change as needed${config.defaultTags ? `
+      defaultTags: [{
+        tags: ${this.render(config.defaultTags, '        ')},
+      }],` : ''}
+    });
+${usesAwscc(config) ? `
+    // Define AWS Cloud Control provider
+    new awscc.provider.AwsccProvider(this, "awscc", {
+      region: "us-west-2", // Change as needed
+    });
+` : ''}
+    // Define resources
+${resources.join('\n\n')}
+
+    // Define outputs
+${outputs.join('\n\n')}${exports}
+  }
+}`;
+  }
+
+  /**
+   * Generate TypeScript variable
+   * Validations are added after the variable is declared, since their conditions reference it.
+   * @param name Variable name
+   * @param variable Terraform variable
+   */
+  private static generateVariable(name: string, variable: TerraformVariable): string {
+    const identifier = variableIdentifier(name);
+    // Defaults and descriptions are not expressions, so they are written as plain JSON
+    const attributes = [
+      `      type: ${JSON.stringify(variable.type)},`,
+      ...(variable.default !== undefined
+        ? [`      default: ${JSON.stringify(variable.default, null, 2).replace(/\n/g, '\n      ')},`]
+        : []),
+      ...(variable.description !== undefined ? [`      description: ${JSON.stringify(variable.description)},`] : []),
+      ...(variable.sensitive ? ['      sensitive: true,'] : []),
+    ];
+    const validations = (variable.validations || []).map(validation =>
+      `    ${identifier}.addValidation(${this.render(block({
+        condition: validation.condition,
+        error_message: literal(validation.errorMessage),
+      }), '    ')});`);
+
+    return [
+      `    const ${identifier} = new TerraformVariable(this, "${name}", {\n${attributes.join('\n')}\n    });`,
+      ...validations,
+    ].join('\n');
+  }
+
+  /**
+   * Generate TypeScript resource, or the module instance of a nested stack
+   * @param resource Terraform resource
+   */
+  private static generateResource(resource: TerraformResource): string {
+    if (resource.module !== undefined) {
+      return `    const ${this.identifier(resource.name)} = new TerraformHclModule(this, "${resource.name}", ${
+        this.render(moduleBlock(resource), '    ')});`;
+    }
+    const importId = importFromId(resource);
+    return `    const ${this.identifier(resource.name)} = new ${this.className(resource.type, false)}(this, "${resource.name}", ${
+      this.render(resourceBlock(resource), '    ')});${importId !== undefined
+      ? `\n    ${this.identifier(resource.name)}.importFrom(${this.render(literal(importId), '    ')});`
+      : ''}`;
+  }
+
+  /**
+   * Generate TypeScript data source
+   * @param dataSource Terraform data source
+   */
+  private static generateDataSource(dataSource: TerraformDataSource): string {
+    return `    const ${dataSource.name} = new ${this.className(dataSource.type, true)}(this, "${dataSource.name}", ${
+      this.render(block(dataSource.properties), '    ')});`;
+  }
+
+  /**
+   * Provider class of a resource or data source type (aws_s3_bucket becomes aws.s3Bucket.S3Bucket)
+   * @param type Terraform resource or data source type
+   * @param dataSource Whether the type is a data source
+   */
+  private static className(type: string, dataSource: boolean): string {
+    const { provider, module, className } = providerClass(type, dataSource);
+    return `${provider}.${camelCase(module)}.${className}`;
+  }
+
+  /**
+   * Identifier of the constant holding a resource
+   * @param name Terraform resource name
+   */
+  private static identifier(name: string): string {
+    return safeIdentifier(name, this.reservedWords);
+  }
+
+  /**
+   * cdktf helpers (Fn, Op, propertyAccess) used by the expressions of the configurations
+   * @param configs Terraform configurations of the stacks
+   */
+  private static helpers(configs: TerraformConfig[]): string[] {
+    const helpers = new Set<string>();
+
+    configs.flatMap(config => configValues(config)).forEach(value => visitValue(value, node => {
+      if (node.kind === 'call' || node.kind === 'conditional') {
+        helpers.add('Fn');
+      } else if (node.kind === 'operator') {
+        helpers.add('Op');
+      } else if (node.kind === 'reference' && node.splat) {
+        helpers.add('propertyAccess');
+      }
+    }));
+
+    return ['Fn', 'Op', 'propertyAccess'].filter(helper => helpers.has(helper));
+  }
+
+  /**
+   * Render a value as a TypeScript expression
+   * Literal strings are escaped for Terraform, so they are never evaluated as templates.
+   * @param value Terraform value
+   * @param indent Indentation of the line the value starts on
+   */
+  private static render(value: TerraformValue, indent: string): string {
+    const inner = `${indent}  `;
+    const object = (entries: Array<[string, TerraformValue]>) => entries.length === 0
+      ? '{}'
+      : `{\n${entries.map(([key, item]) => `${inner}${key}: ${this.render(item, inner)},`).join('\n')}\n${indent}}`;
+
+    switch (value.kind) {
+      case 'literal':
+        return typeof value.value === 'string'
+          ? JSON.stringify(escapeTerraform(value.value))
+          : String(value.value);
+      case 'list': {
+        const simple = value.items.every(item => item.kind === 'literal' || item.kind === 'reference');
+        if (value.items.length === 0 || simple) {
+          return `[${value.items.map(item => this.render(item, indent)).join(', ')}]`;
+        }
+        return `[\n${value.items.map(item => `${inner}${this.render(item, inner)},`).join('\n')}\n${indent}]`;
+      }
+      case 'map':
+        return object(Object.entries(value.entries)
+          .map(([key, item]) => [/^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key), item]));
+      case 'block':
+        return object(Object.entries(value.attributes).map(([key, item]) => [camelCase(key), item]));
+      case 'reference':
+        switch (value.target) {
+          case 'variable':
+            return `${variableIdentifier(value.name)}.value`;
+          case 'local':
+            return `${value.name}.expression`;
+          case 'condition':
+            return value.name;
+          case 'stack':
+            return `${stackIdentifier(value.name, 'Exports')}[${JSON.stringify(value.attribute)}]`;
+          default: {
+            const identifier = value.target === 'data' ? value.name : this.identifier(value.name);
+            if (value.attribute === undefined) {
+              return identifier;
+            } else if (value.splat) {
+              return `propertyAccess(${identifier}, ["*", "${value.attribute}"])`;
+            }
+            // Module outputs are not typed properties
+            return value.target === 'module'
+              ? `${identifier}.get("${value.attribute}")`
+              : `${identifier}.${camelCase(value.attribute)}`;
+          }
+        }
+      case 'call': {
+        const args = value.args.map(arg => this.render(arg, indent));
+        const name = this.functions[value.name] || value.name;
+        // cdktf takes the arguments of variadic functions as a single list
+        return variadicFunctions.includes(value.name)
+          ? `Fn.${name}([${args.join(', ')}])`
+          : `Fn.${name}(${args.join(', ')})`;
+      }
+      case 'operator': {
+        const operands = value.operands.map(operand => this.render(operand, indent));
+        return `Op.${this.operators[value.operator]}(${operands.join(', ')})`;
+      }
+      case 'conditional':
+        return `Fn.conditional(${[value.condition, value.whenTrue, value.whenFalse]
+          .map(item => this.render(item, indent)).join(', ')})`;
+      case 'template':
+        return `\`${value.parts.map(part => typeof part === 'string'
+          ? escapeTerraform(part).replace(/[\\`]/g, '\\$&').replace(/\$\{/g, '$\\{')
+          : `\${${this.render(part, indent)}}`).join('')}\``;
+    }
+  }
+
+  /**
+   * Generate package.json
+   * @param awscc Whether the code uses the awscc provider as well
+   */
+  private static generatePackageJson(awscc: boolean): any {
+    return {
+      "name": "converted-cdktf-project",
+      "version": "1.0.0",
+      "main": "main.js",
+      "types": "main.ts",
+      "license": "MPL-2.0",
+      "private": true,
+      "scripts": {
+        "get": "cdktf get",
+        "build": "tsc",
+        "synth": "cdktf synth",
+        "compile": "tsc --pretty",
+        "watch": "tsc -w",
+        "test": "jest",
+        "upgrade": "npm i cdktf@latest cdktf-cli@latest",
+        "upgrade:next": "npm i cdktf@next cdktf-cli@next"
+      },
+      "engines": {
+        "node": ">=14.0"
+      },
+      "dependencies": {
+        "@cdktf/provider-aws": "^19.0.0",
+        ...(awscc ? { "@cdktf/provider-awscc": "^10.0.0" } : {}),
+        "cdktf": "^0.20.0",
+        "constructs": "^10.1.0"
+      },
+      "devDependencies": {
+        "@types/jest": "^29.4.0",
+        "@types/node": "^18.14.6",
+        "jest": "^29.5.0",
+        "ts-jest": "^29.0.5",
+        "ts-node": "^10.9.1",
+        "typescript": "^4.9.5"
+      }
+    };
+  }
+}
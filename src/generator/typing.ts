@@ -0,0 +1,155 @@
+import { TerraformValue, TerraformVariable } from '../mapper';
+
+/**
+ * Static type of a rendered expression, as far as the generator can tell
+ * - typed: a provider getter or cdktf token whose type already fits where it is used
+ * - any: an Object / object / interface{} (Fn results, locals, module outputs, stack exports, splat references),
+ *   which typed setters do not accept
+ */
+export type StaticType = 'string' | 'number' | 'boolean' | 'list' | 'map' | 'struct' | 'typed' | 'any';
+
+/**
+ * Type a position expects
+ * - attribute: a provider property whose type is unknown; untyped values are converted with Token
+ * - any: an untyped parameter
+ */
+export type Expected = 'string' | 'number' | 'list' | 'attribute' | 'any';
+
+/**
+ * Token conversion an untyped value needs (Token.asString, Token.asNumber, ...)
+ */
+export type Conversion = 'string' | 'number' | 'boolean' | 'list' | 'map';
+
+/**
+ * Types of the Fn parameters that are not untyped
+ */
+export const functionParameters: Record<string, Expected[]> = {
+  lookup: ['any', 'string', 'any'],
+  join: ['string', 'list'],
+  element: ['any', 'number'],
+  split: ['string', 'string'],
+  base64encode: ['string'],
+  regex: ['string', 'string'],
+  setsubtract: ['list', 'list'],
+};
+
+/**
+ * Types of the Fn results that are not untyped
+ */
+const functionResults: Record<string, StaticType> = {
+  join: 'string',
+  base64encode: 'string',
+  jsonencode: 'string',
+  split: 'list',
+  setsubtract: 'list',
+  length: 'number',
+};
+
+/**
+ * What the untyped results of Fn calls hold
+ */
+const untypedResults: Record<string, StaticType> = {
+  merge: 'map',
+  concat: 'list',
+  coalescelist: 'list',
+};
+
+/**
+ * Typed accessor of a variable (stringValue, numberValue, ...) and the type it returns
+ * @param variable Terraform variable
+ */
+export function variableAccessor(variable: TerraformVariable | undefined): { accessor: string; type: StaticType } {
+  const type = variable?.type || '';
+  if (type === 'string') {
+    return { accessor: 'stringValue', type: 'string' };
+  } else if (type === 'number') {
+    return { accessor: 'numberValue', type: 'number' };
+  } else if (type === 'bool') {
+    return { accessor: 'booleanValue', type: 'typed' };
+  } else if (type.startsWith('list(')) {
+    return { accessor: 'listValue', type: 'list' };
+  }
+  return { accessor: 'value', type: 'any' };
+}
+
+/**
+ * Static type of the expression a value renders to
+ * @param value Terraform value
+ * @param variables Variables of the configuration
+ */
+export function valueType(value: TerraformValue, variables: Record<string, TerraformVariable>): StaticType {
+  switch (value.kind) {
+    case 'literal':
+      if (value.value === null) {
+        return 'typed';
+      }
+      return typeof value.value as 'string' | 'number' | 'boolean';
+    case 'list':
+      return 'list';
+    case 'map':
+      return 'map';
+    case 'block':
+      return 'struct';
+    case 'reference':
+      if (value.target === 'variable') {
+        return variableAccessor(variables[value.name]).type;
+      }
+      return value.target === 'local' || value.target === 'condition' || value.target === 'stack' || value.splat
+        || (value.target === 'module' && value.attribute !== undefined)
+        ? 'any'
+        : 'typed';
+    case 'call':
+      return functionResults[value.name] || 'any';
+    case 'operator':
+      return 'typed';
+    case 'conditional':
+      return 'any';
+    case 'template':
+      return 'string';
+  }
+}
+
+/**
+ * Type an untyped value is most likely meant to have, judging by the branches of conditionals
+ * @param value Terraform value
+ * @param variables Variables of the configuration
+ */
+function intendedType(value: TerraformValue, variables: Record<string, TerraformVariable>): StaticType {
+  if (value.kind === 'conditional') {
+    const branch = [value.whenTrue, value.whenFalse]
+      .find(item => !(item.kind === 'literal' && item.value === null));
+    return branch ? intendedType(branch, variables) : 'string';
+  } else if (value.kind === 'call' && untypedResults[value.name]) {
+    return untypedResults[value.name];
+  }
+  return valueType(value, variables);
+}
+
+/**
+ * Token conversion a value needs in a position, if any
+ * @param value Terraform value
+ * @param expected Type the position expects
+ * @param variables Variables of the configuration
+ */
+export function conversion(
+  value: TerraformValue,
+  expected: Expected,
+  variables: Record<string, TerraformVariable>
+): Conversion | undefined {
+  const type = valueType(value, variables);
+  if (expected === 'any' || type === 'typed' || type === 'struct' || type === 'map') {
+    return undefined;
+  } else if (expected === 'attribute') {
+    if (type !== 'any') {
+      return undefined;
+    }
+    const intended = intendedType(value, variables);
+    if (intended === 'typed') {
+      return 'boolean';
+    }
+    return intended === 'number' || intended === 'boolean' || intended === 'list' || intended === 'map'
+      ? intended
+      : 'string';
+  }
+  return type === expected ? undefined : expected;
+}
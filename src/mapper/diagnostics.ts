@@ -0,0 +1,169 @@
+/**
+ * Diagnostics collected while converting a template
+ * Every lossy decision (a resource, property or value that is dropped, guessed or replaced by null)
+ * is recorded with a stable code, so reports can be filtered and CI can fail on them.
+ */
+export type DiagnosticSeverity = 'error' | 'warning' | 'info';
+
+export interface Diagnostic {
+  /**
+   * Stable identifier of the kind of problem (a key of diagnosticRules)
+   */
+  code: DiagnosticCode;
+  severity: DiagnosticSeverity;
+  message: string;
+  /**
+   * Logical ID of the resource, or the parameter, output or condition name
+   */
+  logicalId?: string;
+  /**
+   * Property or resource attribute path below the logical ID (Code.ZipFile, Tags[2], DeletionPolicy, ...)
+   */
+  path?: string;
+  /**
+   * Template file the diagnostic belongs to
+   */
+  template?: string;
+}
+
+/**
+ * Severity and meaning of each diagnostic code
+ * Errors leave a gap in the converted infrastructure (a missing resource or a null value); warnings
+ * drop or guess settings; infos ask for something to be done outside the converted code.
+ */
+export const diagnosticRules = {
+  'unsupported-resource-type': {
+    severity: 'error',
+    description: 'The resource type has no mapping, so the resource is not converted',
+  },
+  'unsupported-reference': {
+    severity: 'error',
+    description: 'Ref or Fn::GetAtt points at a resource that is not converted; the value is null',
+  },
+  'attribute-without-equivalent': {
+    severity: 'error',
+    description: 'The referenced attribute has no Terraform equivalent; the value is null',
+  },
+  'unsupported-intrinsic': {
+    severity: 'error',
+    description: 'The intrinsic function has no Terraform equivalent; the value is null',
+  },
+  'unresolved-import': {
+    severity: 'error',
+    description: 'Fn::ImportValue does not match the export of another converted template; the value is null',
+  },
+  'missing-module-input': {
+    severity: 'error',
+    description: 'The nested stack does not pass a parameter that its module requires',
+  },
+  'conflicting-property': {
+    severity: 'error',
+    description: 'The property maps to a Terraform attribute that another property already set, so it is left out',
+  },
+  'unmapped-property': {
+    severity: 'warning',
+    description: 'The property has no mapping or an unexpected shape, so it is left out',
+  },
+  'dropped-property': {
+    severity: 'warning',
+    description: 'The property has no Terraform equivalent and is left out',
+  },
+  'ignored-argument': {
+    severity: 'warning',
+    description: 'An argument of the intrinsic function has no Terraform equivalent and is ignored',
+  },
+  'guessed-attribute': {
+    severity: 'warning',
+    description: 'The Fn::GetAtt attribute is not in the attribute table; the Terraform attribute name is guessed',
+  },
+  'dropped-resource-attribute': {
+    severity: 'warning',
+    description: 'A resource attribute (DeletionPolicy, Metadata, CreationPolicy, UpdatePolicy) is not converted',
+  },
+  'dropped-dependency': {
+    severity: 'warning',
+    description: 'The DependsOn target is not converted, so the dependency is left out',
+  },
+  'dropped-parameter-constraint': {
+    severity: 'warning',
+    description: 'The parameter constraint has no validation equivalent and is left out',
+  },
+  'unresolved-export': {
+    severity: 'warning',
+    description: 'The export name depends on resources, so other templates cannot import it',
+  },
+  'import-block-skipped': {
+    severity: 'warning',
+    description: 'The import cannot be written as an import block in the chosen output',
+  },
+  'not-imported': {
+    severity: 'warning',
+    description: 'The deployed resource is not imported into the Terraform state',
+  },
+  'unknown-stack-resource': {
+    severity: 'warning',
+    description: 'The deployed stack has a resource that the template does not declare',
+  },
+  'deletion-policy-required': {
+    severity: 'info',
+    description: 'The stack has to retain imported resources before it is deleted',
+  },
+  'awscc-resource': {
+    severity: 'info',
+    description: 'The resource is converted with the awscc provider, with attributes derived from the template values',
+  },
+  'template-skipped': {
+    severity: 'info',
+    description: 'The template is converted as the module of a nested stack instead of a stack of its own',
+  },
+} as const;
+
+export type DiagnosticCode = keyof typeof diagnosticRules;
+
+/**
+ * Severities from the most to the least severe
+ */
+export const diagnosticSeverities: DiagnosticSeverity[] = ['error', 'warning', 'info'];
+
+/**
+ * Create a diagnostic with the severity of its code
+ * The location is a logical ID followed by a property path (Bucket.Tags[0]).
+ * @param code Diagnostic code
+ * @param message Message
+ * @param location Logical ID and property path
+ * @param template Template file
+ */
+export function diagnostic(code: DiagnosticCode, message: string, location?: string, template?: string): Diagnostic {
+  const result: Diagnostic = { code, severity: diagnosticRules[code].severity, message };
+  const match = location?.match(/^([^.[]+)[.]?(.*)$/);
+  if (match) {
+    result.logicalId = match[1];
+    if (match[2]) {
+      result.path = match[2];
+    }
+  }
+  if (template !== undefined) {
+    result.template = template;
+  }
+  return result;
+}
+
+/**
+ * Count diagnostics by severity
+ * @param diagnostics Diagnostics
+ */
+export function countDiagnostics(diagnostics: Diagnostic[]): Record<DiagnosticSeverity, number> {
+  const counts: Record<DiagnosticSeverity, number> = { error: 0, warning: 0, info: 0 };
+  diagnostics.forEach(item => counts[item.severity]++);
+  return counts;
+}
+
+/**
+ * Diagnostics that fail a conversion with a failure threshold (--fail-on)
+ * @param diagnostics Diagnostics
+ * @param failOn Least severe severity that fails the conversion
+ */
+export function failingDiagnostics(diagnostics: Diagnostic[], failOn: DiagnosticSeverity): Diagnostic[] {
+  const severities = diagnosticSeverities.slice(0, diagnosticSeverities.indexOf(failOn) + 1);
+  return diagnostics.filter(item => severities.includes(item.severity));
+}
@@ -0,0 +1,237 @@
+/**
+ * Typed value tree produced by the mapper
+ * Generators render these nodes, so a literal string is never mistaken for code.
+ */
+export type TerraformValue =
+  | LiteralValue
+  | ListValue
+  | MapValue
+  | BlockValue
+  | ReferenceValue
+  | FunctionCallValue
+  | OperatorValue
+  | ConditionalValue
+  | TemplateValue;
+
+/**
+ * A string, number, boolean or null, written exactly as given
+ */
+export interface LiteralValue {
+  kind: 'literal';
+  value: string | number | boolean | null;
+}
+
+export interface ListValue {
+  kind: 'list';
+  items: TerraformValue[];
+}
+
+/**
+ * Free-form map (tags, environment variables, JSON documents); keys are kept as written
+ */
+export interface MapValue {
+  kind: 'map';
+  entries: Record<string, TerraformValue>;
+}
+
+/**
+ * Nested configuration block; keys are Terraform attribute names
+ */
+export interface BlockValue {
+  kind: 'block';
+  attributes: Record<string, TerraformValue>;
+}
+
+/**
+ * Reference to something declared elsewhere in the generated configuration
+ * - variable: an input variable
+ * - local: a local value (mappings)
+ * - condition: a condition expression declared before the resources
+ * - resource / data: an attribute of a resource or data source
+ * - module: an output of a nested stack's module (the module itself without an attribute)
+ * - stack: an output another stack of the app exports (Fn::ImportValue); name is the stack
+ */
+export interface ReferenceValue {
+  kind: 'reference';
+  target: 'variable' | 'local' | 'condition' | 'resource' | 'data' | 'module' | 'stack';
+  name: string;
+  /**
+   * Terraform resource or data source type
+   */
+  type?: string;
+  /**
+   * Terraform attribute name, or output name of a module or stack
+   */
+  attribute?: string;
+  /**
+   * The resource is created with count, so the attribute is read over all instances ([*])
+   */
+  splat?: boolean;
+}
+
+/**
+ * Call of a Terraform built-in function (lookup, join, jsonencode, ...)
+ */
+export interface FunctionCallValue {
+  kind: 'call';
+  name: string;
+  args: TerraformValue[];
+}
+
+export interface OperatorValue {
+  kind: 'operator';
+  operator: '==' | '>=' | '<=' | '&&' | '||' | '!';
+  operands: TerraformValue[];
+}
+
+export interface ConditionalValue {
+  kind: 'conditional';
+  condition: TerraformValue;
+  whenTrue: TerraformValue;
+  whenFalse: TerraformValue;
+}
+
+/**
+ * Interpolated string; text parts are literal text, not yet escaped for Terraform
+ */
+export interface TemplateValue {
+  kind: 'template';
+  parts: Array<string | TerraformValue>;
+}
+
+/**
+ * Create a literal value
+ * @param value Literal value
+ */
+export function literal(value: string | number | boolean | null): LiteralValue {
+  return { kind: 'literal', value };
+}
+
+/**
+ * Create a list value
+ * @param items List items
+ */
+export function list(items: TerraformValue[]): ListValue {
+  return { kind: 'list', items };
+}
+
+/**
+ * Create a map value
+ * @param entries Map entries
+ */
+export function map(entries: Record<string, TerraformValue>): MapValue {
+  return { kind: 'map', entries };
+}
+
+/**
+ * Create a nested block value
+ * @param attributes Block attributes, keyed by Terraform attribute name
+ */
+export function block(attributes: Record<string, TerraformValue>): BlockValue {
+  return { kind: 'block', attributes };
+}
+
+/**
+ * Create a function call
+ * @param name Terraform function name
+ * @param args Function arguments
+ */
+export function call(name: string, ...args: TerraformValue[]): FunctionCallValue {
+  return { kind: 'call', name, args };
+}
+
+/**
+ * Create an operator expression
+ * @param operator Terraform operator
+ * @param operands Operands
+ */
+export function operator(operator: OperatorValue['operator'], ...operands: TerraformValue[]): OperatorValue {
+  return { kind: 'operator', operator, operands };
+}
+
+/**
+ * Create a conditional expression
+ * @param condition Condition
+ * @param whenTrue Value when the condition is true
+ * @param whenFalse Value when the condition is false
+ */
+export function conditional(condition: TerraformValue, whenTrue: TerraformValue, whenFalse: TerraformValue): ConditionalValue {
+  return { kind: 'conditional', condition, whenTrue, whenFalse };
+}
+
+/**
+ * Create an interpolated string
+ * Interpolated templates are inlined and adjacent text parts merged; a template without references
+ * collapses to a literal, and one consisting of a single reference to that reference.
+ * @param parts Literal text and interpolated values
+ */
+export function template(parts: Array<string | TerraformValue>): TerraformValue {
+  const merged: Array<string | TerraformValue> = [];
+  const flattened = parts.reduce<Array<string | TerraformValue>>((result, part) =>
+    result.concat(typeof part !== 'string' && part.kind === 'template' ? part.parts : [part]), []);
+  flattened.forEach(part => {
+    if (typeof part === 'string' && typeof merged[merged.length - 1] === 'string') {
+      merged[merged.length - 1] += part;
+    } else if (part !== '') {
+      merged.push(part);
+    }
+  });
+
+  if (merged.every(part => typeof part === 'string')) {
+    return literal(merged.join(''));
+  } else if (merged.length === 1) {
+    return merged[0] as TerraformValue;
+  }
+  return { kind: 'template', parts: merged };
+}
+
+/**
+ * Convert plain JSON data (e.g. a mapping table) to a value tree, keeping object keys
+ * @param value JSON value
+ */
+export function fromJson(value: any): TerraformValue {
+  if (Array.isArray(value)) {
+    return list(value.map(item => fromJson(item)));
+  } else if (typeof value === 'object' && value !== null) {
+    const entries: Record<string, TerraformValue> = {};
+    Object.entries(value).forEach(([key, item]) => {
+      entries[key] = fromJson(item);
+    });
+    return map(entries);
+  } else if (value === undefined) {
+    return literal(null);
+  }
+  return literal(value);
+}
+
+/**
+ * Visit a value and every value nested in it, parents first
+ * @param value Root of the value tree
+ * @param visitor Called for each node
+ */
+export function visitValue(value: TerraformValue, visitor: (node: TerraformValue) => void): void {
+  visitor(value);
+  switch (value.kind) {
+    case 'list':
+      value.items.forEach(item => visitValue(item, visitor));
+      break;
+    case 'map':
+      Object.values(value.entries).forEach(item => visitValue(item, visitor));
+      break;
+    case 'block':
+      Object.values(value.attributes).forEach(item => visitValue(item, visitor));
+      break;
+    case 'call':
+      value.args.forEach(item => visitValue(item, visitor));
+      break;
+    case 'operator':
+      value.operands.forEach(item => visitValue(item, visitor));
+      break;
+    case 'conditional':
+      [value.condition, value.whenTrue, value.whenFalse].forEach(item => visitValue(item, visitor));
+      break;
+    case 'template':
+      value.parts.forEach(part => typeof part !== 'string' && visitValue(part, visitor));
+      break;
+  }
+}
@@ -1,169 +1,1923 @@
-import { CloudFormationResource, CloudFormationTemplate } from '../parser';
+import * as fs from 'fs';
+import * as path from 'path';
+import {
+  CloudFormationParameter, CloudFormationParser, CloudFormationResource, CloudFormationStackResource, CloudFormationTemplate,
+} from '../parser';
+import {
+  MapValue, ReferenceValue, TerraformValue, block, call, conditional, fromJson, list, literal, map, operator, template,
+  visitValue,
+} from './expressions';
+import { Diagnostic, DiagnosticCode, diagnostic } from './diagnostics';
+import {
+  PropertyMappingOptions, PropertyMappings, ResourceDefinition, SplitResourceMapping, awsccResourceDefinition,
+  resourceDefinitions,
+} from './resources';
+import { attributeTypes } from './resources/common';
+
+export * from './expressions';
+export * from './diagnostics';
 
 export interface TerraformResource {
   type: string;
   name: string;
-  properties: Record<string, any>;
-  dependencies?: string[];
+  properties: Record<string, TerraformValue>;
+  /**
+   * Resources that have to be created first but are not referenced by the properties
+   */
+  dependsOn?: ReferenceValue[];
+  /**
+   * Number of instances, set for resources created only when a condition holds
+   */
+  count?: TerraformValue;
+  /**
+   * Set for nested stacks: the name of the local module (a key of TerraformConfig.modules) the
+   * resource instantiates; properties are then the module's input variables, keyed by variable name
+   */
+  module?: string;
+  /**
+   * Refuse to destroy the resource (DeletionPolicy or UpdateReplacePolicy Retain or Snapshot)
+   */
+  preventDestroy?: boolean;
+  /**
+   * Notes written above the resource, about template settings that were not converted
+   */
+  comments?: string[];
+  /**
+   * ID of the deployed resource to import, set when the resources of the stack were given
+   */
+  importId?: string;
+}
+
+export interface TerraformDataSource {
+  type: string;
+  name: string;
+  properties: Record<string, TerraformValue>;
+}
+
+export interface TerraformVariable {
+  type: string;
+  default?: any;
+  description?: string;
+  sensitive?: boolean;
+  /**
+   * Validation blocks; conditions reference the variable itself
+   */
+  validations?: Array<{ condition: TerraformValue; errorMessage: string }>;
+}
+
+export interface TerraformOutput {
+  value: TerraformValue;
+  description?: string;
 }
 
 export interface TerraformConfig {
   resources: TerraformResource[];
-  variables: Record<string, any>;
-  outputs: Record<string, any>;
+  dataSources: TerraformDataSource[];
+  variables: Record<string, TerraformVariable>;
+  outputs: Record<string, TerraformOutput>;
+  mappings: Record<string, { name: string; value: TerraformValue }>;
+  conditions: Record<string, { name: string; expression: TerraformValue }>;
+  defaultTags?: MapValue;
+  /**
+   * Child templates of nested stacks, converted to local modules (written to modules/<name>)
+   */
+  modules: Record<string, TerraformConfig>;
+  /**
+   * Set when the resources of the deployed stack were given
+   */
+  importPlan?: TerraformImportPlan;
+  /**
+   * Lossy decisions made while converting the template, including those of its nested stacks
+   */
+  diagnostics: Diagnostic[];
+}
+
+/**
+ * What adopting the resources of a deployed stack takes besides the import IDs
+ */
+export interface TerraformImportPlan {
+  /**
+   * Name of the deployed stack
+   */
+  stackName?: string;
+  /**
+   * Resources that are not imported, and why
+   */
+  skipped: Array<{ logicalId: string; type: string; reason: string }>;
+  /**
+   * Deployed resources that need DeletionPolicy: Retain before the stack is deleted, or they are deleted with it
+   */
+  retain: string[];
+}
+
+/**
+ * Template converted as one stack of an app
+ */
+export interface TemplateInput {
+  /**
+   * Stack name (the template file name without its extension); AWS::StackName defaults to it
+   */
+  name: string;
+  template: CloudFormationTemplate;
+  /**
+   * Path of the template file
+   */
+  path?: string;
+}
+
+/**
+ * Stack of an app converted from several templates
+ */
+export interface TerraformStackConfig {
+  name: string;
+  config: TerraformConfig;
+}
+
+export interface MappingOptions {
+  /**
+   * Move tags shared by every taggable resource to the provider's default tags
+   */
+  defaultTags?: boolean;
+
+  /**
+   * Look up parameters holding the ID of an existing resource (VPC, subnet, ...), so that a wrong ID fails the plan
+   */
+  checkParameters?: boolean;
+
+  /**
+   * Path of the template file; relative TemplateURLs of nested stacks are resolved against its directory
+   */
+  templatePath?: string;
+
+  /**
+   * TemplateURL prefixes (s3://bucket/prefix, https://...) and the local directories holding those templates
+   */
+  templateUrlMap?: Record<string, string>;
+
+  /**
+   * Name the stack is deployed as; AWS::StackName defaults to it (converted-stack otherwise)
+   */
+  stackName?: string;
+
+  /**
+   * Resources of the deployed stack (describe-stack-resources); their physical IDs become import IDs
+   */
+  stackResources?: CloudFormationStackResource[];
+
+  /**
+   * Convert with the AWS Cloud Control (awscc) provider: types without an aws mapping (fallback), or every type (all)
+   */
+  awscc?: 'fallback' | 'all';
+}
+
+/**
+ * State shared by the templates of an app
+ */
+interface AppContext {
+  // Stack and output of each export name
+  exports: Record<string, { stack: string; output: string }>;
+  // Stacks the template being converted imports from
+  imports: Set<string>;
+  // Module converted from each nested stack template; modules of all stacks are written to the same directory
+  moduleFiles: Map<string, string>;
+}
+
+/**
+ * State shared by the mapping functions while converting a single template
+ */
+interface MappingContext {
+  template: CloudFormationTemplate;
+  variables: Record<string, TerraformVariable>;
+  // Data sources keyed by name
+  dataSources: Record<string, TerraformDataSource>;
+  // Taggable resources and the attribute holding their tags
+  taggedResources: Array<[TerraformResource, string]>;
+  options: MappingOptions;
+  // Modules of the nested stacks, and the module converted from each template file
+  modules: Record<string, TerraformConfig>;
+  moduleFiles: Map<string, string>;
+  // Module used by each nested stack, keyed by logical ID
+  nestedStacks: Record<string, string>;
+  // Template files of the stacks enclosing this one, to detect stacks that nest themselves
+  parents: string[];
+  // Set when the template is converted together with others
+  app?: AppContext;
+  diagnostics: Diagnostic[];
+  // Logical ID (or parameter, output, condition name) being converted, for diagnostics without a property path
+  location?: string;
+  // Types literal values are converted to, by attribute name, for the resource being converted
+  attributeTypes: Record<string, 'number' | 'string'>;
 }
 
 /**
  * Maps CloudFormation resources to Terraform resources
  */
 export class ResourceMapper {
-  // Resource type mapping from CloudFormation to Terraform
-  private static readonly resourceTypeMapping: Record<string, string> = {
-    'AWS::S3::Bucket': 'aws_s3_bucket',
-    'AWS::IAM::Role': 'aws_iam_role',
-    'AWS::Lambda::Function': 'aws_lambda_function',
-    'AWS::DynamoDB::Table': 'aws_dynamodb_table',
-    // Add more mappings as needed
+  // Pseudo parameters read from a data source: [data source type, attribute]
+  private static readonly pseudoParameterDataSources: Record<string, [string, string]> = {
+    'AWS::Region': ['aws_region', 'name'],
+    'AWS::AccountId': ['aws_caller_identity', 'account_id'],
+    'AWS::Partition': ['aws_partition', 'partition'],
+    'AWS::URLSuffix': ['aws_partition', 'dns_suffix'],
+  };
+
+  // Pseudo parameters without a Terraform equivalent, supplied as variables instead
+  private static readonly pseudoParameterVariables: Record<string, [string, TerraformVariable]> = {
+    'AWS::StackName': ['AwsStackName', {
+      type: 'string',
+      default: 'converted-stack',
+      description: 'Stack name (replaces AWS::StackName)',
+    }],
+    // Terraform has no stack ID; it defaults to the stack name, which is just as unique within an account
+    'AWS::StackId': ['AwsStackId', {
+      type: 'string',
+      default: 'converted-stack',
+      description: 'Stack ID (replaces AWS::StackId)',
+    }],
+    'AWS::NotificationARNs': ['AwsNotificationArns', {
+      type: 'list(string)',
+      default: [],
+      description: 'Notification ARNs (replaces AWS::NotificationARNs)',
+    }],
+  };
+
+  // AWS-specific parameter types that can be looked up: [data source type, argument taking the value]
+  private static readonly parameterCheckDataSources: Record<string, [string, string]> = {
+    'AWS::EC2::VPC::Id': ['aws_vpc', 'id'],
+    'AWS::EC2::Subnet::Id': ['aws_subnet', 'id'],
+    'AWS::EC2::SecurityGroup::Id': ['aws_security_group', 'id'],
+    'AWS::EC2::KeyPair::KeyName': ['aws_key_pair', 'key_name'],
+    'AWS::EC2::Instance::Id': ['aws_instance', 'instance_id'],
+    'AWS::EC2::AvailabilityZone::Name': ['aws_availability_zone', 'name'],
+    'AWS::Route53::HostedZone::Id': ['aws_route53_zone', 'zone_id'],
   };
 
   /**
    * Map a CloudFormation template to Terraform configuration
    * @param template CloudFormation template
+   * @param options Mapping options
    */
-  public static mapTemplate(template: CloudFormationTemplate): TerraformConfig {
-    const resources: TerraformResource[] = [];
-    const variables: Record<string, any> = {};
-    const outputs: Record<string, any> = {};
+  public static mapTemplate(template: CloudFormationTemplate, options: MappingOptions = {}): TerraformConfig {
+    return this.mapStack(template, options, options.templatePath ? [path.resolve(options.templatePath)] : []);
+  }
+
+  /**
+   * Map several templates to the stacks of one app
+   * Fn::ImportValue is resolved against the Export names of the other templates, and stacks are
+   * ordered so that every stack comes after the stacks it imports from. Templates that another
+   * template uses as a nested stack are converted as its module instead.
+   * @param templates Templates and their stack names
+   * @param options Mapping options
+   */
+  public static mapTemplates(templates: TemplateInput[], options: MappingOptions = {}): TerraformStackConfig[] {
+    // Child template files, and the template nesting each of them
+    const nestedTemplates = new Map<string, TemplateInput>();
+    templates.forEach(input => Object.entries(input.template.Resources || {})
+      .filter(([, resource]) => resource.Type === 'AWS::CloudFormation::Stack')
+      .forEach(([name, resource]) => {
+        try {
+          const templatePath = this.resolveTemplateUrl(name, (resource.Properties || {}).TemplateURL,
+            { ...options, templatePath: input.path });
+          if (!nestedTemplates.has(templatePath)) {
+            nestedTemplates.set(templatePath, input);
+          }
+        } catch {
+          // Reported when the parent template is converted
+        }
+      }));
+
+    const skipped = new Map<TemplateInput, Diagnostic[]>();
+    const inputs = templates.filter(input => {
+      const parent = input.path !== undefined ? nestedTemplates.get(path.resolve(input.path)) : undefined;
+      if (parent) {
+        skipped.set(parent, [...(skipped.get(parent) || []), diagnostic('template-skipped',
+          `Template skipped: ${input.path} (converted as the module of a nested stack)`, undefined, input.path)]);
+        return false;
+      }
+      return true;
+    });
+
+    // Stack names end up in class names and directories
+    const names = new Set<string>();
+    const stacks = inputs.map(input => {
+      const baseName = /^[A-Za-z]/.test(input.name)
+        ? input.name.replace(/[^A-Za-z0-9-]+/g, '-')
+        : `stack-${input.name.replace(/[^A-Za-z0-9-]+/g, '-')}`;
+      let name = baseName;
+      for (let index = 2; names.has(name); index++) {
+        name = `${baseName}-${index}`;
+      }
+      names.add(name);
+      return { ...input, name, diagnostics: skipped.get(input) || [] };
+    });
+    // Templates nested by a skipped template are reported with the first stack
+    if (stacks.length > 0) {
+      stacks[0].diagnostics.push(...[...skipped]
+        .filter(([parent]) => !inputs.includes(parent))
+        .flatMap(([, items]) => items));
+    }
+
+    const exports: AppContext['exports'] = {};
+    stacks.forEach(stack => Object.entries(stack.template.Outputs || {})
+      .filter(([, output]) => output.Export !== undefined)
+      .forEach(([outputName, output]) => {
+        const exportName = this.staticString(output.Export.Name, stack.template, stack.name);
+        if (exportName === undefined) {
+          stack.diagnostics.push(diagnostic('unresolved-export',
+            `Unresolved export: ${stack.name}.Outputs.${outputName} (the export name must not depend on resources)`,
+            outputName, stack.path));
+        } else if (exportName in exports) {
+          throw new Error(`Duplicate export name: ${exportName} (exported by ${exports[exportName].stack} and ${stack.name})`);
+        } else {
+          exports[exportName] = { stack: stack.name, output: outputName };
+        }
+      }));
+
+    const moduleFiles = new Map<string, string>();
+    const imports = new Map<string, string[]>();
+    const configs = stacks.map(stack => {
+      const app: AppContext = { exports, imports: new Set(), moduleFiles };
+      const config = this.mapStack(
+        stack.template,
+        { ...options, templatePath: stack.path, stackName: stack.name },
+        stack.path ? [path.resolve(stack.path)] : [],
+        app
+      );
+      config.diagnostics.unshift(...stack.diagnostics);
+      imports.set(stack.name, [...app.imports]);
+      return { name: stack.name, config };
+    });
+
+    return this.sortStacks(configs, imports);
+  }
+
+  /**
+   * Order stacks so that every stack comes after the stacks it imports from
+   * @param stacks Stacks in template order
+   * @param imports Stacks each stack imports from
+   */
+  private static sortStacks(stacks: TerraformStackConfig[], imports: Map<string, string[]>): TerraformStackConfig[] {
+    const sorted: TerraformStackConfig[] = [];
+    const path: TerraformStackConfig[] = [];
+
+    const visit = (stack: TerraformStackConfig) => {
+      if (sorted.includes(stack)) {
+        return;
+      }
+      if (path.includes(stack)) {
+        const cycle = [...path.slice(path.indexOf(stack)), stack].map(item => item.name);
+        throw new Error(`Circular dependency between stacks: ${cycle.join(' -> ')}`);
+      }
+      path.push(stack);
+      imports.get(stack.name)!.forEach(name => visit(stacks.find(item => item.name === name)!));
+      path.pop();
+      sorted.push(stack);
+    };
+
+    stacks.forEach(visit);
+    return sorted;
+  }
+
+  /**
+   * Evaluate a value that does not depend on resources, such as an export name
+   * Parameters take their default value; pseudo parameters other than AWS::StackName are kept as
+   * ${AWS::Region} placeholders, which compare equal since exports never cross regions or accounts.
+   * Returns undefined when the value depends on a resource or a parameter without a default.
+   * @param value CloudFormation value
+   * @param template Template the value belongs to
+   * @param stackName Stack name
+   */
+  private static staticString(value: any, template: CloudFormationTemplate, stackName: string): string | undefined {
+    const ref = (name: string): string | undefined => {
+      if (name === 'AWS::StackName') {
+        return stackName;
+      } else if (name.startsWith('AWS::')) {
+        return `\${${name}}`;
+      }
+      const parameter = (template.Parameters || {})[name];
+      return parameter && (typeof parameter.Default === 'string' || typeof parameter.Default === 'number')
+        ? String(parameter.Default)
+        : undefined;
+    };
+
+    if (typeof value === 'string' || typeof value === 'number') {
+      return String(value);
+    } else if (!this.isIntrinsic(value)) {
+      return undefined;
+    } else if ('Ref' in value) {
+      return ref(value.Ref);
+    } else if ('Fn::Sub' in value) {
+      const [subTemplate, variables] = typeof value['Fn::Sub'] === 'string' ? [value['Fn::Sub'], {}] : value['Fn::Sub'];
+      let resolved = true;
+      const result = String(subTemplate).replace(/\$\{([^}]*)\}/g, (_match, placeholder: string) => {
+        const name = placeholder.trim();
+        const text = name.startsWith('!')
+          ? `\${${name.slice(1)}}`
+          : variables && name in variables
+            ? this.staticString(variables[name], template, stackName)
+            : ref(name);
+        resolved = resolved && text !== undefined;
+        return text || '';
+      });
+      return resolved ? result : undefined;
+    } else if ('Fn::Join' in value) {
+      const [delimiter, items] = value['Fn::Join'];
+      const parts = Array.isArray(items) ? items.map((item: any) => this.staticString(item, template, stackName)) : [];
+      return Array.isArray(items) && parts.every(part => part !== undefined) ? parts.join(delimiter) : undefined;
+    }
+    return undefined;
+  }
+
+  /**
+   * Map a template, converting its nested stacks recursively
+   * @param template CloudFormation template
+   * @param options Mapping options
+   * @param parents Template files of this stack and the stacks enclosing it
+   * @param app State shared with the other templates of the app
+   */
+  private static mapStack(
+    template: CloudFormationTemplate,
+    options: MappingOptions,
+    parents: string[],
+    app?: AppContext
+  ): TerraformConfig {
+    const variables: Record<string, TerraformVariable> = {};
+    const context: MappingContext = {
+      template,
+      variables,
+      dataSources: {},
+      taggedResources: [],
+      options,
+      modules: {},
+      moduleFiles: app ? app.moduleFiles : new Map(),
+      nestedStacks: {},
+      parents,
+      app,
+      diagnostics: [],
+      attributeTypes: {},
+    };
+    const mappedResources: Record<string, TerraformResource[]> = {};
+    const outputs: Record<string, TerraformOutput> = {};
+    const mappings: TerraformConfig['mappings'] = {};
+    const conditions: TerraformConfig['conditions'] = {};
 
     // Map parameters to variables
     if (template.Parameters) {
       Object.entries(template.Parameters).forEach(([name, param]) => {
-        variables[name] = {
-          type: this.mapParameterType(param.Type),
-          default: param.Default,
-          description: param.Description,
+        variables[name] = this.mapParameter(name, param, context);
+        const dataSource = this.parameterDataSource(name, param, options);
+        if (dataSource) {
+          context.dataSources[dataSource.name] = dataSource;
+        }
+      });
+    }
+
+    // Map mappings to locals, keeping their keys untouched for lookups
+    if (template.Mappings) {
+      Object.entries(template.Mappings).forEach(([name, mapping]) => {
+        mappings[name] = {
+          name: this.mappingIdentifier(name, context),
+          value: fromJson(mapping),
         };
       });
     }
 
+    // Map conditions, ordered so that a condition is declared before it is referenced
+    this.sortConditions(template.Conditions || {}).forEach(name => {
+      context.location = name;
+      conditions[name] = {
+        name: this.conditionIdentifier(name, context),
+        expression: this.transformValue(template.Conditions![name], context),
+      };
+    });
+
+    // Convert the child templates first, so that their outputs can be referenced from any resource
+    Object.entries(template.Resources)
+      .filter(([, resource]) => resource.Type === 'AWS::CloudFormation::Stack')
+      .forEach(([name, resource]) => {
+        context.nestedStacks[name] = this.nestedStackModule(name, resource, context);
+      });
+
     // Map resources
     Object.entries(template.Resources).forEach(([name, resource]) => {
-      const terraformResource = this.mapResource(name, resource);
-      if (terraformResource) {
-        resources.push(terraformResource);
+      context.location = name;
+      const terraformResources = this.mapResource(name, resource, context);
+      if (terraformResources) {
+        mappedResources[name] = terraformResources;
       }
     });
+    context.location = undefined;
+    const resources = this.sortResources(mappedResources, context);
+    const importPlan = options.stackResources ? this.planImports(mappedResources, context) : undefined;
 
     // Map outputs
     if (template.Outputs) {
       Object.entries(template.Outputs).forEach(([name, output]) => {
+        context.location = name;
+        const value = this.transformValue(output.Value, context);
         outputs[name] = {
-          value: this.transformExpression(output.Value),
+          value: output.Condition
+            ? conditional(this.conditionReference(output.Condition, context), value, literal(null))
+            : value,
           description: output.Description,
         };
       });
     }
 
-    return { resources, variables, outputs };
+    // Data sources for pseudo parameters are only emitted when they were referenced
+    const dataSources = Object.values(context.dataSources);
+    const defaultTags = options.defaultTags ? this.hoistDefaultTags(context) : undefined;
+
+    return {
+      resources, dataSources, variables, outputs, mappings, conditions, defaultTags, modules: context.modules, importPlan,
+      diagnostics: context.diagnostics,
+    };
+  }
+
+  /**
+   * Record a diagnostic for the template being converted
+   * @param context Mapping context
+   * @param code Diagnostic code
+   * @param message Message
+   * @param location Logical ID and property path; defaults to the element being converted
+   */
+  private static report(context: MappingContext, code: DiagnosticCode, message: string, location = context.location): void {
+    context.diagnostics.push(diagnostic(code, message, location, context.options.templatePath));
+  }
+
+  /**
+   * Check which resources of the deployed stack are imported, and which ones the stack has to retain
+   * @param mappedResources Terraform resources of each logical ID
+   * @param context Mapping context
+   */
+  private static planImports(mappedResources: Record<string, TerraformResource[]>, context: MappingContext): TerraformImportPlan {
+    const stackResources = context.options.stackResources!;
+    const plan: TerraformImportPlan = {
+      stackName: stackResources.find(item => item.StackName)?.StackName,
+      skipped: [],
+      retain: [],
+    };
+    const skip = (logicalId: string, type: string, reason: string) => {
+      plan.skipped.push({ logicalId, type, reason });
+      this.report(context, 'not-imported', `Not imported: ${logicalId} (${reason})`, logicalId);
+    };
+
+    stackResources
+      .filter(item => !(item.LogicalResourceId in context.template.Resources))
+      .forEach(item => this.report(context, 'unknown-stack-resource',
+        `Unknown stack resource: ${item.LogicalResourceId} (not in the template)`, item.LogicalResourceId));
+
+    Object.entries(context.template.Resources).forEach(([name, resource]) => {
+      if (this.physicalId(name, context) === undefined) {
+        skip(name, resource.Type, 'not deployed in the stack');
+        return;
+      }
+      // RetainExceptOnCreate only deletes resources whose creation failed
+      if (resource.DeletionPolicy !== 'Retain' && resource.DeletionPolicy !== 'RetainExceptOnCreate') {
+        plan.retain.push(name);
+      }
+
+      const resources = mappedResources[name];
+      if (resource.Type === 'AWS::CloudFormation::Stack') {
+        skip(name, resource.Type, `nested stack; import its resources into module.${this.sanitizeResourceName(name)} separately`);
+      } else if (!resources) {
+        skip(name, resource.Type, 'resource type not converted');
+      } else {
+        resources
+          .filter(item => item.importId === undefined)
+          .forEach(item => skip(name, resource.Type,
+            `the import ID of ${item.type}.${item.name} cannot be derived from the physical ID and literal values`));
+      }
+    });
+
+    if (plan.retain.length > 0) {
+      this.report(context, 'deletion-policy-required', `DeletionPolicy required: ${plan.retain.join(', ')} (set DeletionPolicy: Retain and update the stack before deleting it, or deleting the stack deletes them)`);
+    }
+    return plan;
+  }
+
+  /**
+   * Physical ID of a resource of the deployed stack, when the stack resources were given
+   * @param name Logical ID
+   * @param context Mapping context
+   */
+  private static physicalId(name: string, context: MappingContext): string | undefined {
+    const stackResource = (context.options.stackResources || [])
+      .find(item => item.LogicalResourceId === name && item.ResourceStatus !== 'DELETE_COMPLETE');
+    return stackResource?.PhysicalResourceId || undefined;
   }
 
   /**
-   * Map a CloudFormation resource to a Terraform resource
+   * Map a CloudFormation resource to Terraform resources
+   * The first resource keeps the logical ID; properties the AWS provider models as separate
+   * resources follow it, each pointing back at the first one.
    * @param name Resource name
    * @param resource CloudFormation resource
+   * @param context Mapping context
    */
-  private static mapResource(name: string, resource: CloudFormationResource): TerraformResource | null {
-    const terraformType = this.resourceTypeMapping[resource.Type];
+  private static mapResource(
+    name: string,
+    resource: CloudFormationResource,
+    context: MappingContext
+  ): TerraformResource[] | null {
+    if (resource.Type === 'AWS::CloudFormation::Stack') {
+      return [this.mapNestedStack(name, resource, context)];
+    }
+
+    const definition = this.resourceDefinition(resource, context);
     
-    if (!terraformType) {
-      console.warn(`Unsupported resource type: ${resource.Type}`);
+    if (!definition) {
+      this.report(context, 'unsupported-resource-type', `Unsupported resource type: ${name} (${resource.Type})`, name);
       return null;
+    } else if (definition !== resourceDefinitions[resource.Type]) {
+      this.report(context, 'awscc-resource',
+        `Converted with awscc: ${name} (${resource.Type} as ${definition.terraformType}; attributes follow the template values)`, name);
     }
+    // The table holds aws provider types; awscc attributes have the CloudFormation types
+    context.attributeTypes = definition.terraformType.startsWith('aws_') ? attributeTypes : {};
 
-    const properties = this.mapProperties(resource.Type, resource.Properties);
-    const dependencies = resource.DependsOn 
-      ? Array.isArray(resource.DependsOn) 
-        ? resource.DependsOn 
-        : [resource.DependsOn]
-      : undefined;
+    // Properties left out (or set to AWS::NoValue) take the CloudFormation default where Terraform's differs
+    const cfnProperties: Record<string, any> = { ...resource.Properties };
+    Object.entries(definition.defaults || {})
+      .filter(([key]) => cfnProperties[key] === undefined || this.isNoValue(cfnProperties[key]))
+      .forEach(([key, value]) => {
+        cfnProperties[key] = value;
+      });
+    // Types applying to a list of resources are mapped for the first one, and copied for the others below
+    const eachItems: any[] = definition.each !== undefined && Array.isArray(cfnProperties[definition.each])
+      ? cfnProperties[definition.each].filter((item: any) => !this.isNoValue(item))
+      : [];
+    if (eachItems.length > 0) {
+      cfnProperties[definition.each!] = eachItems[0];
+    }
+    const properties = this.mapProperties(definition.properties, cfnProperties, name, context);
 
-    return {
-      type: terraformType,
+    const resources: TerraformResource[] = [{
+      type: definition.terraformType,
       name: this.sanitizeResourceName(name),
       properties,
-      dependencies,
+      count: this.resourceCount(resource, context),
+    }];
+
+    const physicalId = this.physicalId(name, context);
+    if (physicalId !== undefined) {
+      resources[0].importId = definition.importId ? definition.importId(physicalId, cfnProperties) : physicalId;
+    }
+
+    this.mapResourceAttributes(name, resource, definition, resources[0], context);
+
+    eachItems.slice(1).forEach((item, index) => {
+      const key = definition.each!;
+      const itemProperties = { ...cfnProperties, [key]: item };
+      const itemMappings = { [key]: definition.properties[key] };
+      const copy: TerraformResource = {
+        ...resources[0],
+        name: `${resources[0].name}_${index + 1}`,
+        properties: {
+          ...resources[0].properties,
+          ...this.mapProperties(itemMappings, { [key]: item }, `${name}.${key}[${index + 1}]`, context),
+        },
+      };
+      if (physicalId !== undefined) {
+        copy.importId = definition.importId ? definition.importId(physicalId, itemProperties) : physicalId;
+      }
+      resources.push(copy);
+    });
+
+    const tagsMapping = Object.values(definition.properties)
+      .find(mapping => typeof mapping === 'object' && mapping.tags) as PropertyMappingOptions | undefined;
+    if (tagsMapping) {
+      context.taggedResources.push([resources[0], tagsMapping.name || 'tags']);
+    }
+
+    Object.entries(cfnProperties).forEach(([key, value]) => {
+      const mapping = definition.properties[key];
+      if (typeof mapping === 'object' && mapping.resource && !this.isNoValue(value)) {
+        resources.push(...this.mapSplitResources(name, resource, key, mapping, value, context));
+      }
+    });
+
+    return resources;
+  }
+
+  /**
+   * Definition of a resource's type: its aws mapping, or the awscc one where the options ask for it
+   * @param resource CloudFormation resource
+   * @param context Mapping context
+   */
+  private static resourceDefinition(resource: CloudFormationResource, context: MappingContext): ResourceDefinition | undefined {
+    const awscc = context.options.awscc;
+    const definition = awscc === 'all' ? undefined : resourceDefinitions[resource.Type];
+    return definition || (awscc ? awsccResourceDefinition(resource.Type, resource.Properties || {}) : undefined);
+  }
+
+  /**
+   * Map the resource attributes besides Properties
+   * Retain and Snapshot policies protect the resource with prevent_destroy, and Snapshot takes a final
+   * snapshot where the resource supports one; attributes without a Terraform equivalent are reported
+   * and noted above the resource.
+   * @param name Logical ID
+   * @param resource CloudFormation resource
+   * @param definition Definition of the resource type
+   * @param terraformResource Terraform resource mapped from it
+   * @param context Mapping context
+   */
+  private static mapResourceAttributes(
+    name: string,
+    resource: CloudFormationResource,
+    definition: ResourceDefinition,
+    terraformResource: TerraformResource,
+    context: MappingContext
+  ): void {
+    const comments: string[] = [];
+    const drop = (attribute: string, reason: string) => {
+      this.report(context, 'dropped-resource-attribute',
+        `Resource attribute dropped: ${name}.${attribute} (${reason})`, `${name}.${attribute}`);
+      comments.push(`${attribute} not converted: ${reason}`);
+    };
+
+    if ([resource.DeletionPolicy, resource.UpdateReplacePolicy]
+      .some(policy => policy === 'Retain' || policy === 'RetainExceptOnCreate' || policy === 'Snapshot')) {
+      terraformResource.preventDestroy = true;
+    }
+
+    const snapshot = definition.finalSnapshot;
+    const deletionPolicy = resource.DeletionPolicy || (snapshot?.byDefault ? 'Snapshot' : 'Delete');
+    if (snapshot && deletionPolicy === 'Snapshot') {
+      // Snapshot names have to be unique in the region, like the stacks CloudFormation names them after
+      terraformResource.properties[snapshot.skip] = literal(false);
+      terraformResource.properties[snapshot.identifier] =
+        this.transformValue({ 'Fn::Sub': `\${AWS::StackName}-${name.toLowerCase()}-final` }, context);
+    } else if (snapshot && deletionPolicy === 'Delete') {
+      terraformResource.properties[snapshot.skip] = literal(true);
+    } else if (deletionPolicy === 'Snapshot') {
+      drop('DeletionPolicy', `${definition.terraformType} takes no final snapshot; prevent_destroy keeps it from being destroyed`);
+    }
+
+    // Tool metadata (CloudFormation Designer, linters, CDK) means nothing to Terraform
+    const metadataKeys = Object.keys(resource.Metadata || {})
+      .filter(key => !/^(AWS::CloudFormation::Designer|cfn-lint|cfn_nag|checkov|guard|aws:cdk:.*|aws:asset:.*)$/.test(key));
+    if (metadataKeys.includes('AWS::CloudFormation::Init')) {
+      drop('Metadata', 'cfn-init configuration has no Terraform equivalent; run it from user data or a configuration management tool');
+    } else if (metadataKeys.length > 0) {
+      drop('Metadata', `Terraform resources have no metadata (${metadataKeys.join(', ')})`);
+    }
+    if (resource.CreationPolicy) {
+      drop('CreationPolicy', 'Terraform does not wait for cfn-signal success signals');
+    }
+    if (resource.UpdatePolicy) {
+      drop('UpdatePolicy', `${Object.keys(resource.UpdatePolicy).join(', ')} has no Terraform equivalent; ${
+        'AutoScalingRollingUpdate' in resource.UpdatePolicy
+          ? 'an instance_refresh block replaces instances gradually'
+          : 'Terraform updates the resource in place or replaces it'}`);
+    }
+
+    if (comments.length > 0) {
+      terraformResource.comments = comments;
+    }
+  }
+
+  /**
+   * Map a property that becomes separate Terraform resources
+   * @param name Logical ID of the parent resource
+   * @param resource Parent CloudFormation resource
+   * @param key Property name
+   * @param mapping Property mapping with a split resource
+   * @param value CloudFormation value
+   * @param context Mapping context
+   */
+  private static mapSplitResources(
+    name: string,
+    resource: CloudFormationResource,
+    key: string,
+    mapping: PropertyMappingOptions,
+    value: any,
+    context: MappingContext
+  ): TerraformResource[] {
+    const split = mapping.resource!;
+    const mappedValue = mapping.transform ? mapping.transform(value, resource.Properties || {}) : value;
+    const items = split.each ? mappedValue : [mappedValue];
+
+    if (!Array.isArray(items)) {
+      this.report(context, 'unmapped-property',
+        `Unmapped property: ${name}.${key} (a list is required to create ${split.terraformType} resources)`, `${name}.${key}`);
+      return [];
+    }
+
+    const [parentAttribute, parentReference] = split.parent;
+    const resources: TerraformResource[] = [];
+    const parentId = this.physicalId(name, context);
+
+    items.forEach((item, index) => {
+      const path = split.each ? `${name}.${key}[${index}]` : `${name}.${key}`;
+      if (this.isNoValue(item)) {
+        return;
+      } else if (!this.isPlainObject(item)) {
+        this.report(context, 'unmapped-property',
+          `Unmapped property: ${path} (an object is required to create ${split.terraformType})`, path);
+        return;
+      }
+
+      const splitResource: TerraformResource = {
+        type: split.terraformType,
+        name: `${this.sanitizeResourceName(name)}_${split.suffix}${split.each ? `_${index}` : ''}`,
+        properties: {
+          [parentAttribute]: this.resourceAttribute(name, parentReference, context),
+          ...this.inheritedProperties(split, resource, context),
+          ...this.mapProperties(split.properties, item, path, context),
+        },
+        count: this.resourceCount(resource, context),
+      };
+      if (parentId !== undefined) {
+        splitResource.importId = split.importId ? split.importId(parentId, item) : parentId;
+      }
+      resources.push(splitResource);
+    });
+
+    return resources;
+  }
+
+  /**
+   * Properties of a parent resource that a split resource repeats
+   * @param split Split resource mapping
+   * @param resource Parent CloudFormation resource
+   * @param context Mapping context
+   */
+  private static inheritedProperties(
+    split: SplitResourceMapping,
+    resource: CloudFormationResource,
+    context: MappingContext
+  ): Record<string, TerraformValue> {
+    const result: Record<string, TerraformValue> = {};
+    Object.entries(split.inherit || {}).forEach(([key, attribute]) => {
+      const value = (resource.Properties || {})[key];
+      if (value !== undefined && !this.isNoValue(value)) {
+        result[attribute] = this.typedValue(this.transformValue(value, context), context.attributeTypes[attribute]);
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Convert the child template of a nested stack to a module, once per template file
+   * @param name Logical ID of the nested stack
+   * @param resource AWS::CloudFormation::Stack resource
+   * @param context Mapping context
+   */
+  private static nestedStackModule(name: string, resource: CloudFormationResource, context: MappingContext): string {
+    const templatePath = this.resolveTemplateUrl(name, (resource.Properties || {}).TemplateURL, context.options);
+    // Another stack of the app may have converted the template already, under the same module name
+    const existing = context.moduleFiles.get(templatePath);
+    if (existing && existing in context.modules) {
+      return existing;
+    } else if (context.parents.includes(templatePath)) {
+      throw new Error(`Circular nested stack: ${[...context.parents, templatePath].join(' -> ')}`);
+    }
+
+    const baseName = this.sanitizeResourceName(path.basename(templatePath).replace(/\.[^.]*$/, ''));
+    const usedNames = new Set(context.moduleFiles.values());
+    let moduleName = existing || baseName;
+    for (let index = 2; !existing && usedNames.has(moduleName); index++) {
+      moduleName = `${baseName}_${index}`;
+    }
+
+    // Default tags belong to the provider, which modules inherit from the root; the stack
+    // resources list the nested stack itself, not the resources inside it
+    const child = CloudFormationParser.parseFile(templatePath);
+    context.modules[moduleName] = this.mapStack(
+      child,
+      { ...context.options, templatePath, defaultTags: false, stackResources: undefined },
+      [...context.parents, templatePath]
+    );
+    context.diagnostics.push(...context.modules[moduleName].diagnostics);
+    context.moduleFiles.set(templatePath, moduleName);
+    return moduleName;
+  }
+
+  /**
+   * Local file of a nested stack's TemplateURL
+   * URLs matching a prefix of templateUrlMap are looked up in the mapped directory; other URLs
+   * are looked up by file name next to the parent template, and plain paths relative to it.
+   * @param name Logical ID of the nested stack
+   * @param templateUrl TemplateURL property
+   * @param options Mapping options of the parent template
+   */
+  private static resolveTemplateUrl(name: string, templateUrl: any, options: MappingOptions): string {
+    if (typeof templateUrl !== 'string') {
+      throw new Error(`Nested stack ${name} requires a literal TemplateURL`);
+    }
+
+    const baseDir = options.templatePath ? path.dirname(path.resolve(options.templatePath)) : process.cwd();
+    const urlMap = options.templateUrlMap || {};
+    // The longest matching prefix wins
+    const prefix = Object.keys(urlMap)
+      .filter(candidate => templateUrl.startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+
+    let templatePath: string;
+    if (prefix !== undefined) {
+      templatePath = path.resolve(path.join(urlMap[prefix], templateUrl.slice(prefix.length)));
+    } else if (/^[a-z][a-z0-9+.-]*:\/\//i.test(templateUrl)) {
+      templatePath = path.join(baseDir, path.basename(templateUrl.replace(/[?#].*$/, '')));
+    } else {
+      templatePath = path.resolve(baseDir, templateUrl);
+    }
+
+    if (!fs.existsSync(templatePath)) {
+      throw new Error(`Nested stack template not found: ${name} (${templateUrl} resolved to ${templatePath}; map the URL to a local directory with --template-url-map)`);
+    }
+    return templatePath;
+  }
+
+  /**
+   * Map a nested stack to an instance of its module
+   * Parameters become the module's input variables; CloudFormation passes them as strings,
+   * so values for list and number variables are converted.
+   * @param name Logical ID of the nested stack
+   * @param resource AWS::CloudFormation::Stack resource
+   * @param context Mapping context
+   */
+  private static mapNestedStack(name: string, resource: CloudFormationResource, context: MappingContext): TerraformResource {
+    const moduleName = context.nestedStacks[name];
+    const child = context.modules[moduleName];
+    const properties = resource.Properties || {};
+    const inputs: Record<string, TerraformValue> = {};
+
+    Object.keys(properties)
+      .filter(key => key !== 'TemplateURL' && key !== 'Parameters')
+      .forEach(key => this.report(context, 'dropped-property',
+        `Property dropped: ${name}.${key} (modules have no equivalent)`, `${name}.${key}`));
+
+    Object.entries(properties.Parameters || {}).forEach(([parameter, value]) => {
+      const variable = child.variables[parameter];
+      if (!variable) {
+        this.report(context, 'unmapped-property',
+          `Unmapped property: ${name}.Parameters.${parameter} (not a parameter of ${moduleName})`, `${name}.Parameters.${parameter}`);
+      } else if (!this.isNoValue(value)) {
+        inputs[parameter] = this.moduleInput(this.transformValue(value, context), variable);
+      }
+    });
+
+    Object.entries(child.variables)
+      .filter(([parameter, variable]) => variable.default === undefined && !(parameter in inputs))
+      .forEach(([parameter]) => {
+        this.report(context, 'missing-module-input',
+          `Missing parameter: ${name}.Parameters.${parameter} (required by ${moduleName})`, `${name}.Parameters.${parameter}`);
+      });
+
+    // Deleting the module deletes its resources whatever the policies say
+    const comments = (['DeletionPolicy', 'UpdateReplacePolicy', 'CreationPolicy', 'UpdatePolicy'] as const)
+      .filter(attribute => resource[attribute] !== undefined && resource[attribute] !== 'Delete')
+      .map(attribute => {
+        this.report(context, 'dropped-resource-attribute',
+          `Resource attribute dropped: ${name}.${attribute} (modules have no lifecycle settings)`, `${name}.${attribute}`);
+        return `${attribute} not converted: modules have no lifecycle settings`;
+      });
+
+    return {
+      type: 'module',
+      name: this.sanitizeResourceName(name),
+      properties: inputs,
+      count: this.resourceCount(resource, context),
+      module: moduleName,
+      ...(comments.length > 0 ? { comments } : {}),
     };
   }
 
+  /**
+   * Convert a nested stack parameter value to the type of the module variable
+   * @param value Terraform value
+   * @param variable Module variable
+   */
+  private static moduleInput(value: TerraformValue, variable: TerraformVariable): TerraformValue {
+    if (variable.type.startsWith('list(')) {
+      if (value.kind === 'literal' && typeof value.value === 'string') {
+        return fromJson(variable.type === 'list(number)'
+          ? value.value.split(',').map(Number)
+          : value.value.split(','));
+      }
+      return value.kind === 'list' ? value : call('split', literal(','), value);
+    } else if (variable.type === 'number' && value.kind === 'literal' && typeof value.value === 'string'
+      && value.value.trim() !== '' && !isNaN(Number(value.value))) {
+      return literal(Number(value.value));
+    }
+    return value;
+  }
+
+  /**
+   * Resolve Fn::GetAtt on a nested stack (Outputs.Name) to the output of its module
+   * @param resourceName Logical ID of the nested stack
+   * @param attribute CloudFormation attribute name
+   * @param context Mapping context
+   */
+  private static nestedStackOutput(resourceName: string, attribute: string, context: MappingContext): TerraformValue {
+    const moduleName = context.nestedStacks[resourceName];
+    const outputName = attribute.match(/^Outputs\.(.+)$/)?.[1];
+    if (outputName === undefined) {
+      this.report(context, 'attribute-without-equivalent',
+        `Attribute without Terraform equivalent: ${resourceName}.${attribute} (referenced by ${context.location})`);
+      return literal(null);
+    } else if (!(outputName in context.modules[moduleName].outputs)) {
+      throw new Error(`Unresolved reference: ${resourceName}.${attribute} (${moduleName} has no output ${outputName})`);
+    }
+
+    const reference: TerraformValue = {
+      kind: 'reference',
+      target: 'module',
+      name: this.sanitizeResourceName(resourceName),
+      attribute: outputName,
+    };
+    if (context.template.Resources[resourceName].Condition) {
+      return call('one', { ...reference, splat: true });
+    }
+    return reference;
+  }
+
   /**
    * Map CloudFormation properties to Terraform properties
-   * @param resourceType CloudFormation resource type
+   * Properties without a mapping are reported and left out rather than guessed, and so are properties
+   * mapped to a Terraform attribute that another property already set. Literal values take the type
+   * of the Terraform attribute.
+   * @param mappings Property mappings of the resource or nested block
    * @param properties CloudFormation properties
+   * @param path Logical ID and property path, used in reports
+   * @param context Mapping context
    */
-  private static mapProperties(_resourceType: string, properties: Record<string, any>): Record<string, any> {
-    // This is a simplified implementation
-    // In a real implementation, you would need to handle specific property mappings for each resource type
-    const result: Record<string, any> = {};
+  private static mapProperties(
+    mappings: PropertyMappings,
+    properties: Record<string, any>,
+    path: string,
+    context: MappingContext
+  ): Record<string, TerraformValue> {
+    const result: Record<string, TerraformValue> = {};
+    // Property each Terraform attribute was mapped from
+    const sources: Record<string, string> = {};
+    const assign = (terraformKey: string, terraformValue: TerraformValue, propertyPath: string) => {
+      if (terraformKey in sources) {
+        this.report(context, 'conflicting-property',
+          `Conflicting property: ${propertyPath} (${terraformKey} is already set from ${sources[terraformKey]})`, propertyPath);
+        return;
+      }
+      sources[terraformKey] = propertyPath;
+      result[terraformKey] = this.typedValue(terraformValue, context.attributeTypes[terraformKey]);
+    };
     
     Object.entries(properties).forEach(([key, value]) => {
-      const terraformKey = this.camelToSnakeCase(key);
-      result[terraformKey] = this.transformValue(value);
+      // A property set to AWS::NoValue is treated as if it were not specified
+      if (this.isNoValue(value)) {
+        return;
+      }
+
+      const propertyPath = `${path}.${key}`;
+      const mapping: PropertyMappingOptions | undefined = typeof mappings[key] === 'string'
+        ? { name: mappings[key] as string }
+        : mappings[key] as PropertyMappingOptions | undefined;
+
+      if (!mapping) {
+        this.report(context, 'unmapped-property', `Unmapped property: ${propertyPath}`, propertyPath);
+      } else if (mapping.resource) {
+        // Mapped to a separate resource by mapResource
+        return;
+      } else if (mapping.drop) {
+        this.report(context, 'dropped-property', `Property dropped: ${propertyPath} (${mapping.drop})`, propertyPath);
+      } else if (mapping.flatten) {
+        if (this.isPlainObject(value)) {
+          Object.entries(this.mapProperties(mapping.flatten, value, propertyPath, context))
+            .forEach(([terraformKey, terraformValue]) => assign(terraformKey, terraformValue, propertyPath));
+        } else {
+          this.report(context, 'unmapped-property', `Unmapped property: ${propertyPath} (expected an object)`, propertyPath);
+        }
+      } else if (mapping.expand) {
+        Object.entries(mapping.expand(value)).forEach(([terraformKey, terraformValue]) => {
+          if (terraformValue !== undefined) {
+            assign(terraformKey, this.transformValue(terraformValue, context), propertyPath);
+          }
+        });
+      } else {
+        const terraformKey = mapping.name || this.camelToSnakeCase(key);
+        const terraformValue = this.mapPropertyValue(mapping, value, properties, propertyPath, context);
+        if (terraformValue !== undefined) {
+          assign(terraformKey, terraformValue, propertyPath);
+        }
+      }
     });
     
     return result;
   }
 
   /**
-   * Transform CloudFormation values to Terraform values
+   * Map the value of a single CloudFormation property
+   * @param mapping Property mapping
    * @param value CloudFormation value
+   * @param properties CloudFormation object the value belongs to
+   * @param path Logical ID and property path, used in reports
+   * @param context Mapping context
    */
-  private static transformValue(value: any): any {
-    if (typeof value === 'object' && value !== null) {
-      if (Array.isArray(value)) {
-        return value.map(item => this.transformValue(item));
+  private static mapPropertyValue(
+    mapping: PropertyMappingOptions,
+    value: any,
+    properties: Record<string, any>,
+    path: string,
+    context: MappingContext
+  ): TerraformValue | undefined {
+    const mappedValue = mapping.transform ? mapping.transform(value, properties) : value;
+
+    if (mapping.block) {
+      const blockMappings = mapping.block;
+      if (Array.isArray(mappedValue)) {
+        return list(mappedValue
+          .filter(item => !this.isNoValue(item))
+          .map((item, index) => this.isPlainObject(item)
+            ? block(this.mapProperties(blockMappings, item, `${path}[${index}]`, context))
+            : this.transformValue(item, context)));
+      } else if (this.isPlainObject(mappedValue)) {
+        return block(this.mapProperties(blockMappings, mappedValue, path, context));
+      }
+    } else if (mapping.tags) {
+      return this.mapTags(mappedValue, path, context);
+    } else if (mapping.json) {
+      // Documents keep their keys and are encoded when Terraform evaluates them;
+      // strings (including Fn::Sub and Fn::Join results) are already encoded
+      const encoded = typeof mappedValue === 'string'
+        || (this.isIntrinsic(mappedValue) && ('Fn::Sub' in mappedValue || 'Fn::Join' in mappedValue));
+      return encoded
+        ? this.transformValue(mappedValue, context)
+        : call('jsonencode', this.transformValue(mappedValue, context, true));
+    } else if (mapping.map) {
+      return this.transformValue(mappedValue, context, true);
+    }
+    return this.transformValue(mappedValue, context);
+  }
+
+  /**
+   * Convert a CloudFormation tag list to a Terraform tag map
+   * Tags added through Fn::If are merged in conditionally.
+   * @param value CloudFormation tag list
+   * @param path Logical ID and property path, used in reports
+   * @param context Mapping context
+   */
+  private static mapTags(value: any, path: string, context: MappingContext): TerraformValue | undefined {
+    if (this.isPlainObject(value)) {
+      // Some resource types already take a tag map
+      return this.isIntrinsic(value)
+        ? this.transformValue(value, context)
+        : map(Object.fromEntries(Object.entries(value)
+          .filter(([, tagValue]) => !this.isNoValue(tagValue))
+          .map(([key, tagValue]) => [key, this.tagValue(tagValue, context)])));
+    } else if (!Array.isArray(value)) {
+      this.report(context, 'unmapped-property', `Unmapped property: ${path} (tags must be a list of Key/Value pairs)`, path);
+      return undefined;
+    }
+
+    const tags: Record<string, TerraformValue> = {};
+    const conditionalTags: TerraformValue[] = [];
+    const tagMap = (tag: any) => this.isPlainObject(tag) && typeof tag.Key === 'string'
+      ? map({ [tag.Key]: this.tagValue(tag.Value, context) })
+      : map({});
+
+    value.forEach((tag, index) => {
+      if (this.isNoValue(tag)) {
+        return;
+      } else if (this.isPlainObject(tag) && typeof tag.Key === 'string') {
+        tags[tag.Key] = this.tagValue(tag.Value, context);
+      } else if (this.isIntrinsic(tag) && 'Fn::If' in tag) {
+        const [conditionName, whenTrue, whenFalse] = tag['Fn::If'];
+        conditionalTags.push(conditional(
+          this.conditionReference(conditionName, context), tagMap(whenTrue), tagMap(whenFalse)));
       } else {
-        // Handle intrinsic functions like Ref, GetAtt, etc.
-        if ('Ref' in value) {
-          return `props.${value.Ref}`;
-        } else if ('Fn::GetAtt' in value) {
-          const [resourceName, attribute] = value['Fn::GetAtt'];
-          const resourceId = this.sanitizeResourceName(resourceName);
-          return `${resourceId}.${this.camelToSnakeCase(attribute)}`;
-        } else {
-          const result: Record<string, any> = {};
-          Object.entries(value).forEach(([k, v]) => {
-            result[this.camelToSnakeCase(k)] = this.transformValue(v);
-          });
-          return result;
-        }
+        this.report(context, 'unmapped-property',
+          `Unmapped property: ${path}[${index}] (tag keys must be literal strings)`, `${path}[${index}]`);
       }
+    });
+
+    if (conditionalTags.length === 0) {
+      return map(tags);
+    }
+    return call('merge', map(tags), ...conditionalTags);
+  }
+
+  /**
+   * Convert a tag value; literal numbers and booleans become strings, since tag maps only hold strings
+   * @param value CloudFormation tag value
+   * @param context Mapping context
+   */
+  private static tagValue(value: any, context: MappingContext): TerraformValue {
+    return this.typedValue(this.transformValue(value, context), 'string');
+  }
+
+  /**
+   * Convert literal values to the type of the Terraform attribute they are assigned to
+   * Numeric strings become numbers and numbers or booleans strings; other values are left as they are.
+   * @param value Terraform value
+   * @param type Type of the attribute, if it is known
+   */
+  private static typedValue(value: TerraformValue, type: 'number' | 'string' | undefined): TerraformValue {
+    if (value.kind === 'conditional') {
+      return conditional(value.condition, this.typedValue(value.whenTrue, type), this.typedValue(value.whenFalse, type));
+    } else if (value.kind !== 'literal') {
+      return value;
+    } else if (type === 'number' && typeof value.value === 'string'
+      && value.value.trim() !== '' && !isNaN(Number(value.value))) {
+      return literal(Number(value.value));
+    } else if (type === 'string' && (typeof value.value === 'number' || typeof value.value === 'boolean')) {
+      return literal(String(value.value));
     }
     return value;
   }
 
   /**
-   * Transform CloudFormation expressions to Terraform expressions
-   * @param expression CloudFormation expression
+   * Move tags that every taggable resource shares to the provider's default tags
+   * @param context Mapping context
    */
-  private static transformExpression(expression: any): string {
-    // Simplified implementation
-    if (typeof expression === 'object' && expression !== null) {
-      if ('Ref' in expression) {
-        if (expression.Ref.startsWith('AWS::') || expression.Ref === 'AWS::Region' || expression.Ref === 'AWS::AccountId') {
-          // AWS特殊変数の場合
-          return `"${expression.Ref}"`;
-        } else {
-          // リソース参照の場合
-          const resourceId = this.sanitizeResourceName(expression.Ref);
-          return resourceId;
+  private static hoistDefaultTags(context: MappingContext): MapValue | undefined {
+    if (context.taggedResources.length === 0) {
+      return undefined;
+    }
+
+    // Only static tag maps take part; a conditional merge() keeps all of its tags
+    const tagMaps = context.taggedResources.map(([resource, attribute]) => {
+      const tagMap = resource.properties[attribute];
+      return tagMap && tagMap.kind === 'map' ? tagMap.entries : {};
+    });
+    const [first, ...others] = tagMaps;
+    const defaultTags: Record<string, TerraformValue> = {};
+
+    Object.entries(first).forEach(([key, value]) => {
+      if (others.every(tagMap => key in tagMap && JSON.stringify(tagMap[key]) === JSON.stringify(value))) {
+        defaultTags[key] = value;
+      }
+    });
+
+    if (Object.keys(defaultTags).length === 0) {
+      return undefined;
+    }
+
+    context.taggedResources.forEach(([resource, attribute]) => {
+      const tagMap = resource.properties[attribute] as MapValue;
+      Object.keys(defaultTags).forEach(key => delete tagMap.entries[key]);
+      if (Object.keys(tagMap.entries).length === 0) {
+        delete resource.properties[attribute];
+      }
+    });
+
+    return map(defaultTags);
+  }
+
+  /**
+   * Transform a CloudFormation value to a Terraform value tree
+   * Intrinsic functions become references and function calls, everything else stays literal.
+   * @param value CloudFormation value
+   * @param context Mapping context
+   * @param preserveKeys Keep object keys as written (a map) instead of converting them to attribute names (a block)
+   */
+  private static transformValue(value: any, context: MappingContext, preserveKeys = false): TerraformValue {
+    if (Array.isArray(value)) {
+      return list(value
+        .filter(item => !this.isNoValue(item))
+        .map(item => this.transformValue(item, context, preserveKeys)));
+    } else if (this.isIntrinsic(value)) {
+      const intrinsic = this.transformIntrinsic(value, context);
+      if (intrinsic === undefined) {
+        this.report(context, 'unsupported-intrinsic',
+          `Unsupported intrinsic function: ${Object.keys(value)[0]} (in ${context.location})`);
+        return literal(null);
+      }
+      return intrinsic;
+    } else if (typeof value === 'object' && value !== null) {
+      const entries: Record<string, TerraformValue> = {};
+      Object.entries(value).forEach(([k, v]) => {
+        if (!this.isNoValue(v)) {
+          entries[preserveKeys ? k : this.camelToSnakeCase(k)] = this.transformValue(v, context, preserveKeys);
         }
-      } else if ('Fn::GetAtt' in expression) {
-        const [resourceName, attribute] = expression['Fn::GetAtt'];
-        const resourceId = this.sanitizeResourceName(resourceName);
-        return `${resourceId}.${this.camelToSnakeCase(attribute)}`;
+      });
+      return preserveKeys ? map(entries) : block(entries);
+    }
+    return literal(value === undefined ? null : value);
+  }
+
+  /**
+   * Transform an intrinsic function call to a Terraform expression
+   * Returns undefined for functions that have no Terraform translation yet.
+   * @param value Object with a single intrinsic function key
+   * @param context Mapping context
+   */
+  private static transformIntrinsic(value: Record<string, any>, context: MappingContext): TerraformValue | undefined {
+    if ('Ref' in value) {
+      if (value.Ref === 'AWS::NoValue') {
+        return literal(null);
+      } else if (value.Ref.startsWith('AWS::')) {
+        // AWS特殊変数の場合
+        return this.pseudoParameter(value.Ref, context);
+      } else if (context.template.Parameters && value.Ref in context.template.Parameters) {
+        // パラメータ参照の場合
+        return this.parameterRef(value.Ref, context);
+      } else if (value.Ref in context.template.Resources) {
+        // リソース参照の場合
+        return this.resourceRef(value.Ref, context);
+      }
+      throw new Error(`Unresolved reference: ${value.Ref}`);
+    } else if ('Fn::GetAtt' in value) {
+      // JSON templates may also use the "Resource.Attribute" string form
+      const getAtt = value['Fn::GetAtt'];
+      const [resourceName, attribute] = typeof getAtt === 'string'
+        ? [getAtt.slice(0, getAtt.indexOf('.')), getAtt.slice(getAtt.indexOf('.') + 1)]
+        : getAtt;
+      return this.resourceGetAtt(resourceName, attribute, context);
+    } else if ('Condition' in value) {
+      return this.conditionReference(value.Condition, context);
+    } else if ('Fn::If' in value) {
+      const [conditionName, whenTrue, whenFalse] = value['Fn::If'];
+      return conditional(this.conditionReference(conditionName, context),
+        this.transformValue(whenTrue, context), this.transformValue(whenFalse, context));
+    } else if ('Fn::Sub' in value) {
+      const [subTemplate, variables] = typeof value['Fn::Sub'] === 'string'
+        ? [value['Fn::Sub'], {}]
+        : value['Fn::Sub'];
+      return this.transformSub(subTemplate, variables || {}, context);
+    } else if ('Fn::FindInMap' in value) {
+      const [mapName, topLevelKey, secondLevelKey, options] = value['Fn::FindInMap'];
+      if (typeof mapName !== 'string') {
+        throw new Error('Fn::FindInMap requires a literal mapping name');
+      }
+      const mapping: TerraformValue = { kind: 'reference', target: 'local', name: this.mappingIdentifier(mapName, context) };
+      const topLevel = call('lookup', mapping, this.transformValue(topLevelKey, context));
+      // DefaultValue comes from the AWS::LanguageExtensions transform
+      return options && 'DefaultValue' in options
+        ? call('lookup', topLevel, this.transformValue(secondLevelKey, context), this.transformValue(options.DefaultValue, context))
+        : call('lookup', topLevel, this.transformValue(secondLevelKey, context));
+    } else if ('Fn::Join' in value) {
+      const [delimiter, values] = value['Fn::Join'];
+      return call('join', this.transformValue(delimiter, context), this.transformValue(values, context));
+    } else if ('Fn::Select' in value) {
+      const [index, values] = value['Fn::Select'];
+      return call('element', this.transformValue(values, context), this.transformValue(index, context));
+    } else if ('Fn::Split' in value) {
+      const [delimiter, source] = value['Fn::Split'];
+      return call('split', this.transformValue(delimiter, context), this.transformValue(source, context));
+    } else if ('Fn::Base64' in value) {
+      return call('base64encode', this.transformValue(value['Fn::Base64'], context));
+    } else if ('Fn::GetAZs' in value) {
+      // Only the zones of the provider's region can be listed
+      const region = value['Fn::GetAZs'];
+      if (region !== '' && !(this.isIntrinsic(region) && region.Ref === 'AWS::Region')) {
+        this.report(context, 'ignored-argument',
+          `Fn::GetAZs lists the zones of the provider's region instead of ${JSON.stringify(region)}`);
+      }
+      return this.dataSourceAttribute('aws_availability_zones', 'names', context);
+    } else if ('Fn::Length' in value) {
+      return call('length', this.transformValue(value['Fn::Length'], context));
+    } else if ('Fn::ToJsonString' in value) {
+      return call('jsonencode', this.transformValue(value['Fn::ToJsonString'], context, true));
+    } else if ('Fn::Equals' in value) {
+      const [left, right] = value['Fn::Equals'];
+      return operator('==', this.transformValue(left, context), this.transformValue(right, context));
+    } else if ('Fn::And' in value || 'Fn::Or' in value) {
+      const logicalOperator = 'Fn::And' in value ? '&&' : '||';
+      const operands: TerraformValue[] = (value['Fn::And'] || value['Fn::Or'])
+        .map((operand: any) => this.transformValue(operand, context));
+      // Operators are binary, so fold the CloudFormation operand list
+      return operands.reduceRight((right, left) => operator(logicalOperator, left, right));
+    } else if ('Fn::Not' in value) {
+      const [operand] = value['Fn::Not'];
+      return operator('!', this.transformValue(operand, context));
+    } else if ('Fn::ImportValue' in value) {
+      return this.importValue(value['Fn::ImportValue'], context);
+    }
+    return undefined;
+  }
+
+  /**
+   * Resolve Fn::ImportValue to the output of the stack exporting the name
+   * Imports that no other template of the app exports are reported and converted to null.
+   * @param exportName Export name
+   * @param context Mapping context
+   */
+  private static importValue(exportName: any, context: MappingContext): TerraformValue {
+    const stackName = context.options.stackName || 'converted-stack';
+    const name = this.staticString(exportName, context.template, stackName);
+    if (name === undefined) {
+      this.report(context, 'unresolved-import',
+        `Unresolved import: Fn::ImportValue ${JSON.stringify(exportName)} (the export name must not depend on resources)`);
+      return literal(null);
+    }
+
+    const exported = context.app && context.app.exports[name];
+    if (!exported) {
+      this.report(context, 'unresolved-import', `Unresolved import: ${name} (no template converted along with ${stackName} exports it)`);
+      return literal(null);
+    } else if (exported.stack === stackName) {
+      this.report(context, 'unresolved-import', `Unresolved import: ${name} (exported by ${stackName} itself)`);
+      return literal(null);
+    }
+    context.app!.imports.add(exported.stack);
+    return { kind: 'reference', target: 'stack', name: exported.stack, attribute: exported.output };
+  }
+
+  /**
+   * Resolve a pseudo parameter, registering the data source or variable it needs
+   * @param name Pseudo parameter name (AWS::*)
+   * @param context Mapping context
+   */
+  private static pseudoParameter(name: string, context: MappingContext): TerraformValue {
+    if (name in this.pseudoParameterDataSources) {
+      const [type, attribute] = this.pseudoParameterDataSources[name];
+      return this.dataSourceAttribute(type, attribute, context);
+    } else if (name in this.pseudoParameterVariables) {
+      const [variableName, variable] = this.pseudoParameterVariables[name];
+      if (!context.variables[variableName]) {
+        context.variables[variableName] = variable.default === 'converted-stack' && context.options.stackName
+          ? { ...variable, default: context.options.stackName }
+          : { ...variable };
       }
+      return { kind: 'reference', target: 'variable', name: variableName };
+    }
+    throw new Error(`Unsupported pseudo parameter: ${name}`);
+  }
+
+  /**
+   * Reference an attribute of a data source without arguments, declaring it on first use
+   * @param type Terraform data source type
+   * @param attribute Terraform attribute name
+   * @param context Mapping context
+   */
+  private static dataSourceAttribute(type: string, attribute: string, context: MappingContext): TerraformValue {
+    const name = `current_${type.replace(/^aws_/, '')}`;
+    if (!context.dataSources[name]) {
+      context.dataSources[name] = { type, name, properties: {} };
+    }
+    return { kind: 'reference', target: 'data', type, name, attribute };
+  }
+
+  /**
+   * Transform an Fn::Sub template into an interpolated string
+   * ${Name} resolves to a Sub variable, parameter, resource or pseudo parameter,
+   * ${Resource.Attribute} to a resource attribute and ${!Literal} to the literal text ${Literal}.
+   * @param subTemplate Fn::Sub template string
+   * @param variables Fn::Sub variable map
+   * @param context Mapping context
+   */
+  private static transformSub(subTemplate: string, variables: Record<string, any>, context: MappingContext): TerraformValue {
+    const parts: Array<string | TerraformValue> = [];
+    let lastIndex = 0;
+    const placeholder = /\$\{([^}]*)\}/g;
+    let match: RegExpExecArray | null;
+
+    while ((match = placeholder.exec(subTemplate)) !== null) {
+      const name = match[1].trim();
+      parts.push(subTemplate.slice(lastIndex, match.index));
+      lastIndex = match.index + match[0].length;
+
+      if (name.startsWith('!')) {
+        parts.push(`\${${name.slice(1)}}`);
+      } else if (name in variables && (typeof variables[name] === 'string' || typeof variables[name] === 'number')) {
+        parts.push(String(variables[name]));
+      } else if (name in variables) {
+        parts.push(this.transformValue(variables[name], context));
+      } else if (name.includes('.') && !name.startsWith('AWS::')) {
+        const separator = name.indexOf('.');
+        parts.push(this.resourceGetAtt(name.slice(0, separator), name.slice(separator + 1), context));
+      } else {
+        parts.push(this.transformIntrinsic({ Ref: name }, context)!);
+      }
+    }
+    parts.push(subTemplate.slice(lastIndex));
+
+    return template(parts);
+  }
+
+  /**
+   * Resolve Ref to a resource through the attribute its type returns
+   * @param resourceName CloudFormation logical ID
+   * @param context Mapping context
+   */
+  private static resourceRef(resourceName: string, context: MappingContext): TerraformValue {
+    if (resourceName in context.nestedStacks) {
+      // Terraform modules have no ID
+      this.report(context, 'attribute-without-equivalent',
+        `Attribute without Terraform equivalent: ${resourceName} (Ref to a nested stack, in ${context.location})`);
+      return literal(null);
+    }
+    const definition = this.resourceDefinition(context.template.Resources[resourceName], context);
+    if (!definition) {
+      this.report(context, 'unsupported-reference',
+        `Reference to unsupported resource: ${resourceName} (in ${context.location})`);
+      return literal(null);
     }
-    return String(expression);
+    return this.resourceAttribute(resourceName, definition.ref || 'id', context);
+  }
+
+  /**
+   * Resolve Fn::GetAtt through the attribute table of the resource type
+   * @param resourceName CloudFormation logical ID
+   * @param attribute CloudFormation attribute name
+   * @param context Mapping context
+   */
+  private static resourceGetAtt(resourceName: string, attribute: string, context: MappingContext): TerraformValue {
+    const resource = context.template.Resources[resourceName];
+    if (!resource) {
+      throw new Error(`Unresolved reference: ${resourceName}.${attribute}`);
+    } else if (resourceName in context.nestedStacks) {
+      return this.nestedStackOutput(resourceName, attribute, context);
+    }
+
+    const definition = this.resourceDefinition(resource, context);
+    if (!definition) {
+      this.report(context, 'unsupported-reference',
+        `Reference to unsupported resource: ${resourceName}.${attribute} (in ${context.location})`);
+      return literal(null);
+    }
+
+    const attributes = definition.attributes || {};
+    if (!(attribute in attributes) && definition.attributeName) {
+      return this.resourceAttribute(resourceName, definition.attributeName(attribute), context);
+    } else if (!(attribute in attributes)) {
+      const guessed = this.camelToSnakeCase(attribute.replace(/\./g, '_'));
+      this.report(context, 'guessed-attribute',
+        `Unmapped attribute: ${resourceName}.${attribute} (guessed ${guessed}, in ${context.location})`);
+      return this.resourceAttribute(resourceName, guessed, context);
+    } else if (attributes[attribute] === null) {
+      this.report(context, 'attribute-without-equivalent',
+        `Attribute without Terraform equivalent: ${resourceName}.${attribute} (referenced by ${context.location})`);
+      return literal(null);
+    } else if (attributes[attribute]!.includes('${')) {
+      // Built from Terraform attributes: ${arn}:*
+      const parts = attributes[attribute]!.split(/\$\{([^}]+)\}/)
+        .map((part, index) => index % 2 === 1 ? this.resourceAttribute(resourceName, part, context) : part);
+      return template(parts);
+    }
+    return this.resourceAttribute(resourceName, attributes[attribute]!, context);
+  }
+
+  /**
+   * Reference an attribute of a mapped resource
+   * Conditional resources are created with count, so their attributes are read with one() over a splat.
+   * @param resourceName CloudFormation logical ID
+   * @param attribute Terraform attribute name
+   * @param context Mapping context
+   */
+  private static resourceAttribute(resourceName: string, attribute: string, context: MappingContext): TerraformValue {
+    const resource = context.template.Resources[resourceName];
+    const reference: TerraformValue = {
+      kind: 'reference',
+      target: 'resource',
+      type: this.resourceDefinition(resource, context)!.terraformType,
+      name: this.sanitizeResourceName(resourceName),
+      attribute,
+    };
+    if (resource.Condition) {
+      return call('one', { ...reference, splat: true });
+    }
+    return reference;
+  }
+
+  /**
+   * Number of instances of a resource created only when its condition holds
+   * @param resource CloudFormation resource
+   * @param context Mapping context
+   */
+  private static resourceCount(resource: CloudFormationResource, context: MappingContext): TerraformValue | undefined {
+    return resource.Condition
+      ? conditional(this.conditionReference(resource.Condition, context), literal(1), literal(0))
+      : undefined;
+  }
+
+  /**
+   * Order resources so that every resource comes after the resources it depends on
+   * Dependencies come from references in the properties and from DependsOn; DependsOn targets
+   * that are not referenced anyway become explicit dependsOn entries.
+   * @param mappedResources Terraform resources by CloudFormation logical ID
+   * @param context Mapping context
+   */
+  private static sortResources(
+    mappedResources: Record<string, TerraformResource[]>,
+    context: MappingContext
+  ): TerraformResource[] {
+    const resources = Object.values(mappedResources).flat();
+    const resourcesByName = new Map(resources.map(resource => [resource.name, resource]));
+    const dependencies = new Map<TerraformResource, TerraformResource[]>();
+
+    Object.entries(mappedResources).forEach(([logicalId, terraformResources]) => {
+      const dependsOn = context.template.Resources[logicalId].DependsOn;
+      const targets = dependsOn === undefined ? [] : Array.isArray(dependsOn) ? dependsOn : [dependsOn];
+
+      terraformResources.forEach(resource => {
+        const referenced = new Set<TerraformResource>();
+        const values = resource.count ? [block(resource.properties), resource.count] : [block(resource.properties)];
+        values.forEach(value => visitValue(value, node => {
+          if (node.kind === 'reference' && (node.target === 'resource' || node.target === 'module')
+            && resourcesByName.has(node.name)) {
+            referenced.add(resourcesByName.get(node.name)!);
+          }
+        }));
+
+        const explicit: TerraformResource[] = [];
+        targets.forEach(target => {
+          if (!(target in context.template.Resources)) {
+            throw new Error(`DependsOn target not found: ${logicalId} depends on ${target}`);
+          } else if (!(target in mappedResources)) {
+            this.report(context, 'dropped-dependency',
+              `DependsOn target not converted: ${logicalId} depends on ${target}`, `${logicalId}.DependsOn`);
+            return;
+          }
+          // Waiting for a resource includes the resources split off from it
+          mappedResources[target]
+            .filter(dependency => !referenced.has(dependency) && !explicit.includes(dependency))
+            .forEach(dependency => explicit.push(dependency));
+        });
+
+        if (explicit.length > 0) {
+          resource.dependsOn = explicit.map(dependency => dependency.module
+            ? { kind: 'reference', target: 'module', name: dependency.name }
+            : { kind: 'reference', target: 'resource', type: dependency.type, name: dependency.name });
+        }
+        dependencies.set(resource, [...referenced, ...explicit]);
+      });
+    });
+
+    const sorted: TerraformResource[] = [];
+    const path: TerraformResource[] = [];
+
+    const visit = (resource: TerraformResource) => {
+      if (sorted.includes(resource)) {
+        return;
+      }
+      if (path.includes(resource)) {
+        const cycle = [...path.slice(path.indexOf(resource)), resource]
+          .map(item => `${item.type}.${item.name}`);
+        throw new Error(`Circular dependency between resources: ${cycle.join(' -> ')}`);
+      }
+      path.push(resource);
+      dependencies.get(resource)!.forEach(visit);
+      path.pop();
+      sorted.push(resource);
+    };
+
+    resources.forEach(visit);
+    return sorted;
+  }
+
+  /**
+   * Order condition names so that every condition comes after the conditions it references
+   * @param conditions CloudFormation Conditions section
+   */
+  private static sortConditions(conditions: Record<string, any>): string[] {
+    const sorted: string[] = [];
+    const visiting = new Set<string>();
+
+    const collectReferences = (value: any, references: string[]): string[] => {
+      if (Array.isArray(value)) {
+        value.forEach(item => collectReferences(item, references));
+      } else if (typeof value === 'object' && value !== null) {
+        if (typeof value.Condition === 'string') {
+          references.push(value.Condition);
+        }
+        Object.values(value).forEach(item => collectReferences(item, references));
+      }
+      return references;
+    };
+
+    const visit = (name: string) => {
+      if (sorted.includes(name)) {
+        return;
+      }
+      if (visiting.has(name)) {
+        throw new Error(`Circular reference between conditions: ${name}`);
+      }
+      if (!(name in conditions)) {
+        throw new Error(`Condition not found: ${name}`);
+      }
+      visiting.add(name);
+      collectReferences(conditions[name], []).forEach(visit);
+      visiting.delete(name);
+      sorted.push(name);
+    };
+
+    Object.keys(conditions).forEach(visit);
+    return sorted;
+  }
+
+  /**
+   * Identifier of the generated variable holding a condition
+   * @param name Condition name
+   * @param context Mapping context
+   */
+  private static conditionIdentifier(name: string, context: MappingContext): string {
+    if (!context.template.Conditions || !(name in context.template.Conditions)) {
+      throw new Error(`Condition not found: ${name}`);
+    }
+    return `${this.sanitizeResourceName(name)}_condition`;
+  }
+
+  /**
+   * Reference the generated variable holding a condition
+   * @param name Condition name
+   * @param context Mapping context
+   */
+  private static conditionReference(name: string, context: MappingContext): TerraformValue {
+    return { kind: 'reference', target: 'condition', name: this.conditionIdentifier(name, context) };
+  }
+
+  /**
+   * Identifier of the generated local holding a mapping
+   * @param name Mapping name
+   * @param context Mapping context
+   */
+  private static mappingIdentifier(name: string, context: MappingContext): string {
+    if (!context.template.Mappings || !(name in context.template.Mappings)) {
+      throw new Error(`Mapping not found: ${name}`);
+    }
+    return `${this.sanitizeResourceName(name)}_mapping`;
+  }
+
+  /**
+   * Check whether a value is an intrinsic function call
+   * @param value CloudFormation value
+   */
+  private static isIntrinsic(value: any): boolean {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return false;
+    }
+    const keys = Object.keys(value);
+    if (keys.length !== 1) {
+      return false;
+    }
+    // IAM policy statements also have a Condition key, but never with a string value
+    return keys[0] === 'Ref'
+      || keys[0].startsWith('Fn::')
+      || (keys[0] === 'Condition' && typeof value.Condition === 'string');
+  }
+
+  /**
+   * Check whether a value is a plain object (not a list or an intrinsic function call)
+   * @param value CloudFormation value
+   */
+  private static isPlainObject(value: any): value is Record<string, any> {
+    return typeof value === 'object' && value !== null && !Array.isArray(value) && !this.isIntrinsic(value);
+  }
+
+  /**
+   * Check whether a value is a reference to AWS::NoValue
+   * @param value CloudFormation value
+   */
+  private static isNoValue(value: any): boolean {
+    return typeof value === 'object' && value !== null && value.Ref === 'AWS::NoValue';
+  }
+
+  /**
+   * Resolve Ref to a parameter
+   * SSM parameter types resolve to the value read from Parameter Store, not to the parameter name.
+   * @param name Parameter name
+   * @param context Mapping context
+   */
+  private static parameterRef(name: string, context: MappingContext): TerraformValue {
+    const valueType = this.ssmValueType(context.template.Parameters![name].Type);
+    if (valueType === undefined) {
+      return { kind: 'reference', target: 'variable', name };
+    }
+
+    const value: TerraformValue = {
+      kind: 'reference',
+      target: 'data',
+      type: 'aws_ssm_parameter',
+      name: `${this.sanitizeResourceName(name)}_parameter`,
+      attribute: 'insecure_value',
+    };
+    // StringList parameters hold comma-separated values
+    return valueType.startsWith('List<') || valueType === 'CommaDelimitedList'
+      ? call('split', literal(','), value)
+      : value;
+  }
+
+  /**
+   * Data source declared for a parameter: the Parameter Store lookup of SSM parameter types,
+   * or the existence check of AWS-specific ID types when checkParameters is set
+   * @param name Parameter name
+   * @param param CloudFormation parameter
+   * @param options Mapping options
+   */
+  private static parameterDataSource(
+    name: string,
+    param: CloudFormationParameter,
+    options: MappingOptions
+  ): TerraformDataSource | undefined {
+    const variable: TerraformValue = { kind: 'reference', target: 'variable', name };
+
+    if (this.ssmValueType(param.Type) !== undefined) {
+      return {
+        type: 'aws_ssm_parameter',
+        name: `${this.sanitizeResourceName(name)}_parameter`,
+        properties: { name: variable },
+      };
+    } else if (options.checkParameters && param.Type in this.parameterCheckDataSources) {
+      const [type, argument] = this.parameterCheckDataSources[param.Type];
+      return {
+        type,
+        name: `${this.sanitizeResourceName(name)}_check`,
+        properties: { [argument]: variable },
+      };
+    }
+    return undefined;
+  }
+
+  /**
+   * Type of the value held by an SSM parameter type (AWS::SSM::Parameter::Value<T> gives T)
+   * @param cfnType CloudFormation parameter type
+   */
+  private static ssmValueType(cfnType: string): string | undefined {
+    return cfnType.match(/^AWS::SSM::Parameter::Value<(.+)>$/)?.[1];
+  }
+
+  /**
+   * Map a CloudFormation parameter to a Terraform variable
+   * Constraints become validation blocks; ConstraintDescription replaces their generated messages.
+   * @param name Parameter name
+   * @param param CloudFormation parameter
+   * @param context Mapping context
+   */
+  private static mapParameter(name: string, param: CloudFormationParameter, context: MappingContext): TerraformVariable {
+    const type = this.mapParameterType(param.Type);
+    const variable: TerraformVariable = { type };
+    const toValue = (value: any) => type.endsWith('number)') || type === 'number' ? Number(value) : String(value);
+
+    if (param.Default !== undefined) {
+      // List defaults are written as comma-separated strings
+      variable.default = type.startsWith('list(') && typeof param.Default === 'string'
+        ? param.Default.split(',').map(toValue)
+        : toValue(param.Default);
+    }
+    if (param.Description !== undefined) {
+      variable.description = param.Description;
+    } else if (this.ssmValueType(param.Type) !== undefined) {
+      variable.description = `Name of the SSM parameter holding ${name}`;
+    }
+    if (param.NoEcho === true || param.NoEcho === 'true') {
+      variable.sensitive = true;
+    }
+
+    const reference: TerraformValue = { kind: 'reference', target: 'variable', name };
+    const validations: Array<[TerraformValue, string]> = [];
+
+    if (param.AllowedValues) {
+      const allowedValues = list(param.AllowedValues.map(value => literal(toValue(value))));
+      validations.push([
+        type.startsWith('list(')
+          ? operator('==', call('length', call('setsubtract', reference, allowedValues)), literal(0))
+          : call('contains', allowedValues, reference),
+        `${name} must be one of: ${param.AllowedValues.join(', ')}.`,
+      ]);
+    }
+    if (param.AllowedPattern !== undefined) {
+      if (type === 'string') {
+        // CloudFormation matches the pattern against the whole value
+        validations.push([
+          call('can', call('regex', literal(`^(?:${param.AllowedPattern})$`), reference)),
+          `${name} must match the pattern ${param.AllowedPattern}.`,
+        ]);
+      } else {
+        this.report(context, 'dropped-parameter-constraint',
+          `Parameter constraint dropped: ${name}.AllowedPattern (only supported for String parameters)`, `${name}.AllowedPattern`);
+      }
+    }
+    if (param.MinLength !== undefined) {
+      validations.push([
+        operator('>=', call('length', reference), literal(Number(param.MinLength))),
+        `${name} must be at least ${param.MinLength} characters long.`,
+      ]);
+    }
+    if (param.MaxLength !== undefined) {
+      validations.push([
+        operator('<=', call('length', reference), literal(Number(param.MaxLength))),
+        `${name} must be at most ${param.MaxLength} characters long.`,
+      ]);
+    }
+    if (param.MinValue !== undefined) {
+      validations.push([
+        operator('>=', reference, literal(Number(param.MinValue))),
+        `${name} must be at least ${param.MinValue}.`,
+      ]);
+    }
+    if (param.MaxValue !== undefined) {
+      validations.push([
+        operator('<=', reference, literal(Number(param.MaxValue))),
+        `${name} must be at most ${param.MaxValue}.`,
+      ]);
+    }
+
+    if (validations.length > 0) {
+      // Terraform expects error messages to be full sentences; descriptions such as
+      // "must be a valid bucket name" are completed with the parameter name
+      const constraintDescription = param.ConstraintDescription
+        ? param.ConstraintDescription
+          .replace(/^([a-z])/, `${name} $1`)
+          .replace(/([^.?!])$/, '$1.')
+        : undefined;
+      variable.validations = validations.map(([condition, errorMessage]) => ({
+        condition,
+        errorMessage: constraintDescription || errorMessage,
+      }));
+    }
+
+    return variable;
   }
 
   /**
@@ -178,17 +1932,24 @@ export class ResourceMapper {
         return 'number';
       case 'CommaDelimitedList':
         return 'list(string)';
+      case 'List<Number>':
+        return 'list(number)';
       default:
-        return 'any';
+        // AWS-specific types hold IDs and names; SSM parameter types hold the parameter name
+        return cfnType.startsWith('List<') ? 'list(string)' : 'string';
     }
   }
 
   /**
    * Convert camelCase to snake_case
+   * Acronyms stay together (SSEAlgorithm becomes sse_algorithm).
    * @param str camelCase string
    */
   private static camelToSnakeCase(str: string): string {
-    return str.replace(/([A-Z])/g, '_$1').toLowerCase();
+    return str
+      .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+      .toLowerCase();
   }
 
   /**
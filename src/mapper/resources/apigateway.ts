@@ -0,0 +1,335 @@
+import { tags } from './common';
+import { PropertyMappings, ResourceDefinition } from './types';
+
+/**
+ * Import ID of a resource that belongs to an API: api-id/physical-id
+ * @param apiProperty Property holding the API ID
+ */
+function apiImportId(apiProperty: string): ResourceDefinition['importId'] {
+  return (physicalId, properties) => typeof properties[apiProperty] === 'string'
+    ? `${properties[apiProperty]}/${physicalId}`
+    : undefined;
+}
+
+/**
+ * Route settings keyed by route key as route_settings items
+ * @param settings CloudFormation route settings
+ */
+function routeSettings(settings: any): any {
+  return typeof settings === 'object' && settings !== null && !Array.isArray(settings)
+    ? Object.entries(settings).map(([routeKey, setting]) => ({ RouteKey: routeKey, ...(setting as object) }))
+    : settings;
+}
+
+const accessLogSettings: PropertyMappings = {
+  DestinationArn: 'destination_arn',
+  Format: 'format',
+};
+
+const routeSettingsProperties: PropertyMappings = {
+  DataTraceEnabled: 'data_trace_enabled',
+  DetailedMetricsEnabled: 'detailed_metrics_enabled',
+  LoggingLevel: 'logging_level',
+  ThrottlingBurstLimit: 'throttling_burst_limit',
+  ThrottlingRateLimit: 'throttling_rate_limit',
+};
+
+export const apigatewayResources: Record<string, ResourceDefinition> = {
+  'AWS::ApiGateway::RestApi': {
+    terraformType: 'aws_api_gateway_rest_api',
+    attributes: {
+      RestApiId: 'id',
+      RootResourceId: 'root_resource_id',
+    },
+    properties: {
+      Name: 'name',
+      Description: 'description',
+      Body: { name: 'body', json: true },
+      ApiKeySourceType: 'api_key_source',
+      BinaryMediaTypes: 'binary_media_types',
+      MinimumCompressionSize: 'minimum_compression_size',
+      DisableExecuteApiEndpoint: 'disable_execute_api_endpoint',
+      FailOnWarnings: 'fail_on_warnings',
+      Mode: 'put_rest_api_mode',
+      Parameters: { name: 'parameters', map: true },
+      Policy: { name: 'policy', json: true },
+      EndpointConfiguration: {
+        name: 'endpoint_configuration',
+        block: {
+          Types: 'types',
+          VpcEndpointIds: 'vpc_endpoint_ids',
+        },
+      },
+      BodyS3Location: { drop: 'the OpenAPI definition has to be read from the file (Body)' },
+      CloneFrom: { drop: 'the AWS provider cannot clone an API' },
+      Tags: tags,
+    },
+  },
+  'AWS::ApiGateway::Resource': {
+    terraformType: 'aws_api_gateway_resource',
+    attributes: {
+      ResourceId: 'id',
+    },
+    importId: apiImportId('RestApiId'),
+    properties: {
+      RestApiId: 'rest_api_id',
+      ParentId: 'parent_id',
+      PathPart: 'path_part',
+    },
+  },
+  'AWS::ApiGateway::Method': {
+    terraformType: 'aws_api_gateway_method',
+    attributes: {},
+    // Terraform requires the authorization type, which CloudFormation defaults to NONE
+    defaults: {
+      AuthorizationType: 'NONE',
+    },
+    // Methods are imported as api-id/resource-id/http-method
+    importId: (_, properties) => [properties.RestApiId, properties.ResourceId, properties.HttpMethod]
+      .every(value => typeof value === 'string')
+      ? `${properties.RestApiId}/${properties.ResourceId}/${properties.HttpMethod}`
+      : undefined,
+    properties: {
+      RestApiId: 'rest_api_id',
+      ResourceId: 'resource_id',
+      HttpMethod: 'http_method',
+      AuthorizationType: 'authorization',
+      AuthorizerId: 'authorizer_id',
+      AuthorizationScopes: 'authorization_scopes',
+      ApiKeyRequired: 'api_key_required',
+      OperationName: 'operation_name',
+      RequestModels: { name: 'request_models', map: true },
+      RequestParameters: { name: 'request_parameters', map: true },
+      RequestValidatorId: 'request_validator_id',
+      MethodResponses: { drop: 'method responses are aws_api_gateway_method_response resources' },
+      // The integration becomes an integration resource of the same method
+      Integration: {
+        resource: {
+          terraformType: 'aws_api_gateway_integration',
+          suffix: 'integration',
+          parent: ['http_method', 'http_method'],
+          inherit: {
+            RestApiId: 'rest_api_id',
+            ResourceId: 'resource_id',
+          },
+          // Integrations are imported as api-id/resource-id/http-method, which the integration does not hold
+          importId: () => undefined,
+          properties: {
+            Type: 'type',
+            IntegrationHttpMethod: 'integration_http_method',
+            Uri: 'uri',
+            Credentials: 'credentials',
+            ConnectionType: 'connection_type',
+            ConnectionId: 'connection_id',
+            PassthroughBehavior: 'passthrough_behavior',
+            ContentHandling: 'content_handling',
+            TimeoutInMillis: 'timeout_milliseconds',
+            CacheKeyParameters: 'cache_key_parameters',
+            CacheNamespace: 'cache_namespace',
+            RequestParameters: { name: 'request_parameters', map: true },
+            RequestTemplates: { name: 'request_templates', map: true },
+            IntegrationResponses: {
+              drop: 'integration responses are aws_api_gateway_integration_response resources',
+            },
+          },
+        },
+      },
+    },
+  },
+  'AWS::ApiGateway::Deployment': {
+    terraformType: 'aws_api_gateway_deployment',
+    attributes: {
+      DeploymentId: 'id',
+    },
+    importId: apiImportId('RestApiId'),
+    properties: {
+      RestApiId: 'rest_api_id',
+      Description: 'description',
+      StageName: 'stage_name',
+      StageDescription: { drop: 'settings of the deployment\'s stage are set on an aws_api_gateway_stage resource' },
+      DeploymentCanarySettings: { drop: 'canary settings are set on an aws_api_gateway_stage resource' },
+    },
+  },
+  'AWS::ApiGateway::Stage': {
+    terraformType: 'aws_api_gateway_stage',
+    // Ref returns the stage name
+    ref: 'stage_name',
+    attributes: {},
+    importId: apiImportId('RestApiId'),
+    properties: {
+      RestApiId: 'rest_api_id',
+      DeploymentId: 'deployment_id',
+      StageName: 'stage_name',
+      Description: 'description',
+      CacheClusterEnabled: 'cache_cluster_enabled',
+      CacheClusterSize: 'cache_cluster_size',
+      ClientCertificateId: 'client_certificate_id',
+      DocumentationVersion: 'documentation_version',
+      TracingEnabled: 'xray_tracing_enabled',
+      Variables: { name: 'variables', map: true },
+      AccessLogSetting: {
+        name: 'access_log_settings',
+        block: accessLogSettings,
+      },
+      CanarySetting: {
+        name: 'canary_settings',
+        block: {
+          DeploymentId: 'deployment_id',
+          PercentTraffic: 'percent_traffic',
+          StageVariableOverrides: { name: 'stage_variable_overrides', map: true },
+          UseStageCache: 'use_stage_cache',
+        },
+      },
+      MethodSettings: { drop: 'method settings are aws_api_gateway_method_settings resources' },
+      Tags: tags,
+    },
+  },
+  'AWS::ApiGatewayV2::Api': {
+    terraformType: 'aws_apigatewayv2_api',
+    attributes: {
+      ApiId: 'id',
+      ApiEndpoint: 'api_endpoint',
+    },
+    properties: {
+      Name: 'name',
+      ProtocolType: 'protocol_type',
+      Description: 'description',
+      Version: 'version',
+      Body: { name: 'body', json: true },
+      RouteSelectionExpression: 'route_selection_expression',
+      ApiKeySelectionExpression: 'api_key_selection_expression',
+      DisableExecuteApiEndpoint: 'disable_execute_api_endpoint',
+      DisableSchemaValidation: 'disable_schema_validation',
+      FailOnWarnings: 'fail_on_warnings',
+      IpAddressType: 'ip_address_type',
+      // Quick create: the default route and integration of an HTTP API
+      Target: 'target',
+      RouteKey: 'route_key',
+      CredentialsArn: 'credentials_arn',
+      CorsConfiguration: {
+        name: 'cors_configuration',
+        block: {
+          AllowCredentials: 'allow_credentials',
+          AllowHeaders: 'allow_headers',
+          AllowMethods: 'allow_methods',
+          AllowOrigins: 'allow_origins',
+          ExposeHeaders: 'expose_headers',
+          MaxAge: 'max_age',
+        },
+      },
+      BodyS3Location: { drop: 'the OpenAPI definition has to be read from the file (Body)' },
+      BasePath: { drop: 'the AWS provider has no base path setting for imported APIs' },
+      Tags: tags,
+    },
+  },
+  'AWS::ApiGatewayV2::Stage': {
+    terraformType: 'aws_apigatewayv2_stage',
+    // Ref returns the stage name
+    ref: 'name',
+    attributes: {},
+    importId: apiImportId('ApiId'),
+    properties: {
+      ApiId: 'api_id',
+      StageName: 'name',
+      Description: 'description',
+      DeploymentId: 'deployment_id',
+      AutoDeploy: 'auto_deploy',
+      ClientCertificateId: 'client_certificate_id',
+      StageVariables: { name: 'stage_variables', map: true },
+      AccessLogSettings: {
+        name: 'access_log_settings',
+        block: accessLogSettings,
+      },
+      DefaultRouteSettings: {
+        name: 'default_route_settings',
+        block: routeSettingsProperties,
+      },
+      RouteSettings: {
+        name: 'route_settings',
+        transform: routeSettings,
+        block: {
+          RouteKey: 'route_key',
+          ...routeSettingsProperties,
+        },
+      },
+      Tags: tags,
+    },
+  },
+  'AWS::ApiGatewayV2::Route': {
+    terraformType: 'aws_apigatewayv2_route',
+    attributes: {
+      RouteId: 'id',
+    },
+    importId: apiImportId('ApiId'),
+    properties: {
+      ApiId: 'api_id',
+      RouteKey: 'route_key',
+      Target: 'target',
+      AuthorizationType: 'authorization_type',
+      AuthorizerId: 'authorizer_id',
+      AuthorizationScopes: 'authorization_scopes',
+      ApiKeyRequired: 'api_key_required',
+      OperationName: 'operation_name',
+      ModelSelectionExpression: 'model_selection_expression',
+      RouteResponseSelectionExpression: 'route_response_selection_expression',
+      RequestModels: { name: 'request_models', map: true },
+      // Parameters keyed by name, with whether they are required
+      RequestParameters: {
+        name: 'request_parameter',
+        transform: parameters => typeof parameters === 'object' && parameters !== null && !Array.isArray(parameters)
+          ? Object.entries(parameters).map(([key, parameter]) => ({ Key: key, ...(parameter as object) }))
+          : parameters,
+        block: {
+          Key: 'request_parameter_key',
+          Required: 'required',
+        },
+      },
+    },
+  },
+  'AWS::ApiGatewayV2::Integration': {
+    terraformType: 'aws_apigatewayv2_integration',
+    attributes: {
+      IntegrationId: 'id',
+    },
+    importId: apiImportId('ApiId'),
+    properties: {
+      ApiId: 'api_id',
+      IntegrationType: 'integration_type',
+      IntegrationSubtype: 'integration_subtype',
+      IntegrationUri: 'integration_uri',
+      IntegrationMethod: 'integration_method',
+      ConnectionType: 'connection_type',
+      ConnectionId: 'connection_id',
+      CredentialsArn: 'credentials_arn',
+      Description: 'description',
+      PayloadFormatVersion: 'payload_format_version',
+      PassthroughBehavior: 'passthrough_behavior',
+      ContentHandlingStrategy: 'content_handling_strategy',
+      TemplateSelectionExpression: 'template_selection_expression',
+      TimeoutInMillis: 'timeout_milliseconds',
+      RequestParameters: { name: 'request_parameters', map: true },
+      RequestTemplates: { name: 'request_templates', map: true },
+      ResponseParameters: {
+        drop: 'response parameters are response_parameters blocks with a status code and a map of mappings',
+      },
+      TlsConfig: {
+        name: 'tls_config',
+        block: {
+          ServerNameToVerify: 'server_name_to_verify',
+        },
+      },
+    },
+  },
+  'AWS::ApiGatewayV2::Deployment': {
+    terraformType: 'aws_apigatewayv2_deployment',
+    attributes: {
+      DeploymentId: 'id',
+    },
+    importId: apiImportId('ApiId'),
+    properties: {
+      ApiId: 'api_id',
+      Description: 'description',
+      StageName: { drop: 'a stage is deployed through the deployment_id of its aws_apigatewayv2_stage' },
+    },
+  },
+};
@@ -0,0 +1,71 @@
+import { ResourceDefinition } from './types';
+
+export const autoscalingResources: Record<string, ResourceDefinition> = {
+  'AWS::AutoScaling::AutoScalingGroup': {
+    terraformType: 'aws_autoscaling_group',
+    ref: 'name',
+    attributes: {},
+    properties: {
+      AutoScalingGroupName: 'name',
+      MinSize: 'min_size',
+      MaxSize: 'max_size',
+      DesiredCapacity: 'desired_capacity',
+      LaunchConfigurationName: 'launch_configuration',
+      LaunchTemplate: {
+        name: 'launch_template',
+        block: {
+          LaunchTemplateId: 'id',
+          LaunchTemplateName: 'name',
+          Version: 'version',
+        },
+      },
+      VPCZoneIdentifier: 'vpc_zone_identifier',
+      AvailabilityZones: 'availability_zones',
+      TargetGroupARNs: 'target_group_arns',
+      LoadBalancerNames: 'load_balancers',
+      HealthCheckType: 'health_check_type',
+      HealthCheckGracePeriod: 'health_check_grace_period',
+      Cooldown: 'default_cooldown',
+      DefaultInstanceWarmup: 'default_instance_warmup',
+      TerminationPolicies: 'termination_policies',
+      NewInstancesProtectedFromScaleIn: 'protect_from_scale_in',
+      CapacityRebalance: 'capacity_rebalance',
+      MaxInstanceLifetime: 'max_instance_lifetime',
+      ServiceLinkedRoleARN: 'service_linked_role_arn',
+      PlacementGroup: 'placement_group',
+      MetricsCollection: {
+        expand: collections => ({
+          enabled_metrics: Array.isArray(collections)
+            ? collections.reduce((metrics: any[], collection: any) => metrics.concat(collection.Metrics || []), [])
+            : undefined,
+          metrics_granularity: Array.isArray(collections) && collections.length > 0
+            ? collections[0].Granularity
+            : undefined,
+        }),
+      },
+      // Auto Scaling groups use tag blocks so that each tag can propagate to the instances
+      Tags: {
+        name: 'tag',
+        block: {
+          Key: 'key',
+          Value: 'value',
+          PropagateAtLaunch: 'propagate_at_launch',
+        },
+      },
+      LifecycleHookSpecificationList: {
+        name: 'initial_lifecycle_hook',
+        block: {
+          LifecycleHookName: 'name',
+          LifecycleTransition: 'lifecycle_transition',
+          DefaultResult: 'default_result',
+          HeartbeatTimeout: 'heartbeat_timeout',
+          NotificationMetadata: 'notification_metadata',
+          NotificationTargetARN: 'notification_target_arn',
+          RoleARN: 'role_arn',
+        },
+      },
+      NotificationConfigurations: { drop: 'requires a separate aws_autoscaling_notification resource' },
+      MixedInstancesPolicy: { drop: 'mixed instances policies have to be rewritten as a mixed_instances_policy block' },
+    },
+  },
+};
@@ -0,0 +1,112 @@
+import { PropertyMapping, PropertyMappings, ResourceDefinition } from './types';
+
+/**
+ * Definitions for the AWS Cloud Control (awscc) provider
+ * awscc generates its resources from the CloudFormation resource schemas: AWS::SNS::Topic becomes
+ * awscc_sns_topic, properties become snake_case attributes, nested properties object attributes, and
+ * id holds the primary identifier that Ref returns for most types. Without the schemas at hand,
+ * the mappings are derived from the values in the template.
+ */
+
+// Types that are not resources of a service, so awscc has no counterpart
+const unsupportedTypes = [
+  'AWS::CloudFormation::CustomResource',
+  'AWS::CloudFormation::WaitCondition',
+  'AWS::CloudFormation::WaitConditionHandle',
+];
+
+// Properties whose schema type is a JSON document, which awscc takes as an encoded string
+const jsonProperty = /(Policy|PolicyDocument|Document|Definition|Pattern|Schema)$/;
+
+/**
+ * awscc resource type of a CloudFormation type (AWS::EC2::VPCEndpoint becomes awscc_ec2_vpc_endpoint)
+ * Returns undefined for custom resources, other namespaces (Alexa::, third-party types) and
+ * CloudFormation's own pseudo resources.
+ * @param type CloudFormation resource type
+ */
+export function awsccResourceType(type: string): string | undefined {
+  const match = type.match(/^AWS::([A-Za-z0-9]+)::([A-Za-z0-9]+)$/);
+  if (!match || unsupportedTypes.includes(type)) {
+    return undefined;
+  }
+  return `awscc_${match[1].toLowerCase()}_${snakeCase(match[2])}`;
+}
+
+/**
+ * Definition of a CloudFormation type for the awscc provider, with mappings for the given properties
+ * @param type CloudFormation resource type
+ * @param properties Properties of the resource
+ */
+export function awsccResourceDefinition(type: string, properties: Record<string, any>): ResourceDefinition | undefined {
+  const terraformType = awsccResourceType(type);
+  if (terraformType === undefined) {
+    return undefined;
+  }
+  return {
+    terraformType,
+    properties: objectMappings([properties]),
+    // Fn::GetAtt Endpoint.Address reads the nested attribute endpoint.address
+    attributeName: attribute => attribute.split('.').map(snakeCase).join('.'),
+  };
+}
+
+/**
+ * Mappings of the properties of one or more objects (the items of a list share one mapping)
+ * @param objects CloudFormation objects
+ */
+function objectMappings(objects: Record<string, any>[]): PropertyMappings {
+  const values = new Map<string, any[]>();
+  objects.forEach(object => Object.entries(object).forEach(([key, value]) => {
+    values.set(key, [...(values.get(key) || []), value]);
+  }));
+
+  const mappings: PropertyMappings = {};
+  values.forEach((items, key) => {
+    mappings[key] = propertyMapping(key, items);
+  });
+  return mappings;
+}
+
+/**
+ * Mapping of one property from the values it takes
+ * Objects whose keys all look like schema properties (PascalCase) become object attributes; other
+ * objects are free-form maps (environment variables, parameters) whose keys are kept.
+ * @param key CloudFormation property name
+ * @param values Values of the property
+ */
+function propertyMapping(key: string, values: any[]): PropertyMapping {
+  const name = snakeCase(key);
+  const objects = values
+    .flatMap(value => Array.isArray(value) ? value : [value])
+    .filter(value => typeof value === 'object' && value !== null && !Array.isArray(value) && !isIntrinsic(value));
+
+  if (jsonProperty.test(key) && objects.length > 0) {
+    return { name, json: true };
+  } else if (objects.length > 0 && objects.every(object => Object.keys(object).length > 0
+    && Object.keys(object).every(property => /^[A-Z][A-Za-z0-9]*$/.test(property)))) {
+    return { name, block: objectMappings(objects) };
+  } else if (objects.length > 0) {
+    return { name, map: true };
+  }
+  return name;
+}
+
+/**
+ * Check whether an object is an intrinsic function or a Ref
+ * @param value CloudFormation object
+ */
+function isIntrinsic(value: Record<string, any>): boolean {
+  const keys = Object.keys(value);
+  return keys.length === 1 && (keys[0] === 'Ref' || keys[0] === 'Condition' || keys[0].startsWith('Fn::'));
+}
+
+/**
+ * snake_case name of a CloudFormation name, keeping acronyms together (VPCEndpoint becomes vpc_endpoint)
+ * @param name CloudFormation name
+ */
+function snakeCase(name: string): string {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .toLowerCase();
+}
@@ -0,0 +1,104 @@
+import { PropertyMapping } from './types';
+
+/**
+ * Tags list of a taggable resource, converted to the provider's tags map
+ */
+export const tags: PropertyMapping = { name: 'tags', tags: true };
+
+/**
+ * Types of aws provider attributes that CloudFormation types differently, keyed by Terraform attribute name
+ * Templates often quote numbers (MinSize: '1', Port: '3306') and leave strings unquoted (FunctionVersion: 1,
+ * IpProtocol: -1); literal values of these attributes are converted, since the typed languages do not
+ * compile a literal of the wrong type. The names mean the same in every resource and nested block.
+ */
+export const attributeTypes: Record<string, 'number' | 'string'> = {
+  // Sizes, counts and limits
+  allocated_storage: 'number',
+  array_size: 'number',
+  backup_retention_period: 'number',
+  base: 'number',
+  batch_size: 'number',
+  core_count: 'number',
+  desired_capacity: 'number',
+  device_index: 'number',
+  http_put_response_hop_limit: 'number',
+  iops: 'number',
+  ipv4_netmask_length: 'number',
+  ipv6_address_count: 'number',
+  job_attempts: 'number',
+  max_allocated_storage: 'number',
+  max_capacity: 'number',
+  max_message_size: 'number',
+  max_size: 'number',
+  maximum_concurrency: 'number',
+  maximum_pollers: 'number',
+  maximum_retry_attempts: 'number',
+  memory_size: 'number',
+  min_capacity: 'number',
+  min_size: 'number',
+  minimum_pollers: 'number',
+  network_card_index: 'number',
+  parallelization_factor: 'number',
+  partition_number: 'number',
+  percent_traffic: 'number',
+  port: 'number',
+  from_port: 'number',
+  to_port: 'number',
+  provisioned_concurrent_executions: 'number',
+  read_capacity: 'number',
+  write_capacity: 'number',
+  reserved_concurrent_executions: 'number',
+  secondary_private_ip_address_count: 'number',
+  signature_version: 'number',
+  size: 'number',
+  storage_throughput: 'number',
+  task_count: 'number',
+  threads_per_core: 'number',
+  throttling_burst_limit: 'number',
+  throttling_rate_limit: 'number',
+  throughput: 'number',
+  volume_size: 'number',
+  weight: 'number',
+  // Durations
+  days: 'number',
+  days_after_initiation: 'number',
+  default_cooldown: 'number',
+  default_instance_warmup: 'number',
+  delay_seconds: 'number',
+  health_check_grace_period: 'number',
+  kms_data_key_reuse_period_seconds: 'number',
+  max_age: 'number',
+  max_age_seconds: 'number',
+  max_instance_lifetime: 'number',
+  max_session_duration: 'number',
+  maximum_batching_window_in_seconds: 'number',
+  maximum_event_age_in_seconds: 'number',
+  maximum_record_age_in_seconds: 'number',
+  message_retention_seconds: 'number',
+  monitoring_interval: 'number',
+  noncurrent_days: 'number',
+  performance_insights_retention_period: 'number',
+  receive_wait_time_seconds: 'number',
+  retention_in_days: 'number',
+  timeout: 'number',
+  timeout_milliseconds: 'number',
+  tumbling_window_in_seconds: 'number',
+  visibility_timeout_seconds: 'number',
+  years: 'number',
+  // Versions, codes and identifiers that look like numbers
+  cache_cluster_size: 'string',
+  documentation_version: 'string',
+  engine_version: 'string',
+  function_version: 'string',
+  http_error_code_returned_equals: 'string',
+  http_redirect_code: 'string',
+  ip_protocol: 'string',
+  max_price: 'string',
+  minimum_compression_size: 'string',
+  newer_noncurrent_versions: 'string',
+  payload_format_version: 'string',
+  principal: 'string',
+  protocol: 'string',
+  source_account: 'string',
+  version: 'string',
+};
@@ -0,0 +1,98 @@
+import { tags } from './common';
+import { PropertyMappings, ResourceDefinition } from './types';
+
+/**
+ * Split a DynamoDB KeySchema into Terraform hash_key and range_key attributes
+ * @param keySchema CloudFormation KeySchema list
+ */
+function keySchema(keySchema: any): Record<string, any> {
+  const result: Record<string, any> = {};
+  (Array.isArray(keySchema) ? keySchema : []).forEach(key => {
+    if (key.KeyType === 'HASH') {
+      result.hash_key = key.AttributeName;
+    } else if (key.KeyType === 'RANGE') {
+      result.range_key = key.AttributeName;
+    }
+  });
+  return result;
+}
+
+const projection: PropertyMappings = {
+  ProjectionType: 'projection_type',
+  NonKeyAttributes: 'non_key_attributes',
+};
+
+const provisionedThroughput: PropertyMappings = {
+  ReadCapacityUnits: 'read_capacity',
+  WriteCapacityUnits: 'write_capacity',
+};
+
+export const dynamodbResources: Record<string, ResourceDefinition> = {
+  'AWS::DynamoDB::Table': {
+    terraformType: 'aws_dynamodb_table',
+    ref: 'name',
+    attributes: {
+      Arn: 'arn',
+      StreamArn: 'stream_arn',
+    },
+    properties: {
+      TableName: 'name',
+      BillingMode: 'billing_mode',
+      TableClass: 'table_class',
+      DeletionProtectionEnabled: 'deletion_protection_enabled',
+      Tags: tags,
+      AttributeDefinitions: {
+        name: 'attribute',
+        block: {
+          AttributeName: 'name',
+          AttributeType: 'type',
+        },
+      },
+      KeySchema: { expand: keySchema },
+      ProvisionedThroughput: { flatten: provisionedThroughput },
+      GlobalSecondaryIndexes: {
+        name: 'global_secondary_index',
+        block: {
+          IndexName: 'name',
+          KeySchema: { expand: keySchema },
+          Projection: { flatten: projection },
+          ProvisionedThroughput: { flatten: provisionedThroughput },
+        },
+      },
+      LocalSecondaryIndexes: {
+        name: 'local_secondary_index',
+        block: {
+          IndexName: 'name',
+          KeySchema: { expand: value => ({ range_key: keySchema(value).range_key }) },
+          Projection: { flatten: projection },
+        },
+      },
+      StreamSpecification: {
+        expand: value => ({ stream_enabled: true, stream_view_type: value.StreamViewType }),
+      },
+      TimeToLiveSpecification: {
+        name: 'ttl',
+        block: {
+          AttributeName: 'attribute_name',
+          Enabled: 'enabled',
+        },
+      },
+      PointInTimeRecoverySpecification: {
+        name: 'point_in_time_recovery',
+        block: {
+          PointInTimeRecoveryEnabled: 'enabled',
+        },
+      },
+      SSESpecification: {
+        name: 'server_side_encryption',
+        block: {
+          SSEEnabled: 'enabled',
+          KMSMasterKeyId: 'kms_key_arn',
+          SSEType: { drop: 'the SSE type is implied by the KMS key' },
+        },
+      },
+      ContributorInsightsSpecification: { drop: 'requires a separate aws_dynamodb_contributor_insights resource' },
+      KinesisStreamSpecification: { drop: 'requires a separate aws_dynamodb_kinesis_streaming_destination resource' },
+    },
+  },
+};
@@ -0,0 +1,566 @@
+import { tags } from './common';
+import { PropertyMappings, ResourceDefinition } from './types';
+
+// Ports, protocol and source of a rule; the source is one of the CIDR blocks, a security group or a prefix list
+const ruleProperties: PropertyMappings = {
+  IpProtocol: 'ip_protocol',
+  FromPort: 'from_port',
+  ToPort: 'to_port',
+  CidrIp: 'cidr_ipv4',
+  CidrIpv6: 'cidr_ipv6',
+  Description: 'description',
+};
+
+const ingressRuleProperties: PropertyMappings = {
+  ...ruleProperties,
+  SourceSecurityGroupId: 'referenced_security_group_id',
+  SourcePrefixListId: 'prefix_list_id',
+  SourceSecurityGroupName: {
+    drop: 'security groups are referenced by ID (SourceSecurityGroupId) outside the default VPC',
+  },
+  SourceSecurityGroupOwnerId: {
+    drop: 'a security group of another account is referenced as account-id/sg-id in SourceSecurityGroupId',
+  },
+};
+
+const egressRuleProperties: PropertyMappings = {
+  ...ruleProperties,
+  DestinationSecurityGroupId: 'referenced_security_group_id',
+  DestinationPrefixListId: 'prefix_list_id',
+};
+
+/**
+ * Import ID of a rule resource: the rule ID (sgr-...), which older stacks do not use as the physical ID
+ * @param physicalId Physical ID of the rule
+ */
+function ruleImportId(physicalId: string): string | undefined {
+  return physicalId.startsWith('sgr-') ? physicalId : undefined;
+}
+
+/**
+ * Block device mappings of an instance as ebs_block_device blocks, with the Ebs settings next to the device name
+ * @param mappings CloudFormation block device mappings
+ */
+function ebsBlockDevices(mappings: any): any {
+  return Array.isArray(mappings)
+    ? mappings.map(mapping => typeof mapping === 'object' && mapping !== null && typeof mapping.Ebs === 'object'
+      ? { DeviceName: mapping.DeviceName, ...mapping.Ebs }
+      : mapping)
+    : mappings;
+}
+
+// EBS settings of an instance or a launch template volume
+const ebsProperties: PropertyMappings = {
+  VolumeSize: 'volume_size',
+  VolumeType: 'volume_type',
+  Iops: 'iops',
+  Throughput: 'throughput',
+  Encrypted: 'encrypted',
+  KmsKeyId: 'kms_key_id',
+  SnapshotId: 'snapshot_id',
+  DeleteOnTermination: 'delete_on_termination',
+};
+
+const privateDnsNameOptions: PropertyMappings = {
+  HostnameType: 'hostname_type',
+  EnableResourceNameDnsARecord: 'enable_resource_name_dns_a_record',
+  EnableResourceNameDnsAAAARecord: 'enable_resource_name_dns_aaaa_record',
+};
+
+export const ec2Resources: Record<string, ResourceDefinition> = {
+  'AWS::EC2::VPC': {
+    terraformType: 'aws_vpc',
+    attributes: {
+      VpcId: 'id',
+      CidrBlock: 'cidr_block',
+      DefaultNetworkAcl: 'default_network_acl_id',
+      DefaultSecurityGroup: 'default_security_group_id',
+      // Terraform has the association of the primary block only, and one IPv6 block
+      CidrBlockAssociations: null,
+      Ipv6CidrBlocks: null,
+    },
+    properties: {
+      CidrBlock: 'cidr_block',
+      EnableDnsHostnames: 'enable_dns_hostnames',
+      EnableDnsSupport: 'enable_dns_support',
+      InstanceTenancy: 'instance_tenancy',
+      Ipv4IpamPoolId: 'ipv4_ipam_pool_id',
+      Ipv4NetmaskLength: 'ipv4_netmask_length',
+      Tags: tags,
+    },
+  },
+  'AWS::EC2::Subnet': {
+    terraformType: 'aws_subnet',
+    attributes: {
+      SubnetId: 'id',
+      VpcId: 'vpc_id',
+      AvailabilityZone: 'availability_zone',
+      AvailabilityZoneId: 'availability_zone_id',
+      CidrBlock: 'cidr_block',
+      OutpostArn: 'outpost_arn',
+      Ipv6CidrBlocks: null,
+      NetworkAclAssociationId: null,
+    },
+    properties: {
+      VpcId: 'vpc_id',
+      CidrBlock: 'cidr_block',
+      AvailabilityZone: 'availability_zone',
+      AvailabilityZoneId: 'availability_zone_id',
+      MapPublicIpOnLaunch: 'map_public_ip_on_launch',
+      AssignIpv6AddressOnCreation: 'assign_ipv6_address_on_creation',
+      Ipv6CidrBlock: 'ipv6_cidr_block',
+      Ipv6Native: 'ipv6_native',
+      EnableDns64: 'enable_dns64',
+      OutpostArn: 'outpost_arn',
+      PrivateDnsNameOptionsOnLaunch: {
+        flatten: {
+          HostnameType: 'private_dns_hostname_type_on_launch',
+          EnableResourceNameDnsARecord: 'enable_resource_name_dns_a_record_on_launch',
+          EnableResourceNameDnsAAAARecord: 'enable_resource_name_dns_aaaa_record_on_launch',
+        },
+      },
+      Ipv4IpamPoolId: { drop: 'subnets are not allocated from IPAM pools; set CidrBlock' },
+      Ipv4NetmaskLength: { drop: 'subnets are not allocated from IPAM pools; set CidrBlock' },
+      Tags: tags,
+    },
+  },
+  'AWS::EC2::InternetGateway': {
+    terraformType: 'aws_internet_gateway',
+    attributes: {
+      InternetGatewayId: 'id',
+    },
+    properties: {
+      Tags: tags,
+    },
+  },
+  'AWS::EC2::VPCGatewayAttachment': {
+    terraformType: 'aws_internet_gateway_attachment',
+    attributes: {},
+    // Attachments are imported as igw-id:vpc-id
+    importId: (_, properties) =>
+      typeof properties.InternetGatewayId === 'string' && typeof properties.VpcId === 'string'
+        ? `${properties.InternetGatewayId}:${properties.VpcId}`
+        : undefined,
+    properties: {
+      InternetGatewayId: 'internet_gateway_id',
+      VpcId: 'vpc_id',
+      VpnGatewayId: { drop: 'virtual private gateways are attached with an aws_vpn_gateway_attachment resource' },
+    },
+  },
+  'AWS::EC2::RouteTable': {
+    terraformType: 'aws_route_table',
+    attributes: {
+      RouteTableId: 'id',
+    },
+    properties: {
+      VpcId: 'vpc_id',
+      Tags: tags,
+    },
+  },
+  'AWS::EC2::Route': {
+    terraformType: 'aws_route',
+    attributes: {
+      CidrBlock: 'destination_cidr_block',
+    },
+    // CloudFormation identifies routes as rtb-id|destination, Terraform as rtb-id_destination
+    importId: physicalId => physicalId.includes('|') ? physicalId.replace('|', '_') : undefined,
+    properties: {
+      RouteTableId: 'route_table_id',
+      DestinationCidrBlock: 'destination_cidr_block',
+      DestinationIpv6CidrBlock: 'destination_ipv6_cidr_block',
+      DestinationPrefixListId: 'destination_prefix_list_id',
+      GatewayId: 'gateway_id',
+      NatGatewayId: 'nat_gateway_id',
+      NetworkInterfaceId: 'network_interface_id',
+      TransitGatewayId: 'transit_gateway_id',
+      VpcEndpointId: 'vpc_endpoint_id',
+      VpcPeeringConnectionId: 'vpc_peering_connection_id',
+      EgressOnlyInternetGatewayId: 'egress_only_gateway_id',
+      CarrierGatewayId: 'carrier_gateway_id',
+      LocalGatewayId: 'local_gateway_id',
+      CoreNetworkArn: 'core_network_arn',
+      InstanceId: { drop: 'routes to an instance go through its network interface (NetworkInterfaceId)' },
+    },
+  },
+  'AWS::EC2::SubnetRouteTableAssociation': {
+    terraformType: 'aws_route_table_association',
+    attributes: {
+      Id: 'id',
+    },
+    // Associations are imported as subnet-id/rtb-id
+    importId: (_, properties) => typeof properties.SubnetId === 'string' && typeof properties.RouteTableId === 'string'
+      ? `${properties.SubnetId}/${properties.RouteTableId}`
+      : undefined,
+    properties: {
+      SubnetId: 'subnet_id',
+      RouteTableId: 'route_table_id',
+    },
+  },
+  'AWS::EC2::NatGateway': {
+    terraformType: 'aws_nat_gateway',
+    attributes: {
+      NatGatewayId: 'id',
+    },
+    properties: {
+      SubnetId: 'subnet_id',
+      AllocationId: 'allocation_id',
+      ConnectivityType: 'connectivity_type',
+      PrivateIpAddress: 'private_ip',
+      SecondaryAllocationIds: 'secondary_allocation_ids',
+      SecondaryPrivateIpAddresses: 'secondary_private_ip_addresses',
+      SecondaryPrivateIpAddressCount: 'secondary_private_ip_address_count',
+      MaxDrainDurationSeconds: { drop: 'the AWS provider has no drain duration setting' },
+      Tags: tags,
+    },
+  },
+  'AWS::EC2::EIP': {
+    terraformType: 'aws_eip',
+    // Ref returns the address; the allocation ID is an attribute
+    ref: 'public_ip',
+    attributes: {
+      AllocationId: 'allocation_id',
+      PublicIp: 'public_ip',
+    },
+    // The physical ID is the address, and Terraform imports addresses by allocation ID
+    importId: () => undefined,
+    properties: {
+      Domain: 'domain',
+      InstanceId: 'instance',
+      NetworkBorderGroup: 'network_border_group',
+      PublicIpv4Pool: 'public_ipv4_pool',
+      TransferAddress: { drop: 'address transfers are accepted with an aws_eip_domain_name or manually' },
+      Tags: tags,
+    },
+  },
+  'AWS::EC2::SecurityGroup': {
+    terraformType: 'aws_security_group',
+    attributes: {
+      GroupId: 'id',
+      VpcId: 'vpc_id',
+    },
+    // Terraform removes the egress rule AWS adds to a new group, which CloudFormation keeps without SecurityGroupEgress
+    defaults: {
+      SecurityGroupEgress: [{ IpProtocol: '-1', CidrIp: '0.0.0.0/0' }],
+    },
+    properties: {
+      GroupName: 'name',
+      GroupDescription: 'description',
+      VpcId: 'vpc_id',
+      Tags: tags,
+      // Inline rules become rule resources, one per rule
+      SecurityGroupIngress: {
+        resource: {
+          terraformType: 'aws_vpc_security_group_ingress_rule',
+          suffix: 'ingress',
+          parent: ['security_group_id', 'id'],
+          each: true,
+          // Terraform imports rules by their rule ID, which the stack does not list
+          importId: () => undefined,
+          properties: ingressRuleProperties,
+        },
+      },
+      SecurityGroupEgress: {
+        resource: {
+          terraformType: 'aws_vpc_security_group_egress_rule',
+          suffix: 'egress',
+          parent: ['security_group_id', 'id'],
+          each: true,
+          importId: () => undefined,
+          properties: egressRuleProperties,
+        },
+      },
+    },
+  },
+  'AWS::EC2::SecurityGroupIngress': {
+    terraformType: 'aws_vpc_security_group_ingress_rule',
+    attributes: {
+      Id: 'id',
+    },
+    importId: ruleImportId,
+    properties: {
+      GroupId: 'security_group_id',
+      GroupName: { drop: 'security groups are referenced by ID (GroupId) outside the default VPC' },
+      ...ingressRuleProperties,
+    },
+  },
+  'AWS::EC2::SecurityGroupEgress': {
+    terraformType: 'aws_vpc_security_group_egress_rule',
+    attributes: {
+      Id: 'id',
+    },
+    importId: ruleImportId,
+    properties: {
+      GroupId: 'security_group_id',
+      ...egressRuleProperties,
+    },
+  },
+  'AWS::EC2::Instance': {
+    terraformType: 'aws_instance',
+    attributes: {
+      InstanceId: 'id',
+      AvailabilityZone: 'availability_zone',
+      PrivateDnsName: 'private_dns',
+      PrivateIp: 'private_ip',
+      PublicDnsName: 'public_dns',
+      PublicIp: 'public_ip',
+      VpcId: null,
+    },
+    properties: {
+      ImageId: 'ami',
+      InstanceType: 'instance_type',
+      KeyName: 'key_name',
+      SubnetId: 'subnet_id',
+      SecurityGroupIds: 'vpc_security_group_ids',
+      SecurityGroups: 'security_groups',
+      IamInstanceProfile: 'iam_instance_profile',
+      // UserData is base64 encoded already (usually with Fn::Base64)
+      UserData: 'user_data_base64',
+      AvailabilityZone: 'availability_zone',
+      PrivateIpAddress: 'private_ip',
+      Ipv6AddressCount: 'ipv6_address_count',
+      Ipv6Addresses: {
+        name: 'ipv6_addresses',
+        transform: addresses => Array.isArray(addresses)
+          ? addresses.map(address => address !== null && typeof address === 'object' && 'Ipv6Address' in address
+            ? address.Ipv6Address
+            : address)
+          : addresses,
+      },
+      EbsOptimized: 'ebs_optimized',
+      Monitoring: 'monitoring',
+      DisableApiTermination: 'disable_api_termination',
+      InstanceInitiatedShutdownBehavior: 'instance_initiated_shutdown_behavior',
+      Tenancy: 'tenancy',
+      PlacementGroupName: 'placement_group',
+      HostId: 'host_id',
+      SourceDestCheck: 'source_dest_check',
+      LaunchTemplate: {
+        name: 'launch_template',
+        block: {
+          LaunchTemplateId: 'id',
+          LaunchTemplateName: 'name',
+          Version: 'version',
+        },
+      },
+      BlockDeviceMappings: {
+        name: 'ebs_block_device',
+        transform: ebsBlockDevices,
+        block: {
+          DeviceName: 'device_name',
+          ...ebsProperties,
+        },
+      },
+      CreditSpecification: {
+        name: 'credit_specification',
+        block: {
+          CPUCredits: 'cpu_credits',
+        },
+      },
+      CpuOptions: {
+        name: 'cpu_options',
+        block: {
+          CoreCount: 'core_count',
+          ThreadsPerCore: 'threads_per_core',
+        },
+      },
+      EnclaveOptions: {
+        name: 'enclave_options',
+        block: {
+          Enabled: 'enabled',
+        },
+      },
+      HibernationOptions: {
+        flatten: {
+          Configured: 'hibernation',
+        },
+      },
+      PrivateDnsNameOptions: {
+        name: 'private_dns_name_options',
+        block: privateDnsNameOptions,
+      },
+      NetworkInterfaces: {
+        drop: 'network interfaces are aws_network_interface resources attached through network_interface blocks',
+      },
+      Volumes: { drop: 'volumes are attached with aws_volume_attachment resources' },
+      SsmAssociations: { drop: 'SSM associations are aws_ssm_association resources' },
+      Tags: tags,
+    },
+  },
+  'AWS::EC2::LaunchTemplate': {
+    terraformType: 'aws_launch_template',
+    attributes: {
+      LaunchTemplateId: 'id',
+      LatestVersionNumber: 'latest_version',
+      DefaultVersionNumber: 'default_version',
+    },
+    properties: {
+      LaunchTemplateName: 'name',
+      VersionDescription: 'description',
+      // Tags of the launch template itself
+      TagSpecifications: {
+        name: 'tags',
+        tags: true,
+        transform: specifications => Array.isArray(specifications)
+          ? specifications.reduce((result: any[], specification: any) => result.concat(specification.Tags || []), [])
+          : specifications,
+      },
+      LaunchTemplateData: {
+        flatten: {
+          ImageId: 'image_id',
+          InstanceType: 'instance_type',
+          KeyName: 'key_name',
+          UserData: 'user_data',
+          SecurityGroupIds: 'vpc_security_group_ids',
+          SecurityGroups: 'security_group_names',
+          EbsOptimized: 'ebs_optimized',
+          DisableApiTermination: 'disable_api_termination',
+          DisableApiStop: 'disable_api_stop',
+          InstanceInitiatedShutdownBehavior: 'instance_initiated_shutdown_behavior',
+          KernelId: 'kernel_id',
+          RamDiskId: 'ram_disk_id',
+          IamInstanceProfile: {
+            name: 'iam_instance_profile',
+            block: {
+              Arn: 'arn',
+              Name: 'name',
+            },
+          },
+          BlockDeviceMappings: {
+            name: 'block_device_mappings',
+            block: {
+              DeviceName: 'device_name',
+              NoDevice: 'no_device',
+              VirtualName: 'virtual_name',
+              Ebs: { name: 'ebs', block: ebsProperties },
+            },
+          },
+          NetworkInterfaces: {
+            name: 'network_interfaces',
+            block: {
+              AssociatePublicIpAddress: 'associate_public_ip_address',
+              DeleteOnTermination: 'delete_on_termination',
+              Description: 'description',
+              DeviceIndex: 'device_index',
+              Groups: 'security_groups',
+              InterfaceType: 'interface_type',
+              Ipv6AddressCount: 'ipv6_address_count',
+              NetworkCardIndex: 'network_card_index',
+              NetworkInterfaceId: 'network_interface_id',
+              PrivateIpAddress: 'private_ip_address',
+              SubnetId: 'subnet_id',
+            },
+          },
+          MetadataOptions: {
+            name: 'metadata_options',
+            block: {
+              HttpEndpoint: 'http_endpoint',
+              HttpTokens: 'http_tokens',
+              HttpPutResponseHopLimit: 'http_put_response_hop_limit',
+              HttpProtocolIpv6: 'http_protocol_ipv6',
+              InstanceMetadataTags: 'instance_metadata_tags',
+            },
+          },
+          Monitoring: {
+            name: 'monitoring',
+            block: {
+              Enabled: 'enabled',
+            },
+          },
+          Placement: {
+            name: 'placement',
+            block: {
+              AvailabilityZone: 'availability_zone',
+              GroupName: 'group_name',
+              HostId: 'host_id',
+              PartitionNumber: 'partition_number',
+              Tenancy: 'tenancy',
+            },
+          },
+          TagSpecifications: {
+            name: 'tag_specifications',
+            block: {
+              ResourceType: 'resource_type',
+              Tags: tags,
+            },
+          },
+          CreditSpecification: {
+            name: 'credit_specification',
+            block: {
+              CpuCredits: 'cpu_credits',
+            },
+          },
+          CpuOptions: {
+            name: 'cpu_options',
+            block: {
+              CoreCount: 'core_count',
+              ThreadsPerCore: 'threads_per_core',
+            },
+          },
+          InstanceMarketOptions: {
+            name: 'instance_market_options',
+            block: {
+              MarketType: 'market_type',
+              SpotOptions: {
+                name: 'spot_options',
+                block: {
+                  MaxPrice: 'max_price',
+                  SpotInstanceType: 'spot_instance_type',
+                  InstanceInterruptionBehavior: 'instance_interruption_behavior',
+                  BlockDurationMinutes: 'block_duration_minutes',
+                  ValidUntil: 'valid_until',
+                },
+              },
+            },
+          },
+          EnclaveOptions: {
+            name: 'enclave_options',
+            block: {
+              Enabled: 'enabled',
+            },
+          },
+          HibernationOptions: {
+            name: 'hibernation_options',
+            block: {
+              Configured: 'configured',
+            },
+          },
+          PrivateDnsNameOptions: {
+            name: 'private_dns_name_options',
+            block: privateDnsNameOptions,
+          },
+        },
+      },
+    },
+  },
+  'AWS::EC2::VPCEndpoint': {
+    terraformType: 'aws_vpc_endpoint',
+    attributes: {
+      Id: 'id',
+      NetworkInterfaceIds: 'network_interface_ids',
+      // Terraform lists the entries as objects, CloudFormation as hosted-zone-id:dns-name strings
+      DnsEntries: null,
+      CreationTimestamp: null,
+    },
+    properties: {
+      VpcId: 'vpc_id',
+      ServiceName: 'service_name',
+      VpcEndpointType: 'vpc_endpoint_type',
+      PolicyDocument: { name: 'policy', json: true },
+      PrivateDnsEnabled: 'private_dns_enabled',
+      RouteTableIds: 'route_table_ids',
+      SecurityGroupIds: 'security_group_ids',
+      SubnetIds: 'subnet_ids',
+      IpAddressType: 'ip_address_type',
+      DnsOptions: {
+        name: 'dns_options',
+        block: {
+          DnsRecordIpType: 'dns_record_ip_type',
+          PrivateDnsOnlyForInboundResolverEndpoint: 'private_dns_only_for_inbound_resolver_endpoint',
+        },
+      },
+      ServiceNetworkArn: 'service_network_arn',
+      ResourceConfigurationArn: 'resource_configuration_arn',
+      Tags: tags,
+    },
+  },
+};
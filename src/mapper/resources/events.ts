@@ -0,0 +1,203 @@
+import { PropertyMappings, ResourceDefinition } from './types';
+
+/**
+ * Import ID of a rule: event-bus/rule, or the rule name on the default bus
+ * CloudFormation separates the bus and the rule with a | in the physical ID.
+ * @param physicalId Physical ID of the rule
+ */
+function ruleImportId(physicalId: string): string {
+  return physicalId.replace('|', '/');
+}
+
+const targetProperties: PropertyMappings = {
+  Id: 'target_id',
+  Arn: 'arn',
+  RoleArn: 'role_arn',
+  Input: 'input',
+  InputPath: 'input_path',
+  InputTransformer: {
+    name: 'input_transformer',
+    block: {
+      InputPathsMap: { name: 'input_paths', map: true },
+      InputTemplate: 'input_template',
+    },
+  },
+  DeadLetterConfig: {
+    name: 'dead_letter_config',
+    block: {
+      Arn: 'arn',
+    },
+  },
+  RetryPolicy: {
+    name: 'retry_policy',
+    block: {
+      MaximumEventAgeInSeconds: 'maximum_event_age_in_seconds',
+      MaximumRetryAttempts: 'maximum_retry_attempts',
+    },
+  },
+  EcsParameters: {
+    name: 'ecs_target',
+    block: {
+      TaskDefinitionArn: 'task_definition_arn',
+      TaskCount: 'task_count',
+      LaunchType: 'launch_type',
+      PlatformVersion: 'platform_version',
+      Group: 'group',
+      EnableECSManagedTags: 'enable_ecs_managed_tags',
+      EnableExecuteCommand: 'enable_execute_command',
+      PropagateTags: 'propagate_tags',
+      Tags: { name: 'tags', tags: true },
+      NetworkConfiguration: {
+        name: 'network_configuration',
+        transform: configuration => configuration?.AwsVpcConfiguration ?? configuration,
+        block: {
+          Subnets: 'subnets',
+          SecurityGroups: 'security_groups',
+          // ENABLED or DISABLED in CloudFormation
+          AssignPublicIp: {
+            name: 'assign_public_ip',
+            transform: assign => typeof assign === 'string' ? assign === 'ENABLED' : assign,
+          },
+        },
+      },
+      CapacityProviderStrategy: {
+        name: 'capacity_provider_strategy',
+        block: {
+          CapacityProvider: 'capacity_provider',
+          Weight: 'weight',
+          Base: 'base',
+        },
+      },
+      PlacementConstraints: {
+        name: 'placement_constraint',
+        block: {
+          Type: 'type',
+          Expression: 'expression',
+        },
+      },
+      PlacementStrategies: {
+        name: 'ordered_placement_strategy',
+        block: {
+          Type: 'type',
+          Field: 'field',
+        },
+      },
+      ReferenceId: { drop: 'the AWS provider has no reference ID setting' },
+    },
+  },
+  KinesisParameters: {
+    name: 'kinesis_target',
+    block: {
+      PartitionKeyPath: 'partition_key_path',
+    },
+  },
+  SqsParameters: {
+    name: 'sqs_target',
+    block: {
+      MessageGroupId: 'message_group_id',
+    },
+  },
+  RunCommandParameters: {
+    flatten: {
+      RunCommandTargets: {
+        name: 'run_command_targets',
+        block: {
+          Key: 'key',
+          Values: 'values',
+        },
+      },
+    },
+  },
+  HttpParameters: {
+    name: 'http_target',
+    block: {
+      HeaderParameters: { name: 'header_parameters', map: true },
+      PathParameterValues: 'path_parameter_values',
+      QueryStringParameters: { name: 'query_string_parameters', map: true },
+    },
+  },
+  BatchParameters: {
+    name: 'batch_target',
+    block: {
+      JobDefinition: 'job_definition',
+      JobName: 'job_name',
+      ArrayProperties: {
+        flatten: {
+          Size: 'array_size',
+        },
+      },
+      RetryStrategy: {
+        flatten: {
+          Attempts: 'job_attempts',
+        },
+      },
+    },
+  },
+  RedshiftDataParameters: {
+    name: 'redshift_target',
+    block: {
+      Database: 'database',
+      DbUser: 'db_user',
+      SecretManagerArn: 'secrets_manager_arn',
+      Sql: 'sql',
+      StatementName: 'statement_name',
+      WithEvent: 'with_event',
+    },
+  },
+  SageMakerPipelineParameters: {
+    name: 'sagemaker_pipeline_target',
+    block: {
+      PipelineParameterList: {
+        name: 'pipeline_parameter_list',
+        block: {
+          Name: 'name',
+          Value: 'value',
+        },
+      },
+    },
+  },
+  AppSyncParameters: {
+    name: 'appsync_target',
+    block: {
+      GraphQLOperation: 'graphql_operation',
+    },
+  },
+};
+
+export const eventsResources: Record<string, ResourceDefinition> = {
+  'AWS::Events::Rule': {
+    terraformType: 'aws_cloudwatch_event_rule',
+    // Ref returns the rule name
+    ref: 'name',
+    attributes: {
+      Arn: 'arn',
+    },
+    importId: ruleImportId,
+    properties: {
+      Name: 'name',
+      Description: 'description',
+      EventBusName: 'event_bus_name',
+      EventPattern: { name: 'event_pattern', json: true },
+      ScheduleExpression: 'schedule_expression',
+      State: 'state',
+      RoleArn: 'role_arn',
+      // Targets become target resources, one per target, on the rule's event bus
+      Targets: {
+        resource: {
+          terraformType: 'aws_cloudwatch_event_target',
+          suffix: 'target',
+          parent: ['rule', 'name'],
+          each: true,
+          inherit: {
+            EventBusName: 'event_bus_name',
+          },
+          // Targets are imported as event-bus/rule/target-id
+          importId: (ruleId, target) => typeof target.Id === 'string'
+            ? `${ruleImportId(ruleId)}/${target.Id}`
+            : undefined,
+          properties: targetProperties,
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,50 @@
+import { tags } from './common';
+import { ResourceDefinition } from './types';
+
+export const iamResources: Record<string, ResourceDefinition> = {
+  'AWS::IAM::Role': {
+    terraformType: 'aws_iam_role',
+    ref: 'name',
+    attributes: {
+      Arn: 'arn',
+      RoleId: 'unique_id',
+    },
+    properties: {
+      RoleName: 'name',
+      AssumeRolePolicyDocument: { name: 'assume_role_policy', json: true },
+      Description: 'description',
+      MaxSessionDuration: 'max_session_duration',
+      Path: 'path',
+      PermissionsBoundary: 'permissions_boundary',
+      // Inline and managed policies are attached through their own resources
+      Policies: {
+        resource: {
+          terraformType: 'aws_iam_role_policy',
+          suffix: 'policy',
+          parent: ['role', 'id'],
+          each: true,
+          importId: (role, policy) => typeof policy.PolicyName === 'string' ? `${role}:${policy.PolicyName}` : undefined,
+          properties: {
+            PolicyName: 'name',
+            PolicyDocument: { name: 'policy', json: true },
+          },
+        },
+      },
+      ManagedPolicyArns: {
+        transform: arns => Array.isArray(arns) ? arns.map(arn => ({ PolicyArn: arn })) : arns,
+        resource: {
+          terraformType: 'aws_iam_role_policy_attachment',
+          suffix: 'policy_attachment',
+          parent: ['role', 'name'],
+          each: true,
+          importId: (role, attachment) =>
+            typeof attachment.PolicyArn === 'string' ? `${role}/${attachment.PolicyArn}` : undefined,
+          properties: {
+            PolicyArn: 'policy_arn',
+          },
+        },
+      },
+      Tags: tags,
+    },
+  },
+};
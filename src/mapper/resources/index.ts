@@ -0,0 +1,37 @@
+import { apigatewayResources } from './apigateway';
+import { autoscalingResources } from './autoscaling';
+import { dynamodbResources } from './dynamodb';
+import { ec2Resources } from './ec2';
+import { eventsResources } from './events';
+import { iamResources } from './iam';
+import { lambdaResources } from './lambda';
+import { logsResources } from './logs';
+import { rdsResources } from './rds';
+import { s3Resources } from './s3';
+import { snsResources } from './sns';
+import { sqsResources } from './sqs';
+import { stepfunctionsResources } from './stepfunctions';
+import { ResourceDefinition } from './types';
+
+export * from './awscc';
+export * from './types';
+
+/**
+ * Registry of supported CloudFormation resource types
+ */
+export const resourceDefinitions: Record<string, ResourceDefinition> = {
+  ...s3Resources,
+  ...iamResources,
+  ...lambdaResources,
+  ...dynamodbResources,
+  ...autoscalingResources,
+  ...rdsResources,
+  ...ec2Resources,
+  ...sqsResources,
+  ...snsResources,
+  ...eventsResources,
+  ...stepfunctionsResources,
+  ...logsResources,
+  ...apigatewayResources,
+  // Add more resource definitions as needed
+};
@@ -0,0 +1,331 @@
+import { tags } from './common';
+import { PropertyMappings, ResourceDefinition } from './types';
+
+/**
+ * Import ID of an alias from its ARN (arn:aws:lambda:region:account:function:name:alias): name/alias
+ * @param physicalId Physical ID of the alias
+ */
+function aliasImportId(physicalId: string): string | undefined {
+  const parts = physicalId.split(':');
+  return parts.length === 8 ? `${parts[6]}/${parts[7]}` : undefined;
+}
+
+/**
+ * Weights of an alias's routing config as the version to weight map Terraform takes
+ * Versions given by Fn::GetAtt cannot be map keys, so the list is kept as written then.
+ * @param weights CloudFormation version weights
+ */
+function versionWeights(weights: any): any {
+  return Array.isArray(weights) && weights.every(weight => typeof weight?.FunctionVersion === 'string')
+    ? Object.fromEntries(weights.map(weight => [weight.FunctionVersion, weight.FunctionWeight]))
+    : weights;
+}
+
+// Consumer group of a Kafka event source
+const kafkaEventSourceConfig: PropertyMappings = {
+  ConsumerGroupId: 'consumer_group_id',
+};
+
+export const lambdaResources: Record<string, ResourceDefinition> = {
+  'AWS::Lambda::Function': {
+    terraformType: 'aws_lambda_function',
+    ref: 'function_name',
+    attributes: {
+      Arn: 'arn',
+      'SnapStartResponse.ApplyOn': null,
+      'SnapStartResponse.OptimizationStatus': null,
+    },
+    properties: {
+      FunctionName: 'function_name',
+      Description: 'description',
+      Handler: 'handler',
+      Runtime: 'runtime',
+      Role: 'role',
+      MemorySize: 'memory_size',
+      Timeout: 'timeout',
+      Layers: 'layers',
+      Architectures: 'architectures',
+      PackageType: 'package_type',
+      KmsKeyArn: 'kms_key_arn',
+      ReservedConcurrentExecutions: 'reserved_concurrent_executions',
+      CodeSigningConfigArn: 'code_signing_config_arn',
+      Tags: tags,
+      Code: {
+        flatten: {
+          S3Bucket: 's3_bucket',
+          S3Key: 's3_key',
+          S3ObjectVersion: 's3_object_version',
+          ImageUri: 'image_uri',
+          ZipFile: { drop: 'inline code has to be packaged into a deployment file (filename)' },
+        },
+      },
+      Environment: {
+        name: 'environment',
+        block: {
+          Variables: { name: 'variables', map: true },
+        },
+      },
+      VpcConfig: {
+        name: 'vpc_config',
+        block: {
+          SubnetIds: 'subnet_ids',
+          SecurityGroupIds: 'security_group_ids',
+          Ipv6AllowedForDualStack: 'ipv6_allowed_for_dual_stack',
+        },
+      },
+      TracingConfig: {
+        name: 'tracing_config',
+        block: {
+          Mode: 'mode',
+        },
+      },
+      DeadLetterConfig: {
+        name: 'dead_letter_config',
+        block: {
+          TargetArn: 'target_arn',
+        },
+      },
+      EphemeralStorage: {
+        name: 'ephemeral_storage',
+        block: {
+          Size: 'size',
+        },
+      },
+      ImageConfig: {
+        name: 'image_config',
+        block: {
+          Command: 'command',
+          EntryPoint: 'entry_point',
+          WorkingDirectory: 'working_directory',
+        },
+      },
+      FileSystemConfigs: {
+        name: 'file_system_config',
+        block: {
+          Arn: 'arn',
+          LocalMountPath: 'local_mount_path',
+        },
+      },
+      SnapStart: {
+        name: 'snap_start',
+        block: {
+          ApplyOn: 'apply_on',
+        },
+      },
+      LoggingConfig: {
+        name: 'logging_config',
+        block: {
+          LogFormat: 'log_format',
+          LogGroup: 'log_group',
+          ApplicationLogLevel: 'application_log_level',
+          SystemLogLevel: 'system_log_level',
+        },
+      },
+    },
+  },
+  'AWS::Lambda::Permission': {
+    terraformType: 'aws_lambda_permission',
+    attributes: {},
+    // Permissions are imported as function-name/statement-id; the physical ID ends with the statement ID
+    importId: (physicalId, properties) => typeof properties.FunctionName === 'string'
+      ? `${properties.FunctionName}/${physicalId.split('|').pop()}`
+      : undefined,
+    properties: {
+      Action: 'action',
+      FunctionName: 'function_name',
+      Principal: 'principal',
+      SourceArn: 'source_arn',
+      SourceAccount: 'source_account',
+      EventSourceToken: 'event_source_token',
+      PrincipalOrgID: 'principal_org_id',
+      FunctionUrlAuthType: 'function_url_auth_type',
+    },
+  },
+  'AWS::Lambda::EventSourceMapping': {
+    terraformType: 'aws_lambda_event_source_mapping',
+    ref: 'uuid',
+    attributes: {
+      Id: 'uuid',
+      EventSourceMappingArn: 'arn',
+    },
+    properties: {
+      FunctionName: 'function_name',
+      EventSourceArn: 'event_source_arn',
+      Enabled: 'enabled',
+      BatchSize: 'batch_size',
+      MaximumBatchingWindowInSeconds: 'maximum_batching_window_in_seconds',
+      StartingPosition: 'starting_position',
+      // CloudFormation takes seconds since the epoch, Terraform an RFC 3339 timestamp
+      StartingPositionTimestamp: {
+        name: 'starting_position_timestamp',
+        transform: timestamp => typeof timestamp === 'number'
+          ? new Date(timestamp * 1000).toISOString().replace('.000Z', 'Z')
+          : timestamp,
+      },
+      MaximumRecordAgeInSeconds: 'maximum_record_age_in_seconds',
+      MaximumRetryAttempts: 'maximum_retry_attempts',
+      BisectBatchOnFunctionError: 'bisect_batch_on_function_error',
+      ParallelizationFactor: 'parallelization_factor',
+      TumblingWindowInSeconds: 'tumbling_window_in_seconds',
+      FunctionResponseTypes: 'function_response_types',
+      Topics: 'topics',
+      Queues: 'queues',
+      KmsKeyArn: 'kms_key_arn',
+      Tags: tags,
+      DestinationConfig: {
+        name: 'destination_config',
+        block: {
+          OnFailure: {
+            name: 'on_failure',
+            block: {
+              Destination: 'destination_arn',
+            },
+          },
+        },
+      },
+      FilterCriteria: {
+        name: 'filter_criteria',
+        block: {
+          Filters: {
+            name: 'filter',
+            block: {
+              Pattern: 'pattern',
+            },
+          },
+        },
+      },
+      ScalingConfig: {
+        name: 'scaling_config',
+        block: {
+          MaximumConcurrency: 'maximum_concurrency',
+        },
+      },
+      SourceAccessConfigurations: {
+        name: 'source_access_configuration',
+        block: {
+          Type: 'type',
+          URI: 'uri',
+        },
+      },
+      SelfManagedEventSource: {
+        name: 'self_managed_event_source',
+        block: {
+          // Terraform takes the bootstrap servers as one comma-separated endpoint
+          Endpoints: {
+            name: 'endpoints',
+            map: true,
+            transform: endpoints => endpoints?.KafkaBootstrapServers
+              ? { KAFKA_BOOTSTRAP_SERVERS: { 'Fn::Join': [',', endpoints.KafkaBootstrapServers] } }
+              : endpoints,
+          },
+        },
+      },
+      AmazonManagedKafkaEventSourceConfig: {
+        name: 'amazon_managed_kafka_event_source_config',
+        block: kafkaEventSourceConfig,
+      },
+      SelfManagedKafkaEventSourceConfig: {
+        name: 'self_managed_kafka_event_source_config',
+        block: kafkaEventSourceConfig,
+      },
+      DocumentDBEventSourceConfig: {
+        name: 'document_db_event_source_config',
+        block: {
+          DatabaseName: 'database_name',
+          CollectionName: 'collection_name',
+          FullDocument: 'full_document',
+        },
+      },
+      MetricsConfig: {
+        name: 'metrics_config',
+        block: {
+          Metrics: 'metrics',
+        },
+      },
+      ProvisionedPollerConfig: {
+        name: 'provisioned_poller_config',
+        block: {
+          MinimumPollers: 'minimum_pollers',
+          MaximumPollers: 'maximum_pollers',
+        },
+      },
+    },
+  },
+  'AWS::Lambda::Alias': {
+    terraformType: 'aws_lambda_alias',
+    // Ref returns the alias ARN
+    ref: 'arn',
+    attributes: {
+      AliasArn: 'arn',
+    },
+    importId: aliasImportId,
+    properties: {
+      FunctionName: 'function_name',
+      FunctionVersion: 'function_version',
+      Name: 'name',
+      Description: 'description',
+      RoutingConfig: {
+        name: 'routing_config',
+        block: {
+          AdditionalVersionWeights: {
+            name: 'additional_version_weights',
+            map: true,
+            transform: versionWeights,
+          },
+        },
+      },
+      ProvisionedConcurrencyConfig: {
+        drop: 'provisioned concurrency is set with an aws_lambda_provisioned_concurrency_config resource',
+      },
+    },
+  },
+  // The AWS provider publishes versions through the function (publish = true) and keeps the latest only
+  'AWS::Lambda::Version': {
+    terraformType: 'awscc_lambda_version',
+    // Ref returns the version ARN
+    ref: 'function_arn',
+    attributes: {
+      Version: 'version',
+    },
+    properties: {
+      FunctionName: 'function_name',
+      Description: 'description',
+      CodeSha256: 'code_sha_256',
+      ProvisionedConcurrencyConfig: {
+        name: 'provisioned_concurrency_config',
+        block: {
+          ProvisionedConcurrentExecutions: 'provisioned_concurrent_executions',
+        },
+      },
+      RuntimePolicy: {
+        name: 'runtime_policy',
+        block: {
+          UpdateRuntimeOn: 'update_runtime_on',
+          RuntimeVersionArn: 'runtime_version_arn',
+        },
+      },
+    },
+  },
+  'AWS::Lambda::LayerVersion': {
+    terraformType: 'aws_lambda_layer_version',
+    // Ref returns the layer version ARN
+    ref: 'arn',
+    attributes: {
+      LayerVersionArn: 'arn',
+    },
+    properties: {
+      LayerName: 'layer_name',
+      Description: 'description',
+      CompatibleRuntimes: 'compatible_runtimes',
+      CompatibleArchitectures: 'compatible_architectures',
+      LicenseInfo: 'license_info',
+      Content: {
+        flatten: {
+          S3Bucket: 's3_bucket',
+          S3Key: 's3_key',
+          S3ObjectVersion: 's3_object_version',
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,33 @@
+import { tags } from './common';
+import { ResourceDefinition } from './types';
+
+export const logsResources: Record<string, ResourceDefinition> = {
+  'AWS::Logs::LogGroup': {
+    terraformType: 'aws_cloudwatch_log_group',
+    // Ref returns the log group name
+    ref: 'name',
+    attributes: {
+      // CloudFormation's ARN ends with :*, Terraform's does not
+      Arn: '${arn}:*',
+    },
+    properties: {
+      LogGroupName: 'name',
+      RetentionInDays: 'retention_in_days',
+      KmsKeyId: 'kms_key_id',
+      LogGroupClass: 'log_group_class',
+      FieldIndexPolicies: { drop: 'field index policies are aws_cloudwatch_log_index_policy resources' },
+      Tags: tags,
+      DataProtectionPolicy: {
+        transform: policy => ({ PolicyDocument: policy }),
+        resource: {
+          terraformType: 'aws_cloudwatch_log_data_protection_policy',
+          suffix: 'data_protection_policy',
+          parent: ['log_group_name', 'name'],
+          properties: {
+            PolicyDocument: { name: 'policy_document', json: true },
+          },
+        },
+      },
+    },
+  },
+};
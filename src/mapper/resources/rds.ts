@@ -0,0 +1,120 @@
+import { tags } from './common';
+import { ResourceDefinition } from './types';
+
+// CloudFormation snapshots instances and clusters on deletion unless DeletionPolicy says otherwise
+const finalSnapshot = {
+  skip: 'skip_final_snapshot',
+  identifier: 'final_snapshot_identifier',
+  byDefault: true,
+};
+
+export const rdsResources: Record<string, ResourceDefinition> = {
+  'AWS::RDS::DBInstance': {
+    terraformType: 'aws_db_instance',
+    ref: 'identifier',
+    attributes: {
+      'Endpoint.Address': 'address',
+      'Endpoint.Port': 'port',
+      'Endpoint.HostedZoneId': 'hosted_zone_id',
+      DBInstanceArn: 'arn',
+      DbiResourceId: 'resource_id',
+      'MasterUserSecret.SecretArn': null,
+    },
+    finalSnapshot,
+    properties: {
+      DBInstanceIdentifier: 'identifier',
+      DBInstanceClass: 'instance_class',
+      Engine: 'engine',
+      EngineVersion: 'engine_version',
+      LicenseModel: 'license_model',
+      AllocatedStorage: 'allocated_storage',
+      MaxAllocatedStorage: 'max_allocated_storage',
+      StorageType: 'storage_type',
+      Iops: 'iops',
+      StorageThroughput: 'storage_throughput',
+      StorageEncrypted: 'storage_encrypted',
+      KmsKeyId: 'kms_key_id',
+      DBName: 'db_name',
+      MasterUsername: 'username',
+      MasterUserPassword: 'password',
+      ManageMasterUserPassword: 'manage_master_user_password',
+      Port: 'port',
+      DBSubnetGroupName: 'db_subnet_group_name',
+      VPCSecurityGroups: 'vpc_security_group_ids',
+      DBParameterGroupName: 'parameter_group_name',
+      OptionGroupName: 'option_group_name',
+      MultiAZ: 'multi_az',
+      AvailabilityZone: 'availability_zone',
+      PubliclyAccessible: 'publicly_accessible',
+      NetworkType: 'network_type',
+      CACertificateIdentifier: 'ca_cert_identifier',
+      CharacterSetName: 'character_set_name',
+      Timezone: 'timezone',
+      BackupRetentionPeriod: 'backup_retention_period',
+      PreferredBackupWindow: 'backup_window',
+      PreferredMaintenanceWindow: 'maintenance_window',
+      AutoMinorVersionUpgrade: 'auto_minor_version_upgrade',
+      AllowMajorVersionUpgrade: 'allow_major_version_upgrade',
+      DeletionProtection: 'deletion_protection',
+      CopyTagsToSnapshot: 'copy_tags_to_snapshot',
+      DBSnapshotIdentifier: 'snapshot_identifier',
+      SourceDBInstanceIdentifier: 'replicate_source_db',
+      EnableIAMDatabaseAuthentication: 'iam_database_authentication_enabled',
+      EnableCloudwatchLogsExports: 'enabled_cloudwatch_logs_exports',
+      EnablePerformanceInsights: 'performance_insights_enabled',
+      PerformanceInsightsKMSKeyId: 'performance_insights_kms_key_id',
+      PerformanceInsightsRetentionPeriod: 'performance_insights_retention_period',
+      MonitoringInterval: 'monitoring_interval',
+      MonitoringRoleArn: 'monitoring_role_arn',
+      DBClusterIdentifier: { drop: 'instances of a cluster are aws_rds_cluster_instance resources' },
+      DBSecurityGroups: { drop: 'EC2-Classic DB security groups are not supported; use VPCSecurityGroups' },
+      Tags: tags,
+    },
+  },
+  'AWS::RDS::DBCluster': {
+    terraformType: 'aws_rds_cluster',
+    ref: 'cluster_identifier',
+    attributes: {
+      'Endpoint.Address': 'endpoint',
+      'Endpoint.Port': 'port',
+      'ReadEndpoint.Address': 'reader_endpoint',
+      DBClusterArn: 'arn',
+      DBClusterResourceId: 'cluster_resource_id',
+      'MasterUserSecret.SecretArn': null,
+    },
+    finalSnapshot,
+    properties: {
+      DBClusterIdentifier: 'cluster_identifier',
+      Engine: 'engine',
+      EngineVersion: 'engine_version',
+      EngineMode: 'engine_mode',
+      DatabaseName: 'database_name',
+      MasterUsername: 'master_username',
+      MasterUserPassword: 'master_password',
+      ManageMasterUserPassword: 'manage_master_user_password',
+      Port: 'port',
+      DBSubnetGroupName: 'db_subnet_group_name',
+      VpcSecurityGroupIds: 'vpc_security_group_ids',
+      DBClusterParameterGroupName: 'db_cluster_parameter_group_name',
+      AvailabilityZones: 'availability_zones',
+      StorageEncrypted: 'storage_encrypted',
+      KmsKeyId: 'kms_key_id',
+      BackupRetentionPeriod: 'backup_retention_period',
+      PreferredBackupWindow: 'preferred_backup_window',
+      PreferredMaintenanceWindow: 'preferred_maintenance_window',
+      DeletionProtection: 'deletion_protection',
+      CopyTagsToSnapshot: 'copy_tags_to_snapshot',
+      SnapshotIdentifier: 'snapshot_identifier',
+      EnableIAMDatabaseAuthentication: 'iam_database_authentication_enabled',
+      EnableCloudwatchLogsExports: 'enabled_cloudwatch_logs_exports',
+      ServerlessV2ScalingConfiguration: {
+        name: 'serverlessv2_scaling_configuration',
+        block: {
+          MinCapacity: 'min_capacity',
+          MaxCapacity: 'max_capacity',
+        },
+      },
+      Tags: tags,
+    },
+  },
+};
@@ -0,0 +1,303 @@
+import { tags } from './common';
+import { ResourceDefinition } from './types';
+
+/**
+ * Convert a CloudFormation canned ACL (PublicRead) to its S3 name (public-read)
+ * @param acl CloudFormation canned ACL
+ */
+function cannedAcl(acl: any): any {
+  return typeof acl === 'string' ? acl.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase() : acl;
+}
+
+/**
+ * Group the expiration settings of lifecycle rules into the objects of Terraform's expiration blocks
+ * CloudFormation spreads expiration over ExpirationInDays, ExpirationDate and ExpiredObjectDeleteMarker,
+ * and noncurrent version expiration over NoncurrentVersionExpirationInDays and NoncurrentVersionExpiration;
+ * Terraform takes one block of each.
+ * @param rules CloudFormation lifecycle rules
+ */
+function lifecycleRules(rules: any): any {
+  const isRule = (rule: any) => typeof rule === 'object' && rule !== null && !Array.isArray(rule)
+    && !Object.keys(rule).some(key => key === 'Ref' || key.startsWith('Fn::'));
+  const defined = (object: Record<string, any>) =>
+    Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+  return Array.isArray(rules) ? rules.map(rule => {
+    if (!isRule(rule)) {
+      return rule;
+    }
+    const {
+      ExpirationInDays, ExpirationDate, ExpiredObjectDeleteMarker, NoncurrentVersionExpirationInDays,
+      NoncurrentVersionExpiration, ...others
+    } = rule;
+    const expiration = defined({ Days: ExpirationInDays, Date: ExpirationDate, ExpiredObjectDeleteMarker });
+    const noncurrentExpiration = isRule(NoncurrentVersionExpiration)
+      ? { NoncurrentDays: NoncurrentVersionExpirationInDays, ...NoncurrentVersionExpiration }
+      : defined({ NoncurrentDays: NoncurrentVersionExpirationInDays });
+    return {
+      ...others,
+      ...(Object.keys(expiration).length > 0 ? { Expiration: expiration } : {}),
+      ...(Object.keys(noncurrentExpiration).length > 0 ? { NoncurrentVersionExpiration: noncurrentExpiration } : {}),
+    };
+  }) : rules;
+}
+
+export const s3Resources: Record<string, ResourceDefinition> = {
+  'AWS::S3::Bucket': {
+    terraformType: 'aws_s3_bucket',
+    ref: 'bucket',
+    attributes: {
+      Arn: 'arn',
+      DomainName: 'bucket_domain_name',
+      RegionalDomainName: 'bucket_regional_domain_name',
+      WebsiteURL: null,
+      DualStackDomainName: null,
+    },
+    properties: {
+      BucketName: 'bucket',
+      ObjectLockEnabled: 'object_lock_enabled',
+      Tags: tags,
+      // Since AWS provider v4 the bucket configuration lives in separate resources
+      AccessControl: {
+        transform: acl => ({ Acl: cannedAcl(acl) }),
+        resource: {
+          terraformType: 'aws_s3_bucket_acl',
+          suffix: 'acl',
+          parent: ['bucket', 'id'],
+          // Buckets with a canned ACL are imported as bucket,acl
+          importId: (bucket, acl) => typeof acl.Acl === 'string' ? `${bucket},${acl.Acl}` : undefined,
+          properties: {
+            Acl: 'acl',
+          },
+        },
+      },
+      VersioningConfiguration: {
+        resource: {
+          terraformType: 'aws_s3_bucket_versioning',
+          suffix: 'versioning',
+          parent: ['bucket', 'id'],
+          properties: {
+            Status: { name: 'versioning_configuration', transform: status => ({ Status: status }), block: { Status: 'status' } },
+          },
+        },
+      },
+      BucketEncryption: {
+        resource: {
+          terraformType: 'aws_s3_bucket_server_side_encryption_configuration',
+          suffix: 'encryption',
+          parent: ['bucket', 'id'],
+          properties: {
+            ServerSideEncryptionConfiguration: {
+              name: 'rule',
+              block: {
+                ServerSideEncryptionByDefault: {
+                  name: 'apply_server_side_encryption_by_default',
+                  block: {
+                    SSEAlgorithm: 'sse_algorithm',
+                    KMSMasterKeyID: 'kms_master_key_id',
+                  },
+                },
+                BucketKeyEnabled: 'bucket_key_enabled',
+              },
+            },
+          },
+        },
+      },
+      LifecycleConfiguration: {
+        resource: {
+          terraformType: 'aws_s3_bucket_lifecycle_configuration',
+          suffix: 'lifecycle',
+          parent: ['bucket', 'id'],
+          properties: {
+            Rules: {
+              name: 'rule',
+              transform: lifecycleRules,
+              block: {
+                Id: 'id',
+                Status: 'status',
+                Prefix: { name: 'filter', transform: prefix => ({ Prefix: prefix }), block: { Prefix: 'prefix' } },
+                // Grouped by lifecycleRules
+                Expiration: {
+                  name: 'expiration',
+                  block: {
+                    Days: 'days',
+                    Date: 'date',
+                    ExpiredObjectDeleteMarker: 'expired_object_delete_marker',
+                  },
+                },
+                NoncurrentVersionExpiration: {
+                  name: 'noncurrent_version_expiration',
+                  block: {
+                    NoncurrentDays: 'noncurrent_days',
+                    NewerNoncurrentVersions: 'newer_noncurrent_versions',
+                  },
+                },
+                Transitions: {
+                  name: 'transition',
+                  block: {
+                    StorageClass: 'storage_class',
+                    TransitionInDays: 'days',
+                    TransitionDate: 'date',
+                  },
+                },
+                NoncurrentVersionTransitions: {
+                  name: 'noncurrent_version_transition',
+                  block: {
+                    StorageClass: 'storage_class',
+                    TransitionInDays: 'noncurrent_days',
+                    NewerNoncurrentVersions: 'newer_noncurrent_versions',
+                  },
+                },
+                AbortIncompleteMultipartUpload: {
+                  name: 'abort_incomplete_multipart_upload',
+                  block: {
+                    DaysAfterInitiation: 'days_after_initiation',
+                  },
+                },
+                TagFilters: { drop: 'tag filters have to be rewritten as a filter.and.tags block' },
+              },
+            },
+          },
+        },
+      },
+      CorsConfiguration: {
+        resource: {
+          terraformType: 'aws_s3_bucket_cors_configuration',
+          suffix: 'cors',
+          parent: ['bucket', 'id'],
+          properties: {
+            CorsRules: {
+              name: 'cors_rule',
+              block: {
+                Id: 'id',
+                AllowedHeaders: 'allowed_headers',
+                AllowedMethods: 'allowed_methods',
+                AllowedOrigins: 'allowed_origins',
+                ExposedHeaders: 'expose_headers',
+                MaxAge: 'max_age_seconds',
+              },
+            },
+          },
+        },
+      },
+      WebsiteConfiguration: {
+        resource: {
+          terraformType: 'aws_s3_bucket_website_configuration',
+          suffix: 'website',
+          parent: ['bucket', 'id'],
+          properties: {
+            IndexDocument: { name: 'index_document', transform: suffix => ({ Suffix: suffix }), block: { Suffix: 'suffix' } },
+            ErrorDocument: { name: 'error_document', transform: key => ({ Key: key }), block: { Key: 'key' } },
+            RedirectAllRequestsTo: {
+              name: 'redirect_all_requests_to',
+              block: {
+                HostName: 'host_name',
+                Protocol: 'protocol',
+              },
+            },
+            RoutingRules: {
+              name: 'routing_rule',
+              block: {
+                RoutingRuleCondition: {
+                  name: 'condition',
+                  block: {
+                    HttpErrorCodeReturnedEquals: 'http_error_code_returned_equals',
+                    KeyPrefixEquals: 'key_prefix_equals',
+                  },
+                },
+                RedirectRule: {
+                  name: 'redirect',
+                  block: {
+                    HostName: 'host_name',
+                    HttpRedirectCode: 'http_redirect_code',
+                    Protocol: 'protocol',
+                    ReplaceKeyPrefixWith: 'replace_key_prefix_with',
+                    ReplaceKeyWith: 'replace_key_with',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      PublicAccessBlockConfiguration: {
+        resource: {
+          terraformType: 'aws_s3_bucket_public_access_block',
+          suffix: 'public_access_block',
+          parent: ['bucket', 'id'],
+          properties: {
+            BlockPublicAcls: 'block_public_acls',
+            BlockPublicPolicy: 'block_public_policy',
+            IgnorePublicAcls: 'ignore_public_acls',
+            RestrictPublicBuckets: 'restrict_public_buckets',
+          },
+        },
+      },
+      LoggingConfiguration: {
+        resource: {
+          terraformType: 'aws_s3_bucket_logging',
+          suffix: 'logging',
+          parent: ['bucket', 'id'],
+          properties: {
+            DestinationBucketName: 'target_bucket',
+            LogFilePrefix: 'target_prefix',
+          },
+        },
+      },
+      AccelerateConfiguration: {
+        resource: {
+          terraformType: 'aws_s3_bucket_accelerate_configuration',
+          suffix: 'accelerate',
+          parent: ['bucket', 'id'],
+          properties: {
+            AccelerationStatus: 'status',
+          },
+        },
+      },
+      OwnershipControls: {
+        resource: {
+          terraformType: 'aws_s3_bucket_ownership_controls',
+          suffix: 'ownership_controls',
+          parent: ['bucket', 'id'],
+          properties: {
+            // The provider accepts a single rule
+            Rules: {
+              name: 'rule',
+              transform: rules => Array.isArray(rules) ? rules[0] : rules,
+              block: { ObjectOwnership: 'object_ownership' },
+            },
+          },
+        },
+      },
+      ObjectLockConfiguration: {
+        resource: {
+          terraformType: 'aws_s3_bucket_object_lock_configuration',
+          suffix: 'object_lock',
+          parent: ['bucket', 'id'],
+          properties: {
+            ObjectLockEnabled: 'object_lock_enabled',
+            Rule: {
+              name: 'rule',
+              block: {
+                DefaultRetention: {
+                  name: 'default_retention',
+                  block: {
+                    Mode: 'mode',
+                    Days: 'days',
+                    Years: 'years',
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      NotificationConfiguration: { drop: 'requires a separate aws_s3_bucket_notification resource' },
+      ReplicationConfiguration: { drop: 'requires a separate aws_s3_bucket_replication_configuration resource' },
+      IntelligentTieringConfigurations: { drop: 'requires separate aws_s3_bucket_intelligent_tiering_configuration resources' },
+      InventoryConfigurations: { drop: 'requires separate aws_s3_bucket_inventory resources' },
+      MetricsConfigurations: { drop: 'requires separate aws_s3_bucket_metric resources' },
+      AnalyticsConfigurations: { drop: 'requires separate aws_s3_bucket_analytics_configuration resources' },
+    },
+  },
+};
@@ -0,0 +1,88 @@
+import { tags } from './common';
+import { PropertyMappings, ResourceDefinition } from './types';
+
+const subscriptionProperties: PropertyMappings = {
+  Protocol: 'protocol',
+  Endpoint: 'endpoint',
+};
+
+export const snsResources: Record<string, ResourceDefinition> = {
+  'AWS::SNS::Topic': {
+    terraformType: 'aws_sns_topic',
+    // Ref returns the topic ARN, which is also the topic's ID in Terraform
+    ref: 'arn',
+    attributes: {
+      TopicArn: 'arn',
+      TopicName: 'name',
+    },
+    properties: {
+      TopicName: 'name',
+      DisplayName: 'display_name',
+      FifoTopic: 'fifo_topic',
+      ContentBasedDeduplication: 'content_based_deduplication',
+      FifoThroughputScope: 'fifo_throughput_scope',
+      KmsMasterKeyId: 'kms_master_key_id',
+      SignatureVersion: 'signature_version',
+      TracingConfig: 'tracing_config',
+      ArchivePolicy: { name: 'archive_policy', json: true },
+      DeliveryStatusLogging: {
+        drop: 'delivery status logging is set per protocol with the <protocol>_success_feedback_role_arn attributes',
+      },
+      Tags: tags,
+      // Inline subscriptions become subscription resources, one per subscription
+      Subscription: {
+        resource: {
+          terraformType: 'aws_sns_topic_subscription',
+          suffix: 'subscription',
+          parent: ['topic_arn', 'arn'],
+          each: true,
+          // Terraform imports subscriptions by their ARN, which the stack does not list
+          importId: () => undefined,
+          properties: subscriptionProperties,
+        },
+      },
+      DataProtectionPolicy: {
+        transform: policy => ({ Policy: policy }),
+        resource: {
+          terraformType: 'aws_sns_topic_data_protection_policy',
+          suffix: 'data_protection_policy',
+          parent: ['arn', 'arn'],
+          properties: {
+            Policy: { name: 'policy', json: true },
+          },
+        },
+      },
+    },
+  },
+  'AWS::SNS::Subscription': {
+    terraformType: 'aws_sns_topic_subscription',
+    // Ref returns the subscription ARN
+    ref: 'arn',
+    attributes: {
+      Arn: 'arn',
+    },
+    properties: {
+      TopicArn: 'topic_arn',
+      ...subscriptionProperties,
+      RawMessageDelivery: 'raw_message_delivery',
+      FilterPolicy: { name: 'filter_policy', json: true },
+      FilterPolicyScope: 'filter_policy_scope',
+      RedrivePolicy: { name: 'redrive_policy', json: true },
+      DeliveryPolicy: { name: 'delivery_policy', json: true },
+      ReplayPolicy: { name: 'replay_policy', json: true },
+      SubscriptionRoleArn: 'subscription_role_arn',
+      Region: { drop: 'subscriptions are created in the region of the provider' },
+    },
+  },
+  'AWS::SNS::TopicPolicy': {
+    terraformType: 'aws_sns_topic_policy',
+    attributes: {},
+    each: 'Topics',
+    // Policies are imported by topic ARN
+    importId: (_, properties) => typeof properties.Topics === 'string' ? properties.Topics : undefined,
+    properties: {
+      Topics: 'arn',
+      PolicyDocument: { name: 'policy', json: true },
+    },
+  },
+};
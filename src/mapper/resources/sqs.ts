@@ -0,0 +1,43 @@
+import { tags } from './common';
+import { ResourceDefinition } from './types';
+
+export const sqsResources: Record<string, ResourceDefinition> = {
+  'AWS::SQS::Queue': {
+    terraformType: 'aws_sqs_queue',
+    // Ref returns the queue URL, which is also the queue's ID in Terraform
+    attributes: {
+      Arn: 'arn',
+      QueueName: 'name',
+      QueueUrl: 'url',
+    },
+    properties: {
+      QueueName: 'name',
+      FifoQueue: 'fifo_queue',
+      ContentBasedDeduplication: 'content_based_deduplication',
+      DeduplicationScope: 'deduplication_scope',
+      FifoThroughputLimit: 'fifo_throughput_limit',
+      DelaySeconds: 'delay_seconds',
+      MaximumMessageSize: 'max_message_size',
+      MessageRetentionPeriod: 'message_retention_seconds',
+      ReceiveMessageWaitTimeSeconds: 'receive_wait_time_seconds',
+      VisibilityTimeout: 'visibility_timeout_seconds',
+      KmsMasterKeyId: 'kms_master_key_id',
+      KmsDataKeyReusePeriodSeconds: 'kms_data_key_reuse_period_seconds',
+      SqsManagedSseEnabled: 'sqs_managed_sse_enabled',
+      RedrivePolicy: { name: 'redrive_policy', json: true },
+      RedriveAllowPolicy: { name: 'redrive_allow_policy', json: true },
+      Tags: tags,
+    },
+  },
+  'AWS::SQS::QueuePolicy': {
+    terraformType: 'aws_sqs_queue_policy',
+    attributes: {},
+    each: 'Queues',
+    // Policies are imported by queue URL
+    importId: (_, properties) => typeof properties.Queues === 'string' ? properties.Queues : undefined,
+    properties: {
+      Queues: 'queue_url',
+      PolicyDocument: { name: 'policy', json: true },
+    },
+  },
+};
@@ -0,0 +1,96 @@
+import { tags } from './common';
+import { ResourceDefinition } from './types';
+
+/**
+ * Apply DefinitionSubstitutions to a state machine definition with Fn::Sub
+ * Strings with ${Name} placeholders are substituted wherever they are in the definition; placeholders
+ * without a substitution are kept as written, and an Fn::Sub definition takes the substitutions as variables.
+ * @param definition DefinitionString or Definition
+ * @param properties Properties of the state machine
+ */
+function substituteDefinition(definition: any, properties: Record<string, any>): any {
+  const substitutions = properties.DefinitionSubstitutions;
+  if (typeof substitutions !== 'object' || substitutions === null || Array.isArray(substitutions)) {
+    return definition;
+  }
+
+  const substitute = (value: any): any => {
+    if (typeof value === 'string') {
+      if (!value.includes('${')) {
+        return value;
+      }
+      const escaped = value.replace(/\$\{([^}]*)\}/g, (match, key) => key in substitutions ? match : `\${!${key}}`);
+      return { 'Fn::Sub': [escaped, substitutions] };
+    } else if (Array.isArray(value)) {
+      return value.map(substitute);
+    } else if (typeof value !== 'object' || value === null) {
+      return value;
+    } else if ('Fn::Sub' in value) {
+      // Placeholders of substitutions are escaped (${!Name}) to get past CloudFormation's own Fn::Sub
+      const [template, variables] = Array.isArray(value['Fn::Sub']) ? value['Fn::Sub'] : [value['Fn::Sub'], {}];
+      if (typeof template !== 'string') {
+        return value;
+      }
+      const unescaped = template.replace(/\$\{!([^}]*)\}/g, (match, key) => key in substitutions ? `\${${key}}` : match);
+      return { 'Fn::Sub': [unescaped, { ...substitutions, ...variables }] };
+    } else if (Object.keys(value).some(key => key === 'Ref' || key.startsWith('Fn::'))) {
+      return value;
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item)]));
+  };
+  return substitute(definition);
+}
+
+/**
+ * Log destination of a logging configuration: the ARN of the first log group
+ * @param destinations CloudFormation log destinations
+ */
+function logDestination(destinations: any): any {
+  const arn = Array.isArray(destinations) ? destinations[0]?.CloudWatchLogsLogGroup?.LogGroupArn : undefined;
+  return arn === undefined ? destinations : arn;
+}
+
+export const stepfunctionsResources: Record<string, ResourceDefinition> = {
+  'AWS::StepFunctions::StateMachine': {
+    terraformType: 'aws_sfn_state_machine',
+    // Ref returns the state machine ARN, which is also its ID in Terraform
+    attributes: {
+      Arn: 'arn',
+      Name: 'name',
+      StateMachineRevisionId: 'revision_id',
+    },
+    properties: {
+      StateMachineName: 'name',
+      StateMachineType: 'type',
+      RoleArn: 'role_arn',
+      DefinitionString: { name: 'definition', transform: substituteDefinition },
+      Definition: { name: 'definition', json: true, transform: substituteDefinition },
+      // Applied to the definition
+      DefinitionSubstitutions: { expand: () => ({}) },
+      DefinitionS3Location: { drop: 'the definition has to be read from the file (DefinitionString)' },
+      LoggingConfiguration: {
+        name: 'logging_configuration',
+        block: {
+          Level: 'level',
+          IncludeExecutionData: 'include_execution_data',
+          Destinations: { name: 'log_destination', transform: logDestination },
+        },
+      },
+      TracingConfiguration: {
+        name: 'tracing_configuration',
+        block: {
+          Enabled: 'enabled',
+        },
+      },
+      EncryptionConfiguration: {
+        name: 'encryption_configuration',
+        block: {
+          Type: 'type',
+          KmsKeyId: 'kms_key_id',
+          KmsDataKeyReusePeriodSeconds: 'kms_data_key_reuse_period_seconds',
+        },
+      },
+      Tags: tags,
+    },
+  },
+};
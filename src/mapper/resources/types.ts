@@ -0,0 +1,157 @@
+/**
+ * How a single CloudFormation property is mapped to Terraform
+ * A string is shorthand for a plain rename to that Terraform attribute.
+ */
+export type PropertyMapping = string | PropertyMappingOptions;
+
+/**
+ * Property mappings of a resource or nested block, keyed by CloudFormation property name
+ */
+export type PropertyMappings = Record<string, PropertyMapping>;
+
+export interface PropertyMappingOptions {
+  /**
+   * Terraform attribute name (defaults to the snake_case property name)
+   */
+  name?: string;
+
+  /**
+   * The property has no Terraform equivalent; the reason is reported when it is dropped
+   */
+  drop?: string;
+
+  /**
+   * Nested properties are mapped into the parent instead of a nested block
+   */
+  flatten?: PropertyMappings;
+
+  /**
+   * The value (an object, or a list of objects) becomes a nested block mapped with these properties
+   */
+  block?: PropertyMappings;
+
+  /**
+   * The value is a free-form map whose keys are kept as written
+   */
+  map?: boolean;
+
+  /**
+   * The value is a JSON document (e.g. an IAM policy) encoded as a string
+   */
+  json?: boolean;
+
+  /**
+   * The value is a CloudFormation tag list ([{ Key, Value }]) converted to a tag map
+   */
+  tags?: boolean;
+
+  /**
+   * Rewrite the CloudFormation value before it is mapped; properties are the object the value belongs to
+   */
+  transform?: (value: any, properties: Record<string, any>) => any;
+
+  /**
+   * Restructure the value into several Terraform attributes (CloudFormation values, keyed by Terraform name)
+   */
+  expand?: (value: any) => Record<string, any>;
+
+  /**
+   * The property becomes a separate Terraform resource attached to the mapped resource
+   */
+  resource?: SplitResourceMapping;
+}
+
+/**
+ * A top-level property that the AWS provider models as a resource of its own
+ */
+export interface SplitResourceMapping {
+  /**
+   * Terraform resource type
+   */
+  terraformType: string;
+
+  /**
+   * Suffix appended to the parent resource name
+   */
+  suffix: string;
+
+  /**
+   * Attribute of the new resource that points at the parent, and the parent attribute it reads
+   */
+  parent: [string, string];
+
+  /**
+   * Create one resource per list item instead of one for the whole value
+   */
+  each?: boolean;
+
+  /**
+   * Properties of the parent the new resource repeats, keyed by CloudFormation name with the Terraform attribute
+   */
+  inherit?: Record<string, string>;
+
+  /**
+   * Terraform import ID, from the parent's physical ID and the (transformed) property value
+   * (defaults to the parent's physical ID); undefined when a value it needs is not a literal
+   */
+  importId?: (parentId: string, value: any) => string | undefined;
+
+  /**
+   * Mappings of the (transformed) property value to the new resource's properties
+   */
+  properties: PropertyMappings;
+}
+
+/**
+ * Everything the mapper needs to know about one CloudFormation resource type
+ */
+export interface ResourceDefinition {
+  /**
+   * Terraform resource type
+   */
+  terraformType: string;
+
+  /**
+   * Property mappings; properties not listed here are reported as unmapped
+   */
+  properties: PropertyMappings;
+
+  /**
+   * Terraform attribute returned by Ref (defaults to id)
+   */
+  ref?: string;
+
+  /**
+   * Fn::GetAtt attributes and the Terraform attributes they read; null when there is no equivalent, and a
+   * template such as ${arn}:* when the value is built from Terraform attributes
+   */
+  attributes?: Record<string, string | null>;
+
+  /**
+   * Terraform attribute of Fn::GetAtt attributes missing from attributes; without it they are guessed and reported
+   */
+  attributeName?: (attribute: string) => string;
+
+  /**
+   * List property naming the resources the type applies to (the Queues of a queue policy), where Terraform
+   * takes a single one: each further item gets a copy of the resource
+   */
+  each?: string;
+
+  /**
+   * CloudFormation values of properties that default differently in Terraform, used when the template leaves them out
+   */
+  defaults?: Record<string, any>;
+
+  /**
+   * Attributes taking a final snapshot when the resource is destroyed (DeletionPolicy: Snapshot), and
+   * whether CloudFormation snapshots it when DeletionPolicy is not set
+   */
+  finalSnapshot?: { skip: string; identifier: string; byDefault?: boolean };
+
+  /**
+   * Terraform import ID, from the physical ID of the deployed resource and its properties
+   * (defaults to the physical ID); undefined when a value it needs is not a literal
+   */
+  importId?: (physicalId: string, properties: Record<string, any>) => string | undefined;
+}
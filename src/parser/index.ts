@@ -1,18 +1,52 @@
 import * as fs from 'fs';
 import * as yaml from 'js-yaml';
+import { CLOUDFORMATION_SCHEMA } from './schema';
 
 export interface CloudFormationTemplate {
   AWSTemplateFormatVersion?: string;
   Description?: string;
-  Parameters?: Record<string, any>;
+  Parameters?: Record<string, CloudFormationParameter>;
+  Mappings?: Record<string, Record<string, Record<string, any>>>;
+  Conditions?: Record<string, any>;
   Resources: Record<string, CloudFormationResource>;
   Outputs?: Record<string, any>;
 }
 
+export interface CloudFormationParameter {
+  Type: string;
+  Default?: any;
+  Description?: string;
+  AllowedValues?: any[];
+  AllowedPattern?: string;
+  MinLength?: number | string;
+  MaxLength?: number | string;
+  MinValue?: number | string;
+  MaxValue?: number | string;
+  ConstraintDescription?: string;
+  NoEcho?: boolean | string;
+}
+
 export interface CloudFormationResource {
   Type: string;
   Properties: Record<string, any>;
   DependsOn?: string | string[];
+  Condition?: string;
+  DeletionPolicy?: string;
+  UpdateReplacePolicy?: string;
+  Metadata?: Record<string, any>;
+  CreationPolicy?: Record<string, any>;
+  UpdatePolicy?: Record<string, any>;
+}
+
+/**
+ * Resource of a deployed stack, as listed by describe-stack-resources (or list-stack-resources)
+ */
+export interface CloudFormationStackResource {
+  StackName?: string;
+  LogicalResourceId: string;
+  PhysicalResourceId?: string;
+  ResourceType: string;
+  ResourceStatus?: string;
 }
 
 /**
@@ -27,36 +61,44 @@ export class CloudFormationParser {
     const content = fs.readFileSync(filePath, 'utf8');
     
     if (filePath.endsWith('.json')) {
-      return JSON.parse(content) as CloudFormationTemplate;
+      return this.parseJson(content);
     } else if (filePath.endsWith('.yaml') || filePath.endsWith('.yml')) {
-      // CloudFormationの特殊タグを処理するための前処理
-      const processedContent = this.preprocessCloudFormationTags(content);
-      return yaml.load(processedContent) as CloudFormationTemplate;
+      return this.parseYaml(content);
     } else {
       throw new Error(`Unsupported file format: ${filePath}`);
     }
   }
 
   /**
-   * CloudFormationの特殊タグを処理するための前処理
-   * @param content YAMLコンテンツ
+   * Parse a CloudFormation template from a JSON string
+   * @param content JSON content
    */
-  private static preprocessCloudFormationTags(content: string): string {
-    // !Ref タグを処理
-    content = content.replace(/!Ref\s+([^\s]+)/g, '{ "Ref": "$1" }');
-    
-    // !GetAtt タグを処理
-    content = content.replace(/!GetAtt\s+([^\s]+)\.([^\s]+)/g, '{ "Fn::GetAtt": ["$1", "$2"] }');
-    
-    // !Sub タグを処理
-    content = content.replace(/!Sub\s+'([^']+)'/g, '{ "Fn::Sub": "$1" }');
-    content = content.replace(/!Sub\s+"([^"]+)"/g, '{ "Fn::Sub": "$1" }');
-    content = content.replace(/!Sub\s+([^\s'"]+)/g, '{ "Fn::Sub": "$1" }');
-    
-    // !Join タグを処理
-    content = content.replace(/!Join\s+\[\s*'([^']+)'\s*,\s*\[(.*?)\]\s*\]/g, '{ "Fn::Join": ["$1", [$2]] }');
-    content = content.replace(/!Join\s+\[\s*"([^"]+)"\s*,\s*\[(.*?)\]\s*\]/g, '{ "Fn::Join": ["$1", [$2]] }');
-    
-    return content;
+  public static parseJson(content: string): CloudFormationTemplate {
+    return JSON.parse(content) as CloudFormationTemplate;
+  }
+
+  /**
+   * Parse a CloudFormation template from a YAML string
+   * Short-form intrinsic tags (!Ref, !Sub, !If, ...) are expanded to their long-form objects.
+   * @param content YAML content
+   */
+  public static parseYaml(content: string): CloudFormationTemplate {
+    return yaml.load(content, { schema: CLOUDFORMATION_SCHEMA }) as CloudFormationTemplate;
+  }
+
+  /**
+   * Parse the saved output of aws cloudformation describe-stack-resources (or list-stack-resources)
+   * @param filePath Path to the JSON file
+   */
+  public static parseStackResources(filePath: string): CloudFormationStackResource[] {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const resources = Array.isArray(content)
+      ? content
+      : content && (content.StackResources || content.StackResourceSummaries);
+
+    if (!Array.isArray(resources) || resources.some(resource => typeof resource?.LogicalResourceId !== 'string')) {
+      throw new Error(`Invalid stack resources: ${filePath} (expected the output of describe-stack-resources)`);
+    }
+    return resources;
   }
 }
@@ -0,0 +1,98 @@
+import * as yaml from 'js-yaml';
+
+/**
+ * Short-form YAML tags and the long-form intrinsic function keys they expand to
+ */
+const intrinsicFunctionTags: Record<string, string> = {
+  'Ref': 'Ref',
+  'Condition': 'Condition',
+  'GetAtt': 'Fn::GetAtt',
+  'Sub': 'Fn::Sub',
+  'Join': 'Fn::Join',
+  'If': 'Fn::If',
+  'Select': 'Fn::Select',
+  'Split': 'Fn::Split',
+  'FindInMap': 'Fn::FindInMap',
+  'ImportValue': 'Fn::ImportValue',
+  'Base64': 'Fn::Base64',
+  'Cidr': 'Fn::Cidr',
+  'GetAZs': 'Fn::GetAZs',
+  'Equals': 'Fn::Equals',
+  'And': 'Fn::And',
+  'Or': 'Fn::Or',
+  'Not': 'Fn::Not',
+  'Transform': 'Fn::Transform',
+  'Length': 'Fn::Length',
+  'ToJsonString': 'Fn::ToJsonString',
+};
+
+const nodeKinds: Array<'scalar' | 'sequence' | 'mapping'> = ['scalar', 'sequence', 'mapping'];
+
+/**
+ * Build the long-form object for a short-form tag
+ * @param tag Tag name without the leading "!"
+ * @param kind YAML node kind the tag was applied to
+ * @param data Constructed node value
+ */
+function constructIntrinsic(tag: string, kind: string, data: any): Record<string, any> {
+  const functionName = intrinsicFunctionTags[tag];
+  // Empty tagged nodes (e.g. a bare !GetAZs) construct as null
+  const value = data === null || data === undefined ? '' : data;
+
+  // !GetAtt Resource.Attribute(.Nested) splits on the first dot only
+  if (kind === 'scalar' && tag === 'GetAtt') {
+    const text = String(value);
+    const separator = text.indexOf('.');
+    return {
+      [functionName]: separator === -1
+        ? [text, '']
+        : [text.slice(0, separator), text.slice(separator + 1)],
+    };
+  }
+
+  return { [functionName]: value };
+}
+
+const intrinsicTypes = Object.keys(intrinsicFunctionTags).reduce<yaml.Type[]>((types, tag) => {
+  nodeKinds.forEach(kind => {
+    types.push(new yaml.Type(`!${tag}`, {
+      kind,
+      construct: (data: any) => constructIntrinsic(tag, kind, data),
+    }));
+  });
+  return types;
+}, []);
+
+// js-yaml exports its built-in types, which @types/js-yaml leaves out
+const { int, float } = (yaml as unknown as { types: Record<'int' | 'float', yaml.Type> }).types;
+
+/**
+ * Replace a core number type with one that keeps the scalar text when the number would not print back
+ * to it (EngineVersion: 8.0, Version: 1.10), since CloudFormation hands resources the text; the mapper
+ * turns it back into a number for attributes Terraform types as numbers.
+ * @param tag YAML tag of the core type
+ * @param type Core type
+ */
+function textPreservingNumber(tag: string, type: yaml.Type): yaml.Type {
+  return new yaml.Type(tag, {
+    kind: 'scalar',
+    resolve: (data: any) => type.resolve(data),
+    construct: (data: string) => {
+      const value = type.construct(data);
+      return String(value) === data ? value : data;
+    },
+  });
+}
+
+/**
+ * js-yaml schema that understands every CloudFormation short-form intrinsic tag
+ * Built on the core schema: the default one would load unquoted dates (Version: 2012-10-17) as Date objects,
+ * where CloudFormation keeps them as strings.
+ */
+export const CLOUDFORMATION_SCHEMA = yaml.CORE_SCHEMA.extend({
+  implicit: [
+    textPreservingNumber('tag:yaml.org,2002:int', int),
+    textPreservingNumber('tag:yaml.org,2002:float', float),
+  ],
+  explicit: intrinsicTypes,
+});
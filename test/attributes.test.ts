@@ -0,0 +1,56 @@
+import { ReferenceValue, list, template } from '../src/mapper';
+import { mapResources } from './util';
+
+/**
+ * Reference to an attribute of a Terraform resource
+ * @param type Terraform resource type
+ * @param name Terraform resource name
+ * @param attribute Terraform attribute
+ */
+function reference(type: string, name: string, attribute: string): ReferenceValue {
+  return { kind: 'reference', target: 'resource', type, name, attribute };
+}
+
+describe('Fn::GetAtt attributes', () => {
+  it('builds the log group ARN with the :* suffix of CloudFormation', () => {
+    const resources = mapResources(`
+Resources:
+  Logs:
+    Type: AWS::Logs::LogGroup
+  Flow:
+    Type: AWS::StepFunctions::StateMachine
+    Properties:
+      RoleArn: arn:aws:iam::123456789012:role/sfn
+      DefinitionString: '{}'
+      LoggingConfiguration:
+        Destinations: [{ CloudWatchLogsLogGroup: { LogGroupArn: !GetAtt Logs.Arn } }]
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      QueueName: !Sub '\${Logs.Arn}-queue'
+`);
+    const arn = reference('aws_cloudwatch_log_group', 'logs', 'arn');
+    const logging = resources.flow.logging_configuration;
+    expect(logging.kind === 'block' ? logging.attributes.log_destination : logging).toEqual(template([arn, ':*']));
+    expect(resources.queue.name).toEqual(template([arn, ':*-queue']));
+  });
+
+  it('reads the layer version ARN', () => {
+    const resources = mapResources(`
+Resources:
+  Layer:
+    Type: AWS::Lambda::LayerVersion
+    Properties:
+      LayerName: deps
+      Content: { S3Bucket: b, S3Key: k }
+  Fn:
+    Type: AWS::Lambda::Function
+    Properties:
+      Handler: index.handler
+      Role: arn:aws:iam::123456789012:role/r
+      Code: { S3Bucket: b, S3Key: k }
+      Layers: [!GetAtt Layer.LayerVersionArn]
+`);
+    expect(resources.fn.layers).toEqual(list([reference('aws_lambda_layer_version', 'layer', 'arn')]));
+  });
+});
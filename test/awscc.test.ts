@@ -0,0 +1,86 @@
+import { CdktfGenerator } from '../src/generator';
+import { literal } from '../src/mapper';
+import { generateFiles, mapYaml } from './util';
+
+const template = `
+Resources:
+  Topic:
+    Type: AWS::SNS::Topic
+    Properties:
+      TopicName: alerts
+  Check:
+    Type: AWS::Route53::HealthCheck
+    Properties:
+      HealthCheckConfig:
+        Type: HTTPS
+        FullyQualifiedDomainName: example.com
+        Port: 443
+      HealthCheckTags:
+        - Key: Env
+          Value: dev
+  Db:
+    Type: AWS::RDS::DBCluster
+    Properties:
+      Engine: aurora-postgresql
+      MasterUsername: admin
+Outputs:
+  TopicArn:
+    Value: !Ref Topic
+  DbEndpoint:
+    Value: !GetAtt Db.Endpoint.Address
+`;
+
+describe('awscc provider', () => {
+  it('reports types without an aws mapping unless awscc is enabled', () => {
+    const config = mapYaml(template);
+    expect(config.resources.map(resource => resource.type)).toEqual(['aws_sns_topic', 'aws_rds_cluster']);
+    expect(config.diagnostics).toContainEqual(expect.objectContaining({
+      severity: 'error',
+      code: 'unsupported-resource-type',
+      message: 'Unsupported resource type: Check (AWS::Route53::HealthCheck)',
+    }));
+  });
+
+  it('converts types without an aws mapping with awscc as a fallback', () => {
+    const config = mapYaml(template, { awscc: 'fallback' });
+    expect(config.resources.map(resource => resource.type)).toEqual(['aws_sns_topic', 'awscc_route53_health_check', 'aws_rds_cluster']);
+    expect(config.resources[1].properties).toEqual({
+      health_check_config: {
+        kind: 'block',
+        attributes: { type: literal('HTTPS'), fully_qualified_domain_name: literal('example.com'), port: literal(443) },
+      },
+      health_check_tags: {
+        kind: 'list',
+        items: [{ kind: 'block', attributes: { key: literal('Env'), value: literal('dev') } }],
+      },
+    });
+    expect(config.diagnostics).toEqual([expect.objectContaining({
+      severity: 'info',
+      code: 'awscc-resource',
+      message: 'Converted with awscc: Check (AWS::Route53::HealthCheck as awscc_route53_health_check; attributes follow the template values)',
+    })]);
+  });
+
+  it('converts every type with awscc, reading snake_case attributes', () => {
+    const config = mapYaml(template, { awscc: 'all' });
+    expect(config.resources.map(resource => resource.type)).toEqual([
+      'awscc_sns_topic', 'awscc_route53_health_check', 'awscc_rds_db_cluster',
+    ]);
+    expect(config.resources[0].properties).toEqual({ topic_name: literal('alerts') });
+    expect(config.outputs.TopicArn.value).toEqual({ kind: 'reference', target: 'resource', type: 'awscc_sns_topic', name: 'topic', attribute: 'id' });
+    expect(config.outputs.DbEndpoint.value).toMatchObject({ type: 'awscc_rds_db_cluster', attribute: 'endpoint.address' });
+    expect(config.diagnostics.filter(item => item.code === 'awscc-resource')).toHaveLength(3);
+  });
+
+  it('configures the awscc provider next to the aws one', () => {
+    const hcl = generateFiles(template, (config, outputDir) => CdktfGenerator.generateTerraform(config, outputDir, 'hcl'), { awscc: 'fallback' });
+    expect(hcl['main.tf']).toContain('awscc = {\n      source  = "hashicorp/awscc"');
+    expect(hcl['main.tf']).toContain('provider "awscc" {');
+    expect(hcl['main.tf']).toContain('resource "awscc_route53_health_check" "check" {');
+
+    const typescript = generateFiles(template, (config, outputDir) => CdktfGenerator.generateCode(config, outputDir, 'typescript'), { awscc: 'fallback' });
+    expect(typescript['main.ts']).toContain('import * as awscc from "@cdktf/provider-awscc";');
+    expect(typescript['main.ts']).toContain('new awscc.route53HealthCheck.Route53HealthCheck(this, "check", {');
+    expect(typescript['cdktf.json']).toContain('"awscc@~> 1.0"');
+  });
+});
@@ -0,0 +1,67 @@
+import { literal } from '../src/mapper/expressions';
+import { mapYaml } from './util';
+
+const template = `
+Parameters:
+  Env:
+    Type: String
+Conditions:
+  IsProd: !Equals [!Ref Env, prod]
+  NotProd: !Not [!Condition IsProd]
+Resources:
+  Bucket:
+    Type: AWS::S3::Bucket
+    Condition: IsProd
+    Properties:
+      BucketName: !If [IsProd, prod-bucket, !Ref AWS::NoValue]
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      DelaySeconds: !If [NotProd, 5, 0]
+Outputs:
+  BucketArn:
+    Condition: IsProd
+    Value: !GetAtt Bucket.Arn
+`;
+
+describe('Conditions', () => {
+  const config = mapYaml(template);
+  const isProd = { kind: 'reference', target: 'condition', name: 'isprod_condition' };
+
+  it('converts conditions into expressions that can refer to each other', () => {
+    expect(config.conditions.IsProd).toEqual({
+      name: 'isprod_condition',
+      expression: { kind: 'operator', operator: '==', operands: [{ kind: 'reference', target: 'variable', name: 'Env' }, literal('prod')] },
+    });
+    expect(config.conditions.NotProd.expression).toEqual({ kind: 'operator', operator: '!', operands: [isProd] });
+  });
+
+  it('creates conditional resources with a count', () => {
+    const bucket = config.resources.find(resource => resource.name === 'bucket')!;
+    expect(bucket.count).toEqual({ kind: 'conditional', condition: isProd, whenTrue: literal(1), whenFalse: literal(0) });
+  });
+
+  it('converts Fn::If in properties, with AWS::NoValue as null', () => {
+    const [bucket, queue] = config.resources;
+    expect(bucket.properties.bucket).toEqual({
+      kind: 'conditional',
+      condition: isProd,
+      whenTrue: literal('prod-bucket'),
+      whenFalse: literal(null),
+    });
+    expect(queue.properties.delay_seconds).toMatchObject({ condition: { name: 'notprod_condition' } });
+  });
+
+  it('reads attributes of conditional resources over all instances in conditional outputs', () => {
+    expect(config.outputs.BucketArn.value).toEqual({
+      kind: 'conditional',
+      condition: isProd,
+      whenTrue: {
+        kind: 'call',
+        name: 'one',
+        args: [{ kind: 'reference', target: 'resource', type: 'aws_s3_bucket', name: 'bucket', attribute: 'arn', splat: true }],
+      },
+      whenFalse: literal(null),
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { CdktfGenerator } from '../src/generator';
+import { generateFiles } from './util';
+
+const template = `
+Parameters:
+  Env:
+    Type: String
+    Default: dev
+Conditions:
+  IsProd: !Equals [!Ref Env, prod]
+Resources:
+  Group:
+    Type: AWS::AutoScaling::AutoScalingGroup
+    Properties:
+      MinSize: '1'
+      MaxSize: !If [IsProd, '4', '2']
+      AvailabilityZones: !GetAZs ''
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      QueueName: !Sub '\${Env}-queue'
+Outputs:
+  QueueUrl:
+    Value: !Ref Queue
+`;
+
+describe('CSharpGenerator', () => {
+  const files = generateFiles(template, (config, outputDir) => CdktfGenerator.generateCode(config, outputDir, 'csharp'));
+  const program = files['Program.cs'];
+
+  it('writes a .NET project', () => {
+    expect(Object.keys(files).sort()).toEqual(['ConvertedStack.csproj', 'Program.cs', 'cdktf.json']);
+    expect(files['ConvertedStack.csproj']).toContain('HashiCorp.Cdktf.Providers.Aws');
+    expect(program).toContain('using HashiCorp.Cdktf.Providers.Aws.AutoscalingGroup;');
+  });
+
+  it('creates constructs with typed config objects', () => {
+    expect(program).toContain('object isprodCondition = Op.Eq(envVariable.StringValue, "prod");');
+    expect(program).toContain(`            AutoscalingGroup group = new AutoscalingGroup(this, "group", new AutoscalingGroupConfig
+            {
+                MinSize = 1,
+                MaxSize = Token.AsNumber(Fn.Conditional(isprodCondition, 4, 2)),
+                AvailabilityZones = currentAvailabilityZones.Names
+            });`);
+    expect(program).toContain('Name = envVariable.StringValue + "-queue"');
+    expect(program).toContain('new TerraformOutput(this, "QueueUrl", new TerraformOutputConfig\n            {\n                Value = queue.Id');
+  });
+});
@@ -0,0 +1,63 @@
+import { mapYaml } from './util';
+
+describe('resource dependencies', () => {
+  it('emits resources after the resources they reference or depend on', () => {
+    const config = mapYaml(`
+Resources:
+  Topic:
+    Type: AWS::SNS::Topic
+    Properties:
+      DisplayName: !GetAtt Queue.QueueName
+    DependsOn: [Bucket, Queue]
+  Queue:
+    Type: AWS::SQS::Queue
+    DependsOn: Bucket
+  Bucket:
+    Type: AWS::S3::Bucket
+`);
+    expect(config.resources.map(resource => resource.name)).toEqual(['bucket', 'queue', 'topic']);
+    const [bucket, queue, topic] = config.resources;
+    expect(bucket.dependsOn).toBeUndefined();
+    expect(queue.dependsOn).toEqual([{ kind: 'reference', target: 'resource', type: 'aws_s3_bucket', name: 'bucket' }]);
+    // The reference to the queue already orders the topic after it
+    expect(topic.dependsOn).toEqual([{ kind: 'reference', target: 'resource', type: 'aws_s3_bucket', name: 'bucket' }]);
+  });
+
+  it('rejects DependsOn targets that do not exist', () => {
+    expect(() => mapYaml(`
+Resources:
+  Queue:
+    Type: AWS::SQS::Queue
+    DependsOn: Missing
+`)).toThrow('DependsOn target not found: Queue depends on Missing');
+  });
+
+  it('reports DependsOn targets that are not converted', () => {
+    const config = mapYaml(`
+Resources:
+  Queue:
+    Type: AWS::SQS::Queue
+    DependsOn: Widget
+  Widget:
+    Type: AWS::Example::Widget
+`);
+    expect(config.diagnostics).toContainEqual(expect.objectContaining({
+      code: 'dropped-dependency',
+      logicalId: 'Queue',
+      path: 'DependsOn',
+    }));
+  });
+
+  it('detects circular dependencies', () => {
+    expect(() => mapYaml(`
+Resources:
+  Queue:
+    Type: AWS::SQS::Queue
+    DependsOn: Topic
+  Topic:
+    Type: AWS::SNS::Topic
+    Properties:
+      DisplayName: !GetAtt Queue.QueueName
+`)).toThrow('Circular dependency between resources: aws_sqs_queue.queue -> aws_sns_topic.topic -> aws_sqs_queue.queue');
+  });
+});
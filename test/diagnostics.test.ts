@@ -0,0 +1,98 @@
+import * as path from 'path';
+import { ReportGenerator } from '../src/generator';
+import { countDiagnostics, diagnostic, failingDiagnostics } from '../src/mapper';
+import { mapYaml, writtenFiles } from './util';
+
+const diagnostics = [
+  diagnostic('unsupported-intrinsic', 'Unsupported intrinsic function: Fn::Transform (in Out)', 'Out', 'stack.yaml'),
+  diagnostic('unmapped-property', 'Unmapped property: Bucket.Tags[1] (tag keys must be literal strings)', 'Bucket.Tags[1]', 'stack.yaml'),
+  diagnostic('template-skipped', 'Template skipped: child.yaml (converted as the module of a nested stack)'),
+];
+
+describe('diagnostics', () => {
+  it('reports lossy conversions with their severity and location', () => {
+    const config = mapYaml(`
+Resources:
+  Bucket:
+    Type: AWS::S3::Bucket
+    Metadata:
+      Note: x
+    Properties:
+      Foo: 1
+Outputs:
+  Out:
+    Value: !Transform { Name: x }
+`, { templatePath: 'stack.yaml' });
+    expect(config.diagnostics).toEqual([
+      {
+        code: 'unmapped-property', severity: 'warning', message: 'Unmapped property: Bucket.Foo',
+        logicalId: 'Bucket', path: 'Foo', template: 'stack.yaml',
+      },
+      {
+        code: 'dropped-resource-attribute', severity: 'warning',
+        message: 'Resource attribute dropped: Bucket.Metadata (Terraform resources have no metadata (Note))',
+        logicalId: 'Bucket', path: 'Metadata', template: 'stack.yaml',
+      },
+      {
+        code: 'unsupported-intrinsic', severity: 'error', message: 'Unsupported intrinsic function: Fn::Transform (in Out)',
+        logicalId: 'Out', template: 'stack.yaml',
+      },
+    ]);
+  });
+
+  it('counts diagnostics by severity', () => {
+    expect(countDiagnostics(diagnostics)).toEqual({ error: 1, warning: 1, info: 1 });
+    expect(ReportGenerator.summary(diagnostics)).toBe('1 error, 1 warning, 1 info');
+    expect(ReportGenerator.summary([])).toBe('0 errors, 0 warnings, 0 infos');
+  });
+
+  it('fails on diagnostics at or above the --fail-on severity', () => {
+    expect(failingDiagnostics(diagnostics, 'error').map(item => item.code)).toEqual(['unsupported-intrinsic']);
+    expect(failingDiagnostics(diagnostics, 'warning').map(item => item.code)).toEqual(['unsupported-intrinsic', 'unmapped-property']);
+    expect(failingDiagnostics(diagnostics.slice(1), 'error')).toEqual([]);
+  });
+});
+
+describe('conversion report', () => {
+  const report = (format: 'json' | 'markdown' | 'sarif') =>
+    writtenFiles(outputDir => ReportGenerator.generate(diagnostics, path.join(outputDir, 'reports', 'report'), format))['reports/report'];
+
+  it('writes the summary and the diagnostics as JSON', () => {
+    expect(JSON.parse(report('json'))).toEqual({ summary: { error: 1, warning: 1, info: 1 }, diagnostics });
+  });
+
+  it('writes a Markdown table, most severe first', () => {
+    expect(report('markdown')).toBe([
+      '# Conversion Report',
+      '',
+      '1 error, 1 warning, 1 info',
+      '',
+      '| Severity | Code | Template | Logical ID | Path | Message |',
+      '| --- | --- | --- | --- | --- | --- |',
+      '| error | `unsupported-intrinsic` | stack.yaml | Out |  | Unsupported intrinsic function: Fn::Transform (in Out) |',
+      '| warning | `unmapped-property` | stack.yaml | Bucket | Tags[1] | Unmapped property: Bucket.Tags[1] (tag keys must be literal strings) |',
+      '| info | `template-skipped` |  |  |  | Template skipped: child.yaml (converted as the module of a nested stack) |',
+      '',
+    ].join('\n'));
+  });
+
+  it('writes SARIF results located by file and logical ID', () => {
+    const [run] = JSON.parse(report('sarif')).runs;
+    expect(run.tool.driver.rules.find((rule: any) => rule.id === 'unmapped-property')).toEqual({
+      id: 'unmapped-property',
+      shortDescription: { text: expect.any(String) },
+      defaultConfiguration: { level: 'warning' },
+    });
+    expect(run.results.map((result: any) => [result.ruleId, result.level, result.locations])).toEqual([
+      ['unsupported-intrinsic', 'error', [{
+        physicalLocation: { artifactLocation: { uri: 'stack.yaml' } },
+        logicalLocations: [{ fullyQualifiedName: 'Out' }],
+      }]],
+      ['unmapped-property', 'warning', [{
+        physicalLocation: { artifactLocation: { uri: 'stack.yaml' } },
+        logicalLocations: [{ fullyQualifiedName: 'Bucket.Tags[1]' }],
+      }]],
+      ['template-skipped', 'note', [{}]],
+    ]);
+  });
+});
@@ -0,0 +1,54 @@
+import { CdktfGenerator } from '../src/generator';
+import { generateFiles } from './util';
+
+describe('GoGenerator', () => {
+  const files = generateFiles(`
+Parameters:
+  Env:
+    Type: String
+    Default: dev
+  Tier:
+    Type: String
+    Default: web
+Conditions:
+  IsProd: !Equals [!Ref Env, prod]
+  IsWeb: !Equals [!Ref Tier, web]
+  IsProdWeb: !And [!Condition IsProd, !Condition IsWeb]
+Resources:
+  Group:
+    Type: AWS::AutoScaling::AutoScalingGroup
+    Properties:
+      MinSize: '1'
+      MaxSize: !If [IsProd, '4', '2']
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      QueueName: !Sub '\${Env}-queue'
+Outputs:
+  QueueUrl:
+    Value: !Ref Queue
+`, (config, outputDir) => CdktfGenerator.generateCode(config, outputDir, 'go'));
+  const main = files['main.go'];
+
+  it('writes a Go module', () => {
+    expect(Object.keys(files).sort()).toEqual(['cdktf.json', 'go.mod', 'main.go']);
+    expect(files['go.mod']).toContain('github.com/cdktf/cdktf-provider-aws-go/aws/v19');
+    expect(main).toContain('"github.com/cdktf/cdktf-provider-aws-go/aws/v19/autoscalinggroup"');
+  });
+
+  it('creates constructs with config structs and jsii values', () => {
+    expect(main).toContain(`	autoscalinggroup.NewAutoscalingGroup(stack, jsii.String("group"), &autoscalinggroup.AutoscalingGroupConfig{
+		MinSize: jsii.Number(1),
+		MaxSize: cdktf.Token_AsNumber(cdktf.Fn_Conditional(isprodCondition, jsii.Number(4), jsii.Number(2))),
+	})`);
+    expect(main).toContain('Name: jsii.String(fmt.Sprintf("%s-queue", *envVariable.StringValue())),');
+    expect(main).toContain('Value: queue.Id(),');
+  });
+
+  it('only assigns what is used, since Go rejects unused variables', () => {
+    expect(main).toContain('isprodCondition := cdktf.Op_Eq(envVariable.StringValue(), jsii.String("prod"))');
+    // Neither the unused condition nor the parameter only it refers to are assigned
+    expect(main).not.toMatch(/isweb|isprodweb/);
+    expect(main).toContain('\tcdktf.NewTerraformVariable(stack, jsii.String("Tier"),');
+  });
+});
@@ -0,0 +1,93 @@
+import { CdktfGenerator } from '../src/generator';
+import { ResourceMapper, TemplateInput } from '../src/mapper';
+import { CloudFormationParser } from '../src/parser';
+import { writtenFiles } from './util';
+
+const network = `
+Resources:
+  Bucket:
+    Type: AWS::S3::Bucket
+Outputs:
+  BucketArn:
+    Value: !GetAtt Bucket.Arn
+    Export:
+      Name: !Sub '\${AWS::StackName}-BucketArn'
+  BucketName:
+    Value: !Ref Bucket
+    Export:
+      Name: shared-bucket
+`;
+
+const app = `
+Parameters:
+  NetworkStack:
+    Type: String
+    Default: network
+Resources:
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      QueueName: !ImportValue shared-bucket
+      Tags:
+        - Key: bucket
+          Value: !ImportValue
+            Fn::Sub: '\${NetworkStack}-BucketArn'
+        - Key: missing
+          Value: !ImportValue missing-export
+`;
+
+function templates(...bodies: [string, string][]): TemplateInput[] {
+  return bodies.map(([name, body]) => ({ name, template: CloudFormationParser.parseYaml(body) }));
+}
+
+describe('Fn::ImportValue across templates', () => {
+  it('orders stacks after the stacks they import from', () => {
+    const stacks = ResourceMapper.mapTemplates(templates(['app', app], ['network', network]));
+    expect(stacks.map(stack => stack.name)).toEqual(['network', 'app']);
+  });
+
+  it('reads the exporting stack output, resolving the export name', () => {
+    const [, stack] = ResourceMapper.mapTemplates(templates(['network', network], ['app', app]));
+    const queue = stack.config.resources[0].properties;
+    expect(queue.name).toEqual({ kind: 'reference', target: 'stack', name: 'network', attribute: 'BucketName' });
+    expect(queue.tags).toMatchObject({
+      kind: 'map',
+      entries: { bucket: { kind: 'reference', target: 'stack', name: 'network', attribute: 'BucketArn' } },
+    });
+  });
+
+  it('reports exports no converted template provides', () => {
+    const [, stack] = ResourceMapper.mapTemplates(templates(['network', network], ['app', app]));
+    expect(stack.config.diagnostics).toContainEqual(expect.objectContaining({
+      severity: 'error',
+      code: 'unresolved-import',
+      message: 'Unresolved import: missing-export (no template converted along with app exports it)',
+    }));
+  });
+
+  it('rejects duplicate export names and circular imports', () => {
+    expect(() => ResourceMapper.mapTemplates(templates(['network', network], ['copy', network.replace('-BucketArn', '-Arn')])))
+      .toThrow('Duplicate export name: shared-bucket (exported by network and copy)');
+
+    const first = 'Resources:\n  Queue:\n    Type: AWS::SQS::Queue\n    Properties:\n      QueueName: !ImportValue second\n'
+      + 'Outputs:\n  Name:\n    Value: !Ref Queue\n    Export:\n      Name: first\n';
+    const second = first.replace('!ImportValue second', '!ImportValue first').replace('Name: first', 'Name: second');
+    expect(() => ResourceMapper.mapTemplates(templates(['first', first], ['second', second])))
+      .toThrow('Circular dependency between stacks: first -> second -> first');
+  });
+
+  it('passes the exports to the importing stack in generated code', () => {
+    const stacks = ResourceMapper.mapTemplates(templates(['network', network], ['app', app]));
+    const files = writtenFiles(outputDir => CdktfGenerator.generateAppCode(stacks, outputDir, 'typescript'));
+    expect(files['main.ts']).toContain('constructor(scope: Construct, id: string, networkExports: Record<string, any>)');
+    expect(files['main.ts']).toContain('name: networkExports["BucketName"],');
+    expect(files['main.ts']).toContain('new AppStack(app, "app", networkStack.exports);');
+  });
+
+  it('reads the exporting stack state in generated Terraform', () => {
+    const stacks = ResourceMapper.mapTemplates(templates(['network', network], ['app', app]));
+    const files = writtenFiles(outputDir => CdktfGenerator.generateAppTerraform(stacks, outputDir, 'hcl'));
+    expect(files['app/main.tf']).toContain('data "terraform_remote_state" "network"');
+    expect(files['app/main.tf']).toContain('name = data.terraform_remote_state.network.outputs.BucketName');
+  });
+});
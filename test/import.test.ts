@@ -0,0 +1,93 @@
+import * as path from 'path';
+import { CdktfGenerator, ImportStyle } from '../src/generator';
+import { ResourceMapper } from '../src/mapper';
+import { CloudFormationParser } from '../src/parser';
+import { writtenFiles } from './util';
+
+const fixtures = path.join(__dirname, 'fixtures', 'import');
+
+function mapFixture() {
+  return ResourceMapper.mapTemplate(CloudFormationParser.parseFile(path.join(fixtures, 'stack.yaml')), {
+    stackResources: CloudFormationParser.parseStackResources(path.join(fixtures, 'resources.json')),
+  });
+}
+
+function terraformFiles(importStyle: ImportStyle) {
+  return writtenFiles(outputDir => CdktfGenerator.generateTerraform(mapFixture(), outputDir, 'hcl', importStyle));
+}
+
+describe('importing a deployed stack', () => {
+  it('derives import IDs from the physical IDs', () => {
+    const ids = Object.fromEntries(mapFixture().resources.map(resource => [resource.name, resource.importId]));
+    expect(ids).toEqual({
+      bucket: 'legacy-app-bucket-1abc',
+      bucket_acl: 'legacy-app-bucket-1abc,private',
+      bucket_versioning: 'legacy-app-bucket-1abc',
+      logs: 'legacy-app-logs-9',
+      role: 'legacy-app-Role-XYZ',
+      role_policy_0: 'legacy-app-Role-XYZ:inline',
+      role_policy_1: undefined,
+      role_policy_attachment_0: 'legacy-app-Role-XYZ/arn:aws:iam::aws:policy/ReadOnlyAccess',
+      topic: 'arn:aws:sns:us-east-1:123:legacy-app-Topic',
+      fn: undefined,
+    });
+  });
+
+  it('plans which resources are skipped and which ones the stack has to retain', () => {
+    const config = mapFixture();
+    expect(config.importPlan).toEqual({
+      stackName: 'legacy-app',
+      skipped: [
+        {
+          logicalId: 'Role',
+          type: 'AWS::IAM::Role',
+          reason: 'the import ID of aws_iam_role_policy.role_policy_1 cannot be derived from the physical ID and literal values',
+        },
+        { logicalId: 'Fn', type: 'AWS::Lambda::Function', reason: 'not deployed in the stack' },
+      ],
+      retain: ['Logs', 'Role', 'Topic'],
+    });
+    expect(config.diagnostics.map(item => item.code)).toEqual(expect.arrayContaining([
+      'unknown-stack-resource', 'not-imported', 'deletion-policy-required',
+    ]));
+  });
+
+  it('writes import blocks, addressing instances of conditional resources', () => {
+    const files = terraformFiles('blocks');
+    expect(Object.keys(files).sort()).toEqual(['imports.tf', 'main.tf', 'variables.tf']);
+    expect(files['imports.tf']).toContain('import {\n  to = aws_s3_bucket.logs[0]\n  id = "legacy-app-logs-9"\n}');
+    expect(files['imports.tf']).not.toContain('role_policy_1');
+  });
+
+  it('writes import.sh with the import plan as notes', () => {
+    const files = terraformFiles('script');
+    expect(Object.keys(files).sort()).toEqual(['import.sh', 'main.tf', 'variables.tf']);
+    expect(files['import.sh']).toContain('# Imports the resources of the CloudFormation stack legacy-app into the Terraform state');
+    expect(files['import.sh']).toContain('#   Fn (AWS::Lambda::Function): not deployed in the stack');
+    expect(files['import.sh']).toContain("terraform import 'aws_s3_bucket.logs[0]' 'legacy-app-logs-9'");
+    expect(files['import.sh']).toContain(
+      "terraform import 'aws_iam_role_policy_attachment.role_policy_attachment_0' 'legacy-app-Role-XYZ/arn:aws:iam::aws:policy/ReadOnlyAccess'");
+  });
+
+  it('writes both import blocks and import.sh', () => {
+    expect(Object.keys(terraformFiles('both')).sort()).toEqual(['import.sh', 'imports.tf', 'main.tf', 'variables.tf']);
+  });
+
+  it('skips import blocks cdktf cannot express and points at the script', () => {
+    const config = mapFixture();
+    const files = writtenFiles(outputDir => CdktfGenerator.generateCode(config, outputDir, 'typescript', 'blocks'));
+    expect(files['import.sh']).toBeUndefined();
+    expect(files['main.ts']).toContain('bucket.importFrom("legacy-app-bucket-1abc");');
+    expect(config.diagnostics).toContainEqual(expect.objectContaining({
+      code: 'import-block-skipped',
+      message: 'Import block skipped: aws_s3_bucket.logs[0] (importFrom cannot address an instance of a conditional resource; use --import-style script)',
+    }));
+  });
+
+  it('runs import.sh in the synthesized stack of cdktf code', () => {
+    const files = writtenFiles(outputDir => CdktfGenerator.generateCode(mapFixture(), outputDir, 'typescript', 'script'));
+    expect(files['main.ts']).not.toContain('importFrom');
+    expect(files['import.sh']).toContain('# Run cdktf synth first, then terraform init in cdktf.out/stacks/converted-stack.');
+    expect(files['import.sh']).toContain('cd "$(dirname "$0")/cdktf.out/stacks/converted-stack"');
+  });
+});
@@ -0,0 +1,61 @@
+import { CdktfGenerator } from '../src/generator';
+import { generateFiles } from './util';
+
+describe('JavaGenerator', () => {
+  const files = generateFiles(`
+Parameters:
+  Env:
+    Type: String
+    Default: dev
+Conditions:
+  IsProd: !Equals [!Ref Env, prod]
+Resources:
+  Vpc:
+    Type: AWS::EC2::VPC
+    Properties:
+      CidrBlock: 10.0.0.0/16
+  Function:
+    Type: AWS::Lambda::Function
+    Properties:
+      Role: arn:aws:iam::123456789012:role/lambda
+      Runtime: java21
+      Handler: app.Handler
+      MemorySize: !If [IsProd, 1024, 256]
+      VpcConfig:
+        SubnetIds: [subnet-1, !GetAtt Vpc.Ipv6CidrBlocks]
+        SecurityGroupIds: [sg-1]
+      Environment:
+        Variables:
+          STAGE: !Ref Env
+          BLOCKS: !GetAtt Vpc.Ipv6CidrBlocks
+Outputs:
+  FunctionArn:
+    Value: !GetAtt Function.Arn
+`, (config, outputDir) => CdktfGenerator.generateCode(config, outputDir, 'java'));
+  const main = files['src/main/java/com/mycompany/app/Main.java'];
+
+  it('writes a Maven project', () => {
+    expect(Object.keys(files).sort()).toEqual(['cdktf.json', 'pom.xml', 'src/main/java/com/mycompany/app/Main.java']);
+    expect(files['pom.xml']).toContain('<artifactId>cdktf-provider-aws</artifactId>');
+    expect(files['pom.xml']).toContain('<mainClass>com.mycompany.app.Main</mainClass>');
+    expect(main).toContain('import com.hashicorp.cdktf.providers.aws.lambda_function.LambdaFunction;');
+  });
+
+  it('builds resources and nested blocks with builders, converting tokens to the expected type', () => {
+    expect(main).toContain('Object isprodCondition = Op.eq(envVariable.getStringValue(), "prod");');
+    expect(main).toContain(`        LambdaFunction function = LambdaFunction.Builder.create(this, "function")
+                .role("arn:aws:iam::123456789012:role/lambda")
+                .runtime("java21")
+                .handler("app.Handler")
+                .memorySize(Token.asNumber(Fn.conditional(isprodCondition, 1024, 256)))
+                .vpcConfig(LambdaFunctionVpcConfig.builder()`);
+    expect(main).toContain('TerraformOutput.Builder.create(this, "FunctionArn")\n                .value(function.getArn())');
+  });
+
+  it('keeps null out of List.of and Map.of, which reject it', () => {
+    expect(main).toContain('.subnetIds(Arrays.asList("subnet-1", null))');
+    expect(main).toContain('import java.util.Arrays;');
+    expect(main).toContain('.securityGroupIds(List.of("sg-1"))');
+    expect(main).toContain('.variables(Map.of(\n                                "STAGE", envVariable.getStringValue()))');
+  });
+});
@@ -0,0 +1,75 @@
+import { literal } from '../src/mapper';
+import { mapYaml } from './util';
+
+const template = `
+Resources:
+  Data:
+    Type: AWS::S3::Bucket
+    DeletionPolicy: Retain
+    UpdateReplacePolicy: Retain
+  Db:
+    Type: AWS::RDS::DBInstance
+    DeletionPolicy: Snapshot
+    Properties:
+      DBInstanceClass: db.t3.micro
+      Engine: postgres
+      AllocatedStorage: 20
+  ScratchDb:
+    Type: AWS::RDS::DBInstance
+    DeletionPolicy: Delete
+    Properties:
+      DBInstanceClass: db.t3.micro
+      Engine: postgres
+      AllocatedStorage: 20
+  Table:
+    Type: AWS::DynamoDB::Table
+    DeletionPolicy: Snapshot
+    Properties:
+      AttributeDefinitions: [{ AttributeName: id, AttributeType: S }]
+      KeySchema: [{ AttributeName: id, KeyType: HASH }]
+      BillingMode: PAY_PER_REQUEST
+  Group:
+    Type: AWS::AutoScaling::AutoScalingGroup
+    CreationPolicy:
+      ResourceSignal: { Count: 1, Timeout: PT15M }
+    Properties:
+      MinSize: '1'
+      MaxSize: '2'
+      AvailabilityZones: [us-east-1a]
+`;
+
+describe('resource attributes', () => {
+  const config = mapYaml(template);
+  const resource = (name: string) => config.resources.find(item => item.name === name)!;
+
+  it('prevents destroying retained resources', () => {
+    expect(resource('data').preventDestroy).toBe(true);
+    expect(resource('group').preventDestroy).toBeUndefined();
+  });
+
+  it('takes a final snapshot of databases unless they are deleted', () => {
+    expect(resource('db')).toMatchObject({
+      preventDestroy: true,
+      properties: {
+        skip_final_snapshot: literal(false),
+        final_snapshot_identifier: {
+          kind: 'template',
+          parts: [{ kind: 'reference', target: 'variable', name: 'AwsStackName' }, '-db-final'],
+        },
+      },
+    });
+    expect(resource('scratchdb').preventDestroy).toBeUndefined();
+    expect(resource('scratchdb').properties.skip_final_snapshot).toEqual(literal(true));
+  });
+
+  it('reports attributes without a Terraform equivalent and notes them above the resource', () => {
+    expect(resource('table').comments).toEqual([
+      'DeletionPolicy not converted: aws_dynamodb_table takes no final snapshot; prevent_destroy keeps it from being destroyed',
+    ]);
+    expect(resource('group').comments).toEqual(['CreationPolicy not converted: Terraform does not wait for cfn-signal success signals']);
+    expect(config.diagnostics.filter(item => item.code === 'dropped-resource-attribute').map(item => item.message)).toEqual([
+      'Resource attribute dropped: Table.DeletionPolicy (aws_dynamodb_table takes no final snapshot; prevent_destroy keeps it from being destroyed)',
+      'Resource attribute dropped: Group.CreationPolicy (Terraform does not wait for cfn-signal success signals)',
+    ]);
+  });
+});
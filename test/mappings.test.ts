@@ -0,0 +1,69 @@
+import { literal } from '../src/mapper/expressions';
+import { mapYaml } from './util';
+
+const template = `
+Parameters:
+  Env:
+    Type: String
+Mappings:
+  RegionMap:
+    us-east-1:
+      Ami: ami-1
+    eu-west-1:
+      Ami: ami-2
+  Config:
+    prod:
+      Size: 3
+Resources:
+  Instance:
+    Type: AWS::EC2::Instance
+    Properties:
+      ImageId: !FindInMap [RegionMap, !Ref AWS::Region, Ami]
+  Topic:
+    Type: AWS::SNS::Topic
+    Properties:
+      TopicName: !FindInMap [Config, !Ref Env, Size]
+`;
+
+describe('Mappings', () => {
+  const config = mapYaml(template);
+
+  it('converts each mapping into a local map keeping its keys', () => {
+    expect(config.mappings.RegionMap).toEqual({
+      name: 'regionmap_mapping',
+      value: {
+        kind: 'map',
+        entries: {
+          'us-east-1': { kind: 'map', entries: { Ami: literal('ami-1') } },
+          'eu-west-1': { kind: 'map', entries: { Ami: literal('ami-2') } },
+        },
+      },
+    });
+    expect(config.mappings.Config.value).toEqual({
+      kind: 'map',
+      entries: { prod: { kind: 'map', entries: { Size: literal(3) } } },
+    });
+  });
+
+  it('converts Fn::FindInMap into nested lookups of the local', () => {
+    const [instance, topic] = config.resources;
+    expect(instance.properties.ami).toEqual({
+      kind: 'call',
+      name: 'lookup',
+      args: [
+        {
+          kind: 'call',
+          name: 'lookup',
+          args: [
+            { kind: 'reference', target: 'local', name: 'regionmap_mapping' },
+            { kind: 'reference', target: 'data', type: 'aws_region', name: 'current_region', attribute: 'name' },
+          ],
+        },
+        literal('Ami'),
+      ],
+    });
+    expect(topic.properties.name).toMatchObject({
+      args: [{ args: [{ name: 'config_mapping' }, { kind: 'reference', target: 'variable', name: 'Env' }] }, literal('Size')],
+    });
+  });
+});
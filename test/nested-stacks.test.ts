@@ -0,0 +1,55 @@
+import * as path from 'path';
+import { CdktfGenerator } from '../src/generator';
+import { ResourceMapper } from '../src/mapper';
+import { CloudFormationParser } from '../src/parser';
+import { writtenFiles } from './util';
+
+const fixtures = path.join(__dirname, 'fixtures', 'nested');
+
+function mapFixture(name: string) {
+  const templatePath = path.join(fixtures, name);
+  return ResourceMapper.mapTemplate(CloudFormationParser.parseFile(templatePath), { templatePath });
+}
+
+describe('nested stacks', () => {
+  it('converts the child template into a module taking the stack parameters as inputs', () => {
+    const config = mapFixture('parent.yaml');
+    expect(config.resources[0]).toEqual({
+      type: 'module',
+      name: 'storage',
+      module: 'storage',
+      properties: {
+        Env: { kind: 'reference', target: 'variable', name: 'Env' },
+        Retention: { kind: 'literal', value: 7 },
+      },
+    });
+    expect(Object.keys(config.modules)).toEqual(['storage']);
+    expect(config.modules.storage.variables.Retention).toEqual({ type: 'number', default: 30 });
+    expect(Object.keys(config.modules.storage.outputs)).toEqual(['BucketName', 'BucketArn']);
+  });
+
+  it('reads stack outputs from the module', () => {
+    const config = mapFixture('parent.yaml');
+    const output = { kind: 'reference', target: 'module', name: 'storage', attribute: 'BucketArn' };
+    expect(config.outputs.BucketArn.value).toEqual(output);
+    expect(config.resources[1].properties.name).toEqual({
+      kind: 'template',
+      parts: [{ ...output, attribute: 'BucketName' }, '-logs'],
+    });
+  });
+
+  it('writes the module as HCL next to the generated code', () => {
+    const files = writtenFiles(outputDir => CdktfGenerator.generateCode(mapFixture('parent.yaml'), outputDir, 'typescript'));
+    expect(Object.keys(files).sort()).toEqual([
+      'cdktf.json', 'main.ts', 'modules/storage/main.tf', 'modules/storage/outputs.tf', 'modules/storage/variables.tf',
+      'package.json',
+    ]);
+    expect(files['main.ts']).toContain('const storage = new TerraformHclModule(this, "storage", {\n      source: "./modules/storage",');
+    expect(files['main.ts']).toContain('name: `${storage.get("BucketName")}-logs`,');
+    expect(files['modules/storage/main.tf']).toContain('bucket = "${var.Env}-data"');
+  });
+
+  it('rejects templates that nest themselves', () => {
+    expect(() => mapFixture('self.yaml')).toThrow('Circular nested stack');
+  });
+});
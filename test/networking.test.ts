@@ -0,0 +1,132 @@
+import { literal } from '../src/mapper';
+import { mapYaml } from './util';
+
+const template = `
+Resources:
+  Vpc:
+    Type: AWS::EC2::VPC
+    Properties:
+      CidrBlock: 10.0.0.0/16
+  Subnet:
+    Type: AWS::EC2::Subnet
+    Properties:
+      VpcId: !Ref Vpc
+      CidrBlock: 10.0.0.0/24
+  Igw:
+    Type: AWS::EC2::InternetGateway
+  IgwAttachment:
+    Type: AWS::EC2::VPCGatewayAttachment
+    Properties:
+      VpcId: !Ref Vpc
+      InternetGatewayId: !Ref Igw
+  RouteTable:
+    Type: AWS::EC2::RouteTable
+    Properties:
+      VpcId: !Ref Vpc
+  DefaultRoute:
+    Type: AWS::EC2::Route
+    DependsOn: IgwAttachment
+    Properties:
+      RouteTableId: !Ref RouteTable
+      DestinationCidrBlock: 0.0.0.0/0
+      GatewayId: !Ref Igw
+  NatEip:
+    Type: AWS::EC2::EIP
+    Properties:
+      Domain: vpc
+  Nat:
+    Type: AWS::EC2::NatGateway
+    Properties:
+      AllocationId: !GetAtt NatEip.AllocationId
+      SubnetId: !Ref Subnet
+  WebSg:
+    Type: AWS::EC2::SecurityGroup
+    Properties:
+      GroupDescription: Web
+      VpcId: !Ref Vpc
+      SecurityGroupIngress:
+        - IpProtocol: tcp
+          FromPort: '443'
+          ToPort: '443'
+          CidrIp: 0.0.0.0/0
+  AppSg:
+    Type: AWS::EC2::SecurityGroup
+    Properties:
+      GroupDescription: App
+      VpcId: !Ref Vpc
+      SecurityGroupEgress:
+        - IpProtocol: -1
+          DestinationSecurityGroupId: !GetAtt WebSg.GroupId
+  AppFromWeb:
+    Type: AWS::EC2::SecurityGroupIngress
+    Properties:
+      GroupId: !Ref AppSg
+      IpProtocol: tcp
+      FromPort: 8080
+      ToPort: 8080
+      SourceSecurityGroupId: !Ref WebSg
+  Server:
+    Type: AWS::EC2::Instance
+    Properties:
+      ImageId: ami-12345678
+      InstanceType: t3.micro
+      SubnetId: !Ref Subnet
+      SecurityGroupIds: [!Ref WebSg]
+Outputs:
+  NatIp:
+    Value: !Ref NatEip
+  ServerIp:
+    Value: !GetAtt Server.PrivateIp
+`;
+
+describe('VPC and EC2 networking', () => {
+  const config = mapYaml(template);
+  const resource = (name: string) => config.resources.find(item => item.name === name)!;
+  const reference = (type: string, name: string, attribute = 'id') => ({ kind: 'reference', target: 'resource', type, name, attribute });
+
+  it('maps the networking types, referencing resources by ID', () => {
+    expect(config.resources.map(item => item.type)).toEqual([
+      'aws_vpc', 'aws_subnet', 'aws_internet_gateway', 'aws_internet_gateway_attachment', 'aws_route_table', 'aws_route', 'aws_eip',
+      'aws_nat_gateway', 'aws_security_group', 'aws_vpc_security_group_ingress_rule', 'aws_vpc_security_group_egress_rule',
+      'aws_security_group', 'aws_vpc_security_group_egress_rule', 'aws_vpc_security_group_ingress_rule', 'aws_instance',
+    ]);
+    expect(resource('defaultroute').properties).toEqual({
+      route_table_id: reference('aws_route_table', 'routetable'),
+      destination_cidr_block: literal('0.0.0.0/0'),
+      gateway_id: reference('aws_internet_gateway', 'igw'),
+    });
+    expect(resource('nat').properties.allocation_id).toEqual(reference('aws_eip', 'nateip', 'allocation_id'));
+    expect(resource('server').properties.vpc_security_group_ids).toEqual({ kind: 'list', items: [reference('aws_security_group', 'websg')] });
+    expect(config.diagnostics).toEqual([]);
+  });
+
+  it('turns inline security group rules into rule resources with typed ports and protocols', () => {
+    expect(resource('websg').properties).toEqual({ description: literal('Web'), vpc_id: reference('aws_vpc', 'vpc') });
+    expect(resource('websg_ingress_0').properties).toEqual({
+      security_group_id: reference('aws_security_group', 'websg'),
+      ip_protocol: literal('tcp'),
+      from_port: literal(443),
+      to_port: literal(443),
+      cidr_ipv4: literal('0.0.0.0/0'),
+    });
+    expect(resource('appsg_egress_0').properties).toEqual({
+      security_group_id: reference('aws_security_group', 'appsg'),
+      ip_protocol: literal('-1'),
+      referenced_security_group_id: reference('aws_security_group', 'websg'),
+    });
+    expect(resource('appfromweb').properties.referenced_security_group_id).toEqual(reference('aws_security_group', 'websg'));
+  });
+
+  it('keeps the allow-all egress CloudFormation adds to groups without egress rules', () => {
+    expect(resource('websg_egress_0').properties).toEqual({
+      security_group_id: reference('aws_security_group', 'websg'),
+      ip_protocol: literal('-1'),
+      cidr_ipv4: literal('0.0.0.0/0'),
+    });
+  });
+
+  it('resolves Ref and GetAtt to the attributes Terraform names', () => {
+    expect(config.outputs.NatIp.value).toEqual(reference('aws_eip', 'nateip', 'public_ip'));
+    expect(config.outputs.ServerIp.value).toEqual(reference('aws_instance', 'server', 'private_ip'));
+  });
+});
@@ -0,0 +1,68 @@
+import { CloudFormationParser } from '../src/parser';
+
+describe('CloudFormationParser.parseYaml', () => {
+  it('expands short-form intrinsic tags to their long form', () => {
+    const template = CloudFormationParser.parseYaml(`
+Resources:
+  Bucket:
+    Type: AWS::S3::Bucket
+    Properties:
+      BucketName: !Sub '\${AWS::StackName}-bucket'
+      Tags:
+        - Key: zone
+          Value: !Select [0, !GetAZs '']
+        - Key: role
+          Value: !GetAtt Role.Arn
+        - Key: nested
+          Value: !GetAtt Stack.Outputs.Name
+        - Key: env
+          Value: !If [IsProd, !Ref Env, !Join ['-', [a, b]]]
+        - Key: table
+          Value: !FindInMap [Config, !Ref Env, Table]
+`);
+    const properties = template.Resources.Bucket.Properties!;
+    expect(properties.BucketName).toEqual({ 'Fn::Sub': '${AWS::StackName}-bucket' });
+    expect(properties.Tags.map((tag: any) => tag.Value)).toEqual([
+      { 'Fn::Select': [0, { 'Fn::GetAZs': '' }] },
+      { 'Fn::GetAtt': ['Role', 'Arn'] },
+      { 'Fn::GetAtt': ['Stack', 'Outputs.Name'] },
+      { 'Fn::If': ['IsProd', { Ref: 'Env' }, { 'Fn::Join': ['-', ['a', 'b']] }] },
+      { 'Fn::FindInMap': ['Config', { Ref: 'Env' }, 'Table'] },
+    ]);
+  });
+
+  it('keeps unquoted dates as strings', () => {
+    const template = CloudFormationParser.parseYaml(`
+AWSTemplateFormatVersion: 2010-09-09
+Resources:
+  Policy:
+    Type: AWS::IAM::ManagedPolicy
+    Properties:
+      PolicyDocument:
+        Version: 2012-10-17
+        Statement: []
+`);
+    expect(template.AWSTemplateFormatVersion).toBe('2010-09-09');
+    expect(template.Resources.Policy.Properties!.PolicyDocument.Version).toBe('2012-10-17');
+  });
+
+  it('keeps the text of numbers that would not print back to it', () => {
+    const template = CloudFormationParser.parseYaml(`
+Resources:
+  Database:
+    Type: AWS::RDS::DBInstance
+    Properties:
+      EngineVersion: 8.0
+      AllocatedStorage: 20
+      Iops: 1e3
+      Tags:
+        - Key: version
+          Value: !Join ['.', [1.10, 0.5, -3]]
+`);
+    const properties = template.Resources.Database.Properties!;
+    expect(properties.EngineVersion).toBe('8.0');
+    expect(properties.AllocatedStorage).toBe(20);
+    expect(properties.Iops).toBe('1e3');
+    expect(properties.Tags[0].Value).toEqual({ 'Fn::Join': ['.', ['1.10', 0.5, -3]] });
+  });
+});
@@ -0,0 +1,43 @@
+import { block, literal } from '../src/mapper';
+import { mapResources, mapYaml } from './util';
+
+describe('property mapping', () => {
+  it('groups the expiration settings of a lifecycle rule into one block', () => {
+    const resources = mapResources(`
+Resources:
+  Bucket:
+    Type: AWS::S3::Bucket
+    Properties:
+      LifecycleConfiguration:
+        Rules:
+          - Status: Enabled
+            ExpirationInDays: 30
+            ExpiredObjectDeleteMarker: false
+            NoncurrentVersionExpirationInDays: 5
+            NoncurrentVersionExpiration: { NewerNoncurrentVersions: 2 }
+`);
+    const rules = resources.bucket_lifecycle.rule;
+    const rule = rules.kind === 'list' && rules.items[0].kind === 'block' ? rules.items[0].attributes : {};
+    expect(rule.expiration).toEqual(block({ days: literal(30), expired_object_delete_marker: literal(false) }));
+    expect(rule.noncurrent_version_expiration)
+      .toEqual(block({ noncurrent_days: literal(5), newer_noncurrent_versions: literal('2') }));
+  });
+
+  it('reports properties mapped to an attribute that is already set', () => {
+    const config = mapYaml(`
+Resources:
+  Flow:
+    Type: AWS::StepFunctions::StateMachine
+    Properties:
+      RoleArn: arn:aws:iam::123456789012:role/sfn
+      DefinitionString: '{}'
+      Definition: { StartAt: A }
+`);
+    expect(config.diagnostics).toContainEqual(expect.objectContaining({
+      code: 'conflicting-property',
+      severity: 'error',
+      logicalId: 'Flow',
+      path: 'Definition',
+    }));
+  });
+});
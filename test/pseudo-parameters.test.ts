@@ -0,0 +1,57 @@
+import { mapYaml } from './util';
+
+const template = `
+Resources:
+  Topic:
+    Type: AWS::SNS::Topic
+    Properties:
+      TopicName: !Sub '\${AWS::StackName}-\${AWS::Region}-\${AWS::AccountId}'
+      DisplayName: !Ref AWS::StackId
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      QueueName: !Select [0, !GetAZs '']
+      Tags:
+        - Key: zone
+          Value: !Select [0, !GetAZs eu-west-1]
+`;
+
+describe('Pseudo parameters', () => {
+  const config = mapYaml(template, { stackName: 'app' });
+  const [topic, queue] = config.resources;
+
+  it('reads region and account from data sources declared once', () => {
+    expect(topic.properties.name).toEqual({
+      kind: 'template',
+      parts: [
+        { kind: 'reference', target: 'variable', name: 'AwsStackName' },
+        '-',
+        { kind: 'reference', target: 'data', type: 'aws_region', name: 'current_region', attribute: 'name' },
+        '-',
+        { kind: 'reference', target: 'data', type: 'aws_caller_identity', name: 'current_caller_identity', attribute: 'account_id' },
+      ],
+    });
+    expect(config.dataSources.map(dataSource => dataSource.type))
+      .toEqual(['aws_region', 'aws_caller_identity', 'aws_availability_zones']);
+  });
+
+  it('supplies the stack name and stack ID as separate variables defaulting to the stack name', () => {
+    expect(topic.properties.display_name).toEqual({ kind: 'reference', target: 'variable', name: 'AwsStackId' });
+    expect(config.variables.AwsStackName).toMatchObject({ type: 'string', default: 'app' });
+    expect(config.variables.AwsStackId).toMatchObject({ type: 'string', default: 'app' });
+  });
+
+  it('lists the zones of the provider region, reporting any other region', () => {
+    expect(queue.properties.name).toEqual({
+      kind: 'call',
+      name: 'element',
+      args: [
+        { kind: 'reference', target: 'data', type: 'aws_availability_zones', name: 'current_availability_zones', attribute: 'names' },
+        { kind: 'literal', value: 0 },
+      ],
+    });
+    expect(config.diagnostics).toEqual([
+      expect.objectContaining({ code: 'ignored-argument', logicalId: 'Queue' }),
+    ]);
+  });
+});
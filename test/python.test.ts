@@ -0,0 +1,69 @@
+import { CdktfGenerator } from '../src/generator';
+import { generateFiles } from './util';
+
+describe('PythonGenerator', () => {
+  const files = generateFiles(`
+Parameters:
+  Env:
+    Type: String
+    Default: dev
+Conditions:
+  IsProd: !Equals [!Ref Env, prod]
+Resources:
+  Function:
+    Type: AWS::Lambda::Function
+    Properties:
+      Role: arn:aws:iam::123456789012:role/lambda
+      Runtime: python3.12
+      Handler: index.handler
+      MemorySize: !If [IsProd, 1024, 256]
+      TracingConfig: { Mode: Active }
+      Environment:
+        Variables:
+          STAGE: !Ref Env
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      QueueName: !Sub '\${Env}-queue'
+      FifoQueue: true
+Outputs:
+  FunctionArn:
+    Value: !GetAtt Function.Arn
+`, (config, outputDir) => CdktfGenerator.generateCode(config, outputDir, 'python'));
+  const main = files['main.py'];
+
+  it('writes a CDKTF project with its dependencies', () => {
+    expect(Object.keys(files).sort()).toEqual(['Pipfile', 'cdktf.json', 'main.py', 'requirements.txt']);
+    expect(files['requirements.txt']).toContain('cdktf-cdktf-provider-aws');
+    expect(JSON.parse(files['cdktf.json']).language).toBe('python');
+  });
+
+  it('imports each construct class from its provider module', () => {
+    expect(main).toContain('from cdktf import App, TerraformStack, TerraformOutput, TerraformVariable, Fn, Op');
+    expect(main).toContain('from cdktf_cdktf_provider_aws.lambda_function import LambdaFunction');
+    expect(main).toContain('from cdktf_cdktf_provider_aws.sqs_queue import SqsQueue');
+  });
+
+  it('passes attributes as keyword arguments with nested blocks as dicts', () => {
+    expect(main).toContain(`        function = LambdaFunction(self, "function",
+            role="arn:aws:iam::123456789012:role/lambda",
+            runtime="python3.12",
+            handler="index.handler",
+            memory_size=Fn.conditional(isprod_condition, 1024, 256),
+            tracing_config={
+                "mode": "Active",
+            },
+            environment={
+                "variables": {
+                    "STAGE": env_variable.value,
+                },
+            },
+        )`);
+  });
+
+  it('renders Python literals, string interpolation and outputs', () => {
+    expect(main).toContain('name=env_variable.string_value + "-queue",');
+    expect(main).toContain('fifo_queue=True,');
+    expect(main).toContain('TerraformOutput(self, "FunctionArn",\n            value=function.arn,\n        )');
+  });
+});
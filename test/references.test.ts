@@ -0,0 +1,42 @@
+import { literal } from '../src/mapper';
+import { mapYaml } from './util';
+
+describe('Ref and Fn::GetAtt', () => {
+  const config = mapYaml(`
+Resources:
+  Queue:
+    Type: AWS::SQS::Queue
+  Vpc:
+    Type: AWS::EC2::VPC
+    Properties:
+      CidrBlock: 10.0.0.0/16
+  Topic:
+    Type: AWS::SNS::Topic
+    Properties:
+      DisplayName: !GetAtt Queue.QueueName
+      TopicName: !Ref Queue
+  Role:
+    Type: AWS::IAM::Role
+    Properties:
+      AssumeRolePolicyDocument: {}
+      Description: !GetAtt Queue.Unknown
+      Path: !GetAtt Vpc.Ipv6CidrBlocks
+`);
+  const [, , topic, role] = config.resources;
+  const queue = { kind: 'reference', target: 'resource', type: 'aws_sqs_queue', name: 'queue' };
+
+  it('resolves Ref and Fn::GetAtt through the attribute tables of the type', () => {
+    expect(topic.properties.name).toEqual({ ...queue, attribute: 'id' });
+    expect(topic.properties.display_name).toEqual({ ...queue, attribute: 'name' });
+  });
+
+  it('guesses and reports attributes missing from the table', () => {
+    expect(role.properties.description).toEqual({ ...queue, attribute: 'unknown' });
+    expect(config.diagnostics).toContainEqual(expect.objectContaining({ code: 'guessed-attribute', logicalId: 'Role' }));
+  });
+
+  it('converts attributes without a Terraform equivalent to null and reports them', () => {
+    expect(role.properties.path).toEqual(literal(null));
+    expect(config.diagnostics).toContainEqual(expect.objectContaining({ code: 'attribute-without-equivalent' }));
+  });
+});
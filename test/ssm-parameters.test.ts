@@ -0,0 +1,47 @@
+import { literal } from '../src/mapper';
+import { mapYaml } from './util';
+
+const template = `
+Parameters:
+  Ami:
+    Type: AWS::SSM::Parameter::Value<AWS::EC2::Image::Id>
+    Default: /aws/service/ami
+  Subnets:
+    Type: AWS::SSM::Parameter::Value<List<String>>
+  VpcId:
+    Type: AWS::EC2::VPC::Id
+Resources:
+  Topic:
+    Type: AWS::SNS::Topic
+    Properties:
+      DisplayName: !Ref Ami
+      TopicName: !Join ['-', !Ref Subnets]
+      KmsMasterKeyId: !Ref VpcId
+`;
+
+describe('SSM and AWS-specific parameter types', () => {
+  it('reads SSM parameter types from Parameter Store, with the variable holding the parameter name', () => {
+    const config = mapYaml(template);
+    const [topic] = config.resources;
+    const ami = { kind: 'reference', target: 'data', type: 'aws_ssm_parameter', name: 'ami_parameter', attribute: 'insecure_value' };
+    expect(config.dataSources).toContainEqual({
+      type: 'aws_ssm_parameter',
+      name: 'ami_parameter',
+      properties: { name: { kind: 'reference', target: 'variable', name: 'Ami' } },
+    });
+    expect(config.variables.Ami).toMatchObject({ type: 'string', default: '/aws/service/ami' });
+    expect(topic.properties.display_name).toEqual(ami);
+    expect(topic.properties.name).toMatchObject({
+      args: [literal('-'), { kind: 'call', name: 'split', args: [literal(','), { name: 'subnets_parameter' }] }],
+    });
+  });
+
+  it('looks up AWS-specific IDs only when asked to', () => {
+    expect(mapYaml(template).dataSources.map(dataSource => dataSource.type)).not.toContain('aws_vpc');
+    expect(mapYaml(template, { checkParameters: true }).dataSources).toContainEqual({
+      type: 'aws_vpc',
+      name: 'vpcid_check',
+      properties: { id: { kind: 'reference', target: 'variable', name: 'VpcId' } },
+    });
+  });
+});
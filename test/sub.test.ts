@@ -0,0 +1,57 @@
+import { literal } from '../src/mapper/expressions';
+import { mapYaml } from './util';
+
+const template = `
+Parameters:
+  Env:
+    Type: String
+Resources:
+  Bucket:
+    Type: AWS::S3::Bucket
+    Properties:
+      BucketName: !Sub '\${Env}-\${AWS::AccountId}-\${!Literal}'
+  Topic:
+    Type: AWS::SNS::Topic
+    Properties:
+      TopicName: !Sub
+        - '\${Name}-\${Bucket.Arn}-\${Bucket}'
+        - Name: !Ref Env
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      QueueName: !Sub plain
+`;
+
+describe('Fn::Sub', () => {
+  const [bucket, topic, queue] = mapYaml(template).resources;
+  const env = { kind: 'reference', target: 'variable', name: 'Env' };
+
+  it('interpolates parameters and pseudo parameters, and keeps ${!...} as literal text', () => {
+    expect(bucket.properties.bucket).toEqual({
+      kind: 'template',
+      parts: [
+        env,
+        '-',
+        { kind: 'reference', target: 'data', type: 'aws_caller_identity', name: 'current_caller_identity', attribute: 'account_id' },
+        '-${Literal}',
+      ],
+    });
+  });
+
+  it('interpolates the variable map, resource attributes and resource references', () => {
+    expect(topic.properties.name).toEqual({
+      kind: 'template',
+      parts: [
+        env,
+        '-',
+        { kind: 'reference', target: 'resource', type: 'aws_s3_bucket', name: 'bucket', attribute: 'arn' },
+        '-',
+        { kind: 'reference', target: 'resource', type: 'aws_s3_bucket', name: 'bucket', attribute: 'bucket' },
+      ],
+    });
+  });
+
+  it('converts a string without placeholders into a literal', () => {
+    expect(queue.properties.name).toEqual(literal('plain'));
+  });
+});
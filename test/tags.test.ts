@@ -0,0 +1,54 @@
+import { conditional, literal, map } from '../src/mapper';
+import { mapYaml } from './util';
+
+describe('Tags', () => {
+  it('converts tag lists into maps of strings, merging in tags added through Fn::If', () => {
+    const [queue] = mapYaml(`
+Conditions:
+  IsProd: !Equals [!Ref AWS::Region, us-east-1]
+Resources:
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      Tags:
+        - Key: team
+          Value: core
+        - Key: tier
+          Value: 1
+        - !If [IsProd, { Key: prod, Value: true }, !Ref AWS::NoValue]
+`).resources;
+    expect(queue.properties.tags).toEqual({
+      kind: 'call',
+      name: 'merge',
+      args: [
+        map({ team: literal('core'), tier: literal('1') }),
+        conditional(
+          { kind: 'reference', target: 'condition', name: 'isprod_condition' },
+          map({ prod: literal('true') }),
+          map({})),
+      ],
+    });
+  });
+
+  it('moves tags shared by every taggable resource to the default tags', () => {
+    const config = mapYaml(`
+Resources:
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      Tags:
+        - Key: team
+          Value: core
+        - Key: tier
+          Value: 1
+  Topic:
+    Type: AWS::SNS::Topic
+    Properties:
+      Tags:
+        - Key: team
+          Value: core
+`, { defaultTags: true });
+    expect(config.defaultTags).toEqual(map({ team: literal('core') }));
+    expect(config.resources.map(resource => resource.properties.tags)).toEqual([map({ tier: literal('1') }), undefined]);
+  });
+});
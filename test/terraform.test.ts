@@ -0,0 +1,103 @@
+import { CdktfGenerator } from '../src/generator';
+import { generateFiles } from './util';
+
+const template = `
+Parameters:
+  Env:
+    Type: String
+    Default: dev
+    AllowedValues: [dev, prod]
+Mappings:
+  Sizes:
+    dev: { Min: 1 }
+    prod: { Min: 2 }
+Conditions:
+  IsProd: !Equals [!Ref Env, prod]
+Resources:
+  Queue:
+    Type: AWS::SQS::Queue
+    Condition: IsProd
+    Properties:
+      QueueName: !Sub '\${Env}-queue'
+      DelaySeconds: !FindInMap [Sizes, !Ref Env, Min]
+  Function:
+    Type: AWS::Lambda::Function
+    Properties:
+      Role: arn:aws:iam::123456789012:role/lambda
+      Runtime: python3.12
+      Handler: index.handler
+      TracingConfig: !If [IsProd, { Mode: Active }, !Ref AWS::NoValue]
+Outputs:
+  QueueArn:
+    Condition: IsProd
+    Value: !GetAtt Queue.Arn
+    Description: Queue ARN
+`;
+
+describe('HclGenerator', () => {
+  const files = generateFiles(template, (config, outputDir) => CdktfGenerator.generateTerraform(config, outputDir, 'hcl'));
+  const main = files['main.tf'];
+
+  it('writes resources, variables and outputs to their own files', () => {
+    expect(Object.keys(files).sort()).toEqual(['main.tf', 'outputs.tf', 'variables.tf']);
+    expect(files['variables.tf']).toContain(`variable "Env" {
+  type    = string
+  default = "dev"
+  validation {
+    condition     = contains(["dev", "prod"], var.Env)
+    error_message = "Env must be one of: dev, prod."
+  }
+}`);
+    expect(files['outputs.tf']).toContain(`output "QueueArn" {
+  value       = local.isprod_condition ? one(aws_sqs_queue.queue[*].arn) : null
+  description = "Queue ARN"
+}`);
+  });
+
+  it('declares mappings and conditions as locals', () => {
+    expect(main).toContain('  isprod_condition = var.Env == "prod"');
+    expect(main).toContain('  sizes_mapping = {\n    dev = {\n      Min = 1\n    }');
+  });
+
+  it('writes conditional resources with count and conditional blocks as dynamic blocks', () => {
+    expect(main).toContain(`resource "aws_sqs_queue" "queue" {
+  count         = local.isprod_condition ? 1 : 0
+  name          = "\${var.Env}-queue"
+  delay_seconds = lookup(lookup(local.sizes_mapping, var.Env), "Min")
+}`);
+    expect(main).toContain(`  dynamic "tracing_config" {
+    for_each = local.isprod_condition ? [1] : []
+    content {
+      mode = "Active"
+    }
+  }`);
+  });
+});
+
+describe('TerraformJsonGenerator', () => {
+  const files = generateFiles(template, (config, outputDir) => CdktfGenerator.generateTerraform(config, outputDir, 'tf-json'));
+  const json = JSON.parse(files['main.tf.json']);
+
+  it('writes the whole configuration to main.tf.json', () => {
+    expect(Object.keys(files)).toEqual(['main.tf.json']);
+    expect(json.variable.Env.validation).toEqual([{
+      condition: '${contains(["dev", "prod"], var.Env)}',
+      error_message: 'Env must be one of: dev, prod.',
+    }]);
+    expect(json.locals.isprod_condition).toBe('${var.Env == "prod"}');
+    expect(json.output.QueueArn.value).toBe('${local.isprod_condition ? one(aws_sqs_queue.queue[*].arn) : null}');
+  });
+
+  it('writes expressions as interpolations and keeps literals as JSON values', () => {
+    expect(json.resource.aws_sqs_queue.queue).toEqual({
+      count: '${local.isprod_condition ? 1 : 0}',
+      name: '${var.Env}-queue',
+      delay_seconds: '${lookup(lookup(local.sizes_mapping, var.Env), "Min")}',
+    });
+    expect(json.locals.sizes_mapping).toEqual({ dev: { Min: 1 }, prod: { Min: 2 } });
+    expect(json.resource.aws_lambda_function.function.dynamic.tracing_config).toEqual([{
+      for_each: '${local.isprod_condition ? [1] : []}',
+      content: { mode: 'Active' },
+    }]);
+  });
+});
@@ -0,0 +1,48 @@
+import { CdktfGenerator } from '../src/generator';
+import { generateFiles } from './util';
+
+describe('TypeScriptGenerator', () => {
+  const files = generateFiles(`
+Parameters:
+  Env:
+    Type: String
+    Default: dev
+Conditions:
+  IsProd: !Equals [!Ref Env, prod]
+Resources:
+  Group:
+    Type: AWS::AutoScaling::AutoScalingGroup
+    Properties:
+      MinSize: '1'
+      MaxSize: !If [IsProd, '4', '2']
+      AvailabilityZones: !GetAZs ''
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      QueueName: !Sub '\${Env}-queue'
+Outputs:
+  QueueUrl:
+    Value: !Ref Queue
+`, (config, outputDir) => CdktfGenerator.generateCode(config, outputDir, 'typescript'));
+  const main = files['main.ts'];
+
+  it('writes a CDKTF project', () => {
+    expect(Object.keys(files).sort()).toEqual(['cdktf.json', 'main.ts', 'package.json']);
+    expect(JSON.parse(files['package.json']).dependencies).toHaveProperty('@cdktf/provider-aws');
+  });
+
+  it('declares variables, data sources and conditions before the resources using them', () => {
+    expect(main).toContain('const env_variable = new TerraformVariable(this, "Env", {');
+    expect(main).toContain('new aws.dataAwsAvailabilityZones.DataAwsAvailabilityZones(this, "current_availability_zones", {});');
+    expect(main).toContain('const isprod_condition = Op.eq(env_variable.value, "prod");');
+    expect(main.indexOf('isprod_condition =')).toBeLessThan(main.indexOf('new aws.autoscalingGroup.AutoscalingGroup'));
+  });
+
+  it('renders values as typed expressions instead of strings', () => {
+    expect(main).toContain('minSize: 1,');
+    expect(main).toContain('maxSize: Fn.conditional(isprod_condition, 4, 2),');
+    expect(main).toContain('availabilityZones: current_availability_zones.names,');
+    expect(main).toContain('name: `${env_variable.value}-queue`,');
+    expect(main).toContain('new TerraformOutput(this, "QueueUrl", {\n      value: queue.id,\n    });');
+  });
+});
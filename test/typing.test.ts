@@ -0,0 +1,155 @@
+import { literal } from '../src/mapper';
+import { mapResources } from './util';
+
+describe('literals typed differently in CloudFormation and Terraform', () => {
+  it('converts numeric strings to numbers where Terraform takes a number', () => {
+    const resources = mapResources(`
+Resources:
+  Group:
+    Type: AWS::AutoScaling::AutoScalingGroup
+    Properties:
+      MinSize: '1'
+      MaxSize: '3'
+      Cooldown: '300'
+  Function:
+    Type: AWS::Lambda::Function
+    Properties:
+      Role: arn:aws:iam::123456789012:role/lambda
+      Code: { ZipFile: 'exports.handler = async () => {}' }
+      MemorySize: '256'
+      Timeout: '30'
+  Mapping:
+    Type: AWS::Lambda::EventSourceMapping
+    Properties:
+      FunctionName: !Ref Function
+      EventSourceArn: arn:aws:sqs:us-east-1:123456789012:queue
+      BatchSize: '10'
+  Queue:
+    Type: AWS::SQS::Queue
+    Properties:
+      DelaySeconds: '5'
+      MaximumMessageSize: '1024'
+      MessageRetentionPeriod: '3600'
+  Table:
+    Type: AWS::DynamoDB::Table
+    Properties:
+      AttributeDefinitions: [{ AttributeName: id, AttributeType: S }]
+      KeySchema: [{ AttributeName: id, KeyType: HASH }]
+      ProvisionedThroughput: { ReadCapacityUnits: '5', WriteCapacityUnits: '5' }
+  Database:
+    Type: AWS::RDS::DBInstance
+    Properties:
+      Engine: mysql
+      DBInstanceClass: db.t3.micro
+      AllocatedStorage: '20'
+      MaxAllocatedStorage: '100'
+      Port: '3306'
+  Logs:
+    Type: AWS::Logs::LogGroup
+    Properties:
+      RetentionInDays: '14'
+  Topic:
+    Type: AWS::SNS::Topic
+    Properties:
+      SignatureVersion: '2'
+  Instance:
+    Type: AWS::EC2::Instance
+    Properties:
+      ImageId: ami-12345678
+      BlockDeviceMappings:
+        - DeviceName: /dev/xvda
+          Ebs: { VolumeSize: '20', Iops: '3000' }
+`);
+    expect(resources.group).toMatchObject({ min_size: literal(1), max_size: literal(3), default_cooldown: literal(300) });
+    expect(resources.function).toMatchObject({ memory_size: literal(256), timeout: literal(30) });
+    expect(resources.mapping.batch_size).toEqual(literal(10));
+    expect(resources.queue).toMatchObject({
+      delay_seconds: literal(5),
+      max_message_size: literal(1024),
+      message_retention_seconds: literal(3600),
+    });
+    expect(resources.table).toMatchObject({ read_capacity: literal(5), write_capacity: literal(5) });
+    expect(resources.database).toMatchObject({
+      allocated_storage: literal(20),
+      max_allocated_storage: literal(100),
+      port: literal(3306),
+    });
+    expect(resources.logs.retention_in_days).toEqual(literal(14));
+    expect(resources.topic.signature_version).toEqual(literal(2));
+    expect(resources.instance.ebs_block_device).toMatchObject({
+      items: [{ attributes: { volume_size: literal(20), iops: literal(3000) } }],
+    });
+  });
+
+  it('converts numbers to strings where Terraform takes a string', () => {
+    const resources = mapResources(`
+Resources:
+  Permission:
+    Type: AWS::Lambda::Permission
+    Properties:
+      Action: lambda:InvokeFunction
+      FunctionName: handler
+      Principal: 123456789012
+  Alias:
+    Type: AWS::Lambda::Alias
+    Properties:
+      FunctionName: handler
+      FunctionVersion: 1
+      Name: live
+  Integration:
+    Type: AWS::ApiGatewayV2::Integration
+    Properties:
+      ApiId: api
+      IntegrationType: AWS_PROXY
+      PayloadFormatVersion: 2.0
+`);
+    expect(resources.permission.principal).toEqual(literal('123456789012'));
+    expect(resources.alias.function_version).toEqual(literal('1'));
+    expect(resources.integration.payload_format_version).toEqual(literal('2.0'));
+  });
+
+  it('keeps the text of decimal numbers where Terraform takes a string', () => {
+    const resources = mapResources(`
+Resources:
+  Database:
+    Type: AWS::RDS::DBInstance
+    Properties:
+      Engine: mysql
+      EngineVersion: 8.0
+      DBInstanceClass: db.t3.micro
+      AllocatedStorage: 20.0
+`);
+    expect(resources.database).toMatchObject({ engine_version: literal('8.0'), allocated_storage: literal(20) });
+  });
+
+  it('converts both branches of Fn::If and leaves other values as they are', () => {
+    const resources = mapResources(`
+Parameters:
+  Size:
+    Type: String
+Conditions:
+  IsProd: !Equals [!Ref Size, large]
+Resources:
+  Group:
+    Type: AWS::AutoScaling::AutoScalingGroup
+    Properties:
+      MinSize: !Ref Size
+      MaxSize: many
+      DesiredCapacity: !If [IsProd, '4', '2']
+`);
+    expect(resources.group.min_size.kind).toBe('reference');
+    expect(resources.group.max_size).toEqual(literal('many'));
+    expect(resources.group.desired_capacity).toMatchObject({ whenTrue: literal(4), whenFalse: literal(2) });
+  });
+
+  it('keeps the CloudFormation types for the awscc provider', () => {
+    const resources = mapResources(`
+Resources:
+  Widget:
+    Type: AWS::Example::Widget
+    Properties:
+      Port: '8080'
+`, { awscc: 'fallback' });
+    expect(resources.widget.port).toEqual(literal('8080'));
+  });
+});
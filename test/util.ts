@@ -0,0 +1,64 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { CloudFormationParser } from '../src/parser';
+import { MappingOptions, ResourceMapper, TerraformConfig, TerraformValue } from '../src/mapper';
+
+/**
+ * Convert a YAML template
+ * @param yaml Template body
+ * @param options Mapping options
+ */
+export function mapYaml(yaml: string, options: MappingOptions = {}): TerraformConfig {
+  return ResourceMapper.mapTemplate(CloudFormationParser.parseYaml(yaml), options);
+}
+
+/**
+ * Properties of the Terraform resources converted from a YAML template, keyed by resource name
+ * @param yaml Template body
+ * @param options Mapping options
+ */
+export function mapResources(yaml: string, options: MappingOptions = {}): Record<string, Record<string, TerraformValue>> {
+  return Object.fromEntries(mapYaml(yaml, options).resources.map(resource => [resource.name, resource.properties]));
+}
+
+/**
+ * Files a generator writes for a YAML template, keyed by path relative to the output directory
+ * @param yaml Template body
+ * @param generate Writes the converted template to the output directory
+ * @param options Mapping options
+ */
+export function generateFiles(
+  yaml: string,
+  generate: (config: TerraformConfig, outputDir: string) => void,
+  options: MappingOptions = {}
+): Record<string, string> {
+  return writtenFiles(outputDir => generate(mapYaml(yaml, options), outputDir));
+}
+
+/**
+ * Files written to a temporary output directory, keyed by path relative to it
+ * @param write Writes to the output directory
+ */
+export function writtenFiles(write: (outputDir: string) => void): Record<string, string> {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cf-to-cdktf-'));
+  try {
+    write(outputDir);
+    return readFiles(outputDir, '');
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+function readFiles(root: string, directory: string): Record<string, string> {
+  const files: Record<string, string> = {};
+  fs.readdirSync(path.join(root, directory), { withFileTypes: true }).forEach(entry => {
+    const file = path.posix.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      Object.assign(files, readFiles(root, file));
+    } else {
+      files[file] = fs.readFileSync(path.join(root, file), 'utf8');
+    }
+  });
+  return files;
+}
@@ -0,0 +1,54 @@
+import { literal } from '../src/mapper';
+import { mapYaml } from './util';
+
+describe('Parameters', () => {
+  const { variables } = mapYaml(`
+Parameters:
+  Env:
+    Type: String
+    Default: dev
+    AllowedValues: [dev, prod]
+    Description: Environment
+  Name:
+    Type: String
+    AllowedPattern: '[a-z]+'
+    MaxLength: 10
+    NoEcho: true
+  Count:
+    Type: Number
+    MinValue: 1
+  Ports:
+    Type: List<Number>
+    Default: '80,443'
+Resources:
+  Queue:
+    Type: AWS::SQS::Queue
+`);
+  const reference = (name: string) => ({ kind: 'reference', target: 'variable', name });
+
+  it('converts parameters into typed variables with their default, description and sensitivity', () => {
+    expect(variables.Env).toMatchObject({ type: 'string', default: 'dev', description: 'Environment' });
+    expect(variables.Name).toMatchObject({ type: 'string', sensitive: true });
+    expect(variables.Count.type).toBe('number');
+    expect(variables.Ports).toMatchObject({ type: 'list(number)', default: [80, 443] });
+  });
+
+  it('converts parameter constraints into validations', () => {
+    expect(variables.Env.validations).toEqual([{
+      condition: {
+        kind: 'call',
+        name: 'contains',
+        args: [{ kind: 'list', items: [literal('dev'), literal('prod')] }, reference('Env')],
+      },
+      errorMessage: 'Env must be one of: dev, prod.',
+    }]);
+    expect(variables.Name.validations!.map(validation => validation.condition)).toEqual([
+      { kind: 'call', name: 'can', args: [{ kind: 'call', name: 'regex', args: [literal('^(?:[a-z]+)$'), reference('Name')] }] },
+      { kind: 'operator', operator: '<=', operands: [{ kind: 'call', name: 'length', args: [reference('Name')] }, literal(10)] },
+    ]);
+    expect(variables.Count.validations).toEqual([{
+      condition: { kind: 'operator', operator: '>=', operands: [reference('Count'), literal(1)] },
+      errorMessage: 'Count must be at least 1.',
+    }]);
+  });
+});